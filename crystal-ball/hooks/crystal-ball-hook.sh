@@ -1,8 +1,9 @@
 #!/bin/bash
 # Crystal Ball — Multi-event Claude Code hook
 #
-# Handles: PostToolUse, Stop, UserPromptSubmit, SessionStart, SessionEnd
-# Writes sidecar JSON to a central directory so the Crystal Ball server
+# Handles: PreToolUse (Task), PostToolUse, Stop, UserPromptSubmit,
+#          SessionStart, SessionEnd, Notification
+# Writes sidecar JSON (schema v2) to a central directory so the Crystal Ball server
 # can enrich unit visualizations with real-time context (Mode 2).
 #
 # Install: run hooks/install-hooks.sh, or add manually to ~/.claude/settings.json
@@ -21,6 +22,31 @@ mkdir -p "$SIDECAR_DIR"
 
 SIDECAR_FILE="$SIDECAR_DIR/$SESSION_ID.json"
 
+# ---------------------------------------------------------------------------
+# Identify the Claude process this hook belongs to. Hooks may be run through
+# an intermediate shell, so walk up from our parent until a command looks
+# like Claude (same test as the server's filterClaudeProcesses). The server
+# pairs the sidecar with that PID instead of guessing from cwd.
+# ---------------------------------------------------------------------------
+HOOK_PPID=$PPID
+
+find_claude_pid() {
+  local pid=$HOOK_PPID depth=0 args
+  while [ -n "$pid" ] && [ "$pid" -gt 1 ] && [ "$depth" -lt 8 ]; do
+    args=$(ps -o args= -p "$pid" 2>/dev/null || true)
+    case "$args" in
+      claude|claude\ *|*/claude*|*claude-code*)
+        echo "$pid"
+        return ;;
+    esac
+    pid=$(ps -o ppid= -p "$pid" 2>/dev/null | tr -d ' ' || true)
+    depth=$((depth + 1))
+  done
+  echo "null"
+}
+
+CLAUDE_PID=$(find_claude_pid)
+
 # ---------------------------------------------------------------------------
 # Helper: read existing fields from the sidecar (if it exists)
 # ---------------------------------------------------------------------------
@@ -32,24 +58,73 @@ read_existing() {
   fi
 }
 
+# ---------------------------------------------------------------------------
+# Model name: the event payload when it carries one, else the last assistant
+# message in the transcript. Empty keeps whatever the sidecar already has.
+# ---------------------------------------------------------------------------
+MODEL=$(echo "$INPUT" | jq -r '.model // "" | if type == "object" then (.id // "") else . end')
+TRANSCRIPT=$(echo "$INPUT" | jq -r '.transcript_path // ""')
+if [ -z "$MODEL" ] && [ -n "$TRANSCRIPT" ] && [ -f "$TRANSCRIPT" ]; then
+  MODEL=$(tail -n 50 "$TRANSCRIPT" 2>/dev/null \
+    | jq -rR 'fromjson? | .message.model? // empty | select(. != "<synthetic>")' 2>/dev/null \
+    | tail -n 1 || true)
+fi
+
+# Most-recent-first lists in files.read / files.written keep this many paths
+MAX_FILES=5
+
 # ---------------------------------------------------------------------------
 # Helper: atomic write sidecar
+# v2 fields (todos, files, subagents, tool_counts, model) are carried over
+# from the existing sidecar; the optional fifth argument is a jq filter that
+# updates them for this event (see the filters below).
 # ---------------------------------------------------------------------------
 write_sidecar() {
-  local task="$1" phase="$2" blocked="$3" detail="$4"
+  local task="$1" phase="$2" blocked="$3" detail="$4" update="${5:-.}"
   local TMPFILE="$SIDECAR_FILE.tmp"
+  local existing="{}"
+  if [ -f "$SIDECAR_FILE" ]; then
+    existing=$(jq -c '.' "$SIDECAR_FILE" 2>/dev/null || echo "{}")
+  fi
   jq -n \
+    --argjson prev "$existing" \
     --arg session_id "$SESSION_ID" \
+    --argjson pid "$CLAUDE_PID" \
+    --argjson hook_ppid "$HOOK_PPID" \
     --arg cwd "$CWD" \
     --arg task "$task" \
     --arg phase "$phase" \
     --argjson blocked "$blocked" \
     --arg detail "$detail" \
     --arg updated_at "$TIMESTAMP" \
-    '{session_id: $session_id, cwd: $cwd, task: $task, phase: $phase, blocked: $blocked, detail: $detail, updated_at: $updated_at}' \
+    --arg model "$MODEL" \
+    --arg tool "${TOOL_NAME:-}" \
+    --arg file "${FILE_PATH:-}" \
+    --argjson todos "${TODOS:-null}" \
+    --argjson max_files "$MAX_FILES" \
+    '{
+      version: 2,
+      session_id: $session_id, pid: $pid, hook_ppid: $hook_ppid, cwd: $cwd,
+      task: $task, phase: $phase, blocked: $blocked, detail: $detail,
+      model: (if $model != "" then $model else ($prev.model // null) end),
+      todos: ($prev.todos // []),
+      files: {read: ($prev.files.read // []), written: ($prev.files.written // [])},
+      subagents: ($prev.subagents // 0),
+      tool_counts: ($prev.tool_counts // {}),
+      updated_at: $updated_at
+    } | '"$update" \
     > "$TMPFILE" && mv "$TMPFILE" "$SIDECAR_FILE"
 }
 
+# jq update filters for write_sidecar
+COUNT_TOOL='.tool_counts[$tool] += 1'
+NOTE_READ='.files.read = ([$file] + (.files.read - [$file]))[:$max_files]'
+NOTE_WRITTEN='.files.written = ([$file] + (.files.written - [$file]))[:$max_files]'
+SET_TODOS='.todos = $todos'
+SUBAGENT_START='.subagents += 1'
+SUBAGENT_END='.subagents = ([.subagents - 1, 0] | max)'
+NO_SUBAGENTS='.subagents = 0'
+
 # ---------------------------------------------------------------------------
 # Event handlers
 # ---------------------------------------------------------------------------
@@ -60,7 +135,26 @@ case "$EVENT" in
   # SessionStart — create a fresh sidecar
   # -------------------------------------------------------------------------
   SessionStart)
-    write_sidecar "Working on project" "planning" "false" "Session starting..."
+    write_sidecar "Working on project" "planning" "false" "Session starting..." "$NO_SUBAGENTS"
+    ;;
+
+  # -------------------------------------------------------------------------
+  # PreToolUse (Task|Agent) — a subagent is starting. Its PostToolUse fires
+  # when it returns, so the pair brackets the subagent's lifetime.
+  # -------------------------------------------------------------------------
+  PreToolUse)
+    TOOL_NAME=$(echo "$INPUT" | jq -r '.tool_name // ""')
+    case "$TOOL_NAME" in
+      Task|Agent)
+        EXISTING_TASK=$(read_existing "task")
+        EXISTING_PHASE=$(read_existing "phase")
+        TASK="${EXISTING_TASK:-Working on project}"
+        PHASE="${EXISTING_PHASE:-planning}"
+        DETAIL=$(echo "$INPUT" | jq -r '"Agent: " + ((.tool_input.description // .tool_input.prompt // "subagent") | .[0:40])')
+
+        write_sidecar "$TASK" "$PHASE" "false" "$DETAIL" "$SUBAGENT_START"
+        ;;
+    esac
     ;;
 
   # -------------------------------------------------------------------------
@@ -105,11 +199,26 @@ case "$EVENT" in
       else "Working..."
       end')
 
+    # v2 counters: tool calls, recent files, todo list, running subagents
+    UPDATE="$COUNT_TOOL"
+    FILE_PATH=$(echo "$INPUT" | jq -r '.tool_input.file_path // .tool_input.notebook_path // ""')
+    case "$TOOL_NAME" in
+      Read)
+        if [ -n "$FILE_PATH" ]; then UPDATE="$UPDATE | $NOTE_READ"; fi ;;
+      Write|Edit|MultiEdit|NotebookEdit)
+        if [ -n "$FILE_PATH" ]; then UPDATE="$UPDATE | $NOTE_WRITTEN"; fi ;;
+      TodoWrite)
+        TODOS=$(echo "$INPUT" | jq -c '[.tool_input.todos[]? | {content, status}]')
+        UPDATE="$UPDATE | $SET_TODOS" ;;
+      Task|Agent)
+        UPDATE="$UPDATE | $SUBAGENT_END" ;;
+    esac
+
     # Preserve existing task
     EXISTING_TASK=$(read_existing "task")
     TASK="${EXISTING_TASK:-Working on project}"
 
-    write_sidecar "$TASK" "$PHASE" "false" "$DETAIL"
+    write_sidecar "$TASK" "$PHASE" "false" "$DETAIL" "$UPDATE"
     ;;
 
   # -------------------------------------------------------------------------
@@ -121,7 +230,8 @@ case "$EVENT" in
     TASK="${EXISTING_TASK:-Working on project}"
     PHASE="${EXISTING_PHASE:-idle}"
 
-    write_sidecar "$TASK" "$PHASE" "true" "Waiting for user input"
+    # Subagents never outlive the turn that launched them
+    write_sidecar "$TASK" "$PHASE" "true" "Waiting for user input" "$NO_SUBAGENTS"
     ;;
 
   # -------------------------------------------------------------------------
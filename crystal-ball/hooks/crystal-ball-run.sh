@@ -0,0 +1,44 @@
+#!/bin/bash
+# crystal-ball-run.sh — Run a headless agent command and report its exit
+# status to Crystal Ball, which counts it on the Trading Floor (failures by
+# exit status). Discovery sees the run itself; only the exit code needs this.
+#
+# Usage:
+#   CRYSTAL_BALL_CONTEXT_TOKEN=... crystal-ball-run.sh claude -p "Fix the build"
+#
+# Env:
+#   CRYSTAL_BALL_CONTEXT_TOKEN  token the server was started with (--context-token)
+#   CRYSTAL_BALL_URL            server base URL (default http://localhost:3000)
+#
+# The command's output and exit status pass through unchanged. Reporting is
+# best-effort: without a token or a reachable server it is skipped.
+
+set -uo pipefail
+
+if [ $# -eq 0 ]; then
+  echo "usage: $(basename "$0") <command> [args...]" >&2
+  exit 2
+fi
+
+# Run in the background to learn the PID discovery sees. Explicit stdin
+# redirect keeps piped input (`git diff | crystal-ball-run.sh claude -p ...`).
+"$@" <&0 &
+PID=$!
+trap 'kill -TERM "$PID" 2>/dev/null' INT TERM
+wait "$PID"
+STATUS=$?
+# A trapped signal interrupts the first wait; collect the real status
+if kill -0 "$PID" 2>/dev/null; then
+  wait "$PID"
+  STATUS=$?
+fi
+
+if [ -n "${CRYSTAL_BALL_CONTEXT_TOKEN:-}" ] && command -v curl &>/dev/null; then
+  curl -s -m 2 -o /dev/null -X POST \
+    -H "Authorization: Bearer $CRYSTAL_BALL_CONTEXT_TOKEN" \
+    -H "Content-Type: application/json" \
+    -d "{\"pid\":$PID,\"exit_status\":$STATUS}" \
+    "${CRYSTAL_BALL_URL:-http://localhost:3000}/api/runs" || true
+fi
+
+exit "$STATUS"
@@ -52,6 +52,12 @@ echo "  Copied to $HOOK_DEST"
 HOOK_CMD="$HOOK_DEST"
 
 HOOKS_CONFIG=$(jq -n --arg cmd "$HOOK_CMD" '{
+  "PreToolUse": [
+    {
+      "matcher": "Task|Agent",
+      "hooks": [{"type": "command", "command": $cmd}]
+    }
+  ],
   "PostToolUse": [
     {
       "matcher": "",
@@ -1,11 +1,30 @@
-// api.js -- Fetch /api/sessions (or /api/combined in multi mode) on a timer
-// and pass data to a callback. Detects mode from /api/mode on start.
+// api.js -- Receive /api/sessions (or /api/combined in multi mode) data and
+// pass it to a callback. Prefers the /api/stream push channel (Server-Sent
+// Events) and falls back to polling on a timer when the stream is unavailable.
+// Detects mode from /api/mode on start and reports connection status.
+// Also holds the request helpers for session actions (stop, open in editor).
+
+/** Consecutive failures before the connection is reported as offline. */
+export const OFFLINE_AFTER_FAILURES = 3;
+
+/**
+ * Derive the connection status from the number of consecutive failures.
+ * Pure function, exported for testing.
+ * @param {number} failures
+ * @returns {'connected'|'reconnecting'|'offline'}
+ */
+export function statusFromFailures(failures) {
+  if (failures <= 0) return 'connected';
+  if (failures < OFFLINE_AFTER_FAILURES) return 'reconnecting';
+  return 'offline';
+}
 
 export class ApiPoller {
   /**
    * @param {number} interval -- polling interval in milliseconds (default 2000)
+   * @param {{ onStatus?: (status: 'connecting'|'connected'|'reconnecting'|'offline') => void, useStream?: boolean }} [opts]
    */
-  constructor(interval = 2000) {
+  constructor(interval = 2000, { onStatus = null, useStream = true } = {}) {
     this.interval = interval;
     this._timerId = null;
     /** @type {'local'|'multi'} */
@@ -14,6 +33,20 @@ export class ApiPoller {
     this._userInfo = null;
     /** @type {string|null} */
     this._endpoint = '/api/sessions';
+
+    /** @type {EventSource|null} */
+    this._eventSource = null;
+    /** True once the stream has delivered at least one open event */
+    this._streamOpened = false;
+    /** @type {'stream'|'poll'|null} */
+    this._transport = null;
+    this._useStream = useStream;
+
+    /** Consecutive transport failures (fetch errors or stream errors) */
+    this._failures = 0;
+    /** @type {'connecting'|'connected'|'reconnecting'|'offline'} */
+    this._status = 'connecting';
+    this._onStatus = onStatus;
   }
 
   /** Current mode: 'local' or 'multi'. */
@@ -22,31 +55,40 @@ export class ApiPoller {
   /** User identity info when in multi mode, null otherwise. */
   get userInfo() { return this._userInfo; }
 
+  /** Active transport: 'stream', 'poll', or null before start. */
+  get transport() { return this._transport; }
+
+  /** Current connection status. */
+  get status() { return this._status; }
+
   /**
-   * Detect mode from the server, then begin polling.
+   * Detect mode from the server, then begin streaming (or polling).
    * @param {(data: object) => void} callback
    */
   async start(callback) {
-    // Detect mode before first poll
+    // Detect mode before first data
     await this._detectMode();
 
-    // Immediately fire the first request
-    this._poll(callback);
-
-    // Then set up the recurring timer
-    this._timerId = setInterval(() => {
-      this._poll(callback);
-    }, this.interval);
+    if (this._useStream && typeof EventSource !== 'undefined') {
+      this._startStream(callback);
+    } else {
+      this._startPolling(callback);
+    }
   }
 
   /**
-   * Stop polling.
+   * Stop streaming and polling.
    */
   stop() {
+    if (this._eventSource) {
+      this._eventSource.close();
+      this._eventSource = null;
+    }
     if (this._timerId !== null) {
       clearInterval(this._timerId);
       this._timerId = null;
     }
+    this._transport = null;
   }
 
   /**
@@ -70,23 +112,179 @@ export class ApiPoller {
   }
 
   /**
-   * Internal fetch wrapper -- errors are logged and swallowed so the
-   * polling loop continues uninterrupted.
+   * Open the /api/stream EventSource. EventSource reconnects by itself; if
+   * the stream never opens (old server, proxy stripping SSE) or gives up
+   * reconnecting (closed for good, e.g. an HTTP error on reconnect) we fall
+   * back to polling.
+   * @param {Function} callback
+   */
+  _startStream(callback) {
+    this._transport = 'stream';
+    const es = new EventSource('/api/stream');
+    this._eventSource = es;
+
+    es.onopen = () => {
+      this._streamOpened = true;
+      this._recordSuccess();
+    };
+
+    es.addEventListener('snapshot', (e) => {
+      try {
+        callback(JSON.parse(e.data));
+      } catch (err) {
+        console.warn('[ApiPoller] bad stream payload:', err.message);
+      }
+    });
+
+    es.onerror = () => {
+      if (!this._streamOpened || es.readyState === EventSource.CLOSED) {
+        // No working stream, and EventSource won't retry -- switch to polling for good
+        if (this._streamOpened) this._recordFailure();
+        es.close();
+        this._eventSource = null;
+        this._startPolling(callback);
+        return;
+      }
+      this._recordFailure();
+    };
+  }
+
+  /**
+   * Poll the snapshot endpoint on a fixed interval.
+   * @param {Function} callback
+   */
+  _startPolling(callback) {
+    this._transport = 'poll';
+
+    // Immediately fire the first request
+    this._poll(callback);
+
+    // Then set up the recurring timer
+    this._timerId = setInterval(() => {
+      this._poll(callback);
+    }, this.interval);
+  }
+
+  /**
+   * Internal fetch wrapper -- errors update the connection status and are
+   * swallowed so the polling loop continues uninterrupted.
    * @param {Function} callback
    */
   async _poll(callback) {
     try {
       const res = await fetch(this._endpoint);
       if (!res.ok) {
-        console.warn(`[ApiPoller] HTTP ${res.status}: ${res.statusText}`);
+        this._recordFailure(`HTTP ${res.status}: ${res.statusText}`);
         return;
       }
       const data = await res.json();
+      this._recordSuccess();
       callback(data);
     } catch (err) {
-      console.error('[ApiPoller] fetch error:', err);
+      this._recordFailure(err.message);
     }
   }
+
+  _recordSuccess() {
+    this._failures = 0;
+    this._setStatus('connected');
+  }
+
+  /** @param {string} [reason] */
+  _recordFailure(reason) {
+    this._failures++;
+    const status = statusFromFailures(this._failures);
+    if (status === 'offline' && this._status !== 'offline') {
+      console.warn(`[ApiPoller] server unreachable${reason ? ` (${reason})` : ''}`);
+    }
+    this._setStatus(status);
+  }
+
+  /** @param {'connecting'|'connected'|'reconnecting'|'offline'} status */
+  _setStatus(status) {
+    if (status === this._status) return;
+    this._status = status;
+    if (this._onStatus) this._onStatus(status);
+  }
+}
+
+/**
+ * POST a JSON body to a session/group action endpoint.
+ * @param {string} url
+ * @param {object} body
+ * @returns {Promise<{ ok: boolean, status: number, data: object|null }>}
+ *   status 0 if the server is unreachable
+ */
+async function postAction(url, body) {
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => null);
+    return { ok: res.ok, status: res.status, data };
+  } catch {
+    return { ok: false, status: 0, data: null };
+  }
+}
+
+/**
+ * Bring a session's tmux pane to the front (POST /api/sessions/:id/focus).
+ * @param {string} sessionId
+ * @returns {Promise<{ ok: boolean, status: number, data: { switched?: boolean, error?: string }|null }>}
+ *   status 0 if the server is unreachable
+ */
+export function focusPane(sessionId) {
+  return postAction(`/api/sessions/${encodeURIComponent(sessionId)}/focus`, {});
+}
+
+/**
+ * Ask the server to signal a session (POST /api/sessions/:id/signal).
+ * @param {string} sessionId
+ * @param {{ signal: 'SIGINT'|'SIGTERM', if_state?: string, source?: string }} body
+ * @returns {Promise<{ ok: boolean, status: number, data: { pid?: number, error?: string }|null }>}
+ *   status 0 if the server is unreachable
+ */
+export function signalSession(sessionId, body) {
+  return postAction(`/api/sessions/${encodeURIComponent(sessionId)}/signal`, body);
+}
+
+/**
+ * Open a project in the server's configured editor: a session's cwd (or
+ * with target 'file', the file it touched last) or a group's directory.
+ * @param {'sessions'|'groups'} kind
+ * @param {string} id
+ * @param {'cwd'|'file'} [target]
+ * @returns {Promise<{ ok: boolean, status: number, data: { path?: string, error?: string }|null }>}
+ */
+export function openInEditor(kind, id, target = 'cwd') {
+  return postAction(`/api/${kind}/${encodeURIComponent(id)}/open`, { target });
+}
+
+/**
+ * Fetch the village layout: the world seed and saved building spots.
+ * @returns {Promise<{ seed: number, buildings: Record<string, { x: number, z: number, type: string }> }|null>}
+ *   null if the server is unreachable or too old to have one
+ */
+export async function fetchLayout() {
+  try {
+    const res = await fetch('/api/layout');
+    return res.ok ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save where a neighborhood's building stands (POST /api/layout/:groupId).
+ * @param {string} groupId
+ * @param {{ x: number, z: number, type: string }} spot
+ * @returns {Promise<{ ok: boolean, status: number, data: object|null }>}
+ *   status 409 if another neighborhood holds the tile
+ */
+export function saveBuildingSpot(groupId, spot) {
+  return postAction(`/api/layout/${encodeURIComponent(groupId)}`, spot);
 }
 
 export default ApiPoller;
@@ -0,0 +1,108 @@
+// cameraFollow.js — Keep the camera centred on a villager ("Follow" in the
+// context menu), plus the shared helper that centres the camera on a point.
+// Any other camera move (panning, edge scroll, minimap, hotkey jumps,
+// zoom-to-cursor) ends the follow.
+
+import { getOrientationOffset } from './cameraRotation.js';
+
+/** Lerp speed toward the followed villager — higher = snappier. */
+const FOLLOW_SPEED = 4;
+
+/** How far (world units) the camera may drift before a move counts as the user's. */
+const MOVED_EPSILON = 1e-3;
+
+// ---------------------------------------------------------------------------
+// Pure helper functions (no THREE dependency — safe to test in Node)
+// ---------------------------------------------------------------------------
+
+/**
+ * One frame of exponential lerp from `from` toward `to` (frame-rate independent).
+ * @param {{ x: number, z: number }} from
+ * @param {{ x: number, z: number }} to
+ * @param {number} delta — frame time in seconds
+ * @param {number} [speed]
+ * @returns {{ x: number, z: number }}
+ */
+export function followStep(from, to, delta, speed = FOLLOW_SPEED) {
+  const t = 1 - Math.exp(-speed * delta);
+  return { x: from.x + (to.x - from.x) * t, z: from.z + (to.z - from.z) * t };
+}
+
+/**
+ * Centre the camera on a world (x, z) position, keeping the current
+ * orientation (Q/E rotation).
+ * @param {object} camera — THREE.Camera
+ * @param {import('./cameraRotation.js').CameraRotation} cameraRotation
+ * @param {number} x
+ * @param {number} z
+ */
+export function centerCamera(camera, cameraRotation, x, z) {
+  const offset = getOrientationOffset(cameraRotation.getOrientationIndex());
+  cameraRotation.setLookAtTarget(x, z);
+  camera.position.set(x + offset.x, offset.y, z + offset.z);
+  camera.lookAt(x, 0, z);
+}
+
+// ---------------------------------------------------------------------------
+// CameraFollow class
+// ---------------------------------------------------------------------------
+
+export class CameraFollow {
+  /**
+   * @param {object} camera — THREE.Camera
+   * @param {import('./cameraRotation.js').CameraRotation} cameraRotation
+   */
+  constructor(camera, cameraRotation) {
+    this._camera = camera;
+    this._cameraRotation = cameraRotation;
+
+    /** @type {string|null} session being followed */
+    this.sessionId = null;
+
+    /** Camera position this module set last frame (null = don't check). */
+    this._lastSet = null;
+  }
+
+  /** @param {string} sessionId */
+  follow(sessionId) {
+    this.sessionId = sessionId;
+    this._lastSet = null;
+  }
+
+  stop() {
+    this.sessionId = null;
+    this._lastSet = null;
+  }
+
+  /**
+   * Call each frame after other camera movement has been applied.
+   * @param {number} delta — frame time in seconds
+   * @param {Map<string, { mesh: object }>} units — worldManager.units
+   */
+  update(delta, units) {
+    if (!this.sessionId) return;
+    const unit = units.get(this.sessionId);
+    if (!unit) {
+      this.stop(); // session ended
+      return;
+    }
+
+    const pos = this._camera.position;
+    if (this._lastSet && (Math.abs(pos.x - this._lastSet.x) > MOVED_EPSILON || Math.abs(pos.z - this._lastSet.z) > MOVED_EPSILON)) {
+      this.stop(); // the user moved the camera
+      return;
+    }
+
+    const next = followStep(this._cameraRotation.getLookAtTarget(), unit.mesh.position, delta);
+    if (this._cameraRotation.isAnimating()) {
+      // Let the rotation tween place the camera around the moving target
+      this._cameraRotation.setLookAtTarget(next.x, next.z);
+      this._lastSet = null;
+      return;
+    }
+    centerCamera(this._camera, this._cameraRotation, next.x, next.z);
+    this._lastSet = { x: pos.x, z: pos.z };
+  }
+}
+
+export default CameraFollow;
@@ -131,6 +131,14 @@ export class CameraRotation {
     return this._animating;
   }
 
+  /**
+   * True while tweening to a new orientation.
+   * @returns {boolean}
+   */
+  isAnimating() {
+    return this._animating;
+  }
+
   /**
    * Get the current lookAt target (needed by camera panning).
    * @returns {{ x: number, y: number, z: number }}
@@ -0,0 +1,222 @@
+// contextMenu.js -- Right-click menu over the 3D view.
+// Actions live in a registry keyed by what was clicked (a villager, a
+// building or bare terrain); the built-in ones are in menuActions.js and
+// plugins add their own with `contextActions.register()`. The menu is a plain
+// DOM list positioned at the cursor. It closes on the next click anywhere,
+// Escape, or when the window loses focus. An action that returns a status
+// line (or a promise of one) keeps the menu open to show it briefly.
+
+import { escapeHTML } from './utils.js';
+
+/**
+ * @typedef {{ label: string, action?: () => (void|string|Promise<string>), disabled?: boolean, hint?: string }} MenuItem
+ */
+
+/**
+ * What an action is given about the right-click.
+ * @typedef {{
+ *   target: MenuTarget,
+ *   session: object|null,
+ *   group: object|null,
+ *   point: { x: number, z: number }|null,
+ *   localUser: string|null,
+ * }} MenuContext -- session for villagers, group for buildings; point is
+ *   where the ray met the ground (null off the map)
+ */
+
+/** @typedef {'unit'|'building'|'terrain'} MenuTarget */
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   target: MenuTarget,
+ *   label: string | ((ctx: MenuContext) => string),
+ *   run: (ctx: MenuContext) => (void|string|Promise<string>),
+ *   enabled?: (ctx: MenuContext) => boolean,
+ *   visible?: (ctx: MenuContext) => boolean,
+ *   hint?: (ctx: MenuContext) => (string|null),
+ *   order?: number,
+ * }} ContextAction -- run may return a status line to show (or a promise of one);
+ *   order sorts ascending (default 0, ties keep registration order)
+ */
+
+export const MENU_TARGETS = ['unit', 'building', 'terrain'];
+
+/** How long an action's outcome stays on screen. */
+const STATUS_MS = 2000;
+
+/**
+ * Keep a menu of the given size inside the viewport.
+ * @param {number} x -- cursor clientX
+ * @param {number} y -- cursor clientY
+ * @param {number} width -- menu width
+ * @param {number} height -- menu height
+ * @param {number} viewW
+ * @param {number} viewH
+ * @returns {{ left: number, top: number }}
+ */
+export function menuPosition(x, y, width, height, viewW, viewH) {
+  return {
+    left: x + width > viewW ? Math.max(0, x - width) : x,
+    top: y + height > viewH ? Math.max(0, y - height) : y,
+  };
+}
+
+export class ContextActions {
+  constructor() {
+    /** @type {ContextAction[]} */
+    this._actions = [];
+  }
+
+  /**
+   * Add an action to the menu.
+   * @param {ContextAction} action
+   * @returns {() => void} removes the action again
+   * @throws {Error} on an unknown target, a missing run/label or a duplicate id
+   */
+  register(action) {
+    if (!MENU_TARGETS.includes(action?.target)) {
+      throw new Error(`context action target must be one of ${MENU_TARGETS.join(', ')}`);
+    }
+    if (typeof action.run !== 'function' || !action.label) {
+      throw new Error(`context action "${action.id}" needs a label and a run function`);
+    }
+    if (this._actions.some(a => a.id === action.id)) {
+      throw new Error(`context action "${action.id}" is already registered`);
+    }
+    this._actions.push(action);
+    return () => {
+      this._actions = this._actions.filter(a => a !== action);
+    };
+  }
+
+  /**
+   * Menu items for a right-click, in display order.
+   * @param {MenuContext} ctx
+   * @returns {MenuItem[]}
+   */
+  itemsFor(ctx) {
+    return this._actions
+      .filter(a => a.target === ctx.target && (a.visible?.(ctx) ?? true))
+      .map((a, i) => ({ a, i }))
+      .sort((x, y) => (x.a.order ?? 0) - (y.a.order ?? 0) || x.i - y.i)
+      .map(({ a }) => ({
+        label: typeof a.label === 'function' ? a.label(ctx) : a.label,
+        disabled: !(a.enabled?.(ctx) ?? true),
+        hint: a.hint?.(ctx) ?? undefined,
+        action: () => a.run(ctx),
+      }));
+  }
+}
+
+/** The registry the 3D view's menu reads; plugins register here. */
+export const contextActions = new ContextActions();
+
+export class ContextMenu {
+  /**
+   * @param {ContextActions} [actions]
+   */
+  constructor(actions = contextActions) {
+    this.actions = actions;
+
+    /** @type {HTMLElement} */
+    this.el = document.createElement('div');
+    this.el.className = 'context-menu hidden';
+    document.body.appendChild(this.el);
+
+    /** @type {MenuItem[]} */
+    this._items = [];
+    this._hideTimer = null;
+    /** Action promise whose outcome the menu is waiting to show */
+    this._pending = null;
+
+    this.el.addEventListener('click', async (e) => {
+      const row = e.target.closest('[data-index]');
+      if (!row) return;
+      const item = this._items[Number(row.dataset.index)];
+      if (!item || item.disabled) return;
+      const result = item.action?.();
+      if (typeof result !== 'string' && !(result instanceof Promise)) return this.hide();
+
+      this._items = [];
+      this._pending = result;
+      this._setStatus('Working…');
+      let text;
+      try {
+        text = await result;
+      } catch (err) {
+        text = err.message;
+      }
+      if (this._pending !== result) return; // menu reopened meanwhile
+      this._setStatus(text);
+      this._hideTimer = setTimeout(() => this.hide(), STATUS_MS);
+    });
+    // Any click outside closes (capture, so it runs before selection)
+    window.addEventListener('pointerdown', (e) => {
+      if (this.isVisible() && !this.el.contains(e.target)) this.hide();
+    }, true);
+    window.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isVisible()) this.hide();
+    });
+    window.addEventListener('blur', () => this.hide());
+  }
+
+  /**
+   * @param {number} x -- clientX
+   * @param {number} y -- clientY
+   * @param {string} title -- header (unit or building name)
+   * @param {MenuItem[]} items
+   */
+  show(x, y, title, items) {
+    clearTimeout(this._hideTimer);
+    this._pending = null;
+    this._items = items;
+    this.el.innerHTML = `
+      <div class="context-menu-title">${escapeHTML(title)}</div>
+      ${items.map((item, i) => `
+        <div class="context-menu-item${item.disabled ? ' disabled' : ''}" data-index="${i}"${item.hint ? ` title="${escapeHTML(item.hint)}"` : ''}>
+          ${escapeHTML(item.label)}
+        </div>`).join('')}
+    `;
+    this.el.classList.remove('hidden');
+    const { left, top } = menuPosition(x, y, this.el.offsetWidth, this.el.offsetHeight, window.innerWidth, window.innerHeight);
+    this.el.style.left = `${left}px`;
+    this.el.style.top = `${top}px`;
+  }
+
+  /**
+   * Show the registered actions for a right-click (hides if there are none).
+   * @param {number} x -- clientX
+   * @param {number} y -- clientY
+   * @param {string} title
+   * @param {MenuContext} ctx
+   */
+  open(x, y, title, ctx) {
+    const items = this.actions.itemsFor(ctx);
+    if (items.length === 0) return this.hide();
+    this.show(x, y, title, items);
+  }
+
+  hide() {
+    clearTimeout(this._hideTimer);
+    this.el.classList.add('hidden');
+  }
+
+  /** Replace the items with a status line (an action's outcome). */
+  _setStatus(text) {
+    for (const row of this.el.querySelectorAll('.context-menu-item')) row.remove();
+    let status = this.el.querySelector('.context-menu-status');
+    if (!status) {
+      status = document.createElement('div');
+      status.className = 'context-menu-status';
+      this.el.appendChild(status);
+    }
+    status.textContent = text;
+  }
+
+  isVisible() {
+    return !this.el.classList.contains('hidden');
+  }
+}
+
+export default ContextMenu;
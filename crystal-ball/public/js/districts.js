@@ -0,0 +1,133 @@
+// districts.js -- Districts on the map: neighborhoods the server put in the
+// same division (snapshot `divisions`, group `division`) are built together
+// in one biome zone, marked by a tall district banner and outlined on the
+// minimap.
+
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+
+/** Banner and minimap outline colours, picked by district ID. */
+export const DISTRICT_COLORS = ['#60C0F0', '#F0C050', '#D87068', '#88C878', '#B088D8', '#E89858'];
+
+/** Biomes in the order new districts claim them (mountains have the least room). */
+const BIOME_PREFERENCE = ['meadow', 'forest', 'desert', 'mountain'];
+
+/** World units the minimap outline extends past a district's outermost buildings. */
+export const DISTRICT_PADDING = 2;
+
+/** Banner pole height (buildings are 1-2 units tall). */
+const POLE_HEIGHT = 3.2;
+
+// ---------------------------------------------------------------------------
+// Pure helper functions (exported for testing)
+// ---------------------------------------------------------------------------
+
+/**
+ * Stable colour for a district.
+ * @param {string} id
+ * @returns {string} CSS hex colour
+ */
+export function districtColor(id) {
+  let hash = 0;
+  for (const ch of String(id)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return DISTRICT_COLORS[hash % DISTRICT_COLORS.length];
+}
+
+/**
+ * Biome zone for a new district: the one claimed by the fewest districts
+ * so far, ties going to the roomier biomes.
+ * @param {Iterable<string>} biomes -- biomes on the map
+ * @param {Map<string, number>} claims -- biome -> districts already in it
+ * @returns {string|null}
+ */
+export function pickDistrictBiome(biomes, claims) {
+  const rank = (b) => (BIOME_PREFERENCE.includes(b) ? BIOME_PREFERENCE.indexOf(b) : BIOME_PREFERENCE.length);
+  return [...new Set(biomes)]
+    .sort((a, b) => (claims.get(a) ?? 0) - (claims.get(b) ?? 0) || rank(a) - rank(b))[0] ?? null;
+}
+
+/**
+ * Rectangle around a district's buildings.
+ * @param {{ x: number, z: number }[]} positions
+ * @param {number} [pad]
+ * @returns {{ minX: number, maxX: number, minZ: number, maxZ: number }|null} null without buildings
+ */
+export function districtBounds(positions, pad = DISTRICT_PADDING) {
+  if (positions.length === 0) return null;
+  const xs = positions.map(p => p.x);
+  const zs = positions.map(p => p.z);
+  return {
+    minX: Math.min(...xs) - pad,
+    maxX: Math.max(...xs) + pad,
+    minZ: Math.min(...zs) - pad,
+    maxZ: Math.max(...zs) + pad,
+  };
+}
+
+/**
+ * Where a district's banner stands: the centre of its buildings, or beside
+ * the building when there is only one (so it doesn't pierce the roof).
+ * @param {{ x: number, z: number }[]} positions
+ * @returns {{ x: number, z: number }|null}
+ */
+export function bannerPosition(positions) {
+  if (positions.length === 0) return null;
+  if (positions.length === 1) return { x: positions[0].x - 1.4, z: positions[0].z - 1.4 };
+  const x = positions.reduce((sum, p) => sum + p.x, 0) / positions.length;
+  const z = positions.reduce((sum, p) => sum + p.z, 0) / positions.length;
+  return { x, z };
+}
+
+// ---------------------------------------------------------------------------
+// Banner mesh
+// ---------------------------------------------------------------------------
+
+/**
+ * A tall pole with a pennant in the district's colour and its name above.
+ * @param {string} name
+ * @param {string} color -- CSS hex colour
+ * @returns {THREE.Group}
+ */
+export function createDistrictBanner(name, color) {
+  const group = new THREE.Group();
+  group.name = 'districtBanner';
+
+  const pole = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.04, 0.05, POLE_HEIGHT, 6),
+    new THREE.MeshLambertMaterial({ color: 0x6B5440 }),
+  );
+  pole.position.y = POLE_HEIGHT / 2;
+  pole.castShadow = true;
+  group.add(pole);
+
+  const pennant = new THREE.Mesh(
+    new THREE.BoxGeometry(0.7, 0.45, 0.03),
+    new THREE.MeshLambertMaterial({ color: new THREE.Color(color) }),
+  );
+  pennant.position.set(0.38, POLE_HEIGHT - 0.3, 0);
+  pennant.castShadow = true;
+  group.add(pennant);
+
+  const labelDiv = document.createElement('div');
+  labelDiv.className = 'district-label';
+  labelDiv.textContent = name;
+  labelDiv.style.borderColor = color;
+  const label = new CSS2DObject(labelDiv);
+  label.position.set(0, POLE_HEIGHT + 0.4, 0);
+  group.add(label);
+
+  return group;
+}
+
+/**
+ * Remove a banner and free its GPU resources and label element.
+ * @param {THREE.Group} banner
+ */
+export function disposeDistrictBanner(banner) {
+  banner.parent?.remove(banner);
+  banner.traverse(child => {
+    child.geometry?.dispose();
+    child.material?.dispose();
+    if (child.isCSS2DObject) child.element.remove();
+  });
+}
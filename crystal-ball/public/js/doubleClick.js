@@ -93,6 +93,7 @@ export class DoubleClickHandler {
       // Double-click detected — select all of same class
       const unitDescriptors = [];
       for (const [sid, unit] of this.worldManager.units) {
+        if (!unit.mesh.visible) continue; // filtered out in the HUD
         unitDescriptors.push({
           sessionId: sid,
           unitClass: unit.mesh.userData.unitClass,
@@ -1,5 +1,10 @@
 // hud.js -- Top bar HUD updates.
 // Reads session states from API data and updates the HUD stat counters.
+// Also renders the agent-type filter chips (one per faction present) and the
+// tmux-session filter chips.
+
+import { agentLook } from './units.js';
+import { escapeHTML } from './utils.js';
 
 /**
  * Format seconds into "Xm Ys" display string.
@@ -102,3 +107,127 @@ export function updateHUD(apiData) {
     }
   }
 }
+
+const CONNECTION_LABELS = {
+  connecting:   'Connecting',
+  connected:    'Live',
+  reconnecting: 'Reconnecting',
+  offline:      'Offline',
+};
+
+/**
+ * Reflect the ApiPoller connection status in the HUD indicator.
+ * @param {'connecting'|'connected'|'reconnecting'|'offline'} status
+ */
+export function updateConnectionStatus(status) {
+  const el = document.getElementById('hud-connection');
+  const label = document.getElementById('hud-connection-label');
+  if (!el || !label) return;
+
+  label.textContent = CONNECTION_LABELS[status] ?? status;
+  for (const s of Object.keys(CONNECTION_LABELS)) {
+    el.classList.toggle(`connection-${s}`, s === status);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Agent filter
+// ---------------------------------------------------------------------------
+
+/**
+ * Count sessions per agent type, most common first.
+ * Sessions without agent_type (older servers, relay peers) count as Claude.
+ * @param {Array<{ agent_type?: string, faction?: string }>} sessions
+ * @returns {Array<{ type: string, faction: string, count: number }>}
+ */
+export function countAgentTypes(sessions) {
+  const byType = new Map();
+  for (const s of sessions) {
+    const type = s.agent_type || 'claude';
+    let entry = byType.get(type);
+    if (!entry) {
+      entry = { type, faction: s.faction || (type === 'claude' ? 'Claude' : type), count: 0 };
+      byType.set(type, entry);
+    }
+    entry.count++;
+  }
+  return [...byType.values()].sort((a, b) => b.count - a.count || a.type.localeCompare(b.type));
+}
+
+/**
+ * Render one toggle chip per agent type into #hud-agents. Hidden while a
+ * single type is present (nothing to filter) unless that type is hidden.
+ * Clicks are handled by the caller via the chips' data-agent-type.
+ * @param {Array<{ agent_type?: string, faction?: string }>} sessions
+ * @param {Set<string>} hiddenTypes
+ */
+export function updateAgentFilter(sessions, hiddenTypes) {
+  const el = document.getElementById('hud-agents');
+  if (!el) return;
+
+  const counts = countAgentTypes(sessions);
+  for (const type of hiddenTypes) {
+    if (!counts.some(c => c.type === type)) counts.push({ type, faction: type, count: 0 });
+  }
+  if (counts.length < 2 && hiddenTypes.size === 0) {
+    el.style.display = 'none';
+    return;
+  }
+
+  el.style.display = '';
+  el.innerHTML = counts.map(({ type, faction, count }) => {
+    const look = agentLook(type);
+    const swatch = look ? `#${look.color.toString(16).padStart(6, '0')}` : '#DCC0A0';
+    const off = hiddenTypes.has(type) ? ' agent-hidden' : '';
+    return `<button class="hud-agent-chip${off}" data-agent-type="${escapeHTML(type)}" title="Show/hide ${escapeHTML(faction)} villagers">`
+      + `<span class="hud-agent-swatch" style="background:${swatch}"></span>${escapeHTML(faction)} ${count}</button>`;
+  }).join('');
+}
+
+// ---------------------------------------------------------------------------
+// tmux session filter
+// ---------------------------------------------------------------------------
+
+/**
+ * Count sessions per tmux session (session.host.name), most common first.
+ * Sessions outside tmux are not counted.
+ * @param {Array<{ host?: { kind: string, name: string|null }|null }>} sessions
+ * @returns {Array<{ name: string, count: number }>}
+ */
+export function countTmuxSessions(sessions) {
+  const byName = new Map();
+  for (const s of sessions) {
+    if (s.host?.kind !== 'tmux' || !s.host.name) continue;
+    byName.set(s.host.name, (byName.get(s.host.name) ?? 0) + 1);
+  }
+  return [...byName].map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Render one toggle chip per tmux session into #hud-tmux. Hidden when no
+ * session runs in tmux and none is hidden. Clicks are handled by the caller
+ * via the chips' data-tmux-session.
+ * @param {Array<{ host?: { kind: string, name: string|null }|null }>} sessions
+ * @param {Set<string>} hiddenNames
+ */
+export function updateTmuxFilter(sessions, hiddenNames) {
+  const el = document.getElementById('hud-tmux');
+  if (!el) return;
+
+  const counts = countTmuxSessions(sessions);
+  for (const name of hiddenNames) {
+    if (!counts.some(c => c.name === name)) counts.push({ name, count: 0 });
+  }
+  if (counts.length === 0) {
+    el.style.display = 'none';
+    return;
+  }
+
+  el.style.display = '';
+  el.innerHTML = '<span class="hud-stat-label">tmux</span>' + counts.map(({ name, count }) => {
+    const off = hiddenNames.has(name) ? ' agent-hidden' : '';
+    return `<button class="hud-agent-chip${off}" data-tmux-session="${escapeHTML(name)}" title="Show/hide villagers in tmux session ${escapeHTML(name)}">`
+      + `${escapeHTML(name)} ${count}</button>`;
+  }).join('');
+}
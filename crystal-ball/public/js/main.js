@@ -1,13 +1,14 @@
 // main.js — Entry point that wires together scene, terrain, world manager,
-// selection, HUD, day/night, post-processing, loading screen, and API polling.
+// selection, HUD, day/night, post-processing, loading screen, API polling,
+// and time-travel replay.
 
 import { createScene } from './scene.js';
 import { generateTerrain } from './terrain.js';
 import { WorldManager } from './worldManager.js';
 import { SelectionManager } from './selection.js';
 import { SelectionPanel } from './selectionPanel.js';
-import { updateHUD } from './hud.js';
-import { ApiPoller } from './api.js';
+import { updateHUD, updateConnectionStatus, updateAgentFilter, updateTmuxFilter } from './hud.js';
+import { ApiPoller, fetchLayout, saveBuildingSpot } from './api.js';
 import { DayNightCycle } from './daynight.js';
 import { setupPostProcessing, onResize as resizeComposer } from './postprocessing.js';
 import { LoadingScreen, CameraIntro } from './loading.js';
@@ -20,6 +21,7 @@ import { Minimap } from './minimap.js';
 import { CameraRotation } from './cameraRotation.js';
 import { Heatmap } from './heatmap.js';
 import { MarchInManager } from './marchIn.js';
+import { PathPlanner } from './pathfinding.js';
 import { TownHall, VictoryScreen } from './townhall.js';
 import { DoubleClickHandler } from './doubleClick.js';
 import { MemoryScaler } from './memoryScale.js';
@@ -28,6 +30,11 @@ import { computeEdgeScrollDir } from './edgeScroll.js';
 import { createLanterns, updateLanterns } from './lanterns.js';
 import { RosterPanel } from './roster.js';
 import { SharingPanel } from './sharingPanel.js';
+import { ReplayController } from './replay.js';
+import { ContextMenu, contextActions } from './contextMenu.js';
+import { registerBuiltinActions } from './menuActions.js';
+import { MarkStore } from './marks.js';
+import { CameraFollow, centerCamera } from './cameraFollow.js';
 
 // ---------------------------------------------------------------------------
 // Init
@@ -50,8 +57,9 @@ async function init() {
   const perf = new PerfMonitor(renderer);
   loadingScreen.setProgress(0.3);
 
-  // ── 3. Terrain ────────────────────────────────────────────────────────
-  const terrain = generateTerrain(scene);
+  // ── 3. Terrain (seeded by the saved layout, so the map stays put) ─────
+  const layout = await fetchLayout();
+  const terrain = generateTerrain(scene, { seed: layout?.seed });
   loadingScreen.setProgress(0.5);
 
   // ── 4. Day/night cycle ────────────────────────────────────────────────
@@ -67,10 +75,21 @@ async function init() {
   const healthBars = new HealthBarManager(scene);
 
   // ── 7. March-in manager (reinforcement animations + gravestones) ────
-  const marchInManager = new MarchInManager(scene);
+  // Villagers walk the routes A* finds over the tile grid
+  const pathPlanner = new PathPlanner(terrain);
+  const marchInManager = new MarchInManager(scene, {
+    getBounds: () => terrain.getBounds(),
+    getHeightAt: (x, z) => terrain.getHeightAt(x, z),
+    planPath: (fromX, fromZ, toX, toZ) => pathPlanner.plan(fromX, fromZ, toX, toZ),
+  });
 
   // ── 8. World Manager ──────────────────────────────────────────────────
   const worldManager = new WorldManager(scene, terrain, particles, healthBars, marchInManager);
+  if (layout) {
+    worldManager.setLayout(layout.buildings, {
+      onPlace: (groupId, spot) => saveBuildingSpot(groupId, spot),
+    });
+  }
   loadingScreen.setProgress(0.6);
 
   // ── 9. Heatmap + Memory Scaler + Victory Screen ─────────────────────
@@ -126,6 +145,7 @@ async function init() {
     () => selectionPanel.hide()
   );
   selectionManager.init(renderer.domElement);
+
   loadingScreen.setProgress(0.7);
 
   // ── 12. Double-click handler ────────────────────────────────────────
@@ -153,6 +173,48 @@ async function init() {
   // ── 14. Camera panning (isometric-aware) ────────────────────────────
   setupCameraPanning(renderer.domElement, camera, selectionManager, cameraRotation);
 
+  // ── 14b. Context menu (right-click a villager, building or terrain) ──
+  // Marks (pins, notes, building names, hidden buildings, bookmarks) live
+  // in localStorage. Plugins add actions via window.crystalBall.contextActions.
+  const marks = new MarkStore();
+  const cameraFollow = new CameraFollow(camera, cameraRotation);
+  const contextMenu = new ContextMenu(contextActions);
+  registerBuiltinActions(contextActions, {
+    marks,
+    follow: cameraFollow,
+    selectUnits: (sessionIds) => selectionManager.selectUnits(sessionIds),
+    getLatestData: () => latestApiData,
+    moveCamera: (x, z) => centerCamera(camera, cameraRotation, x, z),
+  });
+  window.crystalBall = { ...window.crystalBall, contextActions };
+  selectionPanel.marks = marks;
+
+  function applyMarks() {
+    worldManager.setHiddenGroups(marks.hiddenGroups);
+    worldManager.setGroupNames(marks.names);
+    worldManager.setPinTags(new Map(marks.pinned.map(id => [id, marks.noteFor(id) ?? ''])));
+  }
+  marks.onChange(applyMarks);
+  applyMarks();
+
+  renderer.domElement.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    const { unit, building, ground } = selectionManager.pickAt(e.clientX, e.clientY);
+    const ctx = { session: null, group: null, point: ground, localUser: selectionPanel.localUser };
+
+    if (unit) {
+      const session = latestApiData.sessions.find(s => s.id === unit.userData.sessionId);
+      if (!session) return contextMenu.hide();
+      contextMenu.open(e.clientX, e.clientY, unit.userData.unitName || session.id, { ...ctx, target: 'unit', session });
+    } else if (building) {
+      const group = latestApiData.groups.find(g => g.id === building.userData.groupId);
+      if (!group) return contextMenu.hide(); // abandoned
+      contextMenu.open(e.clientX, e.clientY, marks.nameFor(group.id) ?? group.id, { ...ctx, target: 'building', group });
+    } else {
+      contextMenu.open(e.clientX, e.clientY, 'Terrain', { ...ctx, target: 'terrain' });
+    }
+  });
+
   // ── 15. War Room panel ─────────────────────────────────────────────
   const warRoom = new WarRoom();
 
@@ -205,9 +267,11 @@ async function init() {
     if (key === 'q') cameraRotation.rotateLeft();
     if (key === 'e') cameraRotation.rotateRight();
     if (key === 'tab') { e.preventDefault(); warRoom.toggle(); }
+    if (key === 'escape') cameraFollow.stop();
     if (key === 'm') minimap.toggle();
     if (key === 'h') heatmap.toggle();
     if (key === 'u') rosterPanel.toggle();
+    if (key === 'r') replay.toggle();
     if (key === '?' || key === '/') {
       const helpEl = document.getElementById('hotkey-help');
       if (helpEl) helpEl.classList.toggle('hidden');
@@ -230,15 +294,39 @@ async function init() {
     resizeComposer(composer, w, h);
   });
 
-  // ── 20. API Poller ──────────────────────────────────────────────────
-  const poller = new ApiPoller(2000);
-  let firstDataReceived = false;
+  // ── 19b. HUD agent filter (click a faction chip to hide its villagers)
+  const hiddenAgentTypes = new Set();
+  document.getElementById('hud-agents')?.addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-agent-type]');
+    if (!chip) return;
+    const type = chip.dataset.agentType;
+    if (!hiddenAgentTypes.delete(type)) hiddenAgentTypes.add(type);
+    worldManager.setHiddenAgentTypes(hiddenAgentTypes);
+    updateAgentFilter(latestApiData.sessions, hiddenAgentTypes);
+  });
 
-  // Detect mode before first poll (async start)
-  await poller.start((data) => {
+  // ── 19c. HUD tmux filter (click a tmux session chip to hide its villagers)
+  const hiddenTmuxSessions = new Set();
+  document.getElementById('hud-tmux')?.addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-tmux-session]');
+    if (!chip) return;
+    const name = chip.dataset.tmuxSession;
+    if (!hiddenTmuxSessions.delete(name)) hiddenTmuxSessions.add(name);
+    worldManager.setHiddenTmuxSessions(hiddenTmuxSessions);
+    updateTmuxFilter(latestApiData.sessions, hiddenTmuxSessions);
+  });
+
+  // ── 20. Snapshot rendering (shared by live data and replay) ───────
+  /**
+   * @param {object} data
+   * @param {{ rewind?: boolean }} [opts] -- replay went back in time
+   */
+  function applySnapshot(data, { rewind = false } = {}) {
     latestApiData = data;
-    worldManager.update(data);
+    worldManager.update(data, { rewind });
     updateHUD(data);
+    updateAgentFilter(data.sessions, hiddenAgentTypes);
+    updateTmuxFilter(data.sessions, hiddenTmuxSessions);
     warRoom.update(data);
     minimap.update(worldManager);
     heatmap.update(data, worldManager.buildings);
@@ -248,6 +336,31 @@ async function init() {
     // Update multi-person panels
     if (rosterPanel) rosterPanel.update(data);
     if (sharingPanel) sharingPanel.updateGroups(data);
+  }
+
+  // ── 20a. Time-travel replay (R) ─────────────────────────────────────
+  // Live data keeps arriving while replaying; it is held back and
+  // re-applied when the user returns to live. That jump is not a live
+  // event, so replayed units that are gone now leave without gravestones.
+  let latestLiveData = latestApiData;
+  const replay = new ReplayController({
+    onSnapshot: (snapshot, opts) => applySnapshot(snapshot, opts),
+    onEnter: () => warRoom.reset(),
+    onExit: () => {
+      warRoom.reset();
+      applySnapshot(latestLiveData, { rewind: true });
+    },
+  });
+
+  // ── 20b. API Poller (push stream with polling fallback) ─────────────
+  const poller = new ApiPoller(2000, { onStatus: updateConnectionStatus });
+  let firstDataReceived = false;
+
+  // Detect mode before first snapshot (async start)
+  await poller.start((data) => {
+    latestLiveData = data;
+    if (data.sessions.length > 0) marks.prune(data.sessions.map(s => s.id));
+    if (!replay.isActive()) applySnapshot(data);
 
     if (!firstDataReceived) {
       firstDataReceived = true;
@@ -264,9 +377,11 @@ async function init() {
     }
   });
 
-  // ── 20b. Multi-person panels (after mode detection) ────────────────
+  // ── 20c. Multi-person panels (after mode detection) ────────────────
   const rosterPanel = new RosterPanel(poller.userInfo);
   const sharingPanel = new SharingPanel(poller.mode);
+  selectionPanel.localUser = poller.userInfo?.name ?? null;
+  warRoom.localUser = selectionPanel.localUser;
 
   // ── 21. Camera intro (after loading screen hides) ───────────────────
   let cameraIntro = null;
@@ -316,6 +431,8 @@ async function init() {
     }
     zoomController.update(delta);
     cameraRotation.update(delta);
+    cameraFollow.update(delta, worldManager.units);
+    replay.tick(delta);
     if (cameraIntro) {
       const still = cameraIntro.update(delta);
       if (!still) cameraIntro = null;
@@ -1,14 +1,20 @@
 // marchIn.js — Reinforcement march-in animations and gravestone death effects.
 //
 // New units march in from the nearest map edge toward their anchor position
-// over ~2 seconds with easeOutQuad easing. When a unit dies, a small
+// over ~2 seconds (longer for long routes) with easeOutQuad easing. When a unit dies, a small
 // gravestone mesh appears at their last position and fades out over 60 seconds.
+// Couriers (headless runs) don't die: they march back out to the nearest edge.
+// A villager whose session moves to another project walks across the map to
+// its new building, leaving a trail of footprints that fade behind it.
+// Marches, walks and departures follow the route planPath gives (A* in
+// pathfinding.js), around buildings and water; without it they go straight.
 //
-// Pure functions (computeEdgeSpawn, marchProgress, gravestoneFade) are
+// Pure functions (computeEdgeSpawn, marchProgress, gravestoneFade, walkDuration) are
 // exported for testing without THREE.js.  The MarchInManager class uses
 // THREE for scene manipulation.
 
 import * as THREE from 'three';
+import { pathLength, pointAlongPath } from './pathfinding.js';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -18,6 +24,13 @@ const MARCH_DURATION = 2.0;       // seconds for a full march
 const GRAVESTONE_DURATION = 60.0; // seconds before gravestone fully fades
 const GRAVESTONE_HOLD = 0.1;      // fraction of duration at full opacity
 const GRID_SIZE = 28;
+const WALK_SPEED = 4.0;           // world units per second walking between buildings
+const MAX_WALK_DURATION = 8.0;    // seconds; long walks across a grown map speed up
+const FOOTPRINT_SPACING = 0.6;    // world units between footprints
+const TRAIL_DURATION = 6.0;       // seconds before a footprint fully fades
+
+/** Tile bounds of the original map (the terrain grows from there). */
+const DEFAULT_BOUNDS = { minX: -GRID_SIZE / 2, maxX: GRID_SIZE / 2 - 1, minZ: -GRID_SIZE / 2, maxZ: GRID_SIZE / 2 - 1 };
 
 // ---------------------------------------------------------------------------
 // Pure functions (no THREE dependency)
@@ -26,42 +39,41 @@ const GRID_SIZE = 28;
 /**
  * Compute the nearest map edge spawn point for a reinforcement unit.
  *
- * The grid runs from -14 to +13 (GRID_SIZE = 28). We find which of the
- * four edges (left=-14, right=+13, top=-14, bottom=+13) is nearest to
- * the target position, then place the spawn point on that edge.
+ * The original grid runs from -14 to +13 (GRID_SIZE = 28); as terrain
+ * chunks are added the bounds grow. We find which of the four edges
+ * (left=minX, right=maxX, top=minZ, bottom=maxZ) is nearest to the target
+ * position, then place the spawn point on that edge.
  *
  * Ties are broken by checking edges in order: left, right, top, bottom.
  *
  * @param {number} targetX — target X position on the grid
  * @param {number} targetZ — target Z position on the grid
- * @param {number} [gridSize=24] — total grid size
+ * @param {{ minX: number, maxX: number, minZ: number, maxZ: number }} [bounds] — map tile bounds
  * @returns {{ x: number, z: number }} — spawn position on the nearest edge
  */
-export function computeEdgeSpawn(targetX, targetZ, gridSize = GRID_SIZE) {
-  const half = gridSize / 2;
-  const minEdge = -half;
-  const maxEdge = half - 1;
+export function computeEdgeSpawn(targetX, targetZ, bounds = DEFAULT_BOUNDS) {
+  const { minX, maxX, minZ, maxZ } = bounds;
 
   // Distance from each edge
-  const distLeft   = Math.abs(targetX - minEdge);
-  const distRight  = Math.abs(targetX - maxEdge);
-  const distTop    = Math.abs(targetZ - minEdge);
-  const distBottom = Math.abs(targetZ - maxEdge);
+  const distLeft   = Math.abs(targetX - minX);
+  const distRight  = Math.abs(targetX - maxX);
+  const distTop    = Math.abs(targetZ - minZ);
+  const distBottom = Math.abs(targetZ - maxZ);
 
   const minDist = Math.min(distLeft, distRight, distTop, distBottom);
 
   // Check in order: left, right, top, bottom (tie-break order)
   if (distLeft === minDist) {
-    return { x: minEdge, z: targetZ };
+    return { x: minX, z: targetZ };
   }
   if (distRight === minDist) {
-    return { x: maxEdge, z: targetZ };
+    return { x: maxX, z: targetZ };
   }
   if (distTop === minDist) {
-    return { x: targetX, z: minEdge };
+    return { x: targetX, z: minZ };
   }
   // distBottom === minDist
-  return { x: targetX, z: maxEdge };
+  return { x: targetX, z: maxZ };
 }
 
 /**
@@ -104,6 +116,17 @@ export function gravestoneFade(elapsed, totalDuration) {
   return Math.max(0, Math.min(1, opacity));
 }
 
+/**
+ * How long a walk takes: steady walking pace, but never quicker than
+ * MARCH_DURATION nor longer than MAX_WALK_DURATION.
+ *
+ * @param {number} distance — world units from start to target
+ * @returns {number} — seconds
+ */
+export function walkDuration(distance) {
+  return Math.max(MARCH_DURATION, Math.min(MAX_WALK_DURATION, distance / WALK_SPEED));
+}
+
 // ---------------------------------------------------------------------------
 // Gravestone mesh builder (private)
 // ---------------------------------------------------------------------------
@@ -151,6 +174,24 @@ function createGravestone() {
   return group;
 }
 
+// Footprint geometry is shared; each footprint gets its own material to fade
+let _footprintGeo = null;
+
+/**
+ * A flat dark disc left on the ground behind a walking villager.
+ *
+ * @returns {THREE.Mesh}
+ */
+function createFootprint() {
+  _footprintGeo ??= new THREE.CylinderGeometry(0.06, 0.06, 0.01, 6);
+  const material = new THREE.MeshStandardMaterial({
+    color: 0x4A3C2C,
+    transparent: true,
+    opacity: 0.6,
+  });
+  return new THREE.Mesh(_footprintGeo, material);
+}
+
 // ---------------------------------------------------------------------------
 // MarchInManager class
 // ---------------------------------------------------------------------------
@@ -160,11 +201,32 @@ let _nextMarchId = 0;
 export class MarchInManager {
   /**
    * @param {THREE.Scene} scene — the scene to add gravestones to
+   * @param {{
+   *   getBounds?: () => { minX: number, maxX: number, minZ: number, maxZ: number },
+   *   getHeightAt?: (x: number, z: number) => number,
+   *   planPath?: (fromX: number, fromZ: number, toX: number, toZ: number) => { x: number, z: number }[],
+   * }} [opts]
+   *   — current map bounds (terrain.getBounds), which grow with the terrain;
+   *     ground height (terrain.getHeightAt) for walks and footprints; the
+   *     route between two points (PathPlanner.plan), straight by default
    */
-  constructor(scene) {
+  constructor(scene, {
+    getBounds = () => DEFAULT_BOUNDS,
+    getHeightAt = () => 0,
+    planPath = (fromX, fromZ, toX, toZ) => [{ x: fromX, z: fromZ }, { x: toX, z: toZ }],
+  } = {}) {
     /** @type {THREE.Scene} */
     this._scene = scene;
 
+    /** Map bounds for edge spawns and exits */
+    this._getBounds = getBounds;
+
+    /** Ground height under a world position */
+    this._getHeightAt = getHeightAt;
+
+    /** Route from one world position to another */
+    this._planPath = planPath;
+
     /**
      * Active march-in records.
      * @type {Map<number, {
@@ -172,12 +234,21 @@ export class MarchInManager {
      *   mesh: THREE.Object3D,
      *   startX: number, startY: number, startZ: number,
      *   targetX: number, targetY: number, targetZ: number,
+     *   path: { x: number, z: number }[],
+     *   length: number,
      *   elapsed: number,
      *   duration: number,
+     *   walk?: { lift: number, nextFootprint: number },
      * }>}
      */
     this._marches = new Map();
 
+    /**
+     * Footprints left by walks, fading out.
+     * @type {Array<{ mesh: THREE.Mesh, elapsed: number, duration: number }>}
+     */
+    this._footprints = [];
+
     /**
      * Active gravestones.
      * @type {Array<{
@@ -187,6 +258,19 @@ export class MarchInManager {
      * }>}
      */
     this._gravestones = [];
+
+    /**
+     * Units walking off the map, removed from the scene on arrival.
+     * @type {Array<{
+     *   mesh: THREE.Object3D,
+     *   path: { x: number, z: number }[],
+     *   length: number,
+     *   elapsed: number,
+     *   duration: number,
+     *   onDone: ((mesh: THREE.Object3D) => void)|null,
+     * }>}
+     */
+    this._departures = [];
   }
 
   // -------------------------------------------------------------------------
@@ -195,8 +279,8 @@ export class MarchInManager {
 
   /**
    * Start a march-in animation for a mesh. The mesh is placed at the
-   * nearest map edge and will lerp toward (targetX, targetY, targetZ)
-   * over MARCH_DURATION seconds.
+   * nearest map edge and will follow the planned route to
+   * (targetX, targetY, targetZ), taking walkDuration() of its length.
    *
    * The caller should NOT set the mesh position — this method does it.
    *
@@ -207,7 +291,9 @@ export class MarchInManager {
    * @returns {{ id: number, startX: number, startZ: number }}
    */
   startMarch(mesh, targetX, targetY, targetZ) {
-    const spawn = computeEdgeSpawn(targetX, targetZ);
+    const spawn = computeEdgeSpawn(targetX, targetZ, this._getBounds());
+    const path = this._planPath(spawn.x, spawn.z, targetX, targetZ);
+    const length = pathLength(path);
 
     mesh.position.set(spawn.x, targetY, spawn.z);
 
@@ -221,13 +307,58 @@ export class MarchInManager {
       targetX,
       targetY,
       targetZ,
+      path,
+      length,
       elapsed: 0,
-      duration: MARCH_DURATION,
+      duration: walkDuration(length),
     });
 
     return { id, startX: spawn.x, startZ: spawn.z };
   }
 
+  /**
+   * Walk a mesh from where it stands to (targetX, targetY, targetZ), e.g. to
+   * a villager's new building. Follows the ground on the way, drops a
+   * footprint every FOOTPRINT_SPACING units and takes walkDuration() seconds.
+   * Completes through updateMarches() like a march-in; a march-in or walk
+   * the mesh is still on is abandoned.
+   *
+   * @param {THREE.Object3D} mesh
+   * @param {number} targetX
+   * @param {number} targetY
+   * @param {number} targetZ
+   * @returns {{ id: number, duration: number }}
+   */
+  startWalk(mesh, targetX, targetY, targetZ) {
+    for (const [id, march] of this._marches) {
+      if (march.mesh === mesh) this._marches.delete(id);
+    }
+    const { x: startX, y: startY, z: startZ } = mesh.position;
+    const path = this._planPath(startX, startZ, targetX, targetZ);
+    const length = pathLength(path);
+    const duration = walkDuration(length);
+
+    const id = _nextMarchId++;
+    this._marches.set(id, {
+      id,
+      mesh,
+      startX,
+      startY,
+      startZ,
+      targetX,
+      targetY,
+      targetZ,
+      path,
+      length,
+      elapsed: 0,
+      duration,
+      // Height above the ground stays the same all the way
+      walk: { lift: targetY - this._getHeightAt(targetX, targetZ), nextFootprint: FOOTPRINT_SPACING },
+    });
+
+    return { id, duration };
+  }
+
   /**
    * Update all active marches. Called every frame.
    *
@@ -241,10 +372,13 @@ export class MarchInManager {
       march.elapsed += delta;
       const t = marchProgress(march.elapsed, march.duration);
 
-      // Lerp position
-      march.mesh.position.x = march.startX + (march.targetX - march.startX) * t;
+      // Follow the route, facing the way it goes
+      const at = pointAlongPath(march.path, march.length * t);
+      march.mesh.position.x = at.x;
       march.mesh.position.y = march.startY + (march.targetY - march.startY) * t;
-      march.mesh.position.z = march.startZ + (march.targetZ - march.startZ) * t;
+      march.mesh.position.z = at.z;
+      if (march.length > 0) march.mesh.rotation.y = at.heading;
+      if (march.walk) this._stepWalk(march, t);
 
       if (march.elapsed >= march.duration) {
         // Snap to exact target
@@ -257,6 +391,102 @@ export class MarchInManager {
     return completed;
   }
 
+  /**
+   * Keep a walking mesh on the ground and drop footprints up to where it is.
+   *
+   * @param {object} march — a _marches record with walk set
+   * @param {number} t — eased progress
+   */
+  _stepWalk(march, t) {
+    const { mesh, walk } = march;
+    mesh.position.y = this._getHeightAt(mesh.position.x, mesh.position.z) + walk.lift;
+
+    while (walk.nextFootprint <= march.length * t) {
+      const { x, z, heading } = pointAlongPath(march.path, walk.nextFootprint);
+      // Alternate left and right feet
+      const side = (Math.round(walk.nextFootprint / FOOTPRINT_SPACING) % 2 ? 1 : -1) * 0.07;
+      const footprint = createFootprint();
+      footprint.position.set(x + Math.cos(heading) * side, this._getHeightAt(x, z) + 0.01, z - Math.sin(heading) * side);
+      this._scene.add(footprint);
+      this._footprints.push({ mesh: footprint, elapsed: 0, duration: TRAIL_DURATION });
+      walk.nextFootprint += FOOTPRINT_SPACING;
+    }
+  }
+
+  /**
+   * Fade walk footprints and remove expired ones. Called every frame.
+   *
+   * @param {number} delta — frame delta in seconds
+   */
+  updateTrails(delta) {
+    for (let i = this._footprints.length - 1; i >= 0; i--) {
+      const fp = this._footprints[i];
+      fp.elapsed += delta;
+      fp.mesh.material.opacity = 0.6 * Math.max(0, 1 - fp.elapsed / fp.duration);
+      if (fp.elapsed >= fp.duration) {
+        this._scene.remove(fp.mesh);
+        fp.mesh.material.dispose();
+        this._footprints.splice(i, 1);
+      }
+    }
+  }
+
+  // -------------------------------------------------------------------------
+  // Departure API
+  // -------------------------------------------------------------------------
+
+  /**
+   * Walk a mesh from where it stands to the nearest map edge along the
+   * planned route, then remove it from the scene and call onDone (to
+   * dispose it).
+   *
+   * @param {THREE.Object3D} mesh
+   * @param {(mesh: THREE.Object3D) => void} [onDone]
+   * @returns {{ targetX: number, targetZ: number }}
+   */
+  startDeparture(mesh, onDone) {
+    // A unit can leave before it finished arriving
+    for (const [id, march] of this._marches) {
+      if (march.mesh === mesh) this._marches.delete(id);
+    }
+    const exit = computeEdgeSpawn(mesh.position.x, mesh.position.z, this._getBounds());
+    const path = this._planPath(mesh.position.x, mesh.position.z, exit.x, exit.z);
+    const length = pathLength(path);
+    this._departures.push({
+      mesh,
+      path,
+      length,
+      elapsed: 0,
+      duration: walkDuration(length),
+      onDone: onDone ?? null,
+    });
+    return { targetX: exit.x, targetZ: exit.z };
+  }
+
+  /**
+   * Update all departures. Called every frame.
+   *
+   * @param {number} delta — frame delta in seconds
+   */
+  updateDepartures(delta) {
+    for (let i = this._departures.length - 1; i >= 0; i--) {
+      const dep = this._departures[i];
+      dep.elapsed += delta;
+      // Mirror of the march-in: start slowly, leave at full speed
+      const t = 1 - marchProgress(dep.duration - dep.elapsed, dep.duration);
+      const at = pointAlongPath(dep.path, dep.length * t);
+      dep.mesh.position.x = at.x;
+      dep.mesh.position.z = at.z;
+      dep.mesh.rotation.y = at.heading;
+
+      if (dep.elapsed >= dep.duration) {
+        this._scene.remove(dep.mesh);
+        dep.onDone?.(dep.mesh);
+        this._departures.splice(i, 1);
+      }
+    }
+  }
+
   // -------------------------------------------------------------------------
   // Gravestone API
   // -------------------------------------------------------------------------
@@ -0,0 +1,206 @@
+// marks.js -- Things the user marks on the map from the context menu:
+// pinned villagers, villager notes, building renames, hidden buildings and
+// camera bookmarks. Kept in the browser (localStorage), not on the server.
+
+const STORAGE_KEY = 'crystal-ball.marks';
+
+/** Bookmarks kept; dropping one more forgets the oldest. */
+export const MAX_BOOKMARKS = 9;
+
+/** Longest note or building name kept. */
+export const MAX_MARK_LENGTH = 200;
+
+/**
+ * Parse stored marks, tolerating missing or corrupt data.
+ * @param {string|null} raw
+ * @returns {{ pinned: string[], notes: Record<string, string>, names: Record<string, string>, hidden: string[], bookmarks: Array<{ name: string, x: number, z: number }> }}
+ */
+export function parseMarks(raw) {
+  let data = {};
+  try {
+    data = JSON.parse(raw) ?? {};
+  } catch {
+    // start fresh
+  }
+  const list = (v) => (Array.isArray(v) ? v.filter(s => typeof s === 'string') : []);
+  const dict = (v) => (v && typeof v === 'object' && !Array.isArray(v) ? { ...v } : {});
+  return {
+    pinned: list(data.pinned),
+    notes: dict(data.notes),
+    names: dict(data.names),
+    hidden: list(data.hidden),
+    bookmarks: Array.isArray(data.bookmarks)
+      ? data.bookmarks.filter(b => Number.isFinite(b?.x) && Number.isFinite(b?.z) && typeof b.name === 'string')
+      : [],
+  };
+}
+
+/** Trim user text to a storable mark ('' clears it). */
+function cleanText(text) {
+  return String(text ?? '').trim().slice(0, MAX_MARK_LENGTH);
+}
+
+export class MarkStore {
+  /**
+   * @param {{ storage?: { getItem(key: string): string|null, setItem(key: string, value: string): void }|null }} [opts]
+   *   -- defaults to localStorage; null keeps marks in memory only
+   */
+  constructor({ storage = globalThis.localStorage ?? null } = {}) {
+    this._storage = storage;
+    this._marks = parseMarks(storage?.getItem(STORAGE_KEY) ?? null);
+    /** @type {Array<() => void>} */
+    this._listeners = [];
+  }
+
+  /**
+   * Call `fn` after every change.
+   * @param {() => void} fn
+   */
+  onChange(fn) {
+    this._listeners.push(fn);
+  }
+
+  // ── Villagers ─────────────────────────────────────────────────────────
+
+  /** @param {string} sessionId */
+  isPinned(sessionId) {
+    return this._marks.pinned.includes(sessionId);
+  }
+
+  /** @returns {string[]} pinned session IDs */
+  get pinned() {
+    return [...this._marks.pinned];
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {boolean} whether the villager is now pinned
+   */
+  togglePin(sessionId) {
+    const pinned = !this.isPinned(sessionId);
+    this._marks.pinned = pinned
+      ? [...this._marks.pinned, sessionId]
+      : this._marks.pinned.filter(id => id !== sessionId);
+    this._save();
+    return pinned;
+  }
+
+  /** @param {string} sessionId */
+  noteFor(sessionId) {
+    return this._marks.notes[sessionId] ?? null;
+  }
+
+  /**
+   * @param {string} sessionId
+   * @param {string} text -- empty clears the note
+   */
+  setNote(sessionId, text) {
+    const note = cleanText(text);
+    if (note) this._marks.notes[sessionId] = note;
+    else delete this._marks.notes[sessionId];
+    this._save();
+  }
+
+  /**
+   * Forget pins and notes of sessions that are gone. Session IDs come from
+   * PIDs, so a stale note could otherwise land on an unrelated new session.
+   * @param {Iterable<string>} liveSessionIds
+   */
+  prune(liveSessionIds) {
+    const live = new Set(liveSessionIds);
+    const pinned = this._marks.pinned.filter(id => live.has(id));
+    const stale = Object.keys(this._marks.notes).filter(id => !live.has(id));
+    if (pinned.length === this._marks.pinned.length && stale.length === 0) return;
+    this._marks.pinned = pinned;
+    for (const id of stale) delete this._marks.notes[id];
+    this._save();
+  }
+
+  // ── Buildings ─────────────────────────────────────────────────────────
+
+  /** @param {string} groupId */
+  nameFor(groupId) {
+    return this._marks.names[groupId] ?? null;
+  }
+
+  /** @returns {Map<string, string>} groupId -> display name */
+  get names() {
+    return new Map(Object.entries(this._marks.names));
+  }
+
+  /**
+   * @param {string} groupId
+   * @param {string} name -- empty restores the group's own name
+   */
+  rename(groupId, name) {
+    const clean = cleanText(name);
+    if (clean && clean !== groupId) this._marks.names[groupId] = clean;
+    else delete this._marks.names[groupId];
+    this._save();
+  }
+
+  /** @returns {Set<string>} hidden group IDs */
+  get hiddenGroups() {
+    return new Set(this._marks.hidden);
+  }
+
+  /**
+   * @param {string} groupId
+   * @param {boolean} hidden
+   */
+  setHidden(groupId, hidden) {
+    const rest = this._marks.hidden.filter(id => id !== groupId);
+    this._marks.hidden = hidden ? [...rest, groupId] : rest;
+    this._save();
+  }
+
+  showAllGroups() {
+    this._marks.hidden = [];
+    this._save();
+  }
+
+  // ── Camera bookmarks ──────────────────────────────────────────────────
+
+  /** @returns {Array<{ name: string, x: number, z: number }>} oldest first */
+  get bookmarks() {
+    return this._marks.bookmarks.map(b => ({ ...b }));
+  }
+
+  /**
+   * Bookmark a ground position, named after the lowest free number.
+   * @param {{ x: number, z: number }} point
+   * @returns {{ name: string, x: number, z: number }}
+   */
+  addBookmark({ x, z }) {
+    const kept = this._marks.bookmarks.slice(-(MAX_BOOKMARKS - 1));
+    const taken = new Set(kept.map(b => b.name));
+    let n = 1;
+    while (taken.has(`Bookmark ${n}`)) n++;
+    const bookmark = { name: `Bookmark ${n}`, x: round2(x), z: round2(z) };
+    this._marks.bookmarks = [...kept, bookmark];
+    this._save();
+    return { ...bookmark };
+  }
+
+  clearBookmarks() {
+    this._marks.bookmarks = [];
+    this._save();
+  }
+
+  // ── Private ───────────────────────────────────────────────────────────
+
+  _save() {
+    try {
+      this._storage?.setItem(STORAGE_KEY, JSON.stringify(this._marks));
+    } catch {
+      // storage full or disabled -- keep the in-memory marks
+    }
+    for (const fn of this._listeners) fn();
+  }
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export default MarkStore;
@@ -0,0 +1,184 @@
+// menuActions.js -- The built-in right-click actions:
+//   villager  copy PID / cwd, follow with camera, pin, note, open in editor
+//   building  select all, hide, open in editor, rename
+//   terrain   camera bookmarks, show hidden buildings
+// Plugins add theirs to the same registry (contextMenu.js).
+
+import { openInEditor } from './api.js';
+import { isLocalSession, lastTouchedFile } from './utils.js';
+import { MAX_BOOKMARKS } from './marks.js';
+
+/**
+ * Run an open-in-editor request, resolving to the status line to show.
+ * @param {'sessions'|'groups'} kind
+ * @param {string} id
+ * @param {'cwd'|'file'} [target]
+ * @returns {Promise<string>}
+ */
+async function openAction(kind, id, target) {
+  const { ok, status, data } = await openInEditor(kind, id, target);
+  if (ok) return `Opened ${data.path.split('/').pop()}`;
+  return status === 0 ? 'Server unreachable' : data?.error ?? `Failed (${status})`;
+}
+
+/**
+ * Copy to the clipboard, resolving to the status line to show.
+ * @param {(text: string) => Promise<void>} copyText
+ * @param {string} text
+ * @param {string} what -- e.g. "PID 4242"
+ * @returns {Promise<string>}
+ */
+async function copyAction(copyText, text, what) {
+  try {
+    await copyText(text);
+    return `Copied ${what}`;
+  } catch {
+    return 'Clipboard unavailable';
+  }
+}
+
+/**
+ * Register the built-in actions.
+ * @param {import('./contextMenu.js').ContextActions} actions
+ * @param {{
+ *   marks: import('./marks.js').MarkStore,
+ *   follow: { sessionId: string|null, follow(id: string): void, stop(): void },
+ *   selectUnits: (sessionIds: string[]) => void,
+ *   getLatestData: () => { sessions: object[], groups: object[] },
+ *   moveCamera: (x: number, z: number) => void,
+ *   copyText?: (text: string) => Promise<void>,
+ *   prompt?: (message: string, value: string) => (string|null),
+ * }} deps -- copyText/prompt default to the clipboard and window.prompt
+ */
+export function registerBuiltinActions(actions, {
+  marks,
+  follow,
+  selectUnits,
+  getLatestData,
+  moveCamera,
+  copyText = (text) => navigator.clipboard.writeText(text),
+  prompt = (message, value) => window.prompt(message, value),
+}) {
+  const groupSessions = (groupId) => getLatestData().sessions.filter(s => s.group === groupId);
+
+  // ── Villager ──────────────────────────────────────────────────────────
+  actions.register({
+    id: 'unit.copy-pid',
+    target: 'unit',
+    label: 'Copy PID',
+    enabled: ({ session }) => session.pid != null,
+    run: ({ session }) => copyAction(copyText, String(session.pid), `PID ${session.pid}`),
+  });
+  actions.register({
+    id: 'unit.copy-cwd',
+    target: 'unit',
+    label: 'Copy working directory',
+    enabled: ({ session }) => Boolean(session.cwd),
+    hint: ({ session }) => session.cwd ?? null,
+    run: ({ session }) => copyAction(copyText, session.cwd, 'working directory'),
+  });
+  actions.register({
+    id: 'unit.follow',
+    target: 'unit',
+    label: ({ session }) => (follow.sessionId === session.id ? 'Stop following' : 'Follow with camera'),
+    run: ({ session }) => (follow.sessionId === session.id ? follow.stop() : follow.follow(session.id)),
+  });
+  actions.register({
+    id: 'unit.pin',
+    target: 'unit',
+    label: ({ session }) => (marks.isPinned(session.id) ? 'Unpin' : 'Pin'),
+    run: ({ session }) => { marks.togglePin(session.id); },
+  });
+  actions.register({
+    id: 'unit.annotate',
+    target: 'unit',
+    label: ({ session }) => (marks.noteFor(session.id) ? 'Edit note…' : 'Add note…'),
+    run: ({ session }) => {
+      const text = prompt(`Note for ${session.id} (empty to remove)`, marks.noteFor(session.id) ?? '');
+      if (text !== null) marks.setNote(session.id, text);
+    },
+  });
+  actions.register({
+    id: 'unit.open-project',
+    target: 'unit',
+    label: 'Open project in editor',
+    enabled: ({ session, localUser }) => isLocalSession(session, localUser),
+    run: ({ session }) => openAction('sessions', session.id, 'cwd'),
+  });
+  actions.register({
+    id: 'unit.open-file',
+    target: 'unit',
+    label: 'Open last file',
+    enabled: ({ session, localUser }) => isLocalSession(session, localUser) && lastTouchedFile(session.context) !== null,
+    hint: ({ session }) => lastTouchedFile(session.context) ?? 'No file in Mode 2 context',
+    run: ({ session }) => openAction('sessions', session.id, 'file'),
+  });
+
+  // ── Building ──────────────────────────────────────────────────────────
+  actions.register({
+    id: 'building.select-all',
+    target: 'building',
+    label: 'Select all villagers',
+    enabled: ({ group }) => groupSessions(group.id).length > 0,
+    run: ({ group }) => selectUnits(groupSessions(group.id).map(s => s.id)),
+  });
+  actions.register({
+    id: 'building.hide',
+    target: 'building',
+    label: 'Hide neighborhood',
+    run: ({ group }) => marks.setHidden(group.id, true),
+  });
+  actions.register({
+    id: 'building.open',
+    target: 'building',
+    label: 'Open in editor',
+    enabled: ({ group, localUser }) => groupSessions(group.id).some(s => isLocalSession(s, localUser)),
+    hint: ({ group }) => group.cwd ?? null,
+    run: ({ group }) => openAction('groups', group.id),
+  });
+  actions.register({
+    id: 'building.rename',
+    target: 'building',
+    label: 'Rename…',
+    run: ({ group }) => {
+      const name = prompt(`Name for ${group.id} (empty to reset)`, marks.nameFor(group.id) ?? group.id);
+      if (name !== null) marks.rename(group.id, name);
+    },
+  });
+
+  // ── Terrain ───────────────────────────────────────────────────────────
+  actions.register({
+    id: 'terrain.bookmark',
+    target: 'terrain',
+    label: 'Drop camera bookmark here',
+    enabled: ({ point }) => point !== null,
+    run: ({ point }) => `Saved ${marks.addBookmark(point).name}`,
+  });
+  for (let i = 0; i < MAX_BOOKMARKS; i++) {
+    actions.register({
+      id: `terrain.goto-bookmark-${i + 1}`,
+      target: 'terrain',
+      label: () => `Go to ${marks.bookmarks[i].name}`,
+      visible: () => i < marks.bookmarks.length,
+      run: () => {
+        const { x, z } = marks.bookmarks[i];
+        follow.stop();
+        moveCamera(x, z);
+      },
+    });
+  }
+  actions.register({
+    id: 'terrain.clear-bookmarks',
+    target: 'terrain',
+    label: 'Clear bookmarks',
+    visible: () => marks.bookmarks.length > 0,
+    run: () => marks.clearBookmarks(),
+  });
+  actions.register({
+    id: 'terrain.show-hidden',
+    target: 'terrain',
+    label: () => `Show hidden neighborhoods (${marks.hiddenGroups.size})`,
+    visible: () => marks.hiddenGroups.size > 0,
+    run: () => marks.showAllGroups(),
+  });
+}
@@ -5,6 +5,8 @@
 //   update(worldManager)  -- per-poll: terrain + entities -> _worldCache
 //   drawViewport()        -- per-frame: _worldCache + viewport polygon -> canvas
 
+import { districtBounds, districtColor } from './districts.js';
+
 // ---------------------------------------------------------------------------
 // Pure helper functions (exported for testing)
 // ---------------------------------------------------------------------------
@@ -30,17 +32,18 @@ const UNIT_STATE_COLORS = {
 
 /**
  * Convert world coordinates to minimap pixel coordinates.
- * World grid is gridSize x gridSize, ranging from -gridSize/2 to +gridSize/2.
+ * The minimap shows gridSize x gridSize world tiles from origin; by default
+ * the original map, -gridSize/2 to +gridSize/2.
  * @param {number} worldX
  * @param {number} worldZ
  * @param {number} canvasSize
  * @param {number} gridSize
+ * @param {{ x: number, z: number }} [origin] - world position of the top-left corner
  * @returns {{ px: number, py: number }}
  */
-export function worldToMinimap(worldX, worldZ, canvasSize = 150, gridSize = 28) {
-  const half = gridSize / 2;
-  const px = ((worldX + half) / gridSize) * canvasSize;
-  const py = ((worldZ + half) / gridSize) * canvasSize;
+export function worldToMinimap(worldX, worldZ, canvasSize = 150, gridSize = 28, origin = { x: -gridSize / 2, z: -gridSize / 2 }) {
+  const px = ((worldX - origin.x) / gridSize) * canvasSize;
+  const py = ((worldZ - origin.z) / gridSize) * canvasSize;
   return { px, py };
 }
 
@@ -50,15 +53,31 @@ export function worldToMinimap(worldX, worldZ, canvasSize = 150, gridSize = 28)
  * @param {number} py
  * @param {number} canvasSize
  * @param {number} gridSize
+ * @param {{ x: number, z: number }} [origin] - see worldToMinimap
  * @returns {{ worldX: number, worldZ: number }}
  */
-export function minimapToWorld(px, py, canvasSize = 150, gridSize = 28) {
-  const half = gridSize / 2;
-  const worldX = (px / canvasSize) * gridSize - half;
-  const worldZ = (py / canvasSize) * gridSize - half;
+export function minimapToWorld(px, py, canvasSize = 150, gridSize = 28, origin = { x: -gridSize / 2, z: -gridSize / 2 }) {
+  const worldX = (px / canvasSize) * gridSize + origin.x;
+  const worldZ = (py / canvasSize) * gridSize + origin.z;
   return { worldX, worldZ };
 }
 
+/**
+ * The square of world tiles the minimap shows: the whole map, centred.
+ * Follows the terrain as it grows (terrain.getBounds()).
+ * @param {{ minX: number, maxX: number, minZ: number, maxZ: number }} bounds - inclusive tile bounds
+ * @returns {{ gridSize: number, origin: { x: number, z: number } }}
+ */
+export function minimapView(bounds) {
+  const width = bounds.maxX - bounds.minX + 1;
+  const depth = bounds.maxZ - bounds.minZ + 1;
+  const gridSize = Math.max(width, depth);
+  return {
+    gridSize,
+    origin: { x: bounds.minX - (gridSize - width) / 2, z: bounds.minZ - (gridSize - depth) / 2 },
+  };
+}
+
 /**
  * Get the color for a tile type.
  * @param {string} tileType
@@ -136,6 +155,8 @@ export class Minimap {
 
     this.canvasSize = 150;
     this.gridSize = 28;
+    /** World position of the minimap's top-left corner (see minimapView) */
+    this.origin = { x: -14, z: -14 };
 
     /** @type {HTMLDivElement|null} */
     this.container = null;
@@ -170,6 +191,7 @@ export class Minimap {
     document.body.appendChild(this.container);
 
     // Pre-render terrain
+    this._fitToTerrain();
     this._renderTerrainCache();
 
     // World cache: terrain + buildings + units (updated per-poll)
@@ -186,6 +208,20 @@ export class Minimap {
     this.canvas.addEventListener('click', this._onClick);
   }
 
+  /**
+   * Fit the view to the terrain, which grows by chunks.
+   * @returns {boolean} whether the view changed
+   */
+  _fitToTerrain() {
+    const bounds = this.terrain?.getBounds?.();
+    if (!bounds) return false;
+    const { gridSize, origin } = minimapView(bounds);
+    if (gridSize === this.gridSize && origin.x === this.origin.x && origin.z === this.origin.z) return false;
+    this.gridSize = gridSize;
+    this.origin = origin;
+    return true;
+  }
+
   dispose() {
     if (this.canvas) {
       this.canvas.removeEventListener('click', this._onClick);
@@ -232,24 +268,42 @@ export class Minimap {
   /**
    * Redraw the world cache with current buildings and units.
    * Called each poll cycle (~2s).
-   * @param {{ buildings: Map, units: Map }} worldManager
+   * @param {{ buildings: Map, units: Map, getDistrictPositions?: () => Map<string, {x:number,z:number}[]> }} worldManager
    */
   update(worldManager) {
     const ctx = this._worldCacheCtx;
     if (!ctx) return;
 
-    // 1. Blit cached terrain
+    // 1. Blit cached terrain (re-rendered when the map has grown)
+    if (this._fitToTerrain()) this._renderTerrainCache();
     if (this.terrainCache) {
       ctx.drawImage(this.terrainCache, 0, 0);
     }
 
+    // 1b. District boundaries -- outline around each district's buildings
+    if (worldManager.getDistrictPositions) {
+      ctx.lineWidth = 1;
+      ctx.font = '8px sans-serif';
+      for (const [id, positions] of worldManager.getDistrictPositions()) {
+        const bounds = districtBounds(positions);
+        const topLeft = worldToMinimap(bounds.minX, bounds.minZ, this.canvasSize, this.gridSize, this.origin);
+        const bottomRight = worldToMinimap(bounds.maxX, bounds.maxZ, this.canvasSize, this.gridSize, this.origin);
+        ctx.strokeStyle = districtColor(id);
+        ctx.setLineDash([3, 2]);
+        ctx.strokeRect(topLeft.px, topLeft.py, bottomRight.px - topLeft.px, bottomRight.py - topLeft.py);
+        ctx.setLineDash([]);
+        ctx.fillStyle = districtColor(id);
+        ctx.fillText(id.split('/').pop() || id, topLeft.px + 2, topLeft.py + 8);
+      }
+    }
+
     // 2. Buildings -- white 4x4 squares
     if (worldManager.buildings) {
       ctx.fillStyle = '#ffffff';
       for (const [, building] of worldManager.buildings) {
         const wx = building.position?.x ?? 0;
         const wz = building.position?.z ?? 0;
-        const { px, py } = worldToMinimap(wx, wz, this.canvasSize, this.gridSize);
+        const { px, py } = worldToMinimap(wx, wz, this.canvasSize, this.gridSize, this.origin);
         ctx.fillRect(px - 2, py - 2, 4, 4);
       }
     }
@@ -261,7 +315,7 @@ export class Minimap {
         const wz = unit.mesh?.position?.z ?? 0;
         const state = unit.state ?? 'idle';
         ctx.fillStyle = unitStateColor(state);
-        const { px, py } = worldToMinimap(wx, wz, this.canvasSize, this.gridSize);
+        const { px, py } = worldToMinimap(wx, wz, this.canvasSize, this.gridSize, this.origin);
         ctx.fillRect(px - 1, py - 1, 2, 2);
       }
     }
@@ -299,7 +353,6 @@ export class Minimap {
     const tctx = this.terrainCache.getContext('2d');
 
     const tileSize = this.canvasSize / this.gridSize;
-    const half = this.gridSize / 2;
 
     if (this.terrain && this.terrain.tiles) {
       for (const [key, tile] of this.terrain.tiles) {
@@ -308,8 +361,8 @@ export class Minimap {
         const gx = parseInt(parts[0], 10);
         const gz = parseInt(parts[1], 10);
         tctx.fillStyle = tileColor(tileType);
-        const px = (gx + half) * tileSize;
-        const pz = (gz + half) * tileSize;
+        const px = (gx - this.origin.x) * tileSize;
+        const pz = (gz - this.origin.z) * tileSize;
         tctx.fillRect(px, pz, Math.ceil(tileSize), Math.ceil(tileSize));
       }
     } else {
@@ -343,10 +396,10 @@ export class Minimap {
     ctx.strokeStyle = '#ffffff';
     ctx.lineWidth = 1.5;
     ctx.beginPath();
-    const first = worldToMinimap(corners[0].x, corners[0].z, this.canvasSize, this.gridSize);
+    const first = worldToMinimap(corners[0].x, corners[0].z, this.canvasSize, this.gridSize, this.origin);
     ctx.moveTo(first.px, first.py);
     for (let i = 1; i < corners.length; i++) {
-      const p = worldToMinimap(corners[i].x, corners[i].z, this.canvasSize, this.gridSize);
+      const p = worldToMinimap(corners[i].x, corners[i].z, this.canvasSize, this.gridSize, this.origin);
       ctx.lineTo(p.px, p.py);
     }
     ctx.closePath();
@@ -358,7 +411,7 @@ export class Minimap {
     const rect = this.canvas.getBoundingClientRect();
     const px = e.clientX - rect.left;
     const py = e.clientY - rect.top;
-    const { worldX, worldZ } = minimapToWorld(px, py, this.canvasSize, this.gridSize);
+    const { worldX, worldZ } = minimapToWorld(px, py, this.canvasSize, this.gridSize, this.origin);
     this.onClickJump(worldX, worldZ);
   }
 }
@@ -0,0 +1,304 @@
+// pathfinding.js — A* over the terrain tile grid, so villagers walk around
+// buildings, cross the river at the bridge and avoid climbing mountains.
+//
+// The navigation grid is read straight from the terrain: every tile in
+// terrain.tiles is walkable at a cost by tile type, water is blocked except
+// where the bridge crosses it (pathTiles), and the tiles buildings stand on
+// (buildingTiles) are obstacles. As the terrain grows or buildings go up, its
+// version changes and the planner forgets its cached paths.
+//
+// Pure functions (findPath, smoothPath, pathLength, pointAlongPath) are
+// exported for testing without THREE.js.
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Cost of stepping onto a tile, by tile type (unknown types cost 1). */
+export const TILE_COSTS = {
+  grass: 1,
+  sand: 1,
+  mountain_plateau: 1.5,
+  mountain: 3,
+  mountain_peak: 6,
+};
+
+/** Tiles A* may expand before giving up (a 5x5-chunk map has 19,600). */
+const MAX_EXPANSIONS = 20000;
+
+/** Paths remembered by a PathPlanner. */
+const PATH_CACHE_SIZE = 200;
+
+const SQRT2 = Math.SQRT2;
+
+// ---------------------------------------------------------------------------
+// Pure functions (no THREE dependency)
+// ---------------------------------------------------------------------------
+
+/**
+ * Binary min-heap of [priority, value] pairs (A* open set).
+ */
+class MinHeap {
+  constructor() {
+    this._items = [];
+  }
+
+  get size() {
+    return this._items.length;
+  }
+
+  push(priority, value) {
+    const items = this._items;
+    items.push([priority, value]);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this._items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let min = i;
+        if (l < items.length && items[l][0] < items[min][0]) min = l;
+        if (r < items.length && items[r][0] < items[min][0]) min = r;
+        if (min === i) break;
+        [items[min], items[i]] = [items[i], items[min]];
+        i = min;
+      }
+    }
+    return top[1];
+  }
+}
+
+/**
+ * Find the cheapest path between two tiles with A*. Moves go to the 8
+ * neighbouring tiles (diagonals cost √2 and may not cut a blocked corner);
+ * a step costs its length times the cost of the tile stepped onto. The
+ * start and goal tiles are always enterable, so a villager can leave a
+ * mountain peak or reach an anchor beside a building.
+ *
+ * @param {(x: number, z: number) => number} costAt — step cost of a tile, Infinity if blocked
+ * @param {{ x: number, z: number }} start — integer tile coordinates
+ * @param {{ x: number, z: number }} goal — integer tile coordinates
+ * @param {number} [maxExpansions]
+ * @returns {{ x: number, z: number }[]|null} — tiles from start to goal, or null if unreachable
+ */
+export function findPath(costAt, start, goal, maxExpansions = MAX_EXPANSIONS) {
+  const key = (x, z) => `${x},${z}`;
+  const goalKey = key(goal.x, goal.z);
+  const cost = (x, z) => (x === goal.x && z === goal.z ? Math.min(costAt(x, z), 1) : costAt(x, z));
+  // Octile distance: admissible, as no tile costs less than 1
+  const heuristic = (x, z) => {
+    const dx = Math.abs(x - goal.x);
+    const dz = Math.abs(z - goal.z);
+    return Math.max(dx, dz) + (SQRT2 - 1) * Math.min(dx, dz);
+  };
+
+  const open = new MinHeap();
+  const g = new Map([[key(start.x, start.z), 0]]);
+  const cameFrom = new Map();
+  const closed = new Set();
+  open.push(heuristic(start.x, start.z), start);
+
+  let expansions = 0;
+  while (open.size > 0) {
+    const current = open.pop();
+    const currentKey = key(current.x, current.z);
+    if (currentKey === goalKey) {
+      const path = [current];
+      let k = currentKey;
+      while (cameFrom.has(k)) {
+        const prev = cameFrom.get(k);
+        path.push(prev);
+        k = key(prev.x, prev.z);
+      }
+      return path.reverse();
+    }
+    if (closed.has(currentKey)) continue;
+    closed.add(currentKey);
+    if (++expansions > maxExpansions) return null;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        if (dx === 0 && dz === 0) continue;
+        const x = current.x + dx;
+        const z = current.z + dz;
+        const nextKey = key(x, z);
+        if (closed.has(nextKey)) continue;
+        const step = cost(x, z);
+        if (step === Infinity) continue;
+        const diagonal = dx !== 0 && dz !== 0;
+        if (diagonal && (cost(current.x + dx, current.z) === Infinity || cost(current.x, current.z + dz) === Infinity)) continue;
+
+        const tentative = g.get(currentKey) + step * (diagonal ? SQRT2 : 1);
+        if (tentative >= (g.get(nextKey) ?? Infinity)) continue;
+        g.set(nextKey, tentative);
+        cameFrom.set(nextKey, current);
+        open.push(tentative + heuristic(x, z), { x, z });
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop the tiles in the middle of straight runs, keeping the turns.
+ *
+ * @param {{ x: number, z: number }[]} path
+ * @returns {{ x: number, z: number }[]}
+ */
+export function smoothPath(path) {
+  if (path.length <= 2) return path.slice();
+  const out = [path[0]];
+  for (let i = 1; i < path.length - 1; i++) {
+    const prev = path[i - 1];
+    const next = path[i + 1];
+    const sameDirection = path[i].x - prev.x === next.x - path[i].x && path[i].z - prev.z === next.z - path[i].z;
+    if (!sameDirection) out.push(path[i]);
+  }
+  out.push(path[path.length - 1]);
+  return out;
+}
+
+/**
+ * Total length of a path through world points.
+ *
+ * @param {{ x: number, z: number }[]} points
+ * @returns {number}
+ */
+export function pathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z);
+  }
+  return length;
+}
+
+/**
+ * Where a walker is after covering some distance along a path, and which
+ * way it faces (rotation.y convention: atan2(dx, dz)).
+ *
+ * @param {{ x: number, z: number }[]} points — at least one point
+ * @param {number} distance — clamped to [0, pathLength(points)]
+ * @returns {{ x: number, z: number, heading: number }}
+ */
+export function pointAlongPath(points, distance) {
+  let heading = 0;
+  let remaining = Math.max(0, distance);
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const segment = Math.hypot(b.x - a.x, b.z - a.z);
+    if (segment === 0) continue;
+    heading = Math.atan2(b.x - a.x, b.z - a.z);
+    if (remaining <= segment) {
+      const f = remaining / segment;
+      return { x: a.x + (b.x - a.x) * f, z: a.z + (b.z - a.z) * f, heading };
+    }
+    remaining -= segment;
+  }
+  const end = points[points.length - 1];
+  return { x: end.x, z: end.z, heading };
+}
+
+// ---------------------------------------------------------------------------
+// PathPlanner class
+// ---------------------------------------------------------------------------
+
+export class PathPlanner {
+  /**
+   * @param {{ tiles: Map<string, { type: string }>, waterTiles: Set<string>, pathTiles: Set<string>, buildingTiles: Set<string>, version: number }} terrain
+   *   — from generateTerrain(); read live, so new chunks and buildings count
+   * @param {{ cacheSize?: number }} [opts]
+   */
+  constructor(terrain, { cacheSize = PATH_CACHE_SIZE } = {}) {
+    this._terrain = terrain;
+    this._cacheSize = cacheSize;
+
+    /** "sx,sz>gx,gz" -> smoothed tile path (or null when unreachable), oldest first */
+    this._cache = new Map();
+
+    /** Terrain version the cache was filled with */
+    this._cacheVersion = null;
+  }
+
+  /**
+   * Step cost of a tile: by type, Infinity for water (bridges excepted),
+   * building tiles and tiles off the map.
+   *
+   * @param {number} x
+   * @param {number} z
+   * @returns {number}
+   */
+  costAt(x, z) {
+    const key = `${x},${z}`;
+    const { tiles, waterTiles, pathTiles, buildingTiles } = this._terrain;
+    const tile = tiles.get(key);
+    if (!tile || buildingTiles.has(key)) return Infinity;
+    if (pathTiles.has(key)) return 1;
+    if (waterTiles.has(key)) return Infinity;
+    return TILE_COSTS[tile.type] ?? 1;
+  }
+
+  /**
+   * Plan a walk between two world positions. The route runs through tile
+   * centres, from the exact start to the exact target; when no route
+   * exists (e.g. the river has no bridge) it is a straight line.
+   *
+   * @param {number} fromX
+   * @param {number} fromZ
+   * @param {number} toX
+   * @param {number} toZ
+   * @returns {{ x: number, z: number }[]} — world points, first the start, last the target
+   */
+  plan(fromX, fromZ, toX, toZ) {
+    const start = { x: Math.round(fromX), z: Math.round(fromZ) };
+    const goal = { x: Math.round(toX), z: Math.round(toZ) };
+    const tiles = this._route(start, goal);
+    const middle = tiles ? tiles.slice(1, -1) : [];
+    return [{ x: fromX, z: fromZ }, ...middle, { x: toX, z: toZ }];
+  }
+
+  /**
+   * Cached smoothed tile route, or null when there is none.
+   *
+   * @param {{ x: number, z: number }} start
+   * @param {{ x: number, z: number }} goal
+   * @returns {{ x: number, z: number }[]|null}
+   */
+  _route(start, goal) {
+    const { version } = this._terrain;
+    if (version !== this._cacheVersion) {
+      this._cache.clear();
+      this._cacheVersion = version;
+    }
+
+    const key = `${start.x},${start.z}>${goal.x},${goal.z}`;
+    if (this._cache.has(key)) {
+      const route = this._cache.get(key);
+      // Most recently used goes to the back
+      this._cache.delete(key);
+      this._cache.set(key, route);
+      return route;
+    }
+
+    const path = findPath((x, z) => this.costAt(x, z), start, goal);
+    const route = path ? smoothPath(path) : null;
+    this._cache.set(key, route);
+    if (this._cache.size > this._cacheSize) {
+      this._cache.delete(this._cache.keys().next().value);
+    }
+    return route;
+  }
+}
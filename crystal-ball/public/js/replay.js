@@ -0,0 +1,356 @@
+// replay.js -- Time-travel replay of recorded snapshot history.
+//
+// Fetches /api/history for a time range and feeds the recorded snapshots
+// into the same render path as live data (WorldManager, HUD, Trading Floor),
+// so villagers march in, change state and leave gravestones as they did at
+// the time. A bottom timeline bar offers play/pause, 1x-60x speed, a
+// scrubber, and previous/next event jumps.
+//
+// Pure functions (snapshotIndexAt, detectReplayEvents, nextEventTime,
+// prevEventTime, advanceReplayTime) are exported for testing.
+
+import { escapeHTML } from './utils.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+export const REPLAY_SPEEDS = [1, 5, 15, 30, 60];
+
+export const REPLAY_RANGES = [
+  { label: 'Last hour',     ms: 60 * 60 * 1000 },
+  { label: 'Last 6 hours',  ms: 6 * 60 * 60 * 1000 },
+  { label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+];
+
+const SCRUBBER_STEPS = 1000;
+
+// ---------------------------------------------------------------------------
+// Pure helper functions (exported for testing)
+// ---------------------------------------------------------------------------
+
+/**
+ * Index of the last snapshot at or before time t (binary search).
+ * @param {Array<{t: number}>} snapshots -- sorted by t
+ * @param {number} t
+ * @returns {number} index, or -1 if t precedes every snapshot
+ */
+export function snapshotIndexAt(snapshots, t) {
+  let lo = 0;
+  let hi = snapshots.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (snapshots[mid].t <= t) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Derive notable events (arrivals, departures, state changes) from a
+ * sequence of snapshots.
+ * @param {Array<{t: number, sessions: Array<{id: string, state: string, group: string}>}>} snapshots
+ * @returns {Array<{t: number, kind: 'spawn'|'exit'|'state', sessionId: string, group: string, fromState: string|null, toState: string|null}>}
+ */
+export function detectReplayEvents(snapshots) {
+  const events = [];
+  let prev = new Map();
+  for (const snap of snapshots) {
+    const current = new Map();
+    for (const s of snap.sessions || []) {
+      current.set(s.id, s);
+      const before = prev.get(s.id);
+      if (!before) {
+        if (snap !== snapshots[0]) {
+          events.push({ t: snap.t, kind: 'spawn', sessionId: s.id, group: s.group, fromState: null, toState: s.state });
+        }
+      } else if (before.state !== s.state) {
+        events.push({ t: snap.t, kind: 'state', sessionId: s.id, group: s.group, fromState: before.state, toState: s.state });
+      }
+    }
+    for (const [id, s] of prev) {
+      if (!current.has(id)) {
+        events.push({ t: snap.t, kind: 'exit', sessionId: id, group: s.group, fromState: s.state, toState: null });
+      }
+    }
+    prev = current;
+  }
+  return events;
+}
+
+/**
+ * Time of the first event strictly after t, or null.
+ * @param {Array<{t: number}>} events -- sorted by t
+ * @param {number} t
+ * @returns {number|null}
+ */
+export function nextEventTime(events, t) {
+  for (const e of events) {
+    if (e.t > t) return e.t;
+  }
+  return null;
+}
+
+/**
+ * Time of the last event strictly before t, or null.
+ * @param {Array<{t: number}>} events -- sorted by t
+ * @param {number} t
+ * @returns {number|null}
+ */
+export function prevEventTime(events, t) {
+  for (let i = events.length - 1; i >= 0; i--) {
+    if (events[i].t < t) return events[i].t;
+  }
+  return null;
+}
+
+/**
+ * Advance the replay clock by a frame delta at the given speed, clamped to end.
+ * @param {number} current -- replay time (ms)
+ * @param {number} deltaSeconds -- real frame delta
+ * @param {number} speed -- playback multiplier
+ * @param {number} end -- end of the replay range (ms)
+ * @returns {number}
+ */
+export function advanceReplayTime(current, deltaSeconds, speed, end) {
+  return Math.min(end, current + deltaSeconds * 1000 * speed);
+}
+
+/**
+ * Format a replay timestamp as "Mon 14:05:09".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatReplayTime(ms) {
+  const d = new Date(ms);
+  const day = d.toLocaleDateString(undefined, { weekday: 'short' });
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${day} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+// ---------------------------------------------------------------------------
+// ReplayController class
+// ---------------------------------------------------------------------------
+
+export class ReplayController {
+  /**
+   * @param {{
+   *   onSnapshot: (snapshot: object, opts: { rewind: boolean }) => void,
+   *   onEnter?: () => void,
+   *   onExit?: () => void,
+   * }} opts
+   */
+  constructor({ onSnapshot, onEnter, onExit }) {
+    this.onSnapshot = onSnapshot;
+    this.onEnter = onEnter ?? null;
+    this.onExit = onExit ?? null;
+
+    /** True while replay data is driving the world instead of live data */
+    this.active = false;
+    this.playing = false;
+    this.speed = 15;
+
+    /** @type {Array<{t: number}>} */
+    this.snapshots = [];
+    /** @type {ReturnType<typeof detectReplayEvents>} */
+    this.events = [];
+    this.from = 0;
+    this.to = 0;
+    this.time = 0;
+    this._index = -1;
+
+    /** Bumped by every load() and exit(), so a superseded history fetch is dropped */
+    this._loadGeneration = 0;
+
+    this.el = document.createElement('div');
+    this.el.className = 'replay-bar hidden';
+    this.el.innerHTML = `
+      <select class="replay-range" title="Time range">
+        ${REPLAY_RANGES.map((r, i) => `<option value="${i}">${escapeHTML(r.label)}</option>`).join('')}
+      </select>
+      <button class="replay-btn replay-prev" title="Previous event">&#9198;</button>
+      <button class="replay-btn replay-play" title="Play / pause">&#9654;</button>
+      <button class="replay-btn replay-next" title="Next event">&#9197;</button>
+      <select class="replay-speed" title="Playback speed">
+        ${REPLAY_SPEEDS.map(s => `<option value="${s}"${s === this.speed ? ' selected' : ''}>${s}x</option>`).join('')}
+      </select>
+      <input class="replay-scrubber" type="range" min="0" max="${SCRUBBER_STEPS}" value="0">
+      <span class="replay-time">&mdash;</span>
+      <span class="replay-events"></span>
+      <button class="replay-btn replay-close" title="Back to live">Live</button>
+    `;
+    document.body.appendChild(this.el);
+
+    this.el.querySelector('.replay-range').addEventListener('change', (e) => {
+      this.load(REPLAY_RANGES[Number(e.target.value)].ms);
+    });
+    this.el.querySelector('.replay-play').addEventListener('click', () => this.togglePlay());
+    this.el.querySelector('.replay-prev').addEventListener('click', () => this.jumpToEvent(-1));
+    this.el.querySelector('.replay-next').addEventListener('click', () => this.jumpToEvent(1));
+    this.el.querySelector('.replay-speed').addEventListener('change', (e) => {
+      this.speed = Number(e.target.value);
+    });
+    this.el.querySelector('.replay-scrubber').addEventListener('input', (e) => {
+      const frac = Number(e.target.value) / SCRUBBER_STEPS;
+      this.seek(this.from + frac * (this.to - this.from));
+    });
+    this.el.querySelector('.replay-close').addEventListener('click', () => this.exit());
+  }
+
+  // ── Lifecycle ────────────────────────────────────────────────────────────
+
+  /** Open replay on the default range, or return to live if already open. */
+  toggle() {
+    if (this.active) {
+      this.exit();
+    } else {
+      this.load(REPLAY_RANGES[Number(this.el.querySelector('.replay-range').value)].ms);
+    }
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Fetch history for the last `rangeMs` and start replaying from the beginning.
+   * @param {number} rangeMs
+   */
+  async load(rangeMs) {
+    const generation = ++this._loadGeneration;
+    const to = Date.now();
+    const from = to - rangeMs;
+    let data;
+    try {
+      const res = await fetch(`/api/history?from=${from}&to=${to}`);
+      if (generation !== this._loadGeneration) return;
+      if (!res.ok) {
+        this._showMessage(res.status === 404 ? 'History disabled on server' : `HTTP ${res.status}`);
+        return;
+      }
+      data = await res.json();
+    } catch (err) {
+      if (generation !== this._loadGeneration) return;
+      this._showMessage('History unavailable');
+      console.warn('[Replay] history fetch error:', err.message);
+      return;
+    }
+    // Left replay (or picked another range) while the fetch was in flight
+    if (generation !== this._loadGeneration) return;
+
+    this.snapshots = data.snapshots || [];
+    this.events = detectReplayEvents(this.snapshots);
+    this.from = this.snapshots.length > 0 ? this.snapshots[0].t : from;
+    this.to = to;
+    this.time = this.from;
+    this._index = -1;
+    this.playing = false;
+
+    if (!this.active) {
+      this.active = true;
+      document.body.classList.add('replay-mode');
+      this.el.classList.remove('hidden');
+      if (this.onEnter) this.onEnter();
+    }
+
+    if (this.snapshots.length === 0) {
+      this._showMessage('No history recorded in this range');
+      return;
+    }
+    this._apply();
+  }
+
+  /** Leave replay and hand control back to live data. */
+  exit() {
+    this._loadGeneration++;
+    this.el.classList.add('hidden');
+    if (!this.active) return;
+    this.active = false;
+    this.playing = false;
+    this.snapshots = [];
+    this.events = [];
+    document.body.classList.remove('replay-mode');
+    if (this.onExit) this.onExit();
+  }
+
+  // ── Playback controls ───────────────────────────────────────────────────
+
+  togglePlay() {
+    if (!this.active || this.snapshots.length === 0) return;
+    if (!this.playing && this.time >= this.to) this.time = this.from;
+    this.playing = !this.playing;
+    this._renderControls();
+  }
+
+  /**
+   * Jump the replay clock to a specific time.
+   * @param {number} t -- ms
+   */
+  seek(t) {
+    if (!this.active) return;
+    this.time = Math.max(this.from, Math.min(this.to, t));
+    this._apply();
+  }
+
+  /**
+   * Jump to the next (dir > 0) or previous (dir < 0) event.
+   * @param {number} dir
+   */
+  jumpToEvent(dir) {
+    const t = dir > 0 ? nextEventTime(this.events, this.time) : prevEventTime(this.events, this.time);
+    if (t !== null) this.seek(t);
+  }
+
+  /**
+   * Per-frame tick: advance the replay clock while playing.
+   * @param {number} delta -- frame delta in seconds
+   */
+  tick(delta) {
+    if (!this.active || !this.playing) return;
+    this.time = advanceReplayTime(this.time, delta, this.speed, this.to);
+    if (this.time >= this.to) this.playing = false;
+    this._apply();
+  }
+
+  // ── Internal ─────────────────────────────────────────────────────────────
+
+  /**
+   * Feed the snapshot for the current time if it changed, and refresh
+   * controls. Going back in time is flagged as a rewind: sessions missing
+   * from an earlier snapshot had not started yet, they didn't die. So is
+   * the first snapshot after load(), which always jumps back from live time.
+   */
+  _apply() {
+    const idx = snapshotIndexAt(this.snapshots, this.time);
+    if (idx >= 0 && idx !== this._index) {
+      const rewind = this._index < 0 || idx < this._index;
+      this._index = idx;
+      this.onSnapshot(this.snapshots[idx], { rewind });
+    }
+    this._renderControls();
+  }
+
+  _renderControls() {
+    const span = this.to - this.from;
+    const frac = span > 0 ? (this.time - this.from) / span : 0;
+    this.el.querySelector('.replay-scrubber').value = String(Math.round(frac * SCRUBBER_STEPS));
+    this.el.querySelector('.replay-time').textContent = formatReplayTime(this.time);
+    this.el.querySelector('.replay-play').innerHTML = this.playing ? '&#10074;&#10074;' : '&#9654;';
+
+    const passed = this.events.filter(e => e.t <= this.time).length;
+    this.el.querySelector('.replay-events').textContent = `${passed}/${this.events.length} events`;
+  }
+
+  /** @param {string} text */
+  _showMessage(text) {
+    this.el.classList.remove('hidden');
+    this.el.querySelector('.replay-time').textContent = text;
+  }
+}
+
+export default ReplayController;
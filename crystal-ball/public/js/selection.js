@@ -4,6 +4,9 @@
 
 import * as THREE from 'three';
 
+/** Ground plane (y = 0) for locating right-clicks on bare terrain. */
+const GROUND_PLANE = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
 export class SelectionManager {
   /**
    * @param {THREE.Camera} camera
@@ -86,6 +89,25 @@ export class SelectionManager {
     return this.selectedUnits.map(entry => entry.mesh.userData.sessionId);
   }
 
+  /**
+   * Replace the selection with the given sessions' units (hidden ones are
+   * skipped) and fire the matching callback.
+   * @param {string[]} sessionIds
+   */
+  selectUnits(sessionIds) {
+    this._clearAllHighlights();
+    const ids = [];
+    for (const id of sessionIds) {
+      const unit = this.worldManager.units.get(id);
+      if (!unit || !unit.mesh.visible) continue;
+      this._applyUnitHighlight(unit.mesh);
+      ids.push(id);
+    }
+    if (ids.length === 0) this.onDeselect();
+    else if (ids.length === 1) this.onSelectUnit(ids[0]);
+    else this.onSelectMultiple(ids);
+  }
+
   // ---------------------------------------------------------------------------
   // Event handlers
   // ---------------------------------------------------------------------------
@@ -190,6 +212,7 @@ export class SelectionManager {
     const hits = []; // { mesh, sessionId }
 
     for (const [sessionId, unit] of this.worldManager.units) {
+      if (!unit.mesh.visible) continue; // filtered out in the HUD
       const pos = unit.mesh.position.clone();
       pos.project(this.camera);
 
@@ -226,34 +249,44 @@ export class SelectionManager {
   // Raycasting & single/shift-click selection
   // ---------------------------------------------------------------------------
 
-  /** @param {PointerEvent} e */
-  _performPick(e) {
+  /**
+   * Raycast from a screen position to the nearest unit or building, and
+   * the point where the ray meets the ground. Shared with the right-click
+   * context menu.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {{ unit: THREE.Object3D|null, building: THREE.Object3D|null, ground: { x: number, z: number }|null }}
+   */
+  pickAt(clientX, clientY) {
     const rect = this._canvas.getBoundingClientRect();
-    this.mouse.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+    this.mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+    this.mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
 
     this.raycaster.setFromCamera(this.mouse, this.camera);
+    const groundHit = this.raycaster.ray.intersectPlane(GROUND_PLANE, new THREE.Vector3());
+    const ground = groundHit ? { x: groundHit.x, z: groundHit.z } : null;
     const intersects = this.raycaster.intersectObjects(this.scene.children, true);
 
-    let foundUnit = null;
-    let foundBuilding = null;
-
     for (const hit of intersects) {
       let obj = hit.object;
       // Walk up the parent chain looking for userData.type
       while (obj) {
-        if (obj.userData.type === 'unit') {
-          foundUnit = obj;
-          break;
-        }
-        if (obj.userData.type === 'building') {
-          foundBuilding = obj;
-          break;
+        // Raycasting ignores .visible -- skip anything hidden by a filter
+        if (obj.userData.type === 'unit' || obj.userData.type === 'building') {
+          if (!obj.visible) break;
+          return obj.userData.type === 'unit'
+            ? { unit: obj, building: null, ground }
+            : { unit: null, building: obj, ground };
         }
         obj = obj.parent;
       }
-      if (foundUnit || foundBuilding) break;
     }
+    return { unit: null, building: null, ground };
+  }
+
+  /** @param {PointerEvent} e */
+  _performPick(e) {
+    const { unit: foundUnit, building: foundBuilding } = this.pickAt(e.clientX, e.clientY);
 
     const shiftHeld = e.shiftKey;
 
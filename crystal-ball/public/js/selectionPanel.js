@@ -1,13 +1,46 @@
 // selectionPanel.js -- Selection panel DOM generation and updates.
-// Shows detailed info for a selected unit or a group summary.
+// Shows detailed info for a selected unit or a group summary. Units in a
+// tmux pane get a live preview of the pane and a "Go to pane" button, and
+// local units can be interrupted or terminated after a confirmation.
 
 import { classifyUnit, rankFromAge, rankDisplayTitle } from './units.js';
-import { escapeHTML, formatUptime, countSessionStates } from './utils.js';
+import { signalSession, focusPane } from './api.js';
+import { escapeHTML, formatUptime, countSessionStates, describeAgentFlags, describeGitStatus, describeHost, tmuxPaneOf, isLocalSession } from './utils.js';
+
+const SIGNAL_BUTTONS = `
+  <button class="panel-btn" type="button" data-signal="SIGINT" title="Interrupt (Ctrl-C)">Interrupt</button>
+  <button class="panel-btn danger" type="button" data-signal="SIGTERM" title="Terminate the process">Terminate</button>`;
+
+/**
+ * Send a signal and describe the outcome for the panel.
+ * @param {string} sessionId
+ * @param {string} signal
+ * @returns {Promise<string>}
+ */
+async function sendSignal(sessionId, signal) {
+  const { ok, status, data } = await signalSession(sessionId, { signal, source: 'panel' });
+  if (ok) return `${signal} sent to PID ${data.pid}`;
+  return status === 0 ? 'Server unreachable' : data?.error ?? `Failed (${status})`;
+}
+
+/** How often the pane preview refreshes while its unit is shown. */
+const PREVIEW_REFRESH_MS = 3000;
+const PREVIEW_LINES = 12;
 
 export class SelectionPanel {
   constructor() {
     /** @type {HTMLElement} */
     this.el = document.getElementById('selection-panel');
+
+    /** Session whose pane preview is live, or null */
+    this._previewId = null;
+    this._previewTimer = null;
+
+    /** This user's name in multi mode (set once the mode is known) */
+    this.localUser = null;
+
+    /** @type {import('./marks.js').MarkStore|null} notes and building names */
+    this.marks = null;
   }
 
   // ---------------------------------------------------------------------------
@@ -15,29 +48,55 @@ export class SelectionPanel {
   // ---------------------------------------------------------------------------
 
   /**
-   * @param {{ id: string, state: string, group: string, cwd: string, pid: number, cpu: number, mem: number, age_seconds: number, tty: string, has_children: boolean }} session
+   * @param {{ id: string, state: string, group: string, cwd: string, pid: number, cpu: number, mem: number, age_seconds: number, tty: string, host?: { kind: string, name: string|null, detail: string|null, pane?: string }|null, has_children: boolean, children?: Array<{ pid: number, command: string, cpu: number, mem: number }>, children_cpu?: number, children_mem?: number }} session
    */
   showUnit(session) {
     const uptime = formatUptime(session.age_seconds);
+    const children = session.children ?? [];
+    const childSummary = children.length > 0
+      ? `${(session.children_cpu ?? 0).toFixed(1)}% CPU &middot; ${session.children_mem ?? 0} MB`
+      : (session.has_children ? 'Yes' : 'No');
+    const childRows = children.map(c => `
+        <div class="group-session-row">
+          <span class="session-id">${escapeHTML(c.command)}</span>
+          <span class="session-cpu">${c.cpu.toFixed(1)}%</span>
+          <span class="session-age">${c.mem} MB</span>
+        </div>
+      `).join('');
     const cpuPct = Math.min(session.cpu, 100).toFixed(1);
     const memMB = typeof session.mem === 'number' ? session.mem.toFixed(0) : '—';
     const role = classifyUnit(session);
     const rank = rankFromAge(session.age_seconds ?? 0);
     const roleTitle = rankDisplayTitle(rank, role);
+    const local = isLocalSession(session, this.localUser);
+    const pane = local ? tmuxPaneOf(session) : null;
+    const note = this.marks?.noteFor(session.id);
 
     this.el.innerHTML = `
       <div class="panel-header">
         <span class="panel-title">${escapeHTML(session.id)}</span>
         <span class="panel-badge ${session.state}">${escapeHTML(roleTitle)}</span>
       </div>
+      ${note ? `<div class="panel-row">
+        <span class="panel-row-label">Note</span>
+        <span class="panel-note">${escapeHTML(note)}</span>
+      </div>` : ''}
       <div class="panel-row">
         <span class="panel-row-label">Project</span>
-        <span>${escapeHTML(session.group)}</span>
+        <span>${escapeHTML(this.marks?.nameFor(session.group) ?? session.group)}${session.subgroup ? ` &middot; ${escapeHTML(session.subgroup)}` : ''}</span>
       </div>
       <div class="panel-row">
         <span class="panel-row-label">Directory</span>
         <span>${escapeHTML(session.cwd)}</span>
       </div>
+      <div class="panel-row">
+        <span class="panel-row-label">Agent</span>
+        <span>${escapeHTML(session.faction || 'Claude')}</span>
+      </div>
+      ${describeAgentFlags(session.agent_args).map(({ label, value, warning }) => `<div class="panel-row">
+        <span class="panel-row-label">${label}</span>
+        <span${warning ? ' class="panel-blocked-indicator"' : ''}>${escapeHTML(value)}</span>
+      </div>`).join('')}
       <div class="panel-row">
         <span class="panel-row-label">PID</span>
         <span>${session.pid}</span>
@@ -59,12 +118,29 @@ export class SelectionPanel {
       </div>
       <div class="panel-row">
         <span class="panel-row-label">Terminal</span>
-        <span>${escapeHTML(session.tty || '—')}</span>
+        <span>${escapeHTML(describeHost(session.host, session.tty))}</span>
       </div>
       <div class="panel-row">
         <span class="panel-row-label">Children</span>
-        <span>${session.has_children ? 'Yes' : 'No'}</span>
+        <span>${childSummary}</span>
+      </div>
+      ${childRows ? `<div class="group-session-list">${childRows}</div>` : ''}
+      ${pane ? `
+      <div class="panel-divider"></div>
+      <div class="panel-row">
+        <span class="panel-row-label">Pane ${escapeHTML(pane)}</span>
+        <span class="pane-status"></span>
+        <button class="panel-btn pane-focus-btn" type="button">Go to pane</button>
+      </div>
+      <pre class="pane-preview">Loading preview…</pre>
+      ` : ''}
+      ${local ? `
+      <div class="panel-row signal-row">
+        <span class="panel-row-label">Stop</span>
+        <span class="signal-status"></span>
+        <span class="signal-actions">${SIGNAL_BUTTONS}</span>
       </div>
+      ` : ''}
       ${session.owner ? `
       <div class="panel-row">
         <span class="panel-row-label">Player</span>
@@ -93,6 +169,7 @@ export class SelectionPanel {
         <span class="panel-row-label">Status</span>
         <span class="panel-blocked-indicator">BLOCKED</span>
       </div>` : ''}
+      ${session.context?.version >= 2 ? this._v2ContextHtml(session.context) : ''}
       ` : `
       <div class="panel-divider"></div>
       <div class="panel-row">
@@ -102,21 +179,168 @@ export class SelectionPanel {
       `}
     `;
 
+    this._stopPreview();
+    if (pane) this._startPreview(session.id);
+    if (local) this._wireSignals(session);
     this.el.classList.remove('hidden');
   }
 
+  /**
+   * Stop buttons. Choosing a signal asks for confirmation -- twice unless
+   * the session is stale, since a live session may be mid-task.
+   * @param {{ id: string, pid: number, state: string }} session
+   */
+  _wireSignals(session) {
+    const row = this.el.querySelector('.signal-row');
+    const actions = row.querySelector('.signal-actions');
+    const status = row.querySelector('.signal-status');
+    let armed = null; // { signal, confirmsLeft }
+
+    const reset = () => {
+      armed = null;
+      actions.innerHTML = SIGNAL_BUTTONS;
+      status.textContent = '';
+    };
+
+    actions.addEventListener('click', async (e) => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+      if (btn.dataset.signal) {
+        armed = { signal: btn.dataset.signal, confirmsLeft: session.state === 'stale' ? 1 : 2 };
+        status.textContent = btn.dataset.signal === 'SIGTERM'
+          ? `SIGTERM PID ${session.pid}? SIGKILL follows if it won't exit.`
+          : `${btn.dataset.signal} PID ${session.pid}?`;
+        actions.innerHTML = `
+          <button class="panel-btn danger" type="button" data-confirm>Confirm</button>
+          <button class="panel-btn" type="button" data-cancel>Cancel</button>`;
+        return;
+      }
+      if (btn.dataset.cancel !== undefined || !armed) return reset();
+
+      if (--armed.confirmsLeft > 0) {
+        status.textContent = `Session is ${session.state}. Really stop it?`;
+        btn.textContent = 'Yes, stop it';
+        return;
+      }
+      actions.innerHTML = '';
+      status.textContent = await sendSignal(session.id, armed.signal);
+    });
+  }
+
+  /**
+   * Poll the pane preview for a session and wire its "Go to pane" button.
+   * @param {string} sessionId
+   */
+  _startPreview(sessionId) {
+    this._previewId = sessionId;
+    this.el.querySelector('.pane-focus-btn')?.addEventListener('click', () => this._focusPane(sessionId));
+    this._loadPreview(sessionId);
+    this._previewTimer = setInterval(() => this._loadPreview(sessionId), PREVIEW_REFRESH_MS);
+  }
+
+  _stopPreview() {
+    if (this._previewTimer) clearInterval(this._previewTimer);
+    this._previewTimer = null;
+    this._previewId = null;
+  }
+
+  async _loadPreview(sessionId) {
+    let text;
+    try {
+      const res = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/preview?lines=${PREVIEW_LINES}`);
+      const body = await res.json();
+      text = res.ok ? (body.text || '(empty pane)') : `Preview unavailable: ${body.error}`;
+    } catch {
+      text = 'Preview unavailable';
+    }
+    // The panel may have moved on while the request was in flight
+    if (this._previewId !== sessionId) return;
+    const pre = this.el.querySelector('.pane-preview');
+    if (!pre) return;
+    const atBottom = pre.scrollTop + pre.clientHeight >= pre.scrollHeight - 4;
+    pre.textContent = text;
+    if (atBottom) pre.scrollTop = pre.scrollHeight;
+  }
+
+  async _focusPane(sessionId) {
+    const { ok, status: code, data } = await focusPane(sessionId);
+    let status;
+    if (ok) status = data.switched ? 'Switched' : 'Selected (no tmux client attached)';
+    else status = code === 0 ? 'Server unreachable' : data?.error ?? `Failed (${code})`;
+    if (this._previewId !== sessionId) return;
+    const el = this.el.querySelector('.pane-status');
+    if (el) el.textContent = status;
+  }
+
+  /**
+   * Rows for the schema v2 sidecar fields (model, todos, recent files,
+   * subagents, tool calls). Empty fields are left out.
+   * @param {{ model: string|null, todos: { total: number, completed: number, items: Array<{ content: string, status: string }> }|null, files: { read: string[], written: string[] }, subagents: number, tool_counts: Record<string, number>, tool_calls: number }} ctx
+   * @returns {string}
+   */
+  _v2ContextHtml(ctx) {
+    const fileNames = (paths) => paths
+      .map(p => `<span title="${escapeHTML(p)}">${escapeHTML(p.split('/').pop())}</span>`)
+      .join(', ');
+    const todoRows = (ctx.todos?.items ?? []).map(t => `
+        <div class="group-session-row todo-${escapeHTML(t.status)}">
+          <span class="todo-mark">${t.status === 'completed' ? '&#10003;' : t.status === 'in_progress' ? '&#9656;' : '&#9675;'}</span>
+          <span class="session-id">${escapeHTML(t.content)}</span>
+        </div>
+      `).join('');
+    const topTools = Object.entries(ctx.tool_counts ?? {})
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([tool, n]) => `${escapeHTML(tool)} ${n}`)
+      .join(' &middot; ');
+
+    return `
+      ${ctx.model ? `<div class="panel-row">
+        <span class="panel-row-label">Model</span>
+        <span>${escapeHTML(ctx.model)}</span>
+      </div>` : ''}
+      ${ctx.todos?.total ? `<div class="panel-row">
+        <span class="panel-row-label">Todos</span>
+        <span>
+          ${ctx.todos.completed}/${ctx.todos.total} done
+          <span class="cpu-bar"><span class="cpu-bar-fill" style="width:${(ctx.todos.completed / ctx.todos.total * 100).toFixed(0)}%"></span></span>
+        </span>
+      </div>
+      <div class="group-session-list">${todoRows}</div>` : ''}
+      ${ctx.files?.read.length ? `<div class="panel-row">
+        <span class="panel-row-label">Read</span>
+        <span>${fileNames(ctx.files.read)}</span>
+      </div>` : ''}
+      ${ctx.files?.written.length ? `<div class="panel-row">
+        <span class="panel-row-label">Written</span>
+        <span>${fileNames(ctx.files.written)}</span>
+      </div>` : ''}
+      ${ctx.subagents > 0 ? `<div class="panel-row">
+        <span class="panel-row-label">Subagents</span>
+        <span>${ctx.subagents} running</span>
+      </div>` : ''}
+      ${ctx.tool_calls > 0 ? `<div class="panel-row">
+        <span class="panel-row-label">Tool calls</span>
+        <span>${ctx.tool_calls} (${topTools})</span>
+      </div>` : ''}
+    `;
+  }
+
   // ---------------------------------------------------------------------------
   // showGroup — display group summary with session list
   // ---------------------------------------------------------------------------
 
   /**
-   * @param {{ id: string, cwd: string, session_count: number, session_ids: string[] }} group
-   * @param {Array<{ id: string, state: string, cpu: number, age_seconds: number }>} sessions
+   * Sessions in a sub-neighborhood (sub-directory or worktree of the
+   * group's repository) are listed under its label.
+   * @param {{ id: string, cwd: string, session_count: number, session_ids: string[], repo?: { identity: string, remote: string|null }|null, subgroups?: Array<{ label: string, session_ids: string[] }>, git?: object|null }} group
+   * @param {Array<{ id: string, state: string, cpu: number, age_seconds: number, subgroup?: string|null }>} sessions
    */
   showGroup(group, sessions) {
+    this._stopPreview();
     const counts = countSessionStates(sessions);
 
-    const sessionRows = sessions.map(s => {
+    const rowsFor = (list) => list.map(s => {
       const age = formatUptime(s.age_seconds);
       const cpu = Math.min(s.cpu, 100).toFixed(1);
       return `
@@ -129,16 +353,33 @@ export class SelectionPanel {
         </div>
       `;
     }).join('');
+    const subgroups = group.subgroups ?? [];
+    const sessionRows = rowsFor(sessions.filter(s => !s.subgroup)) + subgroups.map(sub => `
+        <div class="group-subgroup-title">${escapeHTML(sub.label)}</div>
+        ${rowsFor(sessions.filter(s => s.subgroup === sub.label))}
+      `).join('');
 
     this.el.innerHTML = `
       <div class="panel-header">
-        <span class="panel-title">${escapeHTML(group.id)}</span>
+        <span class="panel-title"${this.marks?.nameFor(group.id) ? ` title="${escapeHTML(group.id)}"` : ''}>${escapeHTML(this.marks?.nameFor(group.id) ?? group.id)}</span>
         <span class="panel-badge">${group.session_count} session${group.session_count !== 1 ? 's' : ''}</span>
       </div>
       ${group.owners ? `<div class="panel-row">
         <span class="panel-row-label">Players</span>
         <span>${group.owners.map(o => `<span class="owner-dot" style="background:${escapeHTML(SelectionPanel._ownerColor(o, sessions))}"></span> ${escapeHTML(o)}`).join(', ')}</span>
       </div>` : ''}
+      ${group.repo ? `<div class="panel-row">
+        <span class="panel-row-label">Repository</span>
+        <span title="${escapeHTML(group.cwd ?? '')}">${escapeHTML(group.repo.remote ?? group.repo.identity)}</span>
+      </div>` : ''}
+      ${describeGitStatus(group.git).map(({ label, value, warning }) => `<div class="panel-row">
+        <span class="panel-row-label">${label}</span>
+        <span${warning ? ' class="panel-blocked-indicator"' : ''}>${escapeHTML(value)}</span>
+      </div>`).join('')}
+      ${subgroups.length > 0 ? `<div class="panel-row">
+        <span class="panel-row-label">Sub-neighborhoods</span>
+        <span>${subgroups.length}</span>
+      </div>` : ''}
       <div class="panel-row">
         <span class="panel-row-label">Active</span>
         <span>${counts.active}</span>
@@ -176,6 +417,7 @@ export class SelectionPanel {
    * @param {Array<{ id: string, state: string, cpu: number, age_seconds: number }>} sessions
    */
   showMultiUnit(sessions) {
+    this._stopPreview();
     const count = sessions.length;
 
     const counts = countSessionStates(sessions);
@@ -241,6 +483,7 @@ export class SelectionPanel {
   // ---------------------------------------------------------------------------
 
   hide() {
+    this._stopPreview();
     this.el.classList.add('hidden');
   }
 
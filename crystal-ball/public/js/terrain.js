@@ -48,6 +48,23 @@ export function pseudoRandom(x, z) {
   return n - Math.floor(n);
 }
 
+/**
+ * Seeded random number generator (mulberry32), a drop-in for Math.random:
+ * the same seed gives the same sequence, so the same map.
+ * @param {number} seed - 32-bit integer world seed
+ * @returns {() => number} values in [0, 1)
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Material key — grouping predicate for geometry merging
 // ---------------------------------------------------------------------------
@@ -74,13 +91,14 @@ export function materialKey(colorHex, emissiveHex, emissiveIntensity, castShadow
  * Assign biomes to quadrants using a Fisher-Yates shuffle.
  * Quadrants: 0=top-left, 1=top-right, 2=bottom-left, 3=bottom-right
  * (in grid-space: 0=low-gx/low-gz, 1=high-gx/low-gz, 2=low-gx/high-gz, 3=high-gx/high-gz)
+ * @param {() => number} [random] - seeded generator (see createRandom)
  * @returns {string[]} array of 4 biome names indexed by quadrant
  */
-export function assignBiomes() {
+export function assignBiomes(random = Math.random) {
   const biomes = [...BIOME_LIST];
-  // Fisher-Yates shuffle (using Math.random — different each page load)
+  // Fisher-Yates shuffle (different each page load unless seeded)
   for (let i = biomes.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [biomes[i], biomes[j]] = [biomes[j], biomes[i]];
   }
   return biomes;
@@ -131,6 +149,97 @@ export function biomeAt(gx, gz, biomeMap) {
   return biomeMap[quadrantIndex(Math.round(adjustedGx), Math.round(adjustedGz))];
 }
 
+// ---------------------------------------------------------------------------
+// Building placement
+// ---------------------------------------------------------------------------
+
+/** Used tiles within this many tiles (per axis) rule a site out. */
+const BUILDING_SPACING = 5;
+/** Tighter spacing between buildings of one district. */
+const DISTRICT_SPACING = 3;
+
+/**
+ * True if a used tile lies within `spacing` tiles of (x, z) on both axes.
+ * @param {{ x: number, z: number }} c
+ * @param {Set<string>} usedTiles -- keys "x,z"
+ * @param {number} spacing
+ */
+function isCrowded(c, usedTiles, spacing) {
+  for (const used of usedTiles) {
+    const [ux, uz] = used.split(',').map(Number);
+    if (Math.abs(ux - c.x) <= spacing && Math.abs(uz - c.z) <= spacing) return true;
+  }
+  return false;
+}
+
+/**
+ * Choose a building site from the free candidate tiles.
+ *
+ * With `prefs.biome` (a district's zone) the site is in that biome: next to
+ * the district's buildings (`prefs.near`) with tighter spacing, or for the
+ * district's first building as close to the zone's middle as spacing allows.
+ * When the zone is full, or without prefs, buildings spread evenly across
+ * biomes (least populated first) with generous spacing. If no site is far
+ * enough from the others, a crowded one is taken unless `prefs.crowded` is
+ * false (the terrain grows instead).
+ *
+ * @param {{ x: number, z: number, biome: string }[]} candidates
+ * @param {Set<string>} usedTiles
+ * @param {{ biome: string }[]} buildingPositions
+ * @param {{ biome?: string, near?: { x: number, z: number }[], crowded?: boolean }} [prefs]
+ * @returns {{ x: number, z: number, biome: string }|null}
+ */
+export function pickBuildingTile(candidates, usedTiles, buildingPositions, { biome = null, near = [], crowded = true } = {}) {
+  if (candidates.length === 0) return null;
+
+  if (biome) {
+    const zone = candidates.filter(c => c.biome === biome);
+    const anchors = near.length > 0 ? near : zone.length > 0 ? [{
+      x: zone.reduce((sum, c) => sum + c.x, 0) / zone.length,
+      z: zone.reduce((sum, c) => sum + c.z, 0) / zone.length,
+    }] : [];
+    const distance = (c) => Math.min(...anchors.map(a => Math.hypot(a.x - c.x, a.z - c.z)));
+    const spacing = near.length > 0 ? DISTRICT_SPACING : BUILDING_SPACING;
+    const site = zone
+      .map(c => ({ c, d: distance(c) }))
+      .sort((a, b) => a.d - b.d)
+      .find(({ c }) => !isCrowded(c, usedTiles, spacing));
+    if (site) return site.c;
+  }
+
+  // Count existing buildings per biome
+  const biomeCounts = {};
+  for (const bp of buildingPositions) {
+    biomeCounts[bp.biome] = (biomeCounts[bp.biome] || 0) + 1;
+  }
+
+  // Group candidates by biome
+  const byBiome = {};
+  for (const c of candidates) {
+    if (!byBiome[c.biome]) byBiome[c.biome] = [];
+    byBiome[c.biome].push(c);
+  }
+
+  // Sort biomes: least populated first
+  const biomeOrder = Object.keys(byBiome).sort(
+    (a, b) => (biomeCounts[a] || 0) - (biomeCounts[b] || 0)
+  );
+
+  // Try each biome in order, find a well-spaced tile
+  for (const b of biomeOrder) {
+    for (const c of byBiome[b]) {
+      if (!isCrowded(c, usedTiles, BUILDING_SPACING)) return c;
+    }
+  }
+
+  // Fallback: any candidate from the least-populated biome
+  if (!crowded) return null;
+  if (biomeOrder.length > 0) {
+    return byBiome[biomeOrder[0]][0];
+  }
+  return candidates[0] || null;
+}
+
 // ---------------------------------------------------------------------------
 // River path generation
 // ---------------------------------------------------------------------------
@@ -138,9 +247,11 @@ export function biomeAt(gx, gz, biomeMap) {
 /**
  * Generate a river path from one edge of the map to another.
  * The river curves through the grid as a set of tile coordinates.
+ * @param {() => number} [random] - seeded generator (see createRandom)
+ * @param {number} [cx] - starting gx, drawn from random unless given
  * @returns {Set<string>} set of "gx,gz" keys for river tiles
  */
-export function generateRiverPath() {
+export function generateRiverPath(random = Math.random, cx = riverStart(random)) {
   const riverTiles = new Set();
 
   // River flows roughly from top-left area to bottom-right area,
@@ -148,18 +259,8 @@ export function generateRiverPath() {
   const startGz = 0;
   const endGz = GRID - 1;
 
-  // Starting X position in the left third of the map
-  let cx = 4 + Math.floor(Math.random() * 4); // gx 4-7
-
   for (let gz = startGz; gz <= endGz; gz++) {
-    // Meander: shift x using a sine wave with some pseudo-random offset
-    const wave = Math.sin(gz * 0.35) * 2.5;
-    const drift = gz * 0.4; // general drift toward the right
-    const noise = (pseudoRandom(gz * 5, 42) - 0.5) * 1.5;
-    const x = Math.round(cx + wave + drift + noise);
-
-    // River width: 2-3 tiles
-    const width = pseudoRandom(x, gz) > 0.6 ? 3 : 2;
+    const { x, width } = riverRow(cx, gz);
     for (let dx = 0; dx < width; dx++) {
       const tileGx = Math.max(0, Math.min(GRID - 1, x + dx));
       riverTiles.add(`${tileGx},${gz}`);
@@ -169,6 +270,34 @@ export function generateRiverPath() {
   return riverTiles;
 }
 
+/**
+ * Where the river enters the top edge of the original map.
+ * @param {() => number} random
+ * @returns {number} gx 4-7
+ */
+export function riverStart(random) {
+  return 4 + Math.floor(random() * 4);
+}
+
+/**
+ * The river's first tile and width in one grid row. Defined for any row,
+ * so terrain chunks added beyond the original map continue the river.
+ * @param {number} cx - see riverStart
+ * @param {number} gz - grid z (may be outside 0..GRID-1)
+ * @returns {{ x: number, width: number }} gx of the first water tile
+ */
+export function riverRow(cx, gz) {
+  // Meander: shift x using a sine wave with some pseudo-random offset
+  const wave = Math.sin(gz * 0.35) * 2.5;
+  const drift = gz * 0.4; // general drift toward the right
+  const noise = (pseudoRandom(gz * 5, 42) - 0.5) * 1.5;
+  const x = Math.round(cx + wave + drift + noise);
+
+  // River width: 2-3 tiles
+  const width = pseudoRandom(x, gz) > 0.6 ? 3 : 2;
+  return { x, width };
+}
+
 /**
  * Find a good location for a bridge across the river.
  * Returns the gz row and the min/max gx span of the river at that row.
@@ -204,7 +333,7 @@ export function findBridgeLocation(riverTiles) {
 
 /**
  * Classify a single tile based on its biome and position.
- * @param {number} gx - grid x
+ * @param {number} gx - grid x (outside 0..GRID-1 in added chunks)
  * @param {number} gz - grid z
  * @param {string} biome - biome name at this position
  * @param {boolean} isRiver - whether this tile is part of the river
@@ -244,8 +373,10 @@ export function classifyTile(gx, gz, biome, isRiver) {
     }
 
     case 'mountain': {
-      // Height increases toward the map edges — dramatic peaks
-      const edgeDist = Math.min(gx, gz, GRID - 1 - gx, GRID - 1 - gz);
+      // Height increases toward the chunk edges — dramatic peaks
+      const lx = mod(gx, GRID);
+      const lz = mod(gz, GRID);
+      const edgeDist = Math.min(lx, lz, GRID - 1 - lx, GRID - 1 - lz);
 
       // Flat plateau for deep-interior tiles (buildings can be placed here)
       if (edgeDist >= 5 && rng > 0.3) {
@@ -274,29 +405,112 @@ export function classifyTile(gx, gz, biome, isRiver) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Terrain chunks — the map grows by GRID x GRID chunks around the original
+// ---------------------------------------------------------------------------
+
+/** Chunks the map can grow to (a 5x5 block of them). */
+export const MAX_CHUNKS = 25;
+
+/** Non-negative remainder. */
+function mod(n, m) {
+  return ((n % m) + m) % m;
+}
+
+/**
+ * The chunk a world tile lies in; chunk 0,0 is the original map.
+ * @param {number} x - world x
+ * @param {number} z - world z
+ * @returns {{ cx: number, cz: number }}
+ */
+export function chunkOf(x, z) {
+  return { cx: Math.floor((x + HALF) / GRID), cz: Math.floor((z + HALF) / GRID) };
+}
+
+/**
+ * Biome quadrants of a chunk: the original map's, mirrored across every
+ * chunk border so each biome carries on into the neighbouring chunk.
+ * @param {string[]} biomeMap - the original map's quadrants (assignBiomes)
+ * @param {number} cx
+ * @param {number} cz
+ * @returns {string[]}
+ */
+export function chunkBiomeMap(biomeMap, cx, cz) {
+  const flipCol = mod(cx, 2) === 1;
+  const flipRow = mod(cz, 2) === 1;
+  return [0, 1, 2, 3].map(q => {
+    const col = (q % 2) ^ (flipCol ? 1 : 0);
+    const row = Math.floor(q / 2) ^ (flipRow ? 1 : 0);
+    return biomeMap[row * 2 + col];
+  });
+}
+
+/**
+ * The next chunk to add: a neighbour of the existing ones, in rings around
+ * the original map (nearest first, then by z and x) so growth is the same
+ * on every load.
+ * @param {Set<string>} chunkKeys - "cx,cz" of existing chunks
+ * @returns {{ cx: number, cz: number }|null}
+ */
+export function nextChunk(chunkKeys) {
+  const options = [];
+  for (const key of chunkKeys) {
+    const [cx, cz] = key.split(',').map(Number);
+    for (const [dx, dz] of [[1, 0], [0, 1], [-1, 0], [0, -1]]) {
+      if (!chunkKeys.has(`${cx + dx},${cz + dz}`)) options.push({ cx: cx + dx, cz: cz + dz });
+    }
+  }
+  const rank = (c) => [Math.max(Math.abs(c.cx), Math.abs(c.cz)), Math.abs(c.cx) + Math.abs(c.cz), c.cz, c.cx];
+  options.sort((a, b) => {
+    const ra = rank(a);
+    const rb = rank(b);
+    const i = ra.findIndex((v, k) => v !== rb[k]);
+    return i === -1 ? 0 : ra[i] - rb[i];
+  });
+  return options[0] ?? null;
+}
+
 // ---------------------------------------------------------------------------
 // Main terrain generation
 // ---------------------------------------------------------------------------
 
 /**
  * Generates a 28x28 biome-based terrain with a river and adds it to the scene.
+ * With a seed (the server's world seed, GET /api/layout) the biomes and
+ * river are the same on every load.
+ *
+ * When no well-spaced building site is left, the map grows by another
+ * 28x28 chunk at its edge (see nextChunk), up to MAX_CHUNKS. Chunks mirror
+ * the original biome quadrants and the river flows on through them; each is
+ * decorated and merged into static geometry on its own.
  * @param {THREE.Scene} scene
+ * @param {{ seed?: number|null }} [opts]
  * @returns {{
  *   tiles: Map,
  *   waterTiles: Set,
  *   pathTiles: Set,
- *   getAvailableGrassTile: () => ({x: number, z: number}|null),
+ *   buildingTiles: Set,
+ *   version: number,
+ *   getAvailableGrassTile: (prefs?: { biome?: string, near?: { x: number, z: number }[] }) => ({x: number, z: number}|null),
+ *   getBuildableTile: (x: number, z: number) => ({x: number, z: number, biome: string, height: number}|null),
+ *   reserveTiles: (spots: { x: number, z: number }[]) => void,
  *   markTileUsed: (x: number, z: number) => void,
  *   animateWater: (time: number) => void,
  *   addDecorations: (scene: THREE.Scene) => void,
- *   getBiomeAt: (x: number, z: number) => string
+ *   settleChunks: () => void,
+ *   getBiomeAt: (x: number, z: number) => string,
+ *   getBounds: () => { minX: number, maxX: number, minZ: number, maxZ: number },
  * }}
  */
-export function generateTerrain(scene) {
+export function generateTerrain(scene, { seed = null } = {}) {
   const tiles = new Map();        // key "x,z" -> { mesh, type, height, biome }
   const waterTiles = new Set();   // keys "x,z"
   const pathTiles = new Set();
-  const usedTiles = new Set();    // tiles occupied by buildings
+  const usedTiles = new Set();    // tiles occupied by buildings, with a 1-tile margin
+  const buildingTiles = new Set(); // tiles buildings stand on (obstacles for pathfinding.js)
+  const reservedTiles = new Set(); // saved building sites of neighborhoods not (yet) on the map
+  let version = 0;                // bumped whenever tiles or buildingTiles change
+  const random = seed != null ? createRandom(seed) : Math.random;
 
   // Collect water meshes for animation
   const waterMeshes = [];
@@ -331,68 +545,129 @@ export function generateTerrain(scene) {
 
   const terrainGroup = new THREE.Group();
   terrainGroup.name = 'terrain';
+  scene.add(terrainGroup);
+
+  // ── Decoration group (populated later via addDecorations) ──────────────
+  const decorationGroup = new THREE.Group();
+  decorationGroup.name = 'decorations';
+  scene.add(decorationGroup);
+
+  /**
+   * @type {Map<string, { cx: number, cz: number, group: THREE.Group, decorations: THREE.Group,
+   *   waterUUIDs: Set<string>, decorated: boolean, merged: THREE.Group|null, hiddenMeshes: THREE.Mesh[] }>}
+   *   "cx,cz" -> chunk, in the order they were added
+   */
+  const chunks = new Map();
+  const bounds = { minX: -HALF, maxX: HALF - 1, minZ: -HALF, maxZ: HALF - 1 };
 
   // ── Biome assignment ────────────────────────────────────────────────────
-  const biomeMap = assignBiomes();
+  const biomeMap = assignBiomes(random);
 
-  // ── River generation ────────────────────────────────────────────────────
-  const riverTileKeys = generateRiverPath();
+  // ── River generation (the start is kept for chunks added later) ───────
+  const riverCx = riverStart(random);
+  const riverTileKeys = generateRiverPath(random, riverCx);
 
   // ── Bridge location ─────────────────────────────────────────────────────
   const bridge = findBridgeLocation(riverTileKeys);
 
-  // ── Build all tiles ─────────────────────────────────────────────────────
-  for (let gx = 0; gx < GRID; gx++) {
-    for (let gz = 0; gz < GRID; gz++) {
-      const wx = gx - HALF; // world x
-      const wz = gz - HALF; // world z
-
-      const biome = biomeAt(gx, gz, biomeMap);
-      const isRiver = riverTileKeys.has(`${gx},${gz}`);
-      const info = classifyTile(gx, gz, biome, isRiver);
-
-      let mesh;
-
-      if (info.type === 'water') {
-        // ── Water tile: PlaneGeometry with shared ShaderMaterial (GPU ripple) ──
-        const planeGeom = new THREE.PlaneGeometry(1, 1, 8, 8);
-        mesh = new THREE.Mesh(planeGeom, waterShaderMat);
-        mesh.rotation.x = -Math.PI / 2;
-        mesh.position.set(wx, info.height, wz);
-        waterMeshes.push(mesh);
-      } else {
-        // ── Solid tile: BoxGeometry ─────────────────────────────────────
-        const geom = new THREE.BoxGeometry(1, info.height, 1);
-        const mat = new THREE.MeshLambertMaterial({
-          color: info.color,
-          transparent: info.transparent || false,
-          opacity: info.opacity !== undefined ? info.opacity : 1.0,
-        });
-        mesh = new THREE.Mesh(geom, mat);
-        mesh.position.set(wx, info.height / 2, wz);
-        mesh.receiveShadow = true;
-
-        // ── Mountain snow caps on outer ring ────────────────────────────
-        if (info.type === 'mountain_peak') {
-          const snowGeom = new THREE.BoxGeometry(0.8, 0.06, 0.8);
-          const snowMat = new THREE.MeshLambertMaterial({ color: PALETTE.snow });
-          const snowMesh = new THREE.Mesh(snowGeom, snowMat);
-          snowMesh.position.set(0, info.height / 2 + 0.03, 0);
-          snowMesh.receiveShadow = true;
-          mesh.add(snowMesh);
-        }
+  /**
+   * Build the tiles of one chunk. Chunk 0,0 is the original map, with the
+   * river as generateRiverPath laid it out; others take the river's rows
+   * that fall inside them.
+   * @param {number} cx
+   * @param {number} cz
+   */
+  function buildChunk(cx, cz) {
+    const chunk = {
+      cx, cz,
+      group: new THREE.Group(),
+      decorations: new THREE.Group(),
+      waterUUIDs: new Set(),
+      decorated: false,
+      merged: null,
+      hiddenMeshes: [],
+    };
+    chunk.group.name = `terrainChunk:${cx},${cz}`;
+    chunk.decorations.name = `decorationChunk:${cx},${cz}`;
+    chunks.set(`${cx},${cz}`, chunk);
+    version++;
+
+    const gx0 = cx * GRID;
+    const gz0 = cz * GRID;
+    const chunkBiomes = chunkBiomeMap(biomeMap, cx, cz);
+    let river = riverTileKeys;
+    if (cx !== 0 || cz !== 0) {
+      river = new Set();
+      for (let gz = gz0; gz < gz0 + GRID; gz++) {
+        const { x, width } = riverRow(riverCx, gz);
+        for (let dx = 0; dx < width; dx++) river.add(`${x + dx},${gz}`);
       }
+    }
+
+    for (let gx = gx0; gx < gx0 + GRID; gx++) {
+      for (let gz = gz0; gz < gz0 + GRID; gz++) {
+        const wx = gx - HALF; // world x
+        const wz = gz - HALF; // world z
+
+        const biome = biomeAt(gx - gx0, gz - gz0, chunkBiomes);
+        const isRiver = river.has(`${gx},${gz}`);
+        const info = classifyTile(gx, gz, biome, isRiver);
+
+        let mesh;
+
+        if (info.type === 'water') {
+          // ── Water tile: PlaneGeometry with shared ShaderMaterial (GPU ripple) ──
+          const planeGeom = new THREE.PlaneGeometry(1, 1, 8, 8);
+          mesh = new THREE.Mesh(planeGeom, waterShaderMat);
+          mesh.rotation.x = -Math.PI / 2;
+          mesh.position.set(wx, info.height, wz);
+          waterMeshes.push(mesh);
+          chunk.waterUUIDs.add(mesh.uuid);
+        } else {
+          // ── Solid tile: BoxGeometry ─────────────────────────────────────
+          const geom = new THREE.BoxGeometry(1, info.height, 1);
+          const mat = new THREE.MeshLambertMaterial({
+            color: info.color,
+            transparent: info.transparent || false,
+            opacity: info.opacity !== undefined ? info.opacity : 1.0,
+          });
+          mesh = new THREE.Mesh(geom, mat);
+          mesh.position.set(wx, info.height / 2, wz);
+          mesh.receiveShadow = true;
+
+          // ── Mountain snow caps on outer ring ────────────────────────────
+          if (info.type === 'mountain_peak') {
+            const snowGeom = new THREE.BoxGeometry(0.8, 0.06, 0.8);
+            const snowMat = new THREE.MeshLambertMaterial({ color: PALETTE.snow });
+            const snowMesh = new THREE.Mesh(snowGeom, snowMat);
+            snowMesh.position.set(0, info.height / 2 + 0.03, 0);
+            snowMesh.receiveShadow = true;
+            mesh.add(snowMesh);
+          }
+        }
 
-      mesh.userData = { tileType: info.type, biome, gx, gz };
-      terrainGroup.add(mesh);
+        mesh.userData = { tileType: info.type, biome, gx, gz };
+        chunk.group.add(mesh);
 
-      const key = `${wx},${wz}`;
-      tiles.set(key, { mesh, type: info.type, height: info.height, biome });
+        const key = `${wx},${wz}`;
+        tiles.set(key, { mesh, type: info.type, height: info.height, biome });
 
-      if (info.type === 'water') waterTiles.add(key);
+        if (info.type === 'water') waterTiles.add(key);
+      }
     }
+
+    terrainGroup.add(chunk.group);
+    decorationGroup.add(chunk.decorations);
+    bounds.minX = Math.min(bounds.minX, gx0 - HALF);
+    bounds.maxX = Math.max(bounds.maxX, gx0 + GRID - 1 - HALF);
+    bounds.minZ = Math.min(bounds.minZ, gz0 - HALF);
+    bounds.maxZ = Math.max(bounds.maxZ, gz0 + GRID - 1 - HALF);
+    return chunk;
   }
 
+  // ── Build the original map ──────────────────────────────────────────────
+  const origin = buildChunk(0, 0);
+
   // ── Bridge ──────────────────────────────────────────────────────────────
   if (bridge) {
     const bridgeWidth = bridge.maxGx - bridge.minGx + 3; // span + margin
@@ -405,7 +680,7 @@ export function generateTerrain(scene) {
     bridgeMesh.receiveShadow = true;
     bridgeMesh.castShadow = true;
     bridgeMesh.userData = { tileType: 'bridge' };
-    terrainGroup.add(bridgeMesh);
+    origin.group.add(bridgeMesh);
 
     // Mark bridge tiles as path tiles
     for (let gx = bridge.minGx - 1; gx <= bridge.maxGx + 1; gx++) {
@@ -414,12 +689,10 @@ export function generateTerrain(scene) {
     }
   }
 
-  scene.add(terrainGroup);
-
-  // ── Decoration group (populated later via addDecorations) ──────────────
-  const decorationGroup = new THREE.Group();
-  decorationGroup.name = 'decorations';
-  scene.add(decorationGroup);
+  /** Whether mergeStaticGeometry() ran; later chunks are merged as they settle */
+  let mergedOnce = false;
+  /** Whether the merged meshes are shown (false while the heatmap shows the originals) */
+  let showingMerged = true;
 
   // =====================================================================
   // Public API
@@ -429,97 +702,111 @@ export function generateTerrain(scene) {
   const buildingPositions = [];
 
   /**
-   * Get a grass/sand tile suitable for placing a building.
-   * Distributes buildings evenly across biomes (meadow, forest, desert)
-   * with generous spacing between them.
+   * A free tile a building can stand on: grass, sand or mountain plateau,
+   * at least 3 tiles from the map edge and not next to water.
+   * @param {number} x - world x
+   * @param {number} z - world z
+   * @returns {{ x: number, z: number, biome: string, height: number }|null}
    */
-  function getAvailableGrassTile() {
-    const candidates = [];
-    for (let gx = 3; gx < GRID - 3; gx++) {
-      for (let gz = 3; gz < GRID - 3; gz++) {
-        const wx = gx - HALF;
-        const wz = gz - HALF;
-        const key = `${wx},${wz}`;
-        const entry = tiles.get(key);
-        if (!entry) continue;
-
-        // Accept grass, sand, or mountain plateau tiles
-        if (entry.type !== 'grass' && entry.type !== 'sand' && entry.type !== 'mountain_plateau') continue;
-        if (usedTiles.has(key)) continue;
+  function getBuildableTile(x, z) {
+    for (const [dx, dz] of [[-3, -3], [3, -3], [-3, 3], [3, 3]]) {
+      if (!tiles.has(`${x + dx},${z + dz}`)) return null;
+    }
+    const key = `${x},${z}`;
+    const entry = tiles.get(key);
+    if (!entry) return null;
 
-        // 1-tile buffer from water
-        let nearWater = false;
-        for (let dx = -1; dx <= 1 && !nearWater; dx++) {
-          for (let dz = -1; dz <= 1 && !nearWater; dz++) {
-            if (waterTiles.has(`${wx + dx},${wz + dz}`)) nearWater = true;
-          }
-        }
-        if (nearWater) continue;
+    // Accept grass, sand, or mountain plateau tiles
+    if (entry.type !== 'grass' && entry.type !== 'sand' && entry.type !== 'mountain_plateau') return null;
+    if (usedTiles.has(key)) return null;
 
-        candidates.push({ x: wx, z: wz, biome: entry.biome, height: entry.height });
+    // 1-tile buffer from water
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        if (waterTiles.has(`${x + dx},${z + dz}`)) return null;
       }
     }
 
-    if (candidates.length === 0) return null;
+    return { x, z, biome: entry.biome, height: entry.height };
+  }
 
-    // Count existing buildings per biome
-    const biomeCounts = {};
-    for (const bp of buildingPositions) {
-      biomeCounts[bp.biome] = (biomeCounts[bp.biome] || 0) + 1;
-    }
+  /**
+   * Get a grass/sand tile suitable for placing a building.
+   * Distributes buildings evenly across biomes (meadow, forest, desert)
+   * with generous spacing between them, or packs a district into its
+   * biome zone (see pickBuildingTile). When every site is crowded the map
+   * grows by a chunk; only at MAX_CHUNKS are crowded sites, then tiles
+   * reserved for other neighborhoods, taken.
+   * @param {{ biome?: string, near?: { x: number, z: number }[] }} [prefs]
+   */
+  function getAvailableGrassTile(prefs = {}) {
+    for (;;) {
+      const candidates = [];
+      for (const key of tiles.keys()) {
+        const [x, z] = key.split(',').map(Number);
+        const tile = getBuildableTile(x, z);
+        if (tile) candidates.push(tile);
+      }
 
-    // Group candidates by biome
-    const byBiome = {};
-    for (const c of candidates) {
-      if (!byBiome[c.biome]) byBiome[c.biome] = [];
-      byBiome[c.biome].push(c);
+      const unreserved = candidates.filter(c => !reservedTiles.has(`${c.x},${c.z}`));
+      const spaced = pickBuildingTile(unreserved, usedTiles, buildingPositions, { ...prefs, crowded: false });
+      if (spaced) return spaced;
+      if (!expand()) {
+        return pickBuildingTile(unreserved.length > 0 ? unreserved : candidates, usedTiles, buildingPositions, prefs);
+      }
     }
+  }
 
-    // Sort biomes: least populated first
-    const biomeOrder = Object.keys(byBiome).sort(
-      (a, b) => (biomeCounts[a] || 0) - (biomeCounts[b] || 0)
-    );
+  /**
+   * Add the next chunk at the map's edge (see nextChunk).
+   * @returns {boolean} false once the map has MAX_CHUNKS chunks
+   */
+  function expand() {
+    if (chunks.size >= MAX_CHUNKS) return false;
+    const next = nextChunk(new Set(chunks.keys()));
+    if (!next) return false;
+    buildChunk(next.cx, next.cz);
+    return true;
+  }
 
-    // Try each biome in order, find a well-spaced tile
-    for (const biome of biomeOrder) {
-      for (const c of byBiome[biome]) {
-        let tooClose = false;
-        for (const used of usedTiles) {
-          const [ux, uz] = used.split(',').map(Number);
-          if (Math.abs(ux - c.x) <= 5 && Math.abs(uz - c.z) <= 5) {
-            tooClose = true;
-            break;
-          }
+  /**
+   * Keep saved building sites (and their neighbors) for the neighborhoods
+   * they belong to, so new neighborhoods are built elsewhere. Chunks the
+   * sites lie in are added.
+   * @param {{ x: number, z: number }[]} spots
+   */
+  function reserveTiles(spots) {
+    for (const { x, z } of spots) {
+      // A saved building may stand in a chunk added in an earlier visit
+      const { cx, cz } = chunkOf(x, z);
+      if (!chunks.has(`${cx},${cz}`) && chunks.size < MAX_CHUNKS) buildChunk(cx, cz);
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          reservedTiles.add(`${x + dx},${z + dz}`);
         }
-        if (!tooClose) return c;
       }
     }
-
-    // Fallback: any candidate from the least-populated biome
-    if (biomeOrder.length > 0) {
-      return byBiome[biomeOrder[0]][0];
-    }
-    return candidates[0] || null;
   }
 
   /**
-   * Mark a tile (and its neighbors) as used by a building.
+   * Mark a tile (and its neighbors) as used by a building. Buildings are up
+   * to two tiles wide, so the whole 3x3 block is an obstacle for walkers.
    * Also records the building center for biome-balanced placement.
    */
   function markTileUsed(x, z) {
     const key = `${x},${z}`;
-    usedTiles.add(key);
     // Record building center with biome for distribution tracking
     const entry = tiles.get(key);
     if (entry) {
       buildingPositions.push({ x, z, biome: entry.biome });
     }
-    // Also mark neighbors for breathing room
     for (let dx = -1; dx <= 1; dx++) {
       for (let dz = -1; dz <= 1; dz++) {
         usedTiles.add(`${x + dx},${z + dz}`);
+        buildingTiles.add(`${x + dx},${z + dz}`);
       }
     }
+    version++;
   }
 
   /**
@@ -533,11 +820,25 @@ export function generateTerrain(scene) {
   /**
    * Add decorations (trees, rocks, wildflowers) AFTER buildings have been placed.
    * Checks usedTiles to avoid placing decorations on building sites.
+   * Chunks already decorated are left alone.
    * @param {THREE.Scene} targetScene
    */
   function addDecorations(targetScene) {
-    for (let gx = 0; gx < GRID; gx++) {
-      for (let gz = 0; gz < GRID; gz++) {
+    for (const chunk of chunks.values()) {
+      if (!chunk.decorated) decorateChunk(chunk);
+    }
+  }
+
+  /**
+   * Decorate one chunk.
+   * @param {{ cx: number, cz: number, decorations: THREE.Group, decorated: boolean }} chunk
+   */
+  function decorateChunk(chunk) {
+    chunk.decorated = true;
+    const gx0 = chunk.cx * GRID;
+    const gz0 = chunk.cz * GRID;
+    for (let gx = gx0; gx < gx0 + GRID; gx++) {
+      for (let gz = gz0; gz < gz0 + GRID; gz++) {
         const wx = gx - HALF;
         const wz = gz - HALF;
         const key = `${wx},${wz}`;
@@ -570,26 +871,26 @@ export function generateTerrain(scene) {
 
         // ── Forest: trees (15% chance) ──────────────────────────────────
         if (biome === 'forest' && rng < 0.15) {
-          // Don't place trees too close to the edges (leave room for buildings)
-          if (gx < 2 || gx >= GRID - 2 || gz < 2 || gz >= GRID - 2) continue;
+          // Don't place trees too close to the chunk edges (leave room for buildings)
+          if (gx - gx0 < 2 || gx - gx0 >= GRID - 2 || gz - gz0 < 2 || gz - gz0 >= GRID - 2) continue;
 
           const tree = createTree(gx, gz);
           tree.position.set(wx, entry.height, wz);
-          decorationGroup.add(tree);
+          chunk.decorations.add(tree);
         }
 
         // ── Desert: rock formations (8% chance) ─────────────────────────
         if (biome === 'desert' && rng < 0.08) {
           const rocks = createRockFormation(gx, gz);
           rocks.position.set(wx, entry.height, wz);
-          decorationGroup.add(rocks);
+          chunk.decorations.add(rocks);
         }
 
         // ── Mountain: boulders (12% chance, slopes only) ─────────────────
         if (biome === 'mountain' && entry.type === 'mountain' && rng < 0.12) {
           const boulder = createBoulder(gx, gz);
           boulder.position.set(wx, entry.height, wz);
-          decorationGroup.add(boulder);
+          chunk.decorations.add(boulder);
         }
 
       }
@@ -603,29 +904,66 @@ export function generateTerrain(scene) {
    * @returns {string} biome name
    */
   function getBiomeAt(x, z) {
-    const gx = x + HALF;
-    const gz = z + HALF;
-    if (gx < 0 || gx >= GRID || gz < 0 || gz >= GRID) return 'unknown';
-    return biomeAt(gx, gz, biomeMap);
+    return tiles.get(`${Math.round(x)},${Math.round(z)}`)?.biome ?? 'unknown';
+  }
+
+  /**
+   * World extent of the map's tiles, inclusive.
+   * @returns {{ minX: number, maxX: number, minZ: number, maxZ: number }}
+   */
+  function getBounds() {
+    return { ...bounds };
   }
 
   /**
    * Merge all static (non-water) terrain and decoration meshes into batched
-   * draw calls. Call AFTER addDecorations(). Returns swap helpers for heatmap.
+   * draw calls, one set per chunk. Call AFTER addDecorations(). Returns swap
+   * helpers for heatmap, which also cover chunks added later.
    * @returns {{ showOriginals: () => void, showMerged: () => void }}
    */
   function mergeStaticGeometry() {
-    // ── 1. Build skip set from water mesh UUIDs ────────────────────────
-    const waterUUIDs = new Set(waterMeshes.map(m => m.uuid));
+    mergedOnce = true;
+    for (const chunk of chunks.values()) {
+      if (chunk.decorated && !chunk.merged) mergeChunk(chunk);
+    }
+
+    // ── Swap helpers for heatmap ───────────────────────────────────────
+    return {
+      showOriginals() {
+        showingMerged = false;
+        terrainGroup.visible = true;
+        decorationGroup.visible = true;
+        for (const chunk of chunks.values()) {
+          if (!chunk.merged) continue;
+          chunk.merged.visible = false;
+          chunk.decorations.visible = true;
+          for (const m of chunk.hiddenMeshes) m.visible = true;
+        }
+      },
+      showMerged() {
+        showingMerged = true;
+        for (const chunk of chunks.values()) {
+          if (chunk.merged) hideOriginals(chunk);
+        }
+      },
+    };
+  }
 
-    // ── 2. Traverse both groups, collect meshes grouped by materialKey ──
+  /**
+   * Merge one chunk's static meshes (see mergeStaticGeometry).
+   * @param {{ group: THREE.Group, decorations: THREE.Group, waterUUIDs: Set<string>,
+   *   merged: THREE.Group|null, hiddenMeshes: THREE.Mesh[], cx: number, cz: number }} chunk
+   */
+  function mergeChunk(chunk) {
+    // ── 1. Traverse both groups, collect meshes grouped by materialKey ──
+    // (water meshes are skipped: they keep their ShaderMaterial)
     const groups = new Map(); // key -> { geoms: [], color, emissive, emissiveIntensity, castShadow, receiveShadow }
     const hiddenMeshes = [];  // originals to hide
 
     function collectMeshes(root) {
       root.traverse((child) => {
         if (!child.isMesh) return;
-        if (waterUUIDs.has(child.uuid)) return;
+        if (chunk.waterUUIDs.has(child.uuid)) return;
 
         const mat = child.material;
         const colorHex = mat.color ? mat.color.getHex() : 0;
@@ -654,12 +992,12 @@ export function generateTerrain(scene) {
       });
     }
 
-    collectMeshes(terrainGroup);
-    collectMeshes(decorationGroup);
+    collectMeshes(chunk.group);
+    collectMeshes(chunk.decorations);
 
-    // ── 4. Merge each group into a single mesh ─────────────────────────
+    // ── 2. Merge each group into a single mesh ─────────────────────────
     const mergedGroup = new THREE.Group();
-    mergedGroup.name = 'mergedStatic';
+    mergedGroup.name = `mergedStatic:${chunk.cx},${chunk.cz}`;
 
     for (const [, grp] of groups) {
       if (grp.geoms.length === 0) continue;
@@ -680,36 +1018,39 @@ export function generateTerrain(scene) {
       mergedGroup.add(mesh);
     }
 
-    // ── 4. Hide originals ──────────────────────────────────────────────
-    for (const m of hiddenMeshes) {
-      m.visible = false;
+    chunk.merged = mergedGroup;
+    chunk.hiddenMeshes = hiddenMeshes;
+    scene.add(mergedGroup);
+
+    // ── 3. Hide originals (unless the heatmap is showing them) ─────────
+    if (showingMerged) {
+      hideOriginals(chunk);
+    } else {
+      mergedGroup.visible = false;
     }
-    decorationGroup.visible = false;
+  }
 
-    // ── 5. Add merged group to scene ───────────────────────────────────
-    scene.add(mergedGroup);
+  /**
+   * Show a chunk's merged meshes in place of its originals (water stays).
+   * @param {{ merged: THREE.Group, decorations: THREE.Group, hiddenMeshes: THREE.Mesh[] }} chunk
+   */
+  function hideOriginals(chunk) {
+    for (const m of chunk.hiddenMeshes) m.visible = false;
+    chunk.decorations.visible = false;
+    chunk.merged.visible = true;
+  }
 
-    // ── 8. Swap helpers for heatmap ────────────────────────────────────
-    return {
-      showOriginals() {
-        mergedGroup.visible = false;
-        terrainGroup.visible = true;
-        decorationGroup.visible = true;
-        for (const m of hiddenMeshes) m.visible = true;
-      },
-      showMerged() {
-        for (const m of hiddenMeshes) m.visible = false;
-        decorationGroup.visible = false;
-        terrainGroup.visible = true; // water meshes still need to be visible
-        // Re-hide non-water terrain meshes
-        terrainGroup.traverse((child) => {
-          if (child.isMesh && !waterUUIDs.has(child.uuid)) {
-            child.visible = false;
-          }
-        });
-        mergedGroup.visible = true;
-      },
-    };
+  /**
+   * Decorate and merge chunks added since mergeStaticGeometry() ran, once
+   * their buildings are placed. Does nothing before the first merge.
+   */
+  function settleChunks() {
+    if (!mergedOnce) return;
+    for (const chunk of chunks.values()) {
+      if (chunk.merged) continue;
+      if (!chunk.decorated) decorateChunk(chunk);
+      mergeChunk(chunk);
+    }
   }
 
   /**
@@ -734,11 +1075,18 @@ export function generateTerrain(scene) {
     tiles,
     waterTiles,
     pathTiles,
+    buildingTiles,
+    /** Changes whenever tiles or buildingTiles do (see PathPlanner) */
+    get version() { return version; },
     getAvailableGrassTile,
+    getBuildableTile,
+    reserveTiles,
     markTileUsed,
     animateWater,
     addDecorations,
+    settleChunks,
     getBiomeAt,
+    getBounds,
     getHeightAt,
     mergeStaticGeometry,
   };
@@ -3,7 +3,7 @@
 
 import * as THREE from 'three';
 import { rankDisplayTitle } from './units.js';
-import { escapeHTML } from './utils.js';
+import { escapeHTML, describeAgentFlags, describeHost } from './utils.js';
 
 // ---------------------------------------------------------------------------
 // Pure helpers (exported for testing)
@@ -75,7 +75,7 @@ export function computeTooltipPosition(mouseX, mouseY, tooltipWidth, tooltipHeig
 /**
  * Format tooltip HTML from unit and session data.
  * @param {{ unitName: string, unitClass: string, rank: string|null }} unitData
- * @param {{ state: string, cpu: number, mem: number, age_seconds: number, group: string }|null} session
+ * @param {{ state: string, cpu: number, mem: number, age_seconds: number, group: string, faction?: string, agent_args?: object, host?: object|null }|null} session
  * @returns {string} HTML string
  */
 export function formatTooltipHTML(unitData, session) {
@@ -94,6 +94,16 @@ export function formatTooltipHTML(unitData, session) {
     html += `<div class="tooltip-row"><span class="tooltip-label">Memory</span><span class="tooltip-value">${session.mem} MB</span></div>`;
     html += `<div class="tooltip-row"><span class="tooltip-label">Uptime</span><span class="tooltip-value">${formatUptime(session.age_seconds)}</span></div>`;
     html += `<div class="tooltip-row"><span class="tooltip-label">Desk</span><span class="tooltip-value">${escapeHTML(session.group)}</span></div>`;
+    if (session.faction) {
+      html += `<div class="tooltip-row"><span class="tooltip-label">Agent</span><span class="tooltip-value">${escapeHTML(session.faction)}</span></div>`;
+    }
+    for (const { label, value, warning } of describeAgentFlags(session.agent_args)) {
+      const warnClass = warning ? ' tooltip-warning' : '';
+      html += `<div class="tooltip-row"><span class="tooltip-label">${label}</span><span class="tooltip-value${warnClass}">${escapeHTML(value)}</span></div>`;
+    }
+    if (session.host && session.host.kind !== 'unknown') {
+      html += `<div class="tooltip-row"><span class="tooltip-label">Terminal</span><span class="tooltip-value">${escapeHTML(describeHost(session.host))}</span></div>`;
+    }
     if (session.owner) {
       const dotColor = session.ownerColor || '#60C0F0';
       html += `<div class="tooltip-row"><span class="tooltip-label">Player</span><span class="tooltip-value"><span class="owner-dot" style="background:${dotColor}"></span> ${escapeHTML(session.owner)}</span></div>`;
@@ -205,7 +215,7 @@ export class TooltipManager {
       let obj = hit.object;
       while (obj) {
         if (obj.userData && obj.userData.type === 'unit') {
-          foundUnit = obj;
+          if (obj.visible) foundUnit = obj;
           break;
         }
         obj = obj.parent;
@@ -39,6 +39,7 @@ const CLASS_COLORS = {
   Principal:  0xB898E0,
   Security:   0xA8A0A8,
   Barista:    0xC89870,
+  Courier:    0xD8B050,
 };
 
 /** Medieval names for deterministic assignment via PID. */
@@ -54,6 +55,25 @@ const NAMES = [
   'Silas', 'Tamsin', 'Ulric', 'Vivienne', 'Wulfric',
 ];
 
+/**
+ * Per-agent-type hats (session.agent_type). Claude keeps the plain villager
+ * look; other built-ins get a fixed hat, custom registry types a hashed one.
+ */
+const AGENT_LOOKS = {
+  aider:  { color: 0x6FB070, hat: 'cone' },
+  codex:  { color: 0x5A6070, hat: 'cap' },
+  gemini: { color: 0x7898E8, hat: 'circlet' },
+};
+const CUSTOM_HAT_COLORS = [0xD07070, 0xD0A040, 0x60B8B0, 0xB070C0, 0x8088A0];
+
+/** Hat geometry, height above the body, and how far it lifts the rank pip. */
+const HAT_SHAPES = {
+  cone:    { y: 0.34, badgeLift: 0.16, geom: () => new THREE.ConeGeometry(0.11, 0.18, 10) },
+  cap:     { y: 0.27, badgeLift: 0.04, geom: () => new THREE.CylinderGeometry(0.11, 0.13, 0.07, 12) },
+  circlet: { y: 0.22, badgeLift: 0,    geom: () => new THREE.TorusGeometry(0.11, 0.02, 6, 16) },
+};
+const HAT_SHAPE_NAMES = Object.keys(HAT_SHAPES);
+
 /** Barista accessory set (coffee-themed). */
 const BARISTA_ACCESSORIES = ['coffeeCup', 'milkJug', 'beanGrinder', 'portafilter', 'latteArtPlate'];
 
@@ -63,13 +83,15 @@ const BARISTA_ACCESSORIES = ['coffeeCup', 'milkJug', 'beanGrinder', 'portafilter
 
 /**
  * Determines a unit's role from session data.
- * Priority: Security > Intern > Engineer > Analyst > Principal > Researcher > Barista.
- * @param {{ state: string, has_children: boolean, age_seconds: number }} session
+ * Priority: Courier > Security > Intern > Engineer > Analyst > Principal > Researcher > Barista.
+ * Couriers are headless runs (`claude -p` and friends): in, work, out.
+ * @param {{ state: string, has_children: boolean, age_seconds: number, interactive?: boolean }} session
  * @returns {string} Role name.
  */
 export function classifyUnit(session) {
   const { state, has_children, age_seconds } = session;
 
+  if (session.interactive === false)                          return 'Courier';
   if (state === 'stale')                                      return 'Security';
   if (age_seconds < 120)                                      return 'Intern';
   if (state === 'active' && has_children)                     return 'Engineer';
@@ -161,7 +183,7 @@ function buildRankBadge(rank) {
 
 /**
  * Creates a unit (villager) mesh group based on session data.
- * @param {{ id: string, pid: number, state: string, has_children: boolean, age_seconds: number }} session
+ * @param {{ id: string, pid: number, state: string, has_children: boolean, age_seconds: number, agent_type?: string }} session
  * @returns {THREE.Group}
  */
 export function createUnit(session) {
@@ -207,9 +229,21 @@ export function createUnit(session) {
     group.add(accessory);
   }
 
+  // --- Agent faction hat ---
+  const agentType = session.agent_type || 'claude';
+  const look = agentLook(agentType);
+  if (look) group.add(buildAgentHat(look, bodyDims.height));
+
+  // --- Skipped-permissions warning (unsupervised agent) ---
+  if (isUnsupervised(session)) group.add(buildPermissionWarning(bodyDims.height));
+
   // --- Rank badge ---
   const rank = rankFromAge(session.age_seconds ?? 0);
-  if (rank) group.add(buildRankBadge(rank));
+  if (rank) {
+    const badge = buildRankBadge(rank);
+    if (look) badge.position.y += HAT_SHAPES[look.hat].badgeLift;
+    group.add(badge);
+  }
 
   // --- Persistent name ---
   const unitName = nameFromPid(session.pid ?? hashStringToIndex(session.id || '', NAMES.length));
@@ -227,6 +261,7 @@ export function createUnit(session) {
     unitClass,
     unitName,
     rank,
+    agentType,
     owner:      session.owner || null,
     ownerColor: session.ownerColor || null,
     baseY: 0,
@@ -246,6 +281,7 @@ function classDimensions(unitClass) {
   switch (unitClass) {
     case 'Engineer':   return { radiusTop: 0.18, radiusBottom: 0.21, height: 0.4  };
     case 'Researcher': return { radiusTop: 0.13, radiusBottom: 0.15, height: 0.45 };
+    case 'Courier':    return { radiusTop: 0.12, radiusBottom: 0.14, height: 0.4  };
     default:           return { radiusTop: 0.15, radiusBottom: 0.18, height: 0.4  };
   }
 }
@@ -264,6 +300,7 @@ function buildClassAccessory(unitClass, accent, session) {
     case 'Principal':  return buildCape(accent);
     case 'Barista':    return buildBaristaAccessory(session);
     case 'Security':   return buildKeycard(accent);
+    case 'Courier':    return buildSatchel(accent);
     default:           return null;
   }
 }
@@ -410,6 +447,27 @@ function buildKeycard(color) {
   return card;
 }
 
+/** Courier -- satchel on a shoulder strap (headless runs delivering one job). */
+function buildSatchel(color) {
+  const g = new THREE.Group();
+  const bag = new THREE.Mesh(
+    cachedGeom('satchel-bag', () => new THREE.BoxGeometry(0.1, 0.08, 0.05)),
+    cachedMat(`satchel-${color}`, () => new THREE.MeshLambertMaterial({ color })),
+  );
+  bag.position.set(0.15, 0.22, 0.04);
+  bag.castShadow = true;
+  g.add(bag);
+
+  const strap = new THREE.Mesh(
+    cachedGeom('satchel-strap', () => new THREE.BoxGeometry(0.02, 0.34, 0.16)),
+    cachedMat('satchel-strap', () => new THREE.MeshLambertMaterial({ color: 0x6B5A3E })),
+  );
+  strap.position.set(0.02, 0.36, 0);
+  strap.rotation.z = -0.6;
+  g.add(strap);
+  return g;
+}
+
 // ---------------------------------------------------------------------------
 // Barista Accessories (coffee-themed, replaces Peasant legacy items)
 // ---------------------------------------------------------------------------
@@ -542,6 +600,61 @@ function buildLatteArtPlate() {
   return g;
 }
 
+// ---------------------------------------------------------------------------
+// Agent Faction Hats & Launch-Flag Markers
+// ---------------------------------------------------------------------------
+
+/**
+ * Hat colour and shape for an agent type, or null for the plain (Claude) look.
+ * Unknown types get a stable look derived from the type name.
+ * @param {string} [agentType]
+ * @returns {{ color: number, hat: string }|null}
+ */
+export function agentLook(agentType) {
+  if (!agentType || agentType === 'claude') return null;
+  return AGENT_LOOKS[agentType] ?? {
+    color: CUSTOM_HAT_COLORS[hashStringToIndex(agentType, CUSTOM_HAT_COLORS.length)],
+    hat:   HAT_SHAPE_NAMES[hashStringToIndex(`${agentType}:hat`, HAT_SHAPE_NAMES.length)],
+  };
+}
+
+/** Hat sitting on the head; geometry and material are shared per look. */
+function buildAgentHat(look, bodyHeight) {
+  const shape = HAT_SHAPES[look.hat];
+  const hat = new THREE.Mesh(
+    cachedGeom(`hat-${look.hat}`, shape.geom),
+    cachedMat(`hat-${look.color}`, () => new THREE.MeshLambertMaterial({ color: look.color })),
+  );
+  hat.position.y = bodyHeight + shape.y;
+  if (look.hat === 'circlet') hat.rotation.x = Math.PI / 2;
+  hat.castShadow = true;
+  hat.name = 'agentHat';
+  return hat;
+}
+
+/**
+ * True for sessions launched with permission checks skipped
+ * (--dangerously-skip-permissions or --permission-mode bypassPermissions).
+ * @param {{ agent_args?: { skip_permissions?: boolean } }} session
+ * @returns {boolean}
+ */
+export function isUnsupervised(session) {
+  return session?.agent_args?.skip_permissions === true;
+}
+
+/** Glowing red warning pyramid floating by the unit's shoulder. */
+function buildPermissionWarning(bodyHeight) {
+  const sign = new THREE.Mesh(
+    cachedGeom('permission-warning', () => new THREE.ConeGeometry(0.055, 0.1, 3)),
+    cachedMat('permission-warning', () => new THREE.MeshLambertMaterial({
+      color: 0xD87068, emissive: 0xD87068, emissiveIntensity: 0.6,
+    })),
+  );
+  sign.position.set(0.2, bodyHeight + 0.3, 0.05);
+  sign.name = 'permissionWarning';
+  return sign;
+}
+
 // ---------------------------------------------------------------------------
 // Player Banner (multi-person mode)
 // ---------------------------------------------------------------------------
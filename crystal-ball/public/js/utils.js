@@ -43,3 +43,121 @@ export function formatUptime(seconds) {
   if (mins > 0) return `${mins}m ${secs}s`;
   return `${secs}s`;
 }
+
+/** Prefixes for hosts whose name alone would be ambiguous (a tmux session called "work"). */
+const HOST_KIND_LABELS = { tmux: 'tmux', screen: 'screen', ssh: 'SSH' };
+
+/**
+ * One-line description of what a session runs inside (session.host), e.g.
+ * "tmux work · window 2 (logs), pane 1" or "VS Code · pts/4". Falls back to
+ * the raw tty when the host is unknown or missing (older servers).
+ * @param {{ kind: string, name: string|null, detail: string|null }|null|undefined} host
+ * @param {string} [tty]
+ * @returns {string}
+ */
+export function describeHost(host, tty) {
+  if (!host || host.kind === 'unknown') return tty || '\u2014';
+  const label = HOST_KIND_LABELS[host.kind];
+  const head = label ? [label, host.name].filter(Boolean).join(' ') : (host.name || host.kind);
+  return host.detail ? `${head} \u00b7 ${host.detail}` : head;
+}
+
+/**
+ * The tmux pane a session runs in (its preview/focus target), or null.
+ * @param {{ host?: { kind: string, pane?: string }|null }} session
+ * @returns {string|null}
+ */
+export function tmuxPaneOf(session) {
+  return session?.host?.kind === 'tmux' && session.host.pane ? session.host.pane : null;
+}
+
+/**
+ * True for sessions running on this machine -- the only ones the server can
+ * preview or signal. In the multi-person view those are the local user's.
+ * @param {{ owner?: string }} session
+ * @param {string|null} [localUser] -- this user's name in multi mode
+ * @returns {boolean}
+ */
+export function isLocalSession(session, localUser = null) {
+  return !session?.owner || session.owner === localUser;
+}
+
+/**
+ * The file a session touched most recently according to its Mode 2 context:
+ * the newest write, else the newest read. Mirrors the server's pick for
+ * "Open last file".
+ * @param {{ files?: { read: string[], written: string[] } }|null|undefined} context
+ * @returns {string|null}
+ */
+export function lastTouchedFile(context) {
+  return context?.files?.written?.[0] ?? context?.files?.read?.[0] ?? null;
+}
+
+/**
+ * Display rows for a session's parsed launch flags (agent_args). Skipped
+ * permissions are flagged as a warning; empty args produce no rows.
+ * @param {{ model?: string, permission_mode?: string, skip_permissions?: boolean, print?: boolean, resume?: string|boolean, continue?: boolean }|null|undefined} args
+ * @returns {Array<{ label: string, value: string, warning?: boolean }>}
+ */
+export function describeAgentFlags(args) {
+  if (!args) return [];
+  const rows = [];
+  if (args.model) rows.push({ label: 'Model', value: args.model });
+
+  if (args.skip_permissions) {
+    rows.push({ label: 'Permissions', value: 'Skipped (unsupervised)', warning: true });
+  } else if (args.permission_mode) {
+    rows.push({ label: 'Permissions', value: args.permission_mode });
+  }
+
+  const launch = [];
+  if (args.print) launch.push('Headless (-p)');
+  if (args.resume) launch.push(typeof args.resume === 'string' ? `Resumed ${args.resume.slice(0, 8)}` : 'Resumed');
+  if (args.continue) launch.push('Continued');
+  if (launch.length > 0) rows.push({ label: 'Launch', value: launch.join(', ') });
+
+  return rows;
+}
+
+/** Uncommitted files that make a building's banner warn when nothing was committed in the last hour. */
+export const UNCOMMITTED_WARN = 10;
+/** Uncommitted files that make it alert regardless of recent commits. */
+export const UNCOMMITTED_ALERT = 25;
+
+/**
+ * How badly uncommitted work is piling up in a neighborhood: 'alert' past
+ * UNCOMMITTED_ALERT files, 'warn' past UNCOMMITTED_WARN with no commit in
+ * the last hour, else null.
+ * @param {{ dirty: number, commits_last_hour: number }|null|undefined} git -- group.git
+ * @returns {'warn'|'alert'|null}
+ */
+export function uncommittedLevel(git) {
+  if (!git) return null;
+  if (git.dirty >= UNCOMMITTED_ALERT) return 'alert';
+  if (git.dirty >= UNCOMMITTED_WARN && git.commits_last_hour === 0) return 'warn';
+  return null;
+}
+
+/**
+ * Display rows for a neighborhood's git status (group.git). Piled-up
+ * uncommitted work is flagged as a warning; no status produces no rows.
+ * @param {{ branch: string|null, upstream: string|null, ahead: number|null, behind: number|null, dirty: number, last_commit: { subject: string, at: string }|null, commits_last_hour: number }|null|undefined} git
+ * @param {number} [now] -- epoch ms
+ * @returns {Array<{ label: string, value: string, warning?: boolean }>}
+ */
+export function describeGitStatus(git, now = Date.now()) {
+  if (!git) return [];
+  const tracking = git.upstream
+    ? ` (↑${git.ahead ?? 0} ↓${git.behind ?? 0} ${git.upstream})`
+    : ' (no upstream)';
+  const rows = [
+    { label: 'Branch', value: `${git.branch ?? 'detached HEAD'}${tracking}` },
+    { label: 'Uncommitted', value: `${git.dirty} file${git.dirty !== 1 ? 's' : ''}`, warning: uncommittedLevel(git) !== null },
+  ];
+  if (git.last_commit) {
+    const age = (now - Date.parse(git.last_commit.at)) / 1000;
+    rows.push({ label: 'Last commit', value: `${git.last_commit.subject} (${formatUptime(Math.max(0, age))} ago)` });
+  }
+  rows.push({ label: 'Commits (1h)', value: String(git.commits_last_hour) });
+  return rows;
+}
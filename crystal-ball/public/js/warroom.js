@@ -1,7 +1,10 @@
 // warroom.js -- Trading Floor stats dashboard panel.
-// Slide-in panel with portfolio overview, desk leaderboard, and trade log.
+// Slide-in panel with portfolio overview, desk leaderboard, courier
+// throughput, and trade log. The overview can stop every stale local
+// session at once ("Dismiss all stale").
 
-import { escapeHTML, countSessionStates } from './utils.js';
+import { escapeHTML, countSessionStates, formatUptime, isLocalSession } from './utils.js';
+import { signalSession } from './api.js';
 
 // ---------------------------------------------------------------------------
 // Pure helper functions (exported for testing)
@@ -49,15 +52,81 @@ export function sortedLeaderboard(groupsWithSessions) {
     .sort((a, b) => b.score - a.score);
 }
 
+/**
+ * Aggregate the schema v2 sidecar fields of Mode 2 sessions: todo progress,
+ * running subagents, tool calls and the models in use. v1 contexts simply
+ * contribute nothing.
+ * @param {Array<{context?: {todos?: {total: number, completed: number}|null, subagents?: number, tool_counts?: Record<string, number>, model?: string|null}}>} sessions
+ * @param {number} [topN] -- how many tools to list
+ * @returns {{todosTotal: number, todosCompleted: number, subagents: number, toolCalls: number, topTools: Array<{tool: string, count: number}>, models: Array<{model: string, count: number}>}}
+ */
+export function summarizeMode2Context(sessions, topN = 3) {
+  let todosTotal = 0;
+  let todosCompleted = 0;
+  let subagents = 0;
+  let toolCalls = 0;
+  const tools = new Map();
+  const models = new Map();
+
+  for (const s of sessions) {
+    const ctx = s.context;
+    if (!ctx) continue;
+    if (ctx.todos) {
+      todosTotal += ctx.todos.total;
+      todosCompleted += ctx.todos.completed;
+    }
+    subagents += ctx.subagents ?? 0;
+    for (const [tool, count] of Object.entries(ctx.tool_counts ?? {})) {
+      tools.set(tool, (tools.get(tool) ?? 0) + count);
+      toolCalls += count;
+    }
+    if (ctx.model) models.set(ctx.model, (models.get(ctx.model) ?? 0) + 1);
+  }
+
+  const byCount = (a, b) => b[1] - a[1] || a[0].localeCompare(b[0]);
+  return {
+    todosTotal,
+    todosCompleted,
+    subagents,
+    toolCalls,
+    topTools: [...tools].sort(byCount).slice(0, topN).map(([tool, count]) => ({ tool, count })),
+    models: [...models].sort(byCount).map(([model, count]) => ({ model, count })),
+  };
+}
+
+/**
+ * Display values for headless-run throughput (metrics.throughput). Failures
+ * are listed by exit status, most frequent first. Returns null when no
+ * headless runs have been seen in the window.
+ * @param {{ running: number, runsPerHour: number, meanDurationSeconds: number|null, succeeded: number, failed: number, unknown: number, failures: Record<string, number> }|null|undefined} throughput
+ * @returns {{ running: number, runsPerHour: number, meanDuration: string, successRate: string, failures: Array<{status: number, count: number}> }|null}
+ */
+export function summarizeThroughput(throughput) {
+  if (!throughput) return null;
+  const finished = throughput.succeeded + throughput.failed + throughput.unknown;
+  if (finished === 0 && throughput.running === 0) return null;
+
+  const known = throughput.succeeded + throughput.failed;
+  return {
+    running: throughput.running,
+    runsPerHour: throughput.runsPerHour,
+    meanDuration: formatUptime(throughput.meanDurationSeconds),
+    successRate: known > 0 ? Math.round(throughput.succeeded / known * 100) + '%' : '\u2014',
+    failures: Object.entries(throughput.failures ?? {})
+      .map(([status, count]) => ({ status: Number(status), count }))
+      .sort((a, b) => b.count - a.count || a.status - b.status),
+  };
+}
+
 /**
  * Detect state transitions between two snapshots.
  * @param {Map<string, string>} prevStates — pid → state
  * @param {Array<{id: string, state: string, group: string}>} currentSessions
+ * @param {Date} [now] — time to stamp on transitions (snapshot time during replay)
  * @returns {Array<{sessionId: string, group: string, fromState: string, toState: string, time: Date}>}
  */
-export function detectTransitions(prevStates, currentSessions) {
+export function detectTransitions(prevStates, currentSessions, now = new Date()) {
   const transitions = [];
-  const now = new Date();
   for (const s of currentSessions) {
     const prev = prevStates.get(s.id);
     if (prev === undefined) {
@@ -82,6 +151,41 @@ export function detectTransitions(prevStates, currentSessions) {
   return transitions;
 }
 
+/**
+ * Detect sessions that moved between two snapshots: to another group (a
+ * long-lived session cd'd into another project), or to another directory
+ * in the same group (e.g. into another sub-neighborhood).
+ * @param {Map<string, {group: string, cwd: string}>} prevPlaces — session id → group and cwd
+ * @param {Array<{id: string, group: string, cwd: string}>} currentSessions
+ * @param {Date} [now] — time to stamp on moves (snapshot time during replay)
+ * @returns {Array<{sessionId: string, group: string, fromGroup?: string, fromCwd?: string, cwd?: string, time: Date}>}
+ */
+export function detectRelocations(prevPlaces, currentSessions, now = new Date()) {
+  const moves = [];
+  for (const s of currentSessions) {
+    const prev = prevPlaces.get(s.id);
+    if (prev === undefined) continue;
+    if (prev.group !== s.group) {
+      moves.push({ sessionId: s.id, group: s.group, fromGroup: prev.group, time: now });
+    } else if (prev.cwd !== s.cwd) {
+      moves.push({ sessionId: s.id, group: s.group, fromCwd: prev.cwd, cwd: s.cwd, time: now });
+    }
+  }
+  return moves;
+}
+
+/**
+ * Short names for the two directories of a move within a group: their last
+ * path segments, or the full paths when those are the same.
+ * @param {string} from
+ * @param {string} to
+ * @returns {[string, string]}
+ */
+function moveLabels(from, to) {
+  const last = p => String(p ?? '').split('/').filter(Boolean).pop() ?? '/';
+  return last(from) === last(to) ? [from, to] : [last(from), last(to)];
+}
+
 /**
  * Format a Date to HH:MM string.
  * @param {Date} d
@@ -92,6 +196,16 @@ function hhmm(d) {
          String(d.getMinutes()).padStart(2, '0');
 }
 
+/**
+ * Sessions "Dismiss all stale" would stop: stale ones on this machine.
+ * @param {Array<{ id: string, state: string, owner?: string }>} sessions
+ * @param {string|null} [localUser] -- this user's name in multi mode
+ * @returns {Array<object>}
+ */
+export function dismissableSessions(sessions, localUser = null) {
+  return sessions.filter(s => s.state === 'stale' && isLocalSession(s, localUser));
+}
+
 // ---------------------------------------------------------------------------
 // WarRoom class
 // ---------------------------------------------------------------------------
@@ -100,8 +214,20 @@ export class WarRoom {
   constructor() {
     /** @type {Map<string, string>} pid → state from last update */
     this._prevStates = new Map();
-    /** @type {Array<{sessionId: string, group: string, fromState: string, toState: string, time: Date}>} */
+    /** @type {Map<string, {group: string, cwd: string}>} pid → group and cwd from last update */
+    this._prevPlaces = new Map();
+    /**
+     * State transitions, moves to another group (fromGroup set) and moves
+     * within a group (fromCwd set)
+     * @type {Array<{sessionId: string, group: string, fromState?: string, toState?: string, fromGroup?: string, fromCwd?: string, cwd?: string, time: Date}>}
+     */
     this._feed = [];
+    /** Sessions from the last update */
+    this._sessions = [];
+    /** "Dismiss all stale" progress: confirming, sending, or the last outcome */
+    this._dismiss = { armed: false, busy: false, result: null };
+    /** This user's name in multi mode (set once the mode is known) */
+    this.localUser = null;
 
     // Build the panel DOM
     this.el = document.createElement('div');
@@ -116,6 +242,7 @@ export class WarRoom {
       <div class="warroom-section" data-section="overview">
         <div class="warroom-section-title">Portfolio Overview</div>
         <div class="warroom-overview-body"></div>
+        <div class="warroom-dismiss"></div>
       </div>
       <div class="warroom-section" data-section="leaderboard">
         <div class="warroom-section-title">Desk Leaderboard</div>
@@ -125,6 +252,10 @@ export class WarRoom {
         <div class="warroom-section-title">Mode 2 Intel</div>
         <div class="warroom-mode2-body"></div>
       </div>
+      <div class="warroom-section" data-section="couriers">
+        <div class="warroom-section-title">Courier Throughput</div>
+        <div class="warroom-couriers-body"></div>
+      </div>
       <div class="warroom-section" data-section="feed">
         <div class="warroom-section-title">Trade Log</div>
         <div class="warroom-feed"></div>
@@ -135,6 +266,15 @@ export class WarRoom {
 
     // Wire close button
     this.el.querySelector('.warroom-close').addEventListener('click', () => this.hide());
+
+    // Wire "Dismiss all stale" (re-rendered each update, so delegated)
+    this.el.querySelector('.warroom-dismiss').addEventListener('click', (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action === 'dismiss-stale') this._dismiss = { armed: true, busy: false, result: null };
+      else if (action === 'dismiss-cancel') this._dismiss.armed = false;
+      else if (action === 'dismiss-confirm') return this._dismissStale();
+      this._renderDismiss();
+    });
   }
 
   // ── Visibility ───────────────────────────────────────────────────────────
@@ -159,6 +299,13 @@ export class WarRoom {
     return !this.el.classList.contains('hidden');
   }
 
+  /** Forget previous states and the feed (e.g. when switching to/from replay). */
+  reset() {
+    this._prevStates = new Map();
+    this._prevPlaces = new Map();
+    this._feed = [];
+  }
+
   // ── Update (called each poll cycle) ──────────────────────────────────────
 
   /**
@@ -169,21 +316,30 @@ export class WarRoom {
     const groups = apiData.groups || [];
 
     // --- Detect transitions before updating prevStates ---
-    const transitions = detectTransitions(this._prevStates, sessions);
+    // Stamp with the snapshot's own time so replayed feeds show when it happened
+    const snapshotTime = apiData.timestamp ? new Date(apiData.timestamp) : new Date();
+    const transitions = [
+      ...detectRelocations(this._prevPlaces, sessions, snapshotTime),
+      ...detectTransitions(this._prevStates, sessions, snapshotTime),
+    ];
 
     // Prepend new transitions to feed (newest first), cap at 20
     if (transitions.length > 0) {
       this._feed = [...transitions, ...this._feed].slice(0, 20);
     }
 
-    // Update prevStates for next cycle
+    // Update prevStates and prevPlaces for next cycle
     this._prevStates = new Map();
+    this._prevPlaces = new Map();
     for (const s of sessions) {
       this._prevStates.set(s.id, s.state);
+      this._prevPlaces.set(s.id, { group: s.group, cwd: s.cwd });
     }
 
     // --- Army Overview ---
+    this._sessions = sessions;
     this._renderOverview(sessions, apiData.users);
+    this._renderDismiss();
 
     // --- Mode 2 Intel ---
     this._renderMode2(sessions);
@@ -191,6 +347,9 @@ export class WarRoom {
     // --- Platoon Leaderboard ---
     this._renderLeaderboard(sessions, groups);
 
+    // --- Courier Throughput ---
+    this._renderCouriers(apiData.metrics?.throughput);
+
     // --- Activity Feed ---
     this._renderFeed();
   }
@@ -259,6 +418,54 @@ export class WarRoom {
     `;
   }
 
+  _renderDismiss() {
+    const el = this.el.querySelector('.warroom-dismiss');
+    const count = dismissableSessions(this._sessions, this.localUser).length;
+    const plural = count !== 1 ? 's' : '';
+    const { armed, busy, result } = this._dismiss;
+
+    if (busy) {
+      el.innerHTML = '<span class="warroom-dismiss-note">Stopping stale sessions…</span>';
+    } else if (armed && count > 0) {
+      el.innerHTML = `
+        <span class="warroom-dismiss-note">SIGTERM ${count} stale session${plural}?</span>
+        <button class="warroom-btn danger" data-action="dismiss-confirm">Confirm</button>
+        <button class="warroom-btn" data-action="dismiss-cancel">Cancel</button>
+      `;
+    } else {
+      el.innerHTML = `
+        ${count > 0 ? `<button class="warroom-btn" data-action="dismiss-stale">Dismiss all stale (${count})</button>` : ''}
+        ${result ? `<span class="warroom-dismiss-note">${escapeHTML(result)}</span>` : ''}
+      `.trim();
+    }
+  }
+
+  /**
+   * SIGTERM every stale local session, one request at a time. Each request
+   * is conditional on the session still being stale.
+   */
+  async _dismissStale() {
+    const targets = dismissableSessions(this._sessions, this.localUser);
+    this._dismiss = { armed: false, busy: true, result: null };
+    this._renderDismiss();
+
+    let stopped = 0;
+    let skipped = 0;
+    let failed = 0;
+    for (const s of targets) {
+      const { ok, status } = await signalSession(s.id, { signal: 'SIGTERM', if_state: 'stale', source: 'dismiss-stale' });
+      if (ok) stopped++;
+      else if (status === 404 || status === 409 || status === 410) skipped++; // gone or woke up
+      else failed++;
+    }
+
+    const parts = [`${stopped} stopped`];
+    if (skipped > 0) parts.push(`${skipped} skipped`);
+    if (failed > 0) parts.push(`${failed} failed`);
+    this._dismiss = { armed: false, busy: false, result: parts.join(', ') };
+    this._renderDismiss();
+  }
+
   /**
    * @param {Array} sessions
    * @param {Array} groups
@@ -365,10 +572,85 @@ export class WarRoom {
       <div class="warroom-stat-row" style="font-size:11px;opacity:0.7;flex-wrap:wrap;gap:4px;">
         ${phaseBar}
       </div>
+      ${this._mode2ContextHtml(summarizeMode2Context(mode2))}
       ${blockedHtml ? `<div style="margin-top:4px;">${blockedHtml}</div>` : ''}
     `;
   }
 
+  /**
+   * Rows for the schema v2 totals; empty when every sidecar is v1.
+   * @param {ReturnType<typeof summarizeMode2Context>} summary
+   * @returns {string}
+   */
+  _mode2ContextHtml(summary) {
+    let html = '';
+    if (summary.todosTotal > 0) {
+      html += `
+      <div class="warroom-stat-row">
+        <span class="warroom-stat-label">Todos Done</span>
+        <span class="warroom-stat-value">${summary.todosCompleted}/${summary.todosTotal}</span>
+      </div>`;
+    }
+    if (summary.subagents > 0) {
+      html += `
+      <div class="warroom-stat-row">
+        <span class="warroom-stat-label">Subagents</span>
+        <span class="warroom-stat-value">${summary.subagents}</span>
+      </div>`;
+    }
+    if (summary.toolCalls > 0) {
+      html += `
+      <div class="warroom-stat-row">
+        <span class="warroom-stat-label">Tool Calls</span>
+        <span class="warroom-stat-value">${summary.toolCalls}</span>
+      </div>
+      <div class="warroom-stat-row" style="font-size:11px;opacity:0.7;flex-wrap:wrap;gap:4px;">
+        ${summary.topTools.map(t => `<span>${escapeHTML(t.tool)} ${t.count}</span>`).join(' ')}
+      </div>`;
+    }
+    if (summary.models.length > 0) {
+      html += `
+      <div class="warroom-stat-row" style="font-size:11px;opacity:0.7;flex-wrap:wrap;gap:4px;">
+        ${summary.models.map(m => `<span>${m.count} ${escapeHTML(m.model)}</span>`).join(' ')}
+      </div>`;
+    }
+    return html;
+  }
+
+  /** @param {object|undefined} throughput -- metrics.throughput */
+  _renderCouriers(throughput) {
+    const body = this.el.querySelector('.warroom-couriers-body');
+    const summary = summarizeThroughput(throughput);
+    if (!summary) {
+      body.innerHTML = '<div style="opacity:0.4;">No headless runs this hour.</div>';
+      return;
+    }
+
+    const failuresHtml = summary.failures.length > 0
+      ? `<div class="warroom-stat-row" style="font-size:11px;flex-wrap:wrap;gap:4px;color:#D87068;">
+        ${summary.failures.map(f => `<span>exit ${f.status} &times;${f.count}</span>`).join(' ')}
+      </div>`
+      : '';
+    body.innerHTML = `
+      <div class="warroom-stat-row">
+        <span class="warroom-stat-label">Runs / Hour</span>
+        <span class="warroom-stat-value">${summary.runsPerHour}</span>
+      </div>
+      <div class="warroom-stat-row">
+        <span class="warroom-stat-label">Mean Duration</span>
+        <span class="warroom-stat-value">${summary.meanDuration}</span>
+      </div>
+      <div class="warroom-stat-row">
+        <span class="warroom-stat-label">Success Rate</span>
+        <span class="warroom-stat-value">${summary.successRate}</span>
+      </div>
+      <div class="warroom-stat-row" style="font-size:11px;opacity:0.7;">
+        <span>${summary.running} running</span>
+      </div>
+      ${failuresHtml}
+    `;
+  }
+
   _renderFeed() {
     const feedEl = this.el.querySelector('.warroom-feed');
     if (this._feed.length === 0) {
@@ -379,11 +661,19 @@ export class WarRoom {
     let html = '';
     for (const entry of this._feed) {
       const timeStr = hhmm(entry.time);
-      const stateClass = 'warroom-feed-state-' + entry.toState;
+      let text;
+      if (entry.fromGroup !== undefined) {
+        text = `<span class="warroom-feed-move">${escapeHTML(entry.sessionId)} moved ${escapeHTML(entry.fromGroup)} &rarr; ${escapeHTML(entry.group)}</span>`;
+      } else if (entry.fromCwd !== undefined) {
+        const [from, to] = moveLabels(entry.fromCwd, entry.cwd);
+        text = `<span class="warroom-feed-move">${escapeHTML(entry.sessionId)} (${escapeHTML(entry.group)}) moved ${escapeHTML(from)} &rarr; ${escapeHTML(to)}</span>`;
+      } else {
+        text = `<span class="warroom-feed-state-${entry.toState}">${escapeHTML(entry.sessionId)} (${escapeHTML(entry.group)}) &rarr; ${entry.toState}</span>`;
+      }
       html += `
         <div class="warroom-feed-entry">
           <span class="warroom-feed-time">${timeStr}</span>
-          <span class="${stateClass}">${escapeHTML(entry.sessionId)} (${escapeHTML(entry.group)}) &rarr; ${entry.toState}</span>
+          ${text}
         </div>`;
     }
 
@@ -8,11 +8,13 @@ import { createUnit, classifyUnit, _geomCache, _accessoryMatCache } from './unit
 import { getActivityForGroup, getActivityForSession } from './activities.js';
 import { applyStateVisuals, updateChildIndicator } from './stateVisuals.js';
 import { animBob, lerpToTarget } from './animations.js';
+import { escapeHTML, uncommittedLevel } from './utils.js';
+import { pickDistrictBiome, bannerPosition, createDistrictBanner, disposeDistrictBanner, districtColor } from './districts.js';
 
 export class WorldManager {
   /**
    * @param {THREE.Scene} scene
-   * @param {{ tiles: Map, getAvailableGrassTile: () => ({x:number,z:number}|null), markTileUsed: (x:number,z:number) => void }} terrain
+   * @param {{ tiles: Map, getAvailableGrassTile: (prefs?: { biome?: string, near?: {x:number,z:number}[] }) => ({x:number,z:number}|null), getBuildableTile: (x:number,z:number) => ({x:number,z:number,biome:string,height:number}|null), reserveTiles: (spots: {x:number,z:number}[]) => void, markTileUsed: (x:number,z:number) => void, settleChunks: () => void }} terrain
    * @param {import('./particles.js').ParticleSystem} [particles]
    * @param {import('./healthbars.js').HealthBarManager} [healthBars]
    * @param {import('./marchIn.js').MarchInManager} [marchInManager]
@@ -35,6 +37,91 @@ export class WorldManager {
 
     /** Cycles through BUILDING_TYPES so each group gets a different look. */
     this.buildingTypeIndex = 0;
+
+    /** agent_type values hidden by the HUD agent filter */
+    this.hiddenAgentTypes = new Set();
+
+    /** tmux session names hidden by the HUD tmux filter */
+    this.hiddenTmuxSessions = new Set();
+
+    /** group IDs hidden from the context menu (building and villagers) */
+    this.hiddenGroups = new Set();
+
+    /** groupId -> label shown instead of the group ID (context menu "Rename") */
+    this.groupNames = new Map();
+
+    /** sessionId -> note shown on the tag of a pinned villager */
+    this.pinTags = new Map();
+
+    /** divisionId -> { biome, banner, buildingCount } (see districts.js) */
+    this.districts = new Map();
+
+    /** groupId -> saved building spot { x, z, type } (GET /api/layout) */
+    this.layout = new Map();
+
+    /** Called with (groupId, { x, z, type }) when a building is placed for the first time */
+    this._onPlace = null;
+  }
+
+  /**
+   * Use saved building spots: their tiles are kept for their neighborhoods,
+   * which are rebuilt there with the same building type. New buildings are
+   * reported to onPlace so they can be saved.
+   * @param {Record<string, { x: number, z: number, type: string }>} buildings
+   * @param {{ onPlace?: (groupId: string, spot: { x: number, z: number, type: string }) => void }} [opts]
+   */
+  setLayout(buildings, { onPlace = null } = {}) {
+    this.layout = new Map(Object.entries(buildings ?? {}));
+    this._onPlace = onPlace;
+    this.terrain.reserveTiles([...this.layout.values()]);
+  }
+
+  /**
+   * Hide units whose session's agent_type is in the set (HUD agent filter).
+   * Hidden units keep their anchors and animate as usual; they are just not
+   * drawn or pickable.
+   * @param {Set<string>} agentTypes
+   */
+  setHiddenAgentTypes(agentTypes) {
+    this.hiddenAgentTypes = new Set(agentTypes);
+    for (const unit of this.units.values()) this._applyFilters(unit);
+  }
+
+  /**
+   * Hide units running in the given tmux sessions (HUD tmux filter).
+   * @param {Set<string>} names
+   */
+  setHiddenTmuxSessions(names) {
+    this.hiddenTmuxSessions = new Set(names);
+    for (const unit of this.units.values()) this._applyFilters(unit);
+  }
+
+  /**
+   * Hide whole groups: the building and every villager in it.
+   * @param {Set<string>} groupIds
+   */
+  setHiddenGroups(groupIds) {
+    this.hiddenGroups = new Set(groupIds);
+    for (const [groupId, bldg] of this.buildings) this._applyBuildingFilter(groupId, bldg);
+    for (const unit of this.units.values()) this._applyFilters(unit);
+  }
+
+  /**
+   * Label buildings with user-chosen names (unnamed groups show their ID).
+   * @param {Map<string, string>} names
+   */
+  setGroupNames(names) {
+    this.groupNames = new Map(names);
+    for (const [groupId, bldg] of this.buildings) this._renderBuildingLabel(groupId, bldg);
+  }
+
+  /**
+   * Float a tag over pinned villagers.
+   * @param {Map<string, string>} tags — sessionId -> note ('' shows the villager's name)
+   */
+  setPinTags(tags) {
+    this.pinTags = new Map(tags);
+    for (const [sessionId, unit] of this.units) this._applyPinTag(sessionId, unit);
   }
 
   // ---------------------------------------------------------------------------
@@ -43,9 +130,11 @@ export class WorldManager {
 
   /**
    * Reconcile world state with the latest API data.
-   * @param {{ timestamp: string, sessions: object[], groups: object[] }} apiData
+   * @param {{ timestamp: string, sessions: object[], groups: object[], divisions?: object[] }} apiData
+   * @param {{ rewind?: boolean }} [opts] -- replay went back in time: units
+   *   that disappear hadn't started yet, so they leave without death effects
    */
-  update(apiData) {
+  update(apiData, { rewind = false } = {}) {
     const currentGroupIds = new Set(apiData.groups.map(g => g.id));
     const currentSessionIds = new Set(apiData.sessions.map(s => s.id));
 
@@ -57,6 +146,9 @@ export class WorldManager {
       }
       groupIndex++;
     }
+    this._updateDistrictBanners();
+    // Chunks the map grew by for new buildings get their decorations and merged geometry
+    this.terrain.settleChunks();
 
     // ── 2. Mark abandoned buildings (group disappeared) ────────────────────
     for (const [groupId, bldg] of this.buildings) {
@@ -95,7 +187,7 @@ export class WorldManager {
       if (!currentSessionIds.has(sessionId)) toRemove.push(sessionId);
     }
     for (const sessionId of toRemove) {
-      this.removeUnit(sessionId);
+      this.removeUnit(sessionId, { effects: !rewind });
     }
 
     // ── 5. Update existing units whose state may have changed ──────────────
@@ -103,29 +195,43 @@ export class WorldManager {
       const unit = this.units.get(session.id);
       if (!unit) continue;
 
+      // The session moved to another project: walk to its building
+      if (session.group !== unit.groupId && this.buildings.has(session.group)) {
+        this.relocateUnit(session.id, session.group);
+      }
+
       if (unit.state !== session.state) {
         unit.state = session.state;
       }
       // Keep fresh copies of live session data on the unit record
       unit.session = session;
       unit.mesh.userData.ownerColor = session.ownerColor || null;
+      this._applyFilters(unit);
     }
 
-    // ── 6. Update building labels with owner dots (multi-person) ────────
+    // ── 6. Update building labels: sub-neighborhoods, owner dots (multi-person),
+    //       uncommitted-work banner
     for (const group of apiData.groups) {
       const bldg = this.buildings.get(group.id);
-      if (!bldg || !group.owners || !bldg.label) continue;
-      const labelDiv = bldg.label.element;
+      if (!bldg || !bldg.label) continue;
       // Build owner dots from users data (resolve color from sessions)
       let dotsHtml = '';
-      if (apiData.users) {
+      if (group.owners && apiData.users) {
         const colorMap = new Map();
         for (const u of apiData.users) colorMap.set(u.name, u.color);
         dotsHtml = group.owners
           .map(o => `<span class="owner-dot" style="background:${colorMap.get(o) || '#60C0F0'}"></span>`)
           .join('');
       }
-      labelDiv.innerHTML = `${group.id} ${dotsHtml}`;
+      const subgroups = (group.subgroups ?? []).map(sub => sub.label).join(' \u00b7 ');
+      const level = uncommittedLevel(group.git);
+      const uncommitted = level ? { level, dirty: group.git.dirty } : null;
+      if (dotsHtml === bldg.ownerDots && subgroups === bldg.subgroups
+        && uncommitted?.level === bldg.uncommitted?.level && uncommitted?.dirty === bldg.uncommitted?.dirty) continue;
+      bldg.ownerDots = dotsHtml;
+      bldg.subgroups = subgroups;
+      bldg.uncommitted = uncommitted;
+      this._renderBuildingLabel(group.id, bldg);
     }
 
     // ── 7. Update health bars for each building ──────────────────────────
@@ -155,17 +261,29 @@ export class WorldManager {
    * @param {number} groupIndex
    */
   spawnBuilding(group, groupIndex) {
-    const tile = this.terrain.getAvailableGrassTile();
+    // A saved spot wins, as long as its tile is still free and buildable
+    const saved = this.layout.get(group.id);
+    const savedTile = saved ? this.terrain.getBuildableTile(saved.x, saved.z) : null;
+    const tile = savedTile ?? this.terrain.getAvailableGrassTile(this._districtPlacement(group.division));
     if (!tile) {
       console.warn('[WorldManager] No available grass tile for group', group.id);
       return;
     }
     this.terrain.markTileUsed(tile.x, tile.z);
+    if (savedTile && group.division && !this.districts.has(group.division)) {
+      // The district's zone is wherever its first saved building stands
+      this.districts.set(group.division, { biome: tile.biome, banner: null, buildingCount: 0 });
+    }
 
-    // Pick the next building type in round-robin fashion
+    // Saved type, else the next building type in round-robin fashion
     const typeIndex = this.buildingTypeIndex % BUILDING_TYPES.length;
     this.buildingTypeIndex++;
-    const buildingType = BUILDING_TYPES[typeIndex];
+    const buildingType = savedTile && BUILDING_TYPES.includes(saved.type) ? saved.type : BUILDING_TYPES[typeIndex];
+    if (!savedTile || saved.type !== buildingType) {
+      const spot = { x: tile.x, z: tile.z, type: buildingType };
+      this.layout.set(group.id, spot);
+      this._onPlace?.(group.id, spot);
+    }
 
     // Create 3D mesh
     const mesh = createBuilding(buildingType);
@@ -184,7 +302,7 @@ export class WorldManager {
     // CSS2D label floating above the building (project/repo name)
     const labelDiv = document.createElement('div');
     labelDiv.className = 'building-label';
-    labelDiv.textContent = group.id;
+    labelDiv.textContent = this.groupNames.get(group.id) ?? group.id;
     const label = new CSS2DObject(labelDiv);
     label.position.set(0, 2.2, 0);
     mesh.add(label);
@@ -216,7 +334,68 @@ export class WorldManager {
       buildingGlow,
       buildingGlowBase,
       windowGlows,
+      ownerDots: '',
+      subgroups: '',
+      uncommitted: null,
+      division: group.division ?? null,
     });
+    this._applyBuildingFilter(group.id, this.buildings.get(group.id));
+  }
+
+  /**
+   * Placement preferences for a new building in a district: the district's
+   * biome zone (claimed on its first building) and its buildings so far.
+   * @param {string|undefined} divisionId
+   * @returns {{ biome?: string, near?: {x:number,z:number}[] }}
+   */
+  _districtPlacement(divisionId) {
+    if (!divisionId) return {};
+    let district = this.districts.get(divisionId);
+    if (!district) {
+      const claims = new Map();
+      for (const d of this.districts.values()) claims.set(d.biome, (claims.get(d.biome) ?? 0) + 1);
+      const biomes = [...this.terrain.tiles.values()].map(t => t.biome);
+      district = { biome: pickDistrictBiome(biomes, claims), banner: null, buildingCount: 0 };
+      this.districts.set(divisionId, district);
+    }
+    return { biome: district.biome, near: this.getDistrictPositions().get(divisionId) ?? [] };
+  }
+
+  /**
+   * World positions of each district's buildings (abandoned ones included,
+   * as they keep their place).
+   * @returns {Map<string, {x:number,z:number}[]>}
+   */
+  getDistrictPositions() {
+    const positions = new Map();
+    for (const bldg of this.buildings.values()) {
+      if (!bldg.division) continue;
+      if (!positions.has(bldg.division)) positions.set(bldg.division, []);
+      positions.get(bldg.division).push(bldg.position);
+    }
+    return positions;
+  }
+
+  /** Put up, move or take down district banners after buildings were added. */
+  _updateDistrictBanners() {
+    const positions = this.getDistrictPositions();
+    for (const [divisionId, district] of this.districts) {
+      const list = positions.get(divisionId) ?? [];
+      if (list.length === district.buildingCount) continue;
+      district.buildingCount = list.length;
+      const at = bannerPosition(list);
+      if (!at) {
+        if (district.banner) disposeDistrictBanner(district.banner);
+        district.banner = null;
+        continue;
+      }
+      if (!district.banner) {
+        district.banner = createDistrictBanner(divisionId, districtColor(divisionId));
+        this.scene.add(district.banner);
+      }
+      const y = this.terrain.getHeightAt ? this.terrain.getHeightAt(at.x, at.z) : 0.15;
+      district.banner.position.set(at.x, y, at.z);
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -239,32 +418,7 @@ export class WorldManager {
       return;
     }
 
-    // Find the nearest unoccupied anchor
-    let chosenIndex = -1;
-    for (let i = 0; i < bldg.anchors.length; i++) {
-      if (!bldg.anchors[i].occupied) {
-        chosenIndex = i;
-        bldg.anchors[i].occupied = true;
-        break;
-      }
-    }
-
-    // Fallback: if all anchors occupied, just pick an offset position
-    let targetX, targetZ;
-    if (chosenIndex >= 0) {
-      targetX = bldg.anchors[chosenIndex].x;
-      targetZ = bldg.anchors[chosenIndex].z;
-    } else {
-      const angle = Math.random() * Math.PI * 2;
-      targetX = bldg.position.x + Math.cos(angle) * 2.2;
-      targetZ = bldg.position.z + Math.sin(angle) * 2.2;
-    }
-
-    // Compute ground height at the unit's anchor position
-    const unitGroundY = this.terrain.getHeightAt
-      ? this.terrain.getHeightAt(targetX, targetZ)
-      : (bldg.groundY || 0.15);
-    const unitBaseY = unitGroundY + 0.1; // small offset above ground surface
+    const { index: chosenIndex, x: targetX, z: targetZ, y: unitBaseY } = this._claimAnchor(bldg);
 
     // Store base position for bobbing animation
     mesh.userData.baseX = targetX;
@@ -305,7 +459,11 @@ export class WorldManager {
       sentinelRing: null,
       lastParticleTime: 0,
       marching,
+      pinTag: null,
     });
+    const unit = this.units.get(session.id);
+    this._applyFilters(unit);
+    this._applyPinTag(session.id, unit);
   }
 
   // ---------------------------------------------------------------------------
@@ -315,18 +473,24 @@ export class WorldManager {
   /**
    * Remove a unit from the world and free its anchor.
    * @param {string} sessionId
+   * @param {{ effects?: boolean }} [opts] -- false: just vanish (no gravestone,
+   *   death motes or courier departure)
    */
-  removeUnit(sessionId) {
+  removeUnit(sessionId, { effects = true } = {}) {
     const unit = this.units.get(sessionId);
     if (!unit) return;
 
+    // Couriers (headless runs) finished their job -- they walk off the map
+    // instead of leaving a gravestone
+    const departing = effects && unit.mesh.userData.unitClass === 'Courier' && this.marchInManager;
+
     // Gravestone at the unit's position
-    if (this.marchInManager) {
+    if (this.marchInManager && effects && !departing) {
       this.marchInManager.placeGravestone(unit.mesh.position.x, this.terrain.getHeightAt(unit.mesh.position.x, unit.mesh.position.z), unit.mesh.position.z);
     }
 
     // Death motes at the unit's position
-    if (this.particles) {
+    if (this.particles && effects && !departing) {
       this.particles.spawnDeathMotes(unit.mesh.position);
     }
 
@@ -336,13 +500,7 @@ export class WorldManager {
       unit.sentinelRing = null;
     }
 
-    // Free anchor
-    if (unit.anchorIndex >= 0) {
-      const bldg = this.buildings.get(unit.groupId);
-      if (bldg && bldg.anchors[unit.anchorIndex]) {
-        bldg.anchors[unit.anchorIndex].occupied = false;
-      }
-    }
+    this._releaseAnchor(unit);
 
     // Clean up CSS2DObject DOM elements (e.g. await "!" labels)
     const css2dObjects = [];
@@ -358,24 +516,114 @@ export class WorldManager {
       obj.parent?.remove(obj);
     }
 
-    // Remove from scene and dispose per-unit resources (skip shared/cached ones)
-    this.scene.remove(unit.mesh);
-    const sharedGeoms = _geomCache;
-    const sharedMats = _accessoryMatCache;
-    unit.mesh.traverse(child => {
-      if (child.geometry && !_isShared(child.geometry, sharedGeoms)) {
-        child.geometry.dispose();
-      }
-      if (child.material) {
-        if (Array.isArray(child.material)) {
-          child.material.forEach(m => { if (!_isShared(m, sharedMats)) m.dispose(); });
-        } else if (!_isShared(child.material, sharedMats)) {
-          child.material.dispose();
-        }
-      }
-    });
+    // A departing mesh stays in the scene until the march-out finishes
+    if (departing) {
+      this.marchInManager.startDeparture(unit.mesh, mesh => _disposeUnitMesh(mesh));
+    } else {
+      this.scene.remove(unit.mesh);
+      _disposeUnitMesh(unit.mesh);
+    }
 
     this.units.delete(sessionId);
+    this._reassignAnchors(unit.groupId);
+  }
+
+  // ---------------------------------------------------------------------------
+  // relocateUnit
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Move a unit to another group's building: its session changed project
+   * (e.g. it cd'd into another repository). The old anchor is freed, one at
+   * the new building reserved, and the villager walks over, leaving a trail.
+   * @param {string} sessionId
+   * @param {string} groupId -- the session's new group; its building must exist
+   */
+  relocateUnit(sessionId, groupId) {
+    const unit = this.units.get(sessionId);
+    const bldg = this.buildings.get(groupId);
+    if (!unit || !bldg || unit.groupId === groupId) return;
+
+    const fromGroupId = unit.groupId;
+    this._releaseAnchor(unit);
+    unit.groupId = groupId;
+    this._walkToAnchor(sessionId, unit, this._claimAnchor(bldg));
+    this._applyFilters(unit);
+    // Someone crowded out at the old building can have the anchor
+    this._reassignAnchors(fromGroupId);
+  }
+
+  /**
+   * Give anchors freed at a building to its units standing at offset
+   * positions (all anchors were taken when they arrived); they walk over.
+   * @param {string} groupId
+   */
+  _reassignAnchors(groupId) {
+    const bldg = this.buildings.get(groupId);
+    if (!bldg) return;
+    for (const [sessionId, unit] of this.units) {
+      if (unit.groupId !== groupId || unit.anchorIndex >= 0) continue;
+      if (!bldg.anchors.some(a => !a.occupied)) return;
+      this._walkToAnchor(sessionId, unit, this._claimAnchor(bldg));
+    }
+  }
+
+  /**
+   * Point a unit at its newly claimed anchor and walk it there.
+   * @param {string} sessionId
+   * @param {object} unit
+   * @param {{ index: number, x: number, y: number, z: number }} anchor -- from _claimAnchor
+   */
+  _walkToAnchor(sessionId, unit, { index, x, y, z }) {
+    unit.anchorIndex = index;
+    unit.targetPos.set(x, y, z);
+    unit.mesh.userData.baseX = x;
+    unit.mesh.userData.baseY = y;
+    unit.mesh.userData.baseZ = z;
+    if (!this.marchInManager) return;
+
+    // A march-in still under way is replaced by the walk
+    for (const [marchId, id] of this._marchToSession) {
+      if (id === sessionId) this._marchToSession.delete(marchId);
+    }
+    const { id: marchId } = this.marchInManager.startWalk(unit.mesh, x, y, z);
+    this._marchToSession.set(marchId, sessionId);
+    unit.marching = true;
+  }
+
+  /**
+   * Reserve the first free anchor around a building, or an offset position
+   * when all are taken.
+   * @param {{ anchors: { x: number, z: number, occupied: boolean }[], position: THREE.Vector3, groundY?: number }} bldg
+   * @returns {{ index: number, x: number, y: number, z: number }} index -1 for an offset position; y is the unit's base height
+   */
+  _claimAnchor(bldg) {
+    const index = bldg.anchors.findIndex(a => !a.occupied);
+    let x, z;
+    if (index >= 0) {
+      bldg.anchors[index].occupied = true;
+      ({ x, z } = bldg.anchors[index]);
+    } else {
+      const angle = Math.random() * Math.PI * 2;
+      x = bldg.position.x + Math.cos(angle) * 2.2;
+      z = bldg.position.z + Math.sin(angle) * 2.2;
+    }
+
+    // Compute ground height at the unit's anchor position
+    const groundY = this.terrain.getHeightAt
+      ? this.terrain.getHeightAt(x, z)
+      : (bldg.groundY || 0.15);
+    return { index, x, y: groundY + 0.1, z }; // small offset above ground surface
+  }
+
+  /** Free the anchor a unit holds at its building. */
+  _releaseAnchor(unit) {
+    if (unit.anchorIndex < 0) return;
+    const bldg = this.buildings.get(unit.groupId);
+    if (bldg && bldg.anchors[unit.anchorIndex]) {
+      bldg.anchors[unit.anchorIndex].occupied = false;
+    }
+    unit.anchorIndex = -1;
   }
 
   /**
@@ -412,6 +660,8 @@ export class WorldManager {
         }
       }
       this.marchInManager.updateGravestones(delta);
+      this.marchInManager.updateDepartures(delta);
+      this.marchInManager.updateTrails(delta);
     }
 
     for (const [sessionId, unit] of this.units) {
@@ -434,14 +684,17 @@ export class WorldManager {
       const { speedMultiplier } = applyStateVisuals(mesh, state, time);
 
       // ── Activity-driven animation ──────────────────────────────────────
+      // Waits while the unit marches in or walks to another building: the
+      // march moves it (and keeps it on the ground)
       let usesPatrol = false;
-      if (speedMultiplier > 0 && activityPair) {
+      const animating = speedMultiplier > 0 && !unit.marching;
+      if (animating && activityPair) {
         const isEnergetic = state === 'active';
         const activity = isEnergetic ? activityPair.energetic : activityPair.passive;
         // Scale time by speedMultiplier for slower idle/awaiting animations
         activity.animate(mesh, time * speedMultiplier, delta);
         usesPatrol = activity.controlsPosition === true;
-      } else if (speedMultiplier > 0) {
+      } else if (animating) {
         animBob(mesh, time * speedMultiplier);
       }
 
@@ -490,6 +743,62 @@ export class WorldManager {
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // _applyFilters — HUD agent-type and tmux-session visibility
+  // ---------------------------------------------------------------------------
+
+  /** Show or hide a unit according to hiddenAgentTypes and hiddenTmuxSessions. */
+  _applyFilters(unit) {
+    const host = unit.session?.host;
+    const inHiddenTmux = host?.kind === 'tmux' && this.hiddenTmuxSessions.has(host.name);
+    unit.mesh.visible = !this.hiddenAgentTypes.has(unit.session?.agent_type || 'claude') && !inHiddenTmux &&
+      !this.hiddenGroups.has(unit.groupId);
+  }
+
+  _applyBuildingFilter(groupId, bldg) {
+    const visible = !this.hiddenGroups.has(groupId);
+    bldg.mesh.visible = visible;
+    bldg.label.visible = visible;
+  }
+
+  /**
+   * Building label: display name, multi-person owner dots, and a second line
+   * with the sub-neighborhoods (sub-directories, worktree branches). Piled-up
+   * uncommitted work recolours the banner and adds a file count badge.
+   */
+  _renderBuildingLabel(groupId, bldg) {
+    const name = escapeHTML(this.groupNames.get(groupId) ?? groupId);
+    const sub = bldg.subgroups ? `<div class="building-sublabel">${escapeHTML(bldg.subgroups)}</div>` : '';
+    const badge = bldg.uncommitted
+      ? ` <span class="uncommitted-badge" title="Uncommitted files">\u270e ${bldg.uncommitted.dirty}</span>`
+      : '';
+    const el = bldg.label.element;
+    el.innerHTML = `${bldg.ownerDots ? `${name} ${bldg.ownerDots}` : name}${badge}${sub}`;
+    el.classList.toggle('uncommitted-warn', bldg.uncommitted?.level === 'warn');
+    el.classList.toggle('uncommitted-alert', bldg.uncommitted?.level === 'alert');
+  }
+
+  /** Add, update or remove the floating tag of a pinned villager. */
+  _applyPinTag(sessionId, unit) {
+    const text = this.pinTags.get(sessionId);
+    if (text === undefined) {
+      if (unit.pinTag) {
+        unit.pinTag.element.remove();
+        unit.mesh.remove(unit.pinTag);
+        unit.pinTag = null;
+      }
+      return;
+    }
+    if (!unit.pinTag) {
+      const div = document.createElement('div');
+      div.className = 'pin-tag';
+      unit.pinTag = new CSS2DObject(div);
+      unit.pinTag.position.set(0, 1.3, 0);
+      unit.mesh.add(unit.pinTag);
+    }
+    unit.pinTag.element.textContent = `\u{1F4CC} ${text || unit.mesh.userData.unitName}`;
+  }
+
   // ---------------------------------------------------------------------------
   // _updateUnitParticles — class-specific particle spawning with cooldowns
   // ---------------------------------------------------------------------------
@@ -591,6 +900,22 @@ export class WorldManager {
   }
 }
 
+/** Dispose a unit mesh's per-unit resources (skip shared/cached ones). */
+function _disposeUnitMesh(mesh) {
+  mesh.traverse(child => {
+    if (child.geometry && !_isShared(child.geometry, _geomCache)) {
+      child.geometry.dispose();
+    }
+    if (child.material) {
+      if (Array.isArray(child.material)) {
+        child.material.forEach(m => { if (!_isShared(m, _accessoryMatCache)) m.dispose(); });
+      } else if (!_isShared(child.material, _accessoryMatCache)) {
+        child.material.dispose();
+      }
+    }
+  });
+}
+
 /** Check if an object is a value in a Map cache (shared, should not be disposed). */
 function _isShared(obj, cacheMap) {
   for (const cached of cacheMap.values()) {
@@ -0,0 +1,113 @@
+// server/auth.js
+// Access middleware: a Bearer token for write endpoints (POST /api/context)
+// and a this-machine-only check for the endpoints that drive the user's
+// terminals, processes and editor.
+
+import { timingSafeEqual } from "node:crypto";
+
+/**
+ * Create an Express middleware that requires `Authorization: Bearer <token>`.
+ * Unlike the relay's open-by-default auth, a missing expectedToken disables
+ * the route (404) -- pushed context changes what every viewer sees.
+ * @param {string|null} expectedToken
+ * @returns {import("express").RequestHandler}
+ */
+export function requireToken(expectedToken) {
+  const expected = expectedToken ? Buffer.from(expectedToken) : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(404).json({ error: "Disabled (start the server with --context-token)" });
+    }
+
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: "Missing Authorization header" });
+    }
+
+    const parts = authHeader.split(" ");
+    if (parts.length !== 2 || parts[0] !== "Bearer") {
+      return res.status(401).json({ error: "Invalid Authorization format" });
+    }
+
+    const given = Buffer.from(parts[1]);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+      return res.status(403).json({ error: "Invalid token" });
+    }
+
+    next();
+  };
+}
+
+const LOOPBACK = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+
+/** Host header names this server answers local routes under (any port). */
+const LOCAL_HOST_NAMES = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+/** Sec-Fetch-Site values of requests not started by another site. */
+const SAME_SITE_FETCH = new Set(["same-origin", "none"]);
+
+/**
+ * Whether a request was addressed to this machine by name. A loopback peer
+ * with another Host is a DNS-rebinding page: evil.example resolved to
+ * 127.0.0.1, so the browser treats it as same-origin with itself.
+ * Pure function, exported for testing.
+ * @param {{ headers: Record<string, string|undefined> }} req
+ * @returns {boolean}
+ */
+export function isLocalHost(req) {
+  const host = req.headers.host;
+  if (!host) return false;
+  try {
+    return LOCAL_HOST_NAMES.has(new URL(`http://${host}`).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a request came from this server's own pages (or from no page at
+ * all, e.g. curl). A loopback peer alone proves nothing: any site open in
+ * the user's browser can make it POST to localhost.
+ * Pure function, exported for testing.
+ * @param {{ headers: Record<string, string|undefined> }} req
+ * @returns {boolean}
+ */
+export function isSameOrigin(req) {
+  const fetchSite = req.headers["sec-fetch-site"];
+  if (fetchSite && !SAME_SITE_FETCH.has(fetchSite)) return false;
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create an Express middleware that only admits requests from this machine
+ * (the server listens on all interfaces), addressed to localhost and made
+ * by the village's own pages.
+ * Writes must also be JSON, which a cross-site form or `no-cors` fetch
+ * can't send without a CORS preflight. Used for the tmux, signal and
+ * editor endpoints, which drive the user's own terminals and processes.
+ * @returns {import("express").RequestHandler}
+ */
+export function requireLocal() {
+  return (req, res, next) => {
+    if (!LOOPBACK.has(req.socket?.remoteAddress)) {
+      return res.status(403).json({ error: "Only available from this machine" });
+    }
+    if (!isLocalHost(req)) {
+      return res.status(403).json({ error: "Host must be localhost" });
+    }
+    if (!isSameOrigin(req)) {
+      return res.status(403).json({ error: "Cross-site request refused" });
+    }
+    if (req.method !== "GET" && req.method !== "HEAD" && !req.is("application/json")) {
+      return res.status(415).json({ error: "Content-Type must be application/json" });
+    }
+    next();
+  };
+}
@@ -2,6 +2,8 @@
 // State heuristic engine — classifies a session into one of:
 //   active  | awaiting | idle | stale
 // based on CPU history, TTY attachment, and session age.
+// CPU here means the claude process plus all of its descendants, so a session
+// sitting at 0% while its `npm test` child burns a core still counts as active.
 
 // ── Thresholds ──────────────────────────────────────────────────────────────
 //   active  : CPU > 10 % sustained for > 3 s  (2+ consecutive readings at 2 s poll)
@@ -9,6 +11,10 @@
 //   idle    : CPU < 5 %, alive, quiet > 10 min
 //   stale   : TTY detached OR dormant > 30 min with zero CPU
 // Priority order when checking: stale > active > awaiting > idle
+//
+// Headless runs (`claude -p` and friends, `interactive: false`) have no TTY
+// and never wait for a person: they are active for as long as they live,
+// unless dormant > 30 min with zero CPU (a hung job), which is stale.
 
 const HISTORY_LENGTH = 10;             // readings to keep per PID
 const ACTIVE_CPU_THRESHOLD = 10;       // %
@@ -20,7 +26,7 @@ const IDLE_QUIET_MS = 600_000;         // 10 min
 const STALE_DORMANT_MS = 1_800_000;    // 30 min
 
 export class SessionClassifier {
-  /** @type {Map<number, number[]>} pid → array of recent CPU readings */
+  /** @type {Map<number, number[]>} pid → array of recent CPU readings (own + descendants) */
   #history = new Map();
 
   /** Set of PIDs seen in the latest update cycle */
@@ -30,14 +36,15 @@ export class SessionClassifier {
   /**
    * @param {number} pid
    * @param {number} cpuPercent
+   * @param {number} [childCpuPercent] – summed CPU of all descendants
    */
-  recordReading(pid, cpuPercent) {
+  recordReading(pid, cpuPercent, childCpuPercent = 0) {
     let readings = this.#history.get(pid);
     if (!readings) {
       readings = [];
       this.#history.set(pid, readings);
     }
-    readings.push(cpuPercent);
+    readings.push(cpuPercent + childCpuPercent);
     if (readings.length > HISTORY_LENGTH) {
       readings.shift();
     }
@@ -46,11 +53,12 @@ export class SessionClassifier {
 
   // ── Classify a single session ─────────────────────────────────────────
   /**
-   * @param {{ pid: number, cpu: number, tty: string, startTime: number, lastActivityTime?: number }} session
+   * @param {{ pid: number, cpu: number, childCpu?: number, tty: string, startTime: number, lastActivityTime?: number, interactive?: boolean }} session
    * @returns {'active' | 'awaiting' | 'idle' | 'stale'}
    */
   classify(session) {
-    const { pid, cpu, tty, startTime, lastActivityTime } = session;
+    const { pid, tty, startTime, lastActivityTime, interactive = true } = session;
+    const cpu = session.cpu + (session.childCpu ?? 0);
     const now = Date.now();
     const readings = this.#history.get(pid) ?? [];
     const isDetached = !tty || tty === "detached";
@@ -74,6 +82,12 @@ export class SessionClassifier {
 
     const quietDuration = now - lastActive;
 
+    // ── Headless runs: working until they exit ────────────────────────
+    if (!interactive) {
+      const hung = quietDuration >= STALE_DORMANT_MS && this.#allBelow(readings, 1);
+      return hung ? "stale" : "active";
+    }
+
     // ── 1. Stale ──────────────────────────────────────────────────────
     // TTY detached OR dormant > 30 min with zero CPU
     if (isDetached) return "stale";
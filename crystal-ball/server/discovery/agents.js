@@ -0,0 +1,266 @@
+// server/discovery/agents.js
+// Registry of coding-agent CLIs that discovery treats as sessions. Each
+// entry pairs a command-line regex with an argv parser and the display
+// "faction" the client uses for the villager's look and HUD filter.
+//
+// Built-ins cover Claude Code, Aider, Codex CLI and Gemini CLI. More can be
+// added (or built-ins overridden) in ~/.crystal-ball/agents.json:
+//
+//   { "agents": [
+//       { "type": "ralph", "faction": "Ralph Loop", "pattern": "ralph\\.sh", "parser": "generic" }
+//   ] }
+
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+
+/**
+ * Claude Code command lines: a bare `claude`, anything run from a path
+ * ending in /claude, or the npm package (@anthropic/claude-code).
+ */
+export const CLAUDE_COMMAND = /^claude(\s|$)|\/claude|claude-code/;
+
+export const DEFAULT_AGENTS = [
+  { type: 'claude', faction: 'Claude', pattern: CLAUDE_COMMAND.source, parser: 'claude' },
+  { type: 'aider', faction: 'Aider', pattern: String.raw`(^|/)aider(\s|$)|-m aider(\s|$)`, parser: 'aider' },
+  { type: 'codex', faction: 'Codex', pattern: String.raw`(^|/)codex(\s|$)|@openai/codex`, parser: 'codex' },
+  { type: 'gemini', faction: 'Gemini', pattern: String.raw`(^|/)gemini(\s|$)|@google/gemini-cli`, parser: 'gemini' },
+];
+
+/** agent_type values must be safe for CSS classes and URLs. */
+const TYPE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/**
+ * Resolve the agent config file path.
+ * @returns {string}
+ */
+export function getAgentConfigPath() {
+  return process.env.CRYSTAL_BALL_AGENTS || join(homedir(), '.crystal-ball', 'agents.json');
+}
+
+/**
+ * Split a command line into argv tokens. Process tables only keep the
+ * space-joined command, so quoting is not reconstructed.
+ * @param {string} command
+ * @returns {string[]}
+ */
+export function splitArgv(command) {
+  return command.trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Value of the first of `names` in argv, as `--flag value` or `--flag=value`.
+ * @param {string[]} argv
+ * @param {string[]} names
+ * @returns {string|null}
+ */
+export function flagValue(argv, names) {
+  for (let i = 0; i < argv.length; i++) {
+    for (const name of names) {
+      if (argv[i] === name && i + 1 < argv.length) return argv[i + 1];
+      if (argv[i].startsWith(`${name}=`)) return argv[i].slice(name.length + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * True if any of `names` appears in argv, alone or as `--flag=value`.
+ * @param {string[]} argv
+ * @param {string[]} names
+ * @returns {boolean}
+ */
+export function hasFlag(argv, names) {
+  return argv.some(arg => names.some(name => arg === name || arg.startsWith(`${name}=`)));
+}
+
+/**
+ * Claude Code launch flags. `--resume` takes an optional session id, so a
+ * following token is only taken as the id if it isn't another flag.
+ * `--permission-mode bypassPermissions` counts as skipping permissions.
+ * @param {string[]} argv
+ * @returns {{ model?: string, permission_mode?: string, skip_permissions?: true, print?: true, resume?: string|true, continue?: true }}
+ */
+export function parseClaudeArgv(argv) {
+  const out = {};
+  const model = flagValue(argv, ['--model']);
+  if (model) out.model = model;
+
+  const permissionMode = flagValue(argv, ['--permission-mode']);
+  if (permissionMode) out.permission_mode = permissionMode;
+  if (hasFlag(argv, ['--dangerously-skip-permissions']) || permissionMode === 'bypassPermissions') {
+    out.skip_permissions = true;
+  }
+
+  if (hasFlag(argv, ['-p', '--print'])) out.print = true;
+  if (hasFlag(argv, ['-c', '--continue'])) out.continue = true;
+
+  const resumeAt = argv.findIndex(arg => arg === '-r' || arg === '--resume' || arg.startsWith('--resume='));
+  if (resumeAt >= 0) {
+    const arg = argv[resumeAt];
+    const next = argv[resumeAt + 1];
+    if (arg.startsWith('--resume=')) out.resume = arg.slice('--resume='.length) || true;
+    else out.resume = next && !next.startsWith('-') ? next : true;
+  }
+  return out;
+}
+
+/**
+ * `{ model }` from the given flags, plus `print: true` when the run is
+ * non-interactive (the agent's equivalent of `claude -p`).
+ * @param {string[]} argv
+ * @param {string[]} modelFlags
+ * @param {boolean} headless
+ * @returns {{ model?: string, print?: true }}
+ */
+function modelAndMode(argv, modelFlags, headless) {
+  const out = {};
+  const model = flagValue(argv, modelFlags);
+  if (model) out.model = model;
+  if (headless) out.print = true;
+  return out;
+}
+
+/**
+ * Named argv parsers config entries can refer to. Each returns the
+ * structured fields it understood; unknown flags are ignored. `print: true`
+ * marks a non-interactive (scripted) run.
+ * @type {Record<string, (argv: string[]) => object>}
+ */
+export const ARGV_PARSERS = {
+  none: () => ({}),
+  generic: (argv) => modelAndMode(argv, ['--model', '-m'], false),
+  claude: parseClaudeArgv,
+  aider: (argv) => {
+    // Skip the interpreter's own flags (`python -m aider`); aider's -m is
+    // --message, which runs one prompt and exits
+    const own = argv.slice(argv.findIndex(arg => /(^|\/)aider$/.test(arg)) + 1);
+    return modelAndMode(own, ['--model'], hasFlag(own, ['--message', '--msg', '-m', '--message-file', '-f']));
+  },
+  codex: (argv) => modelAndMode(argv, ['--model', '-m'], argv.includes('exec')),
+  gemini: (argv) => modelAndMode(argv, ['--model', '-m'], hasFlag(argv, ['-p', '--prompt'])),
+};
+
+/**
+ * Validate and compile one registry entry.
+ * `parser` is a name from ARGV_PARSERS or (programmatic use) a function.
+ * @param {{ type: string, faction?: string, pattern: string, parser?: string|Function }} def
+ * @returns {{ type: string, faction: string, regex: RegExp, parse: (argv: string[]) => object }}
+ * @throws {Error} on an invalid type, pattern or parser name
+ */
+export function compileAgent(def) {
+  if (!def || typeof def.type !== 'string' || !TYPE_PATTERN.test(def.type)) {
+    throw new Error(`invalid type ${JSON.stringify(def?.type)} (lowercase letters, digits, - and _)`);
+  }
+  if (typeof def.pattern !== 'string' || !def.pattern) {
+    throw new Error(`${def.type}: pattern is required`);
+  }
+  let regex;
+  try {
+    regex = new RegExp(def.pattern);
+  } catch (err) {
+    throw new Error(`${def.type}: ${err.message}`);
+  }
+  const parse = typeof def.parser === 'function' ? def.parser : ARGV_PARSERS[def.parser ?? 'generic'];
+  if (!parse) {
+    throw new Error(`${def.type}: unknown parser "${def.parser}" (${Object.keys(ARGV_PARSERS).join(', ')})`);
+  }
+  return {
+    type: def.type,
+    faction: typeof def.faction === 'string' && def.faction ? def.faction : def.type,
+    regex,
+    parse,
+  };
+}
+
+export class AgentRegistry {
+  /** @type {ReturnType<typeof compileAgent>[]} in match order */
+  #entries;
+
+  /**
+   * @param {Array<object>} [defs] -- entries in match order (first match wins)
+   */
+  constructor(defs = DEFAULT_AGENTS) {
+    this.#entries = defs.map(compileAgent);
+  }
+
+  /**
+   * Build a registry from a parsed config file. Config entries are matched
+   * before the built-ins, and one with a built-in's type replaces it.
+   * `"defaults": false` drops the built-ins entirely. Invalid entries are
+   * skipped with a warning rather than failing startup.
+   * @param {{ agents?: Array<object>, defaults?: boolean }|null} config
+   * @returns {AgentRegistry}
+   */
+  static fromConfig(config) {
+    const custom = [];
+    for (const def of Array.isArray(config?.agents) ? config.agents : []) {
+      try {
+        compileAgent(def);
+        custom.push(def);
+      } catch (err) {
+        console.warn(`[agents] skipping entry: ${err.message}`);
+      }
+    }
+    const overridden = new Set(custom.map(d => d.type));
+    const builtins = config?.defaults === false
+      ? []
+      : DEFAULT_AGENTS.filter(d => !overridden.has(d.type));
+    return new AgentRegistry([...custom, ...builtins]);
+  }
+
+  /**
+   * Load the config file, falling back to the built-ins if it is missing
+   * or unreadable.
+   * @param {string} [path]
+   * @returns {Promise<AgentRegistry>}
+   */
+  static async load(path = getAgentConfigPath()) {
+    let text;
+    try {
+      text = await readFile(path, 'utf8');
+    } catch {
+      return new AgentRegistry(); // no config -- built-ins only
+    }
+    try {
+      return AgentRegistry.fromConfig(JSON.parse(text));
+    } catch (err) {
+      console.warn(`[agents] ignoring ${path}: ${err.message}`);
+      return new AgentRegistry();
+    }
+  }
+
+  /** Type and faction of every entry, in match order. */
+  get factions() {
+    return this.#entries.map(({ type, faction }) => ({ type, faction }));
+  }
+
+  /**
+   * Identify the agent a command line belongs to.
+   * @param {string} command
+   * @returns {{ type: string, faction: string, args: object }|null}
+   */
+  match(command) {
+    for (const entry of this.#entries) {
+      if (entry.regex.test(command)) {
+        return { type: entry.type, faction: entry.faction, args: entry.parse(splitArgv(command)) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Keep the processes that are agent sessions, tagged with `agent`.
+   * @template {{ command: string }} P
+   * @param {P[]} processes
+   * @returns {Array<P & { agent: { type: string, faction: string, args: object } }>}
+   */
+  filter(processes) {
+    const out = [];
+    for (const p of processes) {
+      const agent = this.match(p.command);
+      if (agent) out.push({ ...p, agent });
+    }
+    return out;
+  }
+}
@@ -1,6 +1,8 @@
 // server/discovery/common.js
 // Shared process-discovery functions used by both macOS and Linux discovery modules.
 
+import { CLAUDE_COMMAND } from './agents.js';
+
 /**
  * Parse ps output into structured records.
  * Expected format: `ps axo pid,ppid,pcpu,rss,tty,lstart,command`
@@ -43,17 +45,13 @@ export function parsePsOutput(stdout, detachedTokens = ['?', '??']) {
 
 /**
  * Filter processes that look like Claude Code sessions.
+ * Discovery itself uses an AgentRegistry (agents.js), whose built-in
+ * claude entry is this same test.
  * @param {Array<{command: string}>} processes
  * @returns {Array} filtered
  */
 export function filterClaudeProcesses(processes) {
-  return processes.filter(p => {
-    const cmd = p.command;
-    return cmd === 'claude' ||
-           cmd.includes('/claude') ||
-           cmd.includes('@anthropic/claude-code') ||
-           cmd.includes('claude-code');
-  });
+  return processes.filter(p => CLAUDE_COMMAND.test(p.command));
 }
 
 /**
@@ -72,16 +70,95 @@ export function detectChildren(allProcesses, claudePids) {
   return hasChildren;
 }
 
+/** Cap on descendants listed per session (the totals still include all). */
+export const MAX_REPORTED_CHILDREN = 8;
+
+/**
+ * Walk the full descendant tree of each root PID.
+ * Descendants that are themselves roots (a Claude launched from Claude) are
+ * not followed -- they are sessions of their own.
+ * @param {Array<{pid: number, ppid: number}>} allProcesses
+ * @param {Set<number>} rootPids
+ * @returns {Map<number, Array>} root pid -> descendant process records
+ */
+export function collectDescendants(allProcesses, rootPids) {
+  const byParent = new Map();
+  for (const p of allProcesses) {
+    let list = byParent.get(p.ppid);
+    if (!list) {
+      list = [];
+      byParent.set(p.ppid, list);
+    }
+    list.push(p);
+  }
+
+  const result = new Map();
+  for (const root of rootPids) {
+    const found = [];
+    const seen = new Set([root]);
+    const queue = [root];
+    while (queue.length > 0) {
+      for (const child of byParent.get(queue.shift()) || []) {
+        if (seen.has(child.pid) || rootPids.has(child.pid)) continue;
+        seen.add(child.pid);
+        found.push(child);
+        queue.push(child.pid);
+      }
+    }
+    result.set(root, found);
+  }
+  return result;
+}
+
+/**
+ * Shorten a full command line for display: executable basename plus args.
+ * @param {string} command
+ * @param {number} [maxLen]
+ * @returns {string} e.g. 'node /usr/bin/npm test' -> 'node npm test'
+ */
+export function shortCommand(command, maxLen = 60) {
+  const parts = command.trim().split(/\s+/).map(part =>
+    part.startsWith('/') ? part.slice(part.lastIndexOf('/') + 1) : part
+  );
+  const short = parts.join(' ');
+  return short.length > maxLen ? `${short.slice(0, maxLen - 1)}…` : short;
+}
+
+/**
+ * Total CPU and RSS across a session's descendants plus the busiest few.
+ * @param {Array<{pid: number, cpu: number, rssKB: number, command: string}>} descendants
+ * @returns {{ cpu: number, rssKB: number, children: Array<{pid: number, command: string, cpu: number, mem: number}> }}
+ */
+export function summarizeDescendants(descendants) {
+  let cpu = 0;
+  let rssKB = 0;
+  for (const d of descendants) {
+    cpu += d.cpu;
+    rssKB += d.rssKB;
+  }
+  const children = [...descendants]
+    .sort((a, b) => b.cpu - a.cpu || a.pid - b.pid)
+    .slice(0, MAX_REPORTED_CHILDREN)
+    .map(d => ({ pid: d.pid, command: shortCommand(d.command), cpu: d.cpu, mem: Math.round(d.rssKB / 1024) }));
+  return { cpu: Math.round(cpu * 10) / 10, rssKB, children };
+}
+
 /**
- * Build session output from discovered Claude processes.
+ * Build session output from discovered agent processes.
+ * Start time comes from `startTime` (epoch ms, /proc) or `lstart` (ps).
+ * Processes without an `agent` tag (from AgentRegistry.filter()) are Claude.
+ * Runs whose argv marks them non-interactive (`print`) get `interactive: false`.
  * @param {Array} claudeProcesses
  * @param {Set<number>} childParents
  * @param {Map<number, string>} cwdMap
+ * @param {Map<number, Array>} [descendantMap] -- from collectDescendants()
+ * @param {Map<number, { kind: string, name: string|null, detail: string|null }>} [hostMap] -- from detectHosts()
  * @returns {Array}
  */
-export function buildSessionOutput(claudeProcesses, childParents, cwdMap) {
+export function buildSessionOutput(claudeProcesses, childParents, cwdMap, descendantMap = new Map(), hostMap = new Map()) {
   return claudeProcesses.map(p => {
-    const startTime = new Date(p.lstart).getTime();
+    const startTime = p.startTime ?? new Date(p.lstart).getTime();
+    const descendants = summarizeDescendants(descendantMap.get(p.pid) || []);
     return {
       pid: p.pid,
       cwd: cwdMap.get(p.pid) || '/unknown',
@@ -90,6 +167,14 @@ export function buildSessionOutput(claudeProcesses, childParents, cwdMap) {
       tty: p.tty,
       hasChildren: childParents.has(p.pid),
       startTime: isNaN(startTime) ? Date.now() : startTime,
+      childCpu: descendants.cpu,
+      childMemMB: Math.round(descendants.rssKB / 1024),
+      children: descendants.children,
+      agentType: p.agent?.type ?? 'claude',
+      faction: p.agent?.faction ?? 'Claude',
+      agentArgs: p.agent?.args ?? {},
+      interactive: !p.agent?.args?.print,
+      host: hostMap.get(p.pid) ?? null,
     };
   });
 }
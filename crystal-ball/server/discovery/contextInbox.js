@@ -0,0 +1,93 @@
+// server/discovery/contextInbox.js
+// Mode 2 context pushed over HTTP (POST /api/context) instead of written to
+// a sidecar file. Lets agents in containers, other CLIs or custom scripts
+// report context without sharing a filesystem with the server. Entries have
+// the same shape as SidecarWatcher entries, so the session store pairs them
+// with processes through the same matchSidecars() path.
+
+import { validateSidecar, VALID_PHASES } from './sidecar.js';
+
+export const INBOX_DEFAULTS = {
+  ttlMs: 60 * 60_000,  // forget a session not heard from in an hour
+  maxEntries: 1000,    // oldest pushes are evicted beyond this
+};
+
+const MAX_SESSION_ID_LENGTH = 200;
+
+export class ContextInbox {
+  #opts;
+
+  /** @type {Map<string, { raw: object, receivedMs: number }>} session_id -> last push */
+  #pushes = new Map();
+
+  /**
+   * @param {{ ttlMs?: number, maxEntries?: number }} [opts]
+   */
+  constructor(opts = {}) {
+    this.#opts = { ...INBOX_DEFAULTS, ...opts };
+  }
+
+  /** Number of sessions currently held. */
+  get size() {
+    return this.#pushes.size;
+  }
+
+  /**
+   * Store a pushed payload. Takes the sidecar format; `updated_at` is set to
+   * the receive time so a skewed client clock can't make context stale.
+   * @param {object} body
+   * @param {number} [now]
+   * @returns {{ ok: true, sessionId: string }|{ ok: false, error: string }}
+   */
+  put(body, now = Date.now()) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return { ok: false, error: 'Body must be a JSON object' };
+    }
+    const sessionId = body.session_id;
+    if (typeof sessionId !== 'string' || !sessionId || sessionId.length > MAX_SESSION_ID_LENGTH) {
+      return { ok: false, error: 'session_id is required' };
+    }
+
+    const raw = { ...body, updated_at: new Date(now).toISOString() };
+    if (!validateSidecar(raw, now).valid) {
+      return { ok: false, error: `task (string) and phase (${VALID_PHASES.join('|')}) are required` };
+    }
+
+    // Re-insert so Map order stays oldest-first for eviction
+    this.#pushes.delete(sessionId);
+    this.#pushes.set(sessionId, { raw, receivedMs: now });
+    while (this.#pushes.size > this.#opts.maxEntries) {
+      this.#pushes.delete(this.#pushes.keys().next().value);
+    }
+    return { ok: true, sessionId };
+  }
+
+  /**
+   * Drop a session's context (the HTTP equivalent of SessionEnd deleting
+   * its sidecar).
+   * @param {string} sessionId
+   * @returns {boolean} true if it was held
+   */
+  remove(sessionId) {
+    return this.#pushes.delete(sessionId);
+  }
+
+  /**
+   * Validated entries in SidecarWatcher.entries() shape. Pushes older than
+   * the TTL are forgotten here.
+   * @param {number} [now]
+   * @returns {Array<{ name: string, cwd: string|null, context: object, identity: object }>}
+   */
+  entries(now = Date.now()) {
+    const out = [];
+    for (const [sessionId, { raw, receivedMs }] of this.#pushes) {
+      if (now - receivedMs > this.#opts.ttlMs) {
+        this.#pushes.delete(sessionId);
+        continue;
+      }
+      const { valid, context, identity } = validateSidecar(raw, now);
+      if (valid) out.push({ name: `push:${sessionId}`, cwd: raw.cwd || null, context, identity });
+    }
+    return out;
+  }
+}
@@ -0,0 +1,168 @@
+// server/discovery/host.js
+// Identifies what a session runs inside -- a tmux pane, screen, an editor's
+// integrated terminal, an SSH login or a terminal emulator -- by walking its
+// parent chain. The nearest recognised ancestor wins, so claude in tmux in a
+// VS Code terminal reports tmux.
+//
+// tmux panes are resolved with `tmux list-panes -a`: the pane whose shell
+// (pane_pid) is in the chain gives the session, window and pane. That call is
+// skipped when no tmux server is running.
+
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+const execFileAsync = promisify(execFile);
+
+/** Ancestors to walk before giving up (guards against ppid cycles). */
+const MAX_DEPTH = 32;
+
+/** JetBrains IDE launcher names -> product names. */
+const JETBRAINS_PRODUCTS = {
+  idea: 'IntelliJ IDEA', pycharm: 'PyCharm', webstorm: 'WebStorm', goland: 'GoLand', clion: 'CLion',
+  rider: 'Rider', rubymine: 'RubyMine', phpstorm: 'PhpStorm', datagrip: 'DataGrip',
+};
+
+/** A tmux server process (`tmux: server` on Linux, `tmux new -s x` on macOS). */
+export const TMUX_SERVER = /(^|\/)tmux(:|\s|$)/;
+
+/**
+ * Ancestor command patterns, checked in order against each ancestor.
+ * `name` may be a function of the regex match.
+ * @type {Array<{ kind: string, pattern: RegExp, name: string|((m: RegExpExecArray, command: string) => string|null) }>}
+ */
+export const HOST_PATTERNS = [
+  { kind: 'tmux', pattern: TMUX_SERVER, name: () => null },
+  { kind: 'screen', pattern: /(^|\/)screen(\s|$)/i, name: (_m, command) => screenName(command) },
+  { kind: 'vscode', pattern: /Cursor Helper|(^|\/)cursor(\s|$)|\.cursor-server/i, name: 'Cursor' },
+  { kind: 'vscode', pattern: /Code Helper|Visual Studio Code|\.vscode-server|code-server|(^|\/)code(\s|$)/, name: 'VS Code' },
+  {
+    kind: 'jetbrains',
+    pattern: new RegExp(`(^|/)(${Object.keys(JETBRAINS_PRODUCTS).join('|')})(64)?(\\.sh)?(\\s|$)`, 'i'),
+    name: (m) => JETBRAINS_PRODUCTS[m[2].toLowerCase()],
+  },
+  { kind: 'jetbrains', pattern: /JetBrains|IntelliJ/, name: 'JetBrains' },
+  { kind: 'ssh', pattern: /^sshd: /, name: (_m, command) => command.slice('sshd: '.length).split(/\s/)[0] || null },
+  { kind: 'terminal', pattern: /iTerm2|iTerm\.app/, name: 'iTerm2' },
+  { kind: 'terminal', pattern: /Terminal\.app/, name: 'Terminal' },
+  { kind: 'terminal', pattern: /gnome-terminal/, name: 'GNOME Terminal' },
+  { kind: 'terminal', pattern: /(^|\/)konsole(\s|$)/, name: 'Konsole' },
+  { kind: 'terminal', pattern: /(^|\/)alacritty(\s|$)/i, name: 'Alacritty' },
+  { kind: 'terminal', pattern: /(^|\/)kitty(\s|$)/, name: 'kitty' },
+  { kind: 'terminal', pattern: /wezterm/i, name: 'WezTerm' },
+  { kind: 'terminal', pattern: /ghostty/i, name: 'Ghostty' },
+  { kind: 'terminal', pattern: /(^|\/)(xterm|urxvt|foot|st)(\s|$)/, name: 'xterm' },
+];
+
+/** Fields requested from `tmux list-panes`, tab-separated. */
+export const TMUX_PANE_FORMAT = ['pane_pid', 'pane_id', 'session_name', 'window_index', 'window_name', 'pane_index']
+  .map(f => `#{${f}}`).join('\t');
+
+/**
+ * `screen -S name` session name, if given on the command line.
+ * @param {string} command
+ * @returns {string|null}
+ */
+function screenName(command) {
+  const m = /\s-S\s+(\S+)/.exec(command);
+  return m ? m[1] : null;
+}
+
+/**
+ * Parse `tmux list-panes -a -F TMUX_PANE_FORMAT` output.
+ * @param {string} stdout
+ * @returns {Map<number, { paneId: string, session: string, windowIndex: number, windowName: string, paneIndex: number }>} pane_pid -> pane
+ */
+export function parseTmuxPanes(stdout) {
+  const panes = new Map();
+  for (const line of stdout.split('\n')) {
+    const [pid, paneId, session, windowIndex, windowName, paneIndex] = line.split('\t');
+    const panePid = parseInt(pid, 10);
+    if (isNaN(panePid) || paneIndex === undefined) continue;
+    panes.set(panePid, {
+      paneId,
+      session,
+      windowIndex: parseInt(windowIndex, 10),
+      windowName,
+      paneIndex: parseInt(paneIndex, 10),
+    });
+  }
+  return panes;
+}
+
+/**
+ * List the panes of the default tmux server. Empty if tmux isn't installed
+ * or no server is running.
+ * @returns {Promise<Map<number, object>>}
+ */
+export async function listTmuxPanes() {
+  try {
+    const { stdout } = await execFileAsync('tmux', ['list-panes', '-a', '-F', TMUX_PANE_FORMAT], { timeout: 2000 });
+    return parseTmuxPanes(stdout);
+  } catch {
+    return new Map();
+  }
+}
+
+/**
+ * Host for a tmux pane: the tmux session is the name, window and pane the
+ * detail. `pane` is the pane id (`%3`), a stable tmux target.
+ * @param {{ paneId: string, session: string, windowIndex: number, windowName: string, paneIndex: number }} pane
+ * @returns {{ kind: 'tmux', name: string, detail: string, pane: string }}
+ */
+export function tmuxHost(pane) {
+  return {
+    kind: 'tmux',
+    name: pane.session,
+    detail: `window ${pane.windowIndex} (${pane.windowName}), pane ${pane.paneIndex}`,
+    pane: pane.paneId,
+  };
+}
+
+/**
+ * Walk a process's parent chain to find what it runs inside.
+ * @param {number} pid
+ * @param {Map<number, { ppid: number, command: string, tty?: string }>} processes -- pid -> process
+ * @param {Map<number, object>} [tmuxPanes] -- from listTmuxPanes()
+ * @returns {{ kind: string, name: string|null, detail: string|null, pane?: string }}
+ */
+export function detectHost(pid, processes, tmuxPanes = new Map()) {
+  const tty = processes.get(pid)?.tty;
+  const detail = tty && tty !== 'detached' ? tty : null;
+
+  const seen = new Set();
+  let current = pid;
+  for (let depth = 0; depth < MAX_DEPTH && current > 1 && !seen.has(current); depth++) {
+    seen.add(current);
+    const pane = tmuxPanes.get(current);
+    if (pane) return tmuxHost(pane);
+
+    const proc = processes.get(current);
+    if (!proc) break;
+    if (current !== pid) {
+      for (const { kind, pattern, name } of HOST_PATTERNS) {
+        const m = pattern.exec(proc.command);
+        if (!m) continue;
+        const hostName = typeof name === 'function' ? name(m, proc.command) : name;
+        return { kind, name: hostName, detail: kind === 'tmux' ? null : detail };
+      }
+    }
+    current = proc.ppid;
+  }
+  return { kind: 'unknown', name: null, detail };
+}
+
+/**
+ * Hosts for a set of sessions. Only asks tmux for its panes when a tmux
+ * server is among the processes.
+ * @param {Array<{ pid: number, ppid: number, command: string, tty?: string }>} allProcesses
+ * @param {Iterable<number>} pids
+ * @param {{ listPanes?: () => Promise<Map<number, object>> }} [opts]
+ * @returns {Promise<Map<number, ReturnType<typeof detectHost>>>} pid -> host
+ */
+export async function detectHosts(allProcesses, pids, { listPanes = listTmuxPanes } = {}) {
+  const processes = new Map(allProcesses.map(p => [p.pid, p]));
+  const tmuxPanes = allProcesses.some(p => TMUX_SERVER.test(p.command)) ? await listPanes() : new Map();
+  const hosts = new Map();
+  for (const pid of pids) hosts.set(pid, detectHost(pid, processes, tmuxPanes));
+  return hosts;
+}
@@ -9,9 +9,11 @@
  * - If on macOS (darwin), loads MacOSDiscovery for real process discovery.
  * - Otherwise, returns a stub that yields an empty session list.
  *
+ * @param {{ agents?: import('./agents.js').AgentRegistry }} [opts]
+ *   agents -- which processes count as sessions (built-in registry if omitted)
  * @returns {Promise<{ discoverSessions(): Promise<object[]> }>}
  */
-export async function createDiscovery() {
+export async function createDiscovery({ agents } = {}) {
   if (process.env.SIMULATE === "true") {
     const { SimulatorDiscovery } = await import("./simulator.js");
     return new SimulatorDiscovery();
@@ -19,12 +21,12 @@ export async function createDiscovery() {
 
   if (process.platform === "darwin") {
     const { MacOSDiscovery } = await import("./macos.js");
-    return new MacOSDiscovery();
+    return new MacOSDiscovery({ agents });
   }
 
   if (process.platform === "linux") {
     const { LinuxDiscovery } = await import("./linux.js");
-    return new LinuxDiscovery();
+    return new LinuxDiscovery({ agents });
   }
 
   // Stub -- real discovery not yet implemented for this platform
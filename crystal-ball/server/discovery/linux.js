@@ -1,27 +1,186 @@
 // server/discovery/linux.js
-// Discovers real Claude Code processes on Linux via ps + /proc.
+// Discovers real coding-agent processes (Claude Code, Aider, Codex...) on
+// Linux by reading /proc directly.
+//
+// CPU% is measured per poll interval: utime+stime ticks from /proc/<pid>/stat
+// are diffed against the previous poll. (`ps pcpu` on Linux is the average
+// over the whole process lifetime, so a long-running session barely moved.)
+// The tick rate comes from `getconf CLK_TCK`, asked once; RSS is read in KB
+// from VmRSS in /proc/<pid>/status, so the page size never matters.
 
 import { execFile } from 'node:child_process';
 import { promisify } from 'node:util';
-import { readlink } from 'node:fs/promises';
-import { parsePsOutput, filterClaudeProcesses, detectChildren, buildSessionOutput } from './common.js';
+import { readdir, readFile, readlink } from 'node:fs/promises';
+import { parsePsOutput, filterClaudeProcesses, detectChildren, collectDescendants, buildSessionOutput } from './common.js';
+import { AgentRegistry } from './agents.js';
+import { detectHosts } from './host.js';
 
 const execFileAsync = promisify(execFile);
 
 // Re-export pure functions for test compatibility
 export { parsePsOutput, filterClaudeProcesses, detectChildren };
 
+/** Kernel clock ticks per second (USER_HZ) when getconf can't be asked. */
+export const DEFAULT_CLOCK_TICKS = 100;
+
+/**
+ * Parse the contents of /proc/<pid>/stat.
+ * The comm field (2nd) is wrapped in parens and may itself contain spaces
+ * or parens, so fields are split after the last ')'.
+ *
+ * @param {string} text
+ * @returns {{ ppid: number, ttyNr: number, ticks: number, startTicks: number }|null}
+ */
+export function parseProcStat(text) {
+  const close = text.lastIndexOf(')');
+  if (close === -1) return null;
+
+  // After comm: state ppid pgrp session tty_nr tpgid flags minflt cminflt
+  // majflt cmajflt utime stime cutime cstime priority nice num_threads
+  // itrealvalue starttime ...
+  const fields = text.slice(close + 2).trim().split(/\s+/);
+  if (fields.length < 20) return null;
+
+  const ppid = parseInt(fields[1], 10);
+  const ttyNr = parseInt(fields[4], 10);
+  const utime = parseInt(fields[11], 10);
+  const stime = parseInt(fields[12], 10);
+  const startTicks = parseInt(fields[19], 10);
+  if ([ppid, ttyNr, utime, stime, startTicks].some(isNaN)) return null;
+
+  return { ppid, ttyNr, ticks: utime + stime, startTicks };
+}
+
+/**
+ * Resident set size in KB from the `VmRSS` line of /proc/<pid>/status.
+ * Zombies and kernel threads have no such line.
+ * @param {string} text
+ * @returns {number}
+ */
+export function parseStatusRssKB(text) {
+  const m = /^VmRSS:\s+(\d+)\s+kB/m.exec(text);
+  return m ? Number(m[1]) : 0;
+}
+
+/**
+ * Kernel clock ticks per second, from `getconf CLK_TCK`.
+ * @returns {Promise<number>} DEFAULT_CLOCK_TICKS if getconf fails
+ */
+export async function readClockTicks() {
+  try {
+    const { stdout } = await execFileAsync('getconf', ['CLK_TCK'], { timeout: 2000 });
+    const hz = parseInt(stdout, 10);
+    return hz > 0 ? hz : DEFAULT_CLOCK_TICKS;
+  } catch {
+    return DEFAULT_CLOCK_TICKS;
+  }
+}
+
+/**
+ * Boot time in epoch ms from the `btime` line of /proc/stat.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseBootTime(text) {
+  const m = /^btime\s+(\d+)/m.exec(text);
+  return m ? Number(m[1]) * 1000 : null;
+}
+
+/**
+ * Turn a /proc/<pid>/cmdline buffer (NUL-separated argv) into a command string.
+ * @param {string} text
+ * @returns {string}
+ */
+export function parseCmdline(text) {
+  return text.split('\0').filter(Boolean).join(' ');
+}
+
+/**
+ * Decode the tty_nr device number from /proc/<pid>/stat into a ps-style name.
+ * @param {number} ttyNr
+ * @returns {string} e.g. 'pts/3', 'tty1', or 'detached'
+ */
+export function ttyName(ttyNr) {
+  if (!ttyNr) return 'detached';
+  const major = (ttyNr >> 8) & 0xfff;
+  const minor = (ttyNr & 0xff) | ((ttyNr >> 12) & 0xfff00);
+  if (major >= 136 && major <= 143) return `pts/${(major - 136) * 256 + minor}`;
+  if (major === 4) return minor < 64 ? `tty${minor}` : `ttyS${minor - 64}`;
+  return `tty(${major}:${minor})`;
+}
+
+/**
+ * CPU percent of one core consumed between two samples.
+ * @param {number} tickDelta -- utime+stime ticks consumed in the interval
+ * @param {number} elapsedMs -- wall time between samples
+ * @param {number} [hz]
+ * @returns {number} rounded to one decimal place
+ */
+export function cpuPercent(tickDelta, elapsedMs, hz = DEFAULT_CLOCK_TICKS) {
+  if (elapsedMs <= 0 || tickDelta <= 0) return 0;
+  const pct = ((tickDelta / hz) / (elapsedMs / 1000)) * 100;
+  return Math.round(pct * 10) / 10;
+}
+
+/**
+ * Tracks utime+stime per PID between polls to derive interval CPU%.
+ * A PID seen for the first time falls back to its lifetime average (same as
+ * `ps pcpu`) for that one poll.
+ */
+export class CpuSampler {
+  /** @type {Map<number, { ticks: number, startTicks: number, at: number }>} */
+  #samples = new Map();
+  #hz;
+
+  /**
+   * @param {number} [hz] -- kernel clock ticks per second
+   */
+  constructor(hz = DEFAULT_CLOCK_TICKS) {
+    this.#hz = hz;
+  }
+
+  /**
+   * Record a sample and return CPU% since the previous one.
+   * @param {number} pid
+   * @param {{ ticks: number, startTicks: number }} stat
+   * @param {number} now -- epoch ms
+   * @param {number} startTime -- process start, epoch ms
+   * @returns {number}
+   */
+  sample(pid, stat, now, startTime) {
+    const prev = this.#samples.get(pid);
+    this.#samples.set(pid, { ticks: stat.ticks, startTicks: stat.startTicks, at: now });
+
+    // Same PID but a different process (PID reuse) counts as new
+    if (prev && prev.startTicks === stat.startTicks) {
+      return cpuPercent(stat.ticks - prev.ticks, now - prev.at, this.#hz);
+    }
+    return cpuPercent(stat.ticks, now - startTime, this.#hz);
+  }
+
+  /**
+   * Forget PIDs that are no longer running.
+   * @param {Set<number>} livePids
+   */
+  prune(livePids) {
+    for (const pid of this.#samples.keys()) {
+      if (!livePids.has(pid)) this.#samples.delete(pid);
+    }
+  }
+}
+
 /**
  * Read the cwd of each PID via /proc/<pid>/cwd symlink.
  * Falls back gracefully on permission errors or vanished processes.
  * @param {number[]} pids
+ * @param {string} [procRoot]
  * @returns {Promise<Map<number, string>>} pid -> cwd
  */
-export async function readProcCwds(pids) {
+export async function readProcCwds(pids, procRoot = '/proc') {
   const result = new Map();
   await Promise.all(pids.map(async (pid) => {
     try {
-      const cwd = await readlink(`/proc/${pid}/cwd`);
+      const cwd = await readlink(`${procRoot}/${pid}/cwd`);
       result.set(pid, cwd);
     } catch {
       // permission denied or process already gone
@@ -31,27 +190,137 @@ export async function readProcCwds(pids) {
 }
 
 /**
- * Linux-specific discovery of Claude Code sessions.
+ * Read pid, ppid, tick counters, tty and command line of every process.
+ * Processes that vanish mid-scan are skipped.
+ * @param {string} [procRoot]
+ * @returns {Promise<Array<{ pid: number, ppid: number, ticks: number, startTicks: number, tty: string, command: string }>>}
+ */
+export async function readProcTable(procRoot = '/proc') {
+  const entries = await readdir(procRoot);
+  const results = [];
+  await Promise.all(entries.map(async (name) => {
+    if (!/^\d+$/.test(name)) return;
+    try {
+      const [statText, cmdline] = await Promise.all([
+        readFile(`${procRoot}/${name}/stat`, 'utf8'),
+        readFile(`${procRoot}/${name}/cmdline`, 'utf8'),
+      ]);
+      const stat = parseProcStat(statText);
+      const command = parseCmdline(cmdline);
+      // Kernel threads have an empty cmdline
+      if (!stat || !command) return;
+      results.push({
+        pid: Number(name),
+        ppid: stat.ppid,
+        ticks: stat.ticks,
+        startTicks: stat.startTicks,
+        tty: ttyName(stat.ttyNr),
+        command,
+      });
+    } catch {
+      // process exited between readdir and read
+    }
+  }));
+  return results.sort((a, b) => a.pid - b.pid);
+}
+
+/**
+ * Read RSS (KB) of each PID from /proc/<pid>/status.
+ * @param {number[]} pids
+ * @param {string} [procRoot]
+ * @returns {Promise<Map<number, number>>} pid -> rssKB
+ */
+export async function readProcRss(pids, procRoot = '/proc') {
+  const result = new Map();
+  await Promise.all(pids.map(async (pid) => {
+    try {
+      result.set(pid, parseStatusRssKB(await readFile(`${procRoot}/${pid}/status`, 'utf8')));
+    } catch {
+      // process already gone
+    }
+  }));
+  return result;
+}
+
+/**
+ * Linux-specific discovery of agent sessions.
  */
 export class LinuxDiscovery {
+  #procRoot;
+  #agents;
+  #listPanes;
+  #sampler = null;
+
+  /** Boot time in epoch ms, read once from /proc/stat */
+  #bootTime = null;
+
+  /** Kernel clock ticks per second, asked of getconf once unless given */
+  #clockTicks;
+
+  /**
+   * @param {{ procRoot?: string, agents?: AgentRegistry, listPanes?: () => Promise<Map<number, object>>, clockTicks?: number }} [opts]
+   *   listPanes -- tmux pane lookup (defaults to `tmux list-panes -a`)
+   *   clockTicks -- USER_HZ (defaults to `getconf CLK_TCK`)
+   */
+  constructor({ procRoot = '/proc', agents = new AgentRegistry(), listPanes, clockTicks = null } = {}) {
+    this.#procRoot = procRoot;
+    this.#agents = agents;
+    this.#listPanes = listPanes;
+    this.#clockTicks = clockTicks;
+  }
+
   async discoverSessions() {
     try {
-      // Get all processes
-      const { stdout: psOut } = await execFileAsync('ps', ['axo', 'pid,ppid,pcpu,rss,tty,lstart,command'], { maxBuffer: 10 * 1024 * 1024 });
-      const allProcesses = parsePsOutput(psOut, ['?', '??']);
-      const claudeProcesses = filterClaudeProcesses(allProcesses);
+      if (this.#bootTime === null) {
+        this.#bootTime = parseBootTime(await readFile(`${this.#procRoot}/stat`, 'utf8')) ?? 0;
+      }
+      if (this.#sampler === null) {
+        this.#clockTicks ??= await readClockTicks();
+        this.#sampler = new CpuSampler(this.#clockTicks);
+      }
+
+      const now = Date.now();
+      const allProcesses = await readProcTable(this.#procRoot);
+      const agentProcesses = this.#agents.filter(allProcesses);
+      const agentPids = new Set(agentProcesses.map(p => p.pid));
 
-      if (claudeProcesses.length === 0) return [];
+      // Full descendant tree of each session (npm test, builds, shells...)
+      const descendantMap = collectDescendants(allProcesses, agentPids);
+      const trackedPids = new Set(agentPids);
+      for (const list of descendantMap.values()) {
+        for (const d of list) trackedPids.add(d.pid);
+      }
+      this.#sampler.prune(trackedPids);
 
-      const claudePids = new Set(claudeProcesses.map(p => p.pid));
+      if (agentProcesses.length === 0) return [];
 
       // Detect children
-      const childParents = detectChildren(allProcesses, claudePids);
+      const childParents = detectChildren(allProcesses, agentPids);
+
+      // RSS for sessions and descendants, cwd for sessions, via /proc;
+      // host (tmux pane, editor, terminal) from each session's ancestry
+      const [rssMap, cwdMap, hostMap] = await Promise.all([
+        readProcRss([...trackedPids], this.#procRoot),
+        readProcCwds([...agentPids], this.#procRoot),
+        detectHosts(allProcesses, agentPids, { listPanes: this.#listPanes }),
+      ]);
+
+      const sample = (p) => {
+        const startTime = this.#bootTime + (p.startTicks / this.#clockTicks) * 1000;
+        return {
+          ...p,
+          startTime,
+          cpu: this.#sampler.sample(p.pid, p, now, startTime),
+          rssKB: rssMap.get(p.pid) ?? 0,
+        };
+      };
 
-      // Get cwd for each Claude process via /proc
-      const cwdMap = await readProcCwds([...claudePids]);
+      const sampled = agentProcesses.map(sample);
+      for (const [pid, list] of descendantMap) {
+        descendantMap.set(pid, list.map(sample));
+      }
 
-      return buildSessionOutput(claudeProcesses, childParents, cwdMap);
+      return buildSessionOutput(sampled, childParents, cwdMap, descendantMap, hostMap);
     } catch (err) {
       console.error('[LinuxDiscovery] Error:', err.message);
       return [];
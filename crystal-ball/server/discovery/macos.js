@@ -1,9 +1,12 @@
 // server/discovery/macos.js
-// Discovers real Claude Code processes on macOS via ps + lsof.
+// Discovers real coding-agent processes (Claude Code, Aider, Codex...) on
+// macOS via ps + lsof.
 
 import { execFile } from 'node:child_process';
 import { promisify } from 'node:util';
-import { parsePsOutput, filterClaudeProcesses, detectChildren, buildSessionOutput } from './common.js';
+import { parsePsOutput, filterClaudeProcesses, detectChildren, collectDescendants, buildSessionOutput } from './common.js';
+import { AgentRegistry } from './agents.js';
+import { detectHosts } from './host.js';
 
 const execFileAsync = promisify(execFile);
 
@@ -34,25 +37,37 @@ export function parseLsofCwd(stdout) {
 }
 
 /**
- * macOS-specific discovery of Claude Code sessions.
+ * macOS-specific discovery of agent sessions.
  */
 export class MacOSDiscovery {
+  #agents;
+
+  /**
+   * @param {{ agents?: AgentRegistry }} [opts]
+   */
+  constructor({ agents = new AgentRegistry() } = {}) {
+    this.#agents = agents;
+  }
+
   async discoverSessions() {
     try {
       // Get all processes
       const { stdout: psOut } = await execFileAsync('ps', ['axo', 'pid,ppid,pcpu,rss,tty,lstart,command'], { maxBuffer: 10 * 1024 * 1024 });
       const allProcesses = parsePsOutput(psOut, ['??']);
-      const claudeProcesses = filterClaudeProcesses(allProcesses);
+      const agentProcesses = this.#agents.filter(allProcesses);
 
-      if (claudeProcesses.length === 0) return [];
+      if (agentProcesses.length === 0) return [];
 
-      const claudePids = new Set(claudeProcesses.map(p => p.pid));
+      const agentPids = new Set(agentProcesses.map(p => p.pid));
 
       // Detect children
-      const childParents = detectChildren(allProcesses, claudePids);
+      const childParents = detectChildren(allProcesses, agentPids);
 
-      // Get cwd for each Claude process
-      const pidList = [...claudePids].join(',');
+      // Full descendant tree of each session, for child CPU/RSS totals
+      const descendantMap = collectDescendants(allProcesses, agentPids);
+
+      // Get cwd for each agent process
+      const pidList = [...agentPids].join(',');
       let cwdMap = new Map();
       try {
         const { stdout: lsofOut } = await execFileAsync('lsof', ['-a', '-p', pidList, '-d', 'cwd', '-Fn'], { maxBuffer: 1024 * 1024 });
@@ -61,7 +76,10 @@ export class MacOSDiscovery {
         // lsof may fail for permission reasons; continue without cwd
       }
 
-      return buildSessionOutput(claudeProcesses, childParents, cwdMap);
+      // Host (tmux pane, editor, terminal) from each session's ancestry
+      const hostMap = await detectHosts(allProcesses, agentPids);
+
+      return buildSessionOutput(agentProcesses, childParents, cwdMap, descendantMap, hostMap);
     } catch (err) {
       console.error('[MacOSDiscovery] Error:', err.message);
       return [];
@@ -14,6 +14,14 @@ export const VALID_PHASES = [
 
 export const STALE_THRESHOLD_MS = 10 * 60 * 1000; // 10 minutes
 
+/** Newest sidecar schema the server understands (see docs/mode-2-active-context.md). */
+export const SIDECAR_VERSION = 2;
+
+export const TODO_STATUSES = ['pending', 'in_progress', 'completed'];
+
+export const MAX_SIDECAR_FILES = 5;  // per list (read / written)
+export const MAX_SIDECAR_TODOS = 20;
+
 /**
  * Resolve the sidecar directory path.
  * @returns {string}
@@ -22,22 +30,102 @@ export function getSidecarDir() {
   return process.env.CRYSTAL_BALL_DIR || join(homedir(), '.crystal-ball', 'sessions');
 }
 
+/**
+ * Coerce a sidecar PID field to a positive integer, or null.
+ * @param {unknown} value
+ * @returns {number|null}
+ */
+function toPid(value) {
+  const pid = typeof value === 'string' ? Number(value) : value;
+  return Number.isInteger(pid) && pid > 1 ? pid : null;
+}
+
+/**
+ * Normalize a TodoWrite list into completion counts plus the items.
+ * @param {unknown} value
+ * @returns {{ total: number, completed: number, in_progress: number, items: Array<{ content: string, status: string }> }|null}
+ */
+function toTodos(value) {
+  if (!Array.isArray(value)) return null;
+  const items = value
+    .filter(t => t && typeof t.content === 'string' && TODO_STATUSES.includes(t.status))
+    .map(t => ({ content: t.content, status: t.status }));
+  return {
+    total: items.length,
+    completed: items.filter(t => t.status === 'completed').length,
+    in_progress: items.filter(t => t.status === 'in_progress').length,
+    items: items.slice(0, MAX_SIDECAR_TODOS),
+  };
+}
+
+/**
+ * Most-recent-first list of file paths, capped.
+ * @param {unknown} value
+ * @returns {string[]}
+ */
+function toFileList(value) {
+  if (!Array.isArray(value)) return [];
+  return value.filter(f => typeof f === 'string' && f).slice(0, MAX_SIDECAR_FILES);
+}
+
+/**
+ * Tool name -> call count, dropping anything that isn't a non-negative integer.
+ * @param {unknown} value
+ * @returns {Record<string, number>}
+ */
+function toToolCounts(value) {
+  const counts = {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return counts;
+  for (const [tool, n] of Object.entries(value)) {
+    if (Number.isInteger(n) && n > 0) counts[tool] = n;
+  }
+  return counts;
+}
+
+/**
+ * Fields added in schema v2. Each one is optional so a hook that only
+ * tracks some of them still validates.
+ * @param {object} raw
+ * @returns {{ model: string|null, todos: object|null, files: { read: string[], written: string[] }, subagents: number, tool_counts: Record<string, number>, tool_calls: number }}
+ */
+function v2Context(raw) {
+  const toolCounts = toToolCounts(raw.tool_counts);
+  return {
+    model: typeof raw.model === 'string' && raw.model ? raw.model : null,
+    todos: toTodos(raw.todos),
+    files: {
+      read: toFileList(raw.files?.read),
+      written: toFileList(raw.files?.written),
+    },
+    subagents: Number.isInteger(raw.subagents) && raw.subagents > 0 ? raw.subagents : 0,
+    tool_counts: toolCounts,
+    tool_calls: Object.values(toolCounts).reduce((sum, n) => sum + n, 0),
+  };
+}
+
 /**
  * Validate a parsed sidecar object.
+ * Identity fields are optional: older hooks only wrote session_id and cwd.
+ * Files without a `version` are v1 and carry only task/phase/blocked/detail;
+ * v2 files add model, todos, files, subagents and tool counters. Unknown
+ * future versions are read as v2 so a newer hook doesn't go dark.
  * @param {object} raw - parsed JSON from sidecar file
  * @param {number} now - current timestamp ms
- * @returns {{ valid: boolean, context: object|null }}
+ * @returns {{ valid: boolean, context: object|null, identity: { sessionId: string|null, pid: number|null, hookPpid: number|null, updatedMs: number }|null }}
  */
 export function validateSidecar(raw, now) {
-  if (!raw || typeof raw !== 'object') return { valid: false, context: null };
-  if (!raw.task || typeof raw.task !== 'string') return { valid: false, context: null };
-  if (!raw.phase || !VALID_PHASES.includes(raw.phase)) return { valid: false, context: null };
-  if (!raw.updated_at) return { valid: false, context: null };
+  const invalid = { valid: false, context: null, identity: null };
+  if (!raw || typeof raw !== 'object') return invalid;
+  if (!raw.task || typeof raw.task !== 'string') return invalid;
+  if (!raw.phase || !VALID_PHASES.includes(raw.phase)) return invalid;
+  if (!raw.updated_at) return invalid;
 
   const updatedMs = new Date(raw.updated_at).getTime();
-  if (isNaN(updatedMs)) return { valid: false, context: null };
+  if (isNaN(updatedMs)) return invalid;
 
   const stale = (now - updatedMs) > STALE_THRESHOLD_MS;
+  const sessionId = typeof raw.session_id === 'string' && raw.session_id ? raw.session_id : null;
+  const version = Number.isInteger(raw.version) && raw.version >= 2 ? SIDECAR_VERSION : 1;
 
   return {
     valid: true,
@@ -47,86 +135,130 @@ export function validateSidecar(raw, now) {
       blocked: !!raw.blocked,
       detail: raw.detail || null,
       stale,
+      session_id: sessionId,
+      version,
+      ...(version >= 2 ? v2Context(raw) : {}),
+    },
+    identity: {
+      sessionId,
+      pid: toPid(raw.pid),
+      hookPpid: toPid(raw.hook_ppid),
+      updatedMs,
     },
   };
 }
 
+/**
+ * Pair sidecar entries with discovered sessions.
+ *
+ * 1. Exact: the sidecar's recorded Claude PID (or, failing that, the hook's
+ *    parent PID) is a discovered session. The newest sidecar wins if a
+ *    process has several (e.g. after /clear started a new session_id).
+ * 2. Fallback by cwd, only for sidecars that recorded no Claude PID (older
+ *    hooks), and only when exactly one unpaired session and exactly one
+ *    such sidecar share the cwd. Fresh sidecars are preferred over stale
+ *    leftovers when counting.
+ *
+ * Sidecars whose recorded PID is no longer running are ignored.
+ * Pure function, exported for testing.
+ *
+ * @param {Array<{pid: number, cwd: string}>} sessions
+ * @param {Array<{cwd: string|null, context: object, identity: object}>} entries
+ * @returns {Map<number, object>} pid -> context
+ */
+export function matchSidecars(sessions, entries) {
+  const results = new Map();
+  const livePids = new Set(sessions.map(s => s.pid));
+
+  // ── 1. Exact PID pairing ──
+  const newestByPid = new Map();
+  const unidentified = [];
+  for (const entry of entries) {
+    const { pid, hookPpid } = entry.identity;
+    const target = [pid, hookPpid].find(p => p !== null && livePids.has(p));
+    if (target !== undefined) {
+      const current = newestByPid.get(target);
+      if (!current || entry.identity.updatedMs > current.identity.updatedMs) {
+        newestByPid.set(target, entry);
+      }
+    } else if (pid === null && entry.cwd) {
+      unidentified.push(entry);
+    }
+  }
+  for (const [pid, entry] of newestByPid) {
+    results.set(pid, entry.context);
+  }
+
+  // ── 2. Unambiguous cwd fallback ──
+  const sessionsByCwd = new Map();
+  for (const s of sessions) {
+    if (results.has(s.pid)) continue;
+    const list = sessionsByCwd.get(s.cwd) || [];
+    list.push(s);
+    sessionsByCwd.set(s.cwd, list);
+  }
+  const entriesByCwd = new Map();
+  for (const entry of unidentified) {
+    const list = entriesByCwd.get(entry.cwd) || [];
+    list.push(entry);
+    entriesByCwd.set(entry.cwd, list);
+  }
+  for (const [cwd, candidates] of entriesByCwd) {
+    const waiting = sessionsByCwd.get(cwd);
+    if (!waiting || waiting.length !== 1) continue;
+    const fresh = candidates.filter(e => !e.context.stale);
+    const pool = fresh.length > 0 ? fresh : candidates;
+    if (pool.length === 1) results.set(waiting[0].pid, pool[0].context);
+  }
+
+  return results;
+}
+
 /**
  * Read and validate a single sidecar file by path.
  * @param {string} filePath - absolute path to sidecar JSON
- * @returns {Promise<{cwd: string, context: object}|null>}
+ * @returns {Promise<{cwd: string, context: object, identity: object}|null>}
  */
 export async function readSidecarFile(filePath) {
   try {
     const raw = JSON.parse(await readFile(filePath, 'utf8'));
-    const { valid, context } = validateSidecar(raw, Date.now());
+    const { valid, context, identity } = validateSidecar(raw, Date.now());
     if (!valid) return null;
-    return { cwd: raw.cwd || null, context };
+    return { cwd: raw.cwd || null, context, identity };
   } catch {
     return null;
   }
 }
 
 /**
- * Scan the central sidecar directory and match entries to discovered sessions by cwd.
- * @param {Array<{pid: number, cwd: string}>} sessions - discovered sessions
- * @returns {Promise<Map<number, object>>} pid -> context
+ * Read and validate every sidecar in the central directory.
+ * @param {string} [dir]
+ * @returns {Promise<Array<{cwd: string, context: object, identity: object}>>}
  */
-export async function readAllSidecars(sessions) {
-  const results = new Map();
-  if (sessions.length === 0) return results;
-
-  const dir = getSidecarDir();
+export async function readSidecarEntries(dir = getSidecarDir()) {
   let files;
   try {
     files = await readdir(dir);
   } catch {
-    return results; // dir doesn't exist yet — no sidecars
+    return []; // dir doesn't exist yet — no sidecars
   }
 
   const jsonFiles = files.filter(f => f.endsWith('.json') && !f.endsWith('.tmp'));
-  if (jsonFiles.length === 0) return results;
 
   // Read all sidecar files in parallel
   const entries = await Promise.all(
     jsonFiles.map(f => readSidecarFile(join(dir, f)))
   );
-
-  // Build cwd -> context map from sidecar files
-  const cwdMap = new Map();
-  for (const entry of entries) {
-    if (entry && entry.cwd) {
-      cwdMap.set(entry.cwd, entry.context);
-    }
-  }
-
-  // Match discovered sessions by cwd
-  for (const s of sessions) {
-    const ctx = cwdMap.get(s.cwd);
-    if (ctx) results.set(s.pid, ctx);
-  }
-
-  return results;
+  return entries.filter(Boolean);
 }
 
 /**
- * Legacy: read sidecar from a session's cwd (for inline simulator sidecars).
- * Not used for real discovery — kept for compatibility.
- * @param {string} cwd
- * @returns {Promise<object|null>}
+ * Scan the central sidecar directory and match entries to discovered sessions
+ * (by PID, falling back to an unambiguous cwd -- see matchSidecars()).
+ * @param {Array<{pid: number, cwd: string}>} sessions - discovered sessions
+ * @returns {Promise<Map<number, object>>} pid -> context
  */
-export async function readSidecar(cwd) {
-  // Try the central dir first (match by cwd)
-  const dir = getSidecarDir();
-  try {
-    const files = await readdir(dir);
-    for (const f of files) {
-      if (!f.endsWith('.json') || f.endsWith('.tmp')) continue;
-      const entry = await readSidecarFile(join(dir, f));
-      if (entry && entry.cwd === cwd) return entry.context;
-    }
-  } catch {
-    // dir doesn't exist
-  }
-  return null;
+export async function readAllSidecars(sessions) {
+  if (sessions.length === 0) return new Map();
+  return matchSidecars(sessions, await readSidecarEntries());
 }
@@ -0,0 +1,206 @@
+// server/discovery/sidecarReaper.js
+// Garbage-collects sidecar files whose session is gone. The hook only
+// deletes its sidecar on SessionEnd, so a killed terminal or crashed session
+// leaves the JSON behind, where it could later be matched by cwd to an
+// unrelated session. After each poll the reaper cross-checks sidecars
+// against live discovery (the same pairing the store uses); one that stays
+// unpaired for the grace period is archived (or deleted). A poll that finds
+// no sessions at all proves nothing -- discovery may be failing -- so the
+// grace period only runs while discovery sees sessions. Archived files are
+// deleted once they are older than the archive retention.
+
+import { mkdir, readdir, rename, stat, unlink } from 'node:fs/promises';
+import { join } from 'node:path';
+import { matchSidecars } from './sidecar.js';
+
+export const REAPER_DEFAULTS = {
+  graceMs: 15 * 60_000,   // unpaired this long -> orphan
+  sweepIntervalMs: 60_000, // at most one sweep per minute
+  mode: 'archive',         // 'archive' moves to <dir>/archive, 'delete' unlinks
+  archiveRetentionMs: 7 * 24 * 60 * 60_000, // archived files last written longer ago are deleted
+  pruneIntervalMs: 60 * 60_000,             // at most one archive prune per hour
+};
+
+/**
+ * Names of sidecar entries that no live session would be paired with.
+ * A sidecar is live iff matchSidecars() hands its context to a session, so
+ * dead PIDs and superseded session_ids of a still-running process count as
+ * unpaired. A sidecar without a recorded PID is never unpaired while a live
+ * session works in its cwd: with several sessions there the cwd match is
+ * ambiguous, and it may well belong to one of them.
+ * Pure function, exported for testing.
+ *
+ * @param {Array<{ name: string, cwd: string|null, context: object, identity: object }>} entries
+ * @param {Array<{ pid: number, cwd: string }>} sessions - live discovery results
+ * @returns {Set<string>}
+ */
+export function findUnpaired(entries, sessions) {
+  const paired = new Set(matchSidecars(sessions, entries).values());
+  const liveCwds = new Set(sessions.map(s => s.cwd));
+  const unpaired = new Set();
+  for (const entry of entries) {
+    if (paired.has(entry.context)) continue;
+    if (entry.identity.pid === null && liveCwds.has(entry.cwd)) continue;
+    unpaired.add(entry.name);
+  }
+  return unpaired;
+}
+
+export class SidecarReaper {
+  #dir;
+  #opts;
+
+  /** @type {{ entries(): Array<{ name: string, cwd: string|null, context: object, identity: object }> }} */
+  #source;
+
+  /** File name -> when it was first seen unpaired (ms) */
+  #unpairedSince = new Map();
+
+  #lastSweepAt = 0;
+  #lastPruneAt = -Infinity;
+  #sweeping = false;
+
+  #stats = { total: 0, paired: 0, pending: 0, archived: 0, deleted: 0, pruned: 0, skipped: 0, errors: 0, lastSweep: null };
+
+  /**
+   * @param {{ entries(): Array }} source - e.g. a SidecarWatcher
+   * @param {{ dir: string, graceMs?: number, sweepIntervalMs?: number, mode?: 'archive'|'delete', archiveRetentionMs?: number, pruneIntervalMs?: number }} opts
+   */
+  constructor(source, opts) {
+    this.#source = source;
+    this.#dir = opts.dir;
+    this.#opts = { ...REAPER_DEFAULTS, ...opts };
+  }
+
+  /** Where archived sidecars are moved. */
+  get archiveDir() {
+    return join(this.#dir, 'archive');
+  }
+
+  /**
+   * Cross-check sidecars against the sessions discovery just returned and
+   * reap those unpaired for longer than the grace period. With no sessions
+   * nothing is reaped and the grace periods start over. Throttled to one
+   * run per sweepIntervalMs; errors are counted, never thrown.
+   * @param {Array<{ pid: number, cwd: string, sidecar?: object }>} sessions
+   * @param {number} [now]
+   * @returns {Promise<string[]>} names reaped in this sweep
+   */
+  async sweep(sessions, now = Date.now()) {
+    if (this.#sweeping || now - this.#lastSweepAt < this.#opts.sweepIntervalMs) return [];
+    this.#sweeping = true;
+    this.#lastSweepAt = now;
+
+    try {
+      if (now - this.#lastPruneAt >= this.#opts.pruneIntervalMs) {
+        this.#lastPruneAt = now;
+        await this.#pruneArchive(now);
+      }
+
+      // Simulator sessions carry inline context and never claim a file
+      const live = sessions.filter(s => !s.sidecar);
+      this.#stats.lastSweep = new Date(now).toISOString();
+      if (live.length === 0) {
+        // Failing discovery looks like every session ended: count none of
+        // it against the grace period
+        this.#unpairedSince.clear();
+        this.#stats.pending = 0;
+        this.#stats.skipped++;
+        return [];
+      }
+
+      const entries = this.#source.entries(now);
+      const unpaired = findUnpaired(entries, live);
+
+      // Forget files that were paired again or disappeared
+      for (const name of this.#unpairedSince.keys()) {
+        if (!unpaired.has(name)) this.#unpairedSince.delete(name);
+      }
+
+      const due = [];
+      for (const name of unpaired) {
+        const since = this.#unpairedSince.get(name) ?? now;
+        this.#unpairedSince.set(name, since);
+        if (now - since >= this.#opts.graceMs) due.push(name);
+      }
+
+      const reaped = [];
+      for (const name of due) {
+        if (await this.#reap(name)) {
+          reaped.push(name);
+          this.#unpairedSince.delete(name);
+        }
+      }
+
+      this.#stats.total = entries.length;
+      this.#stats.paired = entries.length - unpaired.size;
+      this.#stats.pending = this.#unpairedSince.size;
+      return reaped;
+    } finally {
+      this.#sweeping = false;
+    }
+  }
+
+  /**
+   * Counters for the diagnostics endpoint.
+   * @returns {{ mode: string, graceMinutes: number, archiveDays: number, total: number, paired: number, pending: number, archived: number, deleted: number, pruned: number, skipped: number, errors: number, lastSweep: string|null }}
+   */
+  stats() {
+    return {
+      mode: this.#opts.mode,
+      graceMinutes: Math.round(this.#opts.graceMs / 60_000),
+      archiveDays: this.#opts.archiveRetentionMs / (24 * 60 * 60_000),
+      ...this.#stats,
+    };
+  }
+
+  // ── Private ─────────────────────────────────────────────────────────────
+
+  /** @param {string} name */
+  async #reap(name) {
+    const path = join(this.#dir, name);
+    try {
+      if (this.#opts.mode === 'delete') {
+        await unlink(path);
+        this.#stats.deleted++;
+      } else {
+        await mkdir(this.archiveDir, { recursive: true });
+        await rename(path, join(this.archiveDir, name));
+        this.#stats.archived++;
+      }
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return true; // SessionEnd beat us to it
+      this.#stats.errors++;
+      console.warn(`[SidecarReaper] could not reap ${name}:`, err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Delete archived sidecars last written before the retention window.
+   * @param {number} now
+   */
+  async #pruneArchive(now) {
+    let names;
+    try {
+      names = await readdir(this.archiveDir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') this.#stats.errors++;
+      return;
+    }
+    for (const name of names) {
+      const path = join(this.archiveDir, name);
+      try {
+        const { mtimeMs } = await stat(path);
+        if (now - mtimeMs < this.#opts.archiveRetentionMs) continue;
+        await unlink(path);
+        this.#stats.pruned++;
+      } catch (err) {
+        if (err.code === 'ENOENT') continue;
+        this.#stats.errors++;
+        console.warn(`[SidecarReaper] could not prune archive/${name}:`, err.message);
+      }
+    }
+  }
+}
@@ -0,0 +1,195 @@
+// server/discovery/sidecarWatcher.js
+// Keeps an in-memory cache of sidecar files, updated by fs.watch as hooks
+// write them, so a Stop hook shows up as `blocked` within milliseconds
+// instead of on the next poll. A periodic rescan is the safety net for
+// missed events (fs.watch is best-effort on some platforms and network
+// filesystems) and re-establishes the watch if the directory appears later.
+
+import { watch } from 'node:fs';
+import { readFile, readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { getSidecarDir, validateSidecar } from './sidecar.js';
+
+export const WATCHER_DEFAULTS = {
+  rescanIntervalMs: 30_000,  // full directory rescan
+  debounceMs: 25,            // coalesce the tmp-write + rename burst of one hook run
+};
+
+/**
+ * True for files the hook writes as final sidecars (not its .tmp files).
+ * @param {string|null} name
+ * @returns {boolean}
+ */
+export function isSidecarFile(name) {
+  return !!name && name.endsWith('.json') && !name.endsWith('.tmp');
+}
+
+export class SidecarWatcher {
+  #dir;
+  #opts;
+  #onChange;
+
+  /** @type {Map<string, { text: string, raw: object }>} file name -> parsed contents */
+  #cache = new Map();
+
+  /** @type {import('node:fs').FSWatcher|null} */
+  #watcher = null;
+
+  /** @type {ReturnType<typeof setInterval>|null} */
+  #rescanTimer = null;
+
+  /** @type {ReturnType<typeof setTimeout>|null} */
+  #debounceTimer = null;
+
+  /** File names touched since the last flush */
+  #dirty = new Set();
+
+  /**
+   * @param {{ dir?: string, rescanIntervalMs?: number, debounceMs?: number, onChange?: () => void }} [opts]
+   */
+  constructor(opts = {}) {
+    this.#dir = opts.dir || getSidecarDir();
+    this.#opts = { ...WATCHER_DEFAULTS, ...opts };
+    this.#onChange = opts.onChange ?? null;
+  }
+
+  /** Directory being watched. */
+  get dir() {
+    return this.#dir;
+  }
+
+  /** True while fs.watch events are being received. */
+  get watching() {
+    return this.#watcher !== null;
+  }
+
+  /**
+   * Load the directory and begin watching it.
+   */
+  async start() {
+    await this.rescan();
+    this.#rescanTimer = setInterval(() => this.rescan(), this.#opts.rescanIntervalMs);
+    this.#rescanTimer.unref?.();
+  }
+
+  /** Stop watching and clear timers. */
+  stop() {
+    if (this.#watcher) {
+      this.#watcher.close();
+      this.#watcher = null;
+    }
+    clearInterval(this.#rescanTimer);
+    clearTimeout(this.#debounceTimer);
+    this.#rescanTimer = null;
+    this.#debounceTimer = null;
+    this.#dirty.clear();
+  }
+
+  /**
+   * Validated entries for every cached sidecar. Validation runs here rather
+   * than at read time so `stale` reflects the current clock.
+   * @param {number} [now]
+   * @returns {Array<{ name: string, cwd: string|null, context: object, identity: object }>}
+   */
+  entries(now = Date.now()) {
+    const out = [];
+    for (const [name, { raw }] of this.#cache) {
+      const { valid, context, identity } = validateSidecar(raw, now);
+      if (valid) out.push({ name, cwd: raw.cwd || null, context, identity });
+    }
+    return out;
+  }
+
+  /**
+   * Re-read the whole directory, replacing the cache. Calls onChange if
+   * anything differed from what the watcher had already seen.
+   * @returns {Promise<boolean>} true if the cache changed
+   */
+  async rescan() {
+    let names;
+    try {
+      names = (await readdir(this.#dir)).filter(isSidecarFile);
+    } catch {
+      names = []; // dir doesn't exist yet -- no sidecars
+    }
+
+    let changed = false;
+    const present = new Set(names);
+    for (const name of this.#cache.keys()) {
+      if (!present.has(name)) {
+        this.#cache.delete(name);
+        changed = true;
+      }
+    }
+    for (const name of names) {
+      if (await this.#load(name)) changed = true;
+    }
+
+    this.#ensureWatch();
+    if (changed && this.#onChange) this.#onChange();
+    return changed;
+  }
+
+  // ── Private ─────────────────────────────────────────────────────────────
+
+  /**
+   * (Re)read one file into the cache.
+   * @param {string} name
+   * @returns {Promise<boolean>} true if the cached contents changed
+   */
+  async #load(name) {
+    let text;
+    try {
+      text = await readFile(join(this.#dir, name), 'utf8');
+    } catch {
+      // Deleted (SessionEnd) or renamed away
+      return this.#cache.delete(name);
+    }
+
+    if (this.#cache.get(name)?.text === text) return false;
+    try {
+      this.#cache.set(name, { text, raw: JSON.parse(text) });
+    } catch {
+      // Partially written by a hook that doesn't write atomically -- the
+      // next event or rescan will pick up the finished file
+      return false;
+    }
+    return true;
+  }
+
+  #ensureWatch() {
+    if (this.#watcher) return;
+    try {
+      this.#watcher = watch(this.#dir, (_event, name) => {
+        if (isSidecarFile(name)) this.#markDirty(name);
+      });
+      this.#watcher.on('error', () => {
+        // Directory removed or watch limit hit -- rescan will retry
+        this.#watcher?.close();
+        this.#watcher = null;
+      });
+      this.#watcher.unref?.();
+    } catch {
+      // Directory doesn't exist yet -- retried on the next rescan
+    }
+  }
+
+  /** @param {string} name */
+  #markDirty(name) {
+    this.#dirty.add(name);
+    if (this.#debounceTimer) return;
+    this.#debounceTimer = setTimeout(() => this.#flush(), this.#opts.debounceMs);
+  }
+
+  async #flush() {
+    this.#debounceTimer = null;
+    const names = [...this.#dirty];
+    this.#dirty.clear();
+
+    let changed = false;
+    for (const name of names) {
+      if (await this.#load(name)) changed = true;
+    }
+    if (changed && this.#onChange) this.#onChange();
+  }
+}
@@ -1,19 +1,67 @@
 // server/discovery/simulator.js
 // Fake session generator for dev/demo mode.
 // Produces realistic, time-varying data with smooth CPU curves,
-// state transitions, session churn, and deterministic age spread.
+// state transitions, session churn, sessions changing project, and
+// deterministic age spread.
 // Supports Mode 2: ~60% of sessions get sidecar context with phase cycling.
+// Headless `claude -p` runs (couriers) arrive every 20-40 s, work for
+// 20-90 s and exit, mostly successfully.
+
+import { EventEmitter } from 'node:events';
 
 // ── Simulated project groups ────────────────────────────────────────────────
+// Three parent directories, so three districts: projects, clients, sandbox.
+// `cwds` spreads a group's sessions over sub-directories and worktrees
+// (session i gets cwds[i % length]); otherwise they all run in `cwd`.
 const SIMULATED_GROUPS = [
-  { name: "SimExchange", cwd: "/home/tomek/projects/SimExchange", baseSessionCount: 3 },
-  { name: "Tyburn", cwd: "/home/tomek/projects/Tyburn", baseSessionCount: 2 },
+  {
+    name: "SimExchange", cwd: "/home/tomek/projects/SimExchange", baseSessionCount: 3,
+    cwds: ["/home/tomek/projects/SimExchange/packages/api", "/home/tomek/projects/SimExchange/packages/web", "/home/tomek/projects/SimExchange"],
+  },
+  {
+    name: "Tyburn", cwd: "/home/tomek/projects/Tyburn", baseSessionCount: 2,
+    cwds: ["/home/tomek/projects/Tyburn", "/home/tomek/projects/Tyburn-hotfix"],
+  },
   { name: "Epsilon", cwd: "/home/tomek/projects/Epsilon", baseSessionCount: 2 },
-  { name: "Admiral", cwd: "/home/tomek/projects/Admiral", baseSessionCount: 2 },
-  { name: "Minx", cwd: "/home/tomek/projects/Minx", baseSessionCount: 1 },
-  { name: "SignalEngine", cwd: "/home/tomek/projects/SignalEngine", baseSessionCount: 2 },
+  { name: "Admiral", cwd: "/home/tomek/clients/Admiral", baseSessionCount: 2 },
+  { name: "Minx", cwd: "/home/tomek/sandbox/Minx", baseSessionCount: 1 },
+  { name: "SignalEngine", cwd: "/home/tomek/clients/SignalEngine", baseSessionCount: 2 },
+];
+
+// ── Simulated git repositories (answered by runGit) ────────────────────────
+// Tyburn-hotfix is a linked worktree of Tyburn; Minx has no remote.
+// Working trees gain an uncommitted file every 20 s and are committed every
+// `commitMin` minutes; Admiral's agents never commit, so its pile grows.
+// `ab` is ahead/behind upstream (no upstream without a remote).
+const SIMULATED_REPOS = [
+  { root: "/home/tomek/projects/SimExchange", branch: "main", remote: "git@github.com:tomek/SimExchange.git", commitMin: 3, ab: [2, 0] },
+  { root: "/home/tomek/projects/Tyburn", branch: "main", remote: "https://github.com/tomek/Tyburn.git", commitMin: 5, ab: [0, 3] },
+  { root: "/home/tomek/projects/Tyburn-hotfix", branch: "hotfix/ledger-rounding", worktreeOf: "/home/tomek/projects/Tyburn" },
+  { root: "/home/tomek/projects/Epsilon", branch: "main", remote: "git@github.com:tomek/Epsilon.git", commitMin: 2, ab: [1, 1] },
+  { root: "/home/tomek/clients/Admiral", branch: "develop", remote: "git@gitlab.com:fleet/Admiral.git", commitMin: null, ab: [0, 0] },
+  { root: "/home/tomek/sandbox/Minx", branch: "main", remote: null, commitMin: 8 },
+  { root: "/home/tomek/clients/SignalEngine", branch: "main", remote: "https://github.com/tomek/SignalEngine.git", commitMin: 4, ab: [0, 0] },
+];
+
+const SIMULATED_COMMIT_SUBJECTS = [
+  'Fix rounding in ledger totals',
+  'Add retry to settlement client',
+  'Refactor order book snapshot',
+  'Update dependencies',
+  'Tidy up logging',
+  'Add tests for fee schedule',
 ];
 
+/** The simulated group a directory belongs to, or undefined. */
+function groupForCwd(cwd) {
+  return SIMULATED_GROUPS.find(g => g.cwds?.includes(cwd) || cwd === g.cwd || cwd.startsWith(`${g.cwd}/`));
+}
+
+/** The simulated repository containing a directory, or undefined. */
+function repoForCwd(cwd) {
+  return SIMULATED_REPOS.find(r => cwd === r.root || cwd.startsWith(`${r.root}/`));
+}
+
 // ── Mode 2: Simulated tasks with phase cycles ──────────────────────────────
 const SIMULATED_TASKS = [
   { task: 'Implement user authentication', phases: ['planning', 'researching', 'coding', 'testing', 'coding', 'coding', 'testing', 'reviewing'] },
@@ -37,6 +85,42 @@ const PHASE_DETAILS = {
   idle:         ['Waiting for input', 'Session idle'],
 };
 
+// ── Mode 2 schema v2 extras (model, files, tool counters) ──────────────────
+const SIMULATED_MODELS = ['claude-opus-4-1', 'claude-sonnet-4-5', 'claude-haiku-4-5'];
+const SIMULATED_FILES = ['src/index.ts', 'src/api/routes.ts', 'src/db/pool.ts', 'tests/api.test.ts', 'README.md', 'package.json'];
+const PHASE_TOOLS = {
+  planning: 'TodoWrite', researching: 'Read', coding: 'Edit',
+  testing: 'Bash', reviewing: 'Grep', idle: 'Read',
+};
+
+// ── Agent mix: most sessions are Claude, the rest other registry built-ins ──
+const SIMULATED_AGENTS = [
+  { agentType: 'aider', faction: 'Aider', agentArgs: { model: 'sonnet' } },
+  { agentType: 'codex', faction: 'Codex', agentArgs: {} },
+  { agentType: 'gemini', faction: 'Gemini', agentArgs: { model: 'gemini-2.5-pro' } },
+];
+/** Claude launch flags as parseClaudeArgv() reports them; most sessions use none. */
+const SIMULATED_CLAUDE_ARGS = [
+  {}, {}, {},
+  { model: 'opus' },
+  { model: 'sonnet', permission_mode: 'acceptEdits' },
+  { permission_mode: 'plan' },
+  { continue: true },
+  { resume: 'b7e2c1d4-93f0-4a8e-9d51-0c6f2e8a7b13' },
+  { skip_permissions: true },
+];
+
+/** ~25% of sessions run a non-Claude agent. */
+function pickAgent() {
+  if (Math.random() < 0.25) return pickRandom(SIMULATED_AGENTS);
+  return { agentType: 'claude', faction: 'Claude', agentArgs: pickRandom(SIMULATED_CLAUDE_ARGS) };
+}
+
+// ── Headless runs (couriers) ────────────────────────────────────────────────
+const MAX_HEADLESS_RUNS = 3;
+/** Exit statuses the wrapper would report: mostly success, some failures. */
+const HEADLESS_EXIT_STATUSES = [0, 0, 0, 0, 0, 0, 0, 1, 1, 130];
+
 // ── Behavior definitions ────────────────────────────────────────────────────
 // Each behavior drives CPU shape via a sine-wave curve or flat value.
 const BEHAVIORS = {
@@ -46,6 +130,10 @@ const BEHAVIORS = {
   burst:    { baseMin: 40, baseMax: 95, period: 6_000,  spikeChance: 0.08 },
 };
 
+// ── Simulated child processes (test runners, builds, dev servers) ───────────
+const CHILD_COMMANDS = ['npm test', 'tsc --noEmit', 'pytest -x', 'cargo build', 'eslint src', 'vite build'];
+const CHILD_PID_OFFSET = 500_000;
+
 // ── Helpers ─────────────────────────────────────────────────────────────────
 let nextPid = 100_000;
 function freshPid() {
@@ -80,6 +168,58 @@ function cpuForSession(session, now) {
   return clamp(Math.round(cpu * 10) / 10, 0, 100);
 }
 
+/**
+ * Fake descendant list for a session that has children. Busy sessions have a
+ * busy child; the parent's own CPU is left as-is.
+ * @returns {Array<{ pid: number, command: string, cpu: number, mem: number }>}
+ */
+function childrenForSession(session) {
+  if (!session.hasChildren) return [];
+  const busy = session.behavior === "active" || session.behavior === "burst";
+  return [{
+    pid: session.pid + CHILD_PID_OFFSET,
+    command: CHILD_COMMANDS[session.pid % CHILD_COMMANDS.length],
+    cpu: busy ? Math.round((30 + Math.random() * 60) * 10) / 10 : Math.round(Math.random() * 10) / 10,
+    mem: 60 + (session.pid % 5) * 40,
+  }];
+}
+
+/**
+ * Schema v2 sidecar fields for a Mode 2 session: one todo per phase of its
+ * task, ticked off as the phase cycle advances. Already in the normalized
+ * shape validateSidecar() produces, since inline sidecars skip validation.
+ */
+function v2ContextForSession(session, phase) {
+  const { phases } = session._taskDef;
+  const idx = session._phaseIdx % phases.length;
+  const items = phases.map((p, i) => ({
+    content: PHASE_DETAILS[p][i % PHASE_DETAILS[p].length],
+    status: i < idx ? 'completed' : i === idx ? 'in_progress' : 'pending',
+  }));
+  const file = (n) => `${session.cwd}/${SIMULATED_FILES[(session.pid + n) % SIMULATED_FILES.length]}`;
+  const toolCounts = { Read: 4 + idx * 3, Bash: 1 + idx };
+  if (idx > 0) toolCounts.Edit = idx * 2;
+  toolCounts[PHASE_TOOLS[phase]] = (toolCounts[PHASE_TOOLS[phase]] ?? 0) + 1;
+
+  return {
+    version: 2,
+    model: SIMULATED_MODELS[session.pid % SIMULATED_MODELS.length],
+    todos: {
+      total: items.length,
+      completed: idx,
+      in_progress: 1,
+      items,
+    },
+    files: {
+      read: [file(idx), file(idx + 1), file(idx + 2)],
+      written: idx > 0 ? [file(idx)] : [],
+    },
+    subagents: phase === 'researching' ? 1 + (session.pid % 2) : 0,
+    tool_counts: toolCounts,
+    tool_calls: Object.values(toolCounts).reduce((sum, n) => sum + n, 0),
+  };
+}
+
 // ── Age presets (ms before "now" at init time) ──────────────────────────────
 const AGE_PRESETS_MS = [
   30_000,          // 30 s  - very young
@@ -102,6 +242,58 @@ function assignTty(index) {
   return `/dev/pts/${index % 12}`;
 }
 
+// ── Hosts (what each session runs inside) ──────────────────────────────────
+const SIMULATED_TMUX_SESSIONS = ['work', 'ops', 'review'];
+const SIMULATED_TMUX_WINDOWS = ['editor', 'agents', 'logs', 'scratch'];
+
+/**
+ * Host as detectHost() reports it: about half in tmux, the rest in editors
+ * and terminal emulators. Detached sessions have no recognisable host.
+ */
+function hostForSession(pid, tty) {
+  if (tty === "detached") return { kind: 'unknown', name: null, detail: null };
+  const slot = pid % 10;
+  if (slot < 5) {
+    const windowIndex = pid % SIMULATED_TMUX_WINDOWS.length;
+    return {
+      kind: 'tmux',
+      name: SIMULATED_TMUX_SESSIONS[pid % SIMULATED_TMUX_SESSIONS.length],
+      detail: `window ${windowIndex} (${SIMULATED_TMUX_WINDOWS[windowIndex]}), pane ${slot % 2}`,
+      pane: `%${pid % 1000}`,
+    };
+  }
+  if (slot < 7) return { kind: 'vscode', name: 'VS Code', detail: tty };
+  if (slot < 8) return { kind: 'jetbrains', name: 'PyCharm', detail: tty };
+  return { kind: 'terminal', name: 'iTerm2', detail: tty };
+}
+
+/**
+ * Terminal contents for a simulated tmux pane, with the colour codes and
+ * the odd pasted key a real capture would contain.
+ */
+function paneTranscript(session) {
+  const dim = (s) => `\x1b[2m${s}\x1b[0m`;
+  const lines = [
+    dim(`~ $ cd ${session.cwd}`),
+    `\x1b[1;32m$\x1b[0m export OPENAI_API_KEY=sk-proj-${'x7Qm2'.repeat(6)}`,
+    `\x1b[1;32m$\x1b[0m ${session.agentType ?? 'claude'}`,
+    '',
+    `\x1b[1m>\x1b[0m ${session._taskDef?.task ?? 'Look into the failing integration tests'}`,
+    '',
+    '\x1b[36m●\x1b[0m Read(src/index.js)',
+    '\x1b[36m●\x1b[0m Bash(npm test)',
+    dim('  ⎿  48 passing, 2 failing'),
+  ];
+  if (session.behavior === 'awaiting') {
+    lines.push('', ' Do you want to make this edit to src/index.js?', ' \x1b[36m❯ 1. Yes\x1b[0m', '   2. No, and tell the agent what to do differently');
+  } else if (session.behavior === 'idle') {
+    lines.push('', '\x1b[36m●\x1b[0m Both failures are fixed; the suite is green.', '', '\x1b[2m>\x1b[0m ');
+  } else {
+    lines.push('\x1b[36m●\x1b[0m Update(src/index.js)', '\x1b[33m✻ Working…\x1b[0m');
+  }
+  return `${lines.join('\n')}\n\n\n`;
+}
+
 // ── SimulatorDiscovery ──────────────────────────────────────────────────────
 export class SimulatorDiscovery {
   /** @type {Map<number, object>} pid -> session internal record */
@@ -116,10 +308,18 @@ export class SimulatorDiscovery {
   /** Counter for scheduling churn */
   #lastChurnAt;
 
+  /** Counter for scheduling a session changing directory */
+  #lastMoveAt;
+
+  /** When the next headless run arrives (epoch ms) */
+  #nextHeadlessAt;
+
   constructor() {
     this.#epoch = Date.now();
     this.#lastTransitionAt = this.#epoch;
     this.#lastChurnAt = this.#epoch;
+    this.#lastMoveAt = this.#epoch;
+    this.#nextHeadlessAt = this.#epoch + 5_000;
     this.#initializeSessions();
   }
 
@@ -140,14 +340,17 @@ export class SimulatorDiscovery {
         // ~60% of sessions are Mode 2
         const isMode2 = Math.random() < 0.6;
 
+        const tty = assignTty(ageIndex);
         const session = {
           pid,
-          cwd: group.cwd,
-          tty: assignTty(ageIndex),
+          cwd: group.cwds ? group.cwds[i % group.cwds.length] : group.cwd,
+          tty,
+          host: hostForSession(pid, tty),
           hasChildren: Math.random() < 0.3,
           startTime: now - age,
           behavior,
           memMB: 40 + Math.floor(Math.random() * 160),
+          ...pickAgent(),
           _phaseOffset: Math.random() * 60_000,
           _createdAt: now - age,
           // Mode 2 fields
@@ -178,6 +381,15 @@ export class SimulatorDiscovery {
       this.#lastChurnAt = now;
     }
 
+    // 2a. Project change - every 60-90 s one session cds elsewhere
+    if (now - this.#lastMoveAt > 60_000 + Math.random() * 30_000) {
+      this.#performMove();
+      this.#lastMoveAt = now;
+    }
+
+    // 2b. Headless runs come and go
+    this.#updateHeadlessRuns(now);
+
     // 3. Toggle has_children occasionally for active sessions
     for (const s of this.#sessions.values()) {
       if ((s.behavior === "active" || s.behavior === "burst") && Math.random() < 0.01) {
@@ -190,6 +402,7 @@ export class SimulatorDiscovery {
 
     // 5. Build raw output
     return [...this.#sessions.values()].map((s) => {
+      const children = childrenForSession(s);
       const output = {
         pid: s.pid,
         cwd: s.cwd,
@@ -198,7 +411,17 @@ export class SimulatorDiscovery {
         tty: s.tty,
         hasChildren: s.hasChildren,
         startTime: s.startTime,
+        childCpu: children.reduce((sum, c) => sum + c.cpu, 0),
+        childMemMB: children.reduce((sum, c) => sum + c.mem, 0),
+        children,
+        agentType: s.agentType,
+        faction: s.faction,
+        agentArgs: s.agentArgs,
+        interactive: !s._headless,
+        host: s.host,
       };
+      // Simulator-only: the status hooks/crystal-ball-run.sh would report
+      if (s._headless) output.exitStatus = s._exitStatus;
 
       // Attach sidecar for Mode 2 sessions
       if (s._taskDef) {
@@ -214,6 +437,7 @@ export class SimulatorDiscovery {
           blocked,
           detail: blocked ? 'Waiting for user input' : detail,
           stale: false,
+          ...v2ContextForSession(s, phase),
         };
       }
 
@@ -221,6 +445,142 @@ export class SimulatorDiscovery {
     });
   }
 
+  /**
+   * Stand-in for the tmux CLI (see server/tmux.js), answering for the
+   * simulated panes: capture-pane returns a plausible transcript and
+   * select-window/select-pane succeed. No client is attached, so
+   * switch-client fails as it would on a headless tmux server.
+   * @param {string[]} args
+   * @returns {Promise<string>} stdout
+   */
+  runTmux = async (args) => {
+    const target = args[args.indexOf('-t') + 1];
+    const session = [...this.#sessions.values()].find(s => s.host?.pane === target);
+    if (!session) throw new Error(`can't find pane: ${target}`);
+    if (args[0] === 'switch-client') throw new Error('no current client');
+    return args[0] === 'capture-pane' ? paneTranscript(session) : '';
+  };
+
+  /**
+   * Stand-in for the git CLI (see server/gitRepo.js), answering for the
+   * simulated repositories. Directories outside them fail like git does
+   * outside a repository.
+   * @param {string[]} args -- `-C <dir>` followed by the git command
+   * @returns {Promise<string>} stdout
+   */
+  runGit = async (args) => {
+    const cwd = args[args.indexOf('-C') + 1];
+    const command = args.slice(args.indexOf('-C') + 2);
+    const repo = repoForCwd(cwd);
+    if (!repo) throw new Error(`fatal: not a git repository: ${cwd}`);
+    const mainRoot = repo.worktreeOf ?? repo.root;
+    const main = repoForCwd(mainRoot);
+
+    switch (command[0]) {
+      case 'rev-parse': {
+        const gitDir = repo.worktreeOf
+          ? `${mainRoot}/.git/worktrees/${repo.root.split('/').pop()}`
+          : `${repo.root}/.git`;
+        return `${repo.root}
+${gitDir}
+${mainRoot}/.git
+`;
+      }
+      case 'symbolic-ref':
+        return `${repo.branch}
+`;
+      case 'config':
+        if (!main.remote) throw new Error('exit code 1');
+        return `remote.origin.url ${main.remote}
+`;
+      case 'status':
+        return this.#simulatedStatus(main, Date.now());
+      case 'log':
+        return this.#simulatedLog(main, Date.now());
+      default:
+        throw new Error(`simulated git can't run: ${command.join(' ')}`);
+    }
+  };
+
+  /** Milliseconds since the repository's last simulated commit (or start). */
+  #sinceCommit(repo, now) {
+    const elapsed = now - this.#epoch;
+    return repo.commitMin ? elapsed % (repo.commitMin * 60_000) : elapsed;
+  }
+
+  /** `git status --porcelain=v2 --branch` for a simulated repository. */
+  #simulatedStatus(repo, now) {
+    // Admiral starts with a backlog so the pile-up shows right away
+    const dirty = Math.min(60, (repo.commitMin ? 0 : 12) + Math.floor(this.#sinceCommit(repo, now) / 20_000));
+    const lines = [`# branch.oid ${'0'.repeat(40)}`, `# branch.head ${repo.branch}`];
+    if (repo.ab) lines.push(`# branch.upstream origin/${repo.branch}`, `# branch.ab +${repo.ab[0]} -${repo.ab[1]}`);
+    for (let i = 0; i < dirty; i++) {
+      lines.push(i % 4 === 3 ? `? src/new-${i}.js` : `1 .M N... 100644 100644 100644 ${'0'.repeat(40)} ${'0'.repeat(40)} src/file-${i}.js`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /** `git log --format=%ct%x09%at%x09%s`: one commit per commitMin since start, older ones before. */
+  #simulatedLog(repo, now) {
+    const commits = [];
+    const sinceCommit = this.#sinceCommit(repo, now);
+    const step = (repo.commitMin ?? 90) * 60_000;
+    let at = repo.commitMin ? now - sinceCommit : this.#epoch - step;
+    for (let i = 0; i < 8; i++, at -= step) {
+      const subject = SIMULATED_COMMIT_SUBJECTS[Math.floor(at / step) % SIMULATED_COMMIT_SUBJECTS.length];
+      const sec = Math.floor(at / 1000);
+      commits.push(`${sec}\t${sec}\t${subject}`);
+    }
+    return `${commits.join('\n')}\n`;
+  }
+
+  /**
+   * Stand-in for process.kill (see server/signals.js). SIGINT interrupts
+   * the session, which goes idle but keeps running, as claude does on a
+   * single Ctrl-C; SIGTERM and SIGKILL end it. Signal 0 probes.
+   * @param {number} pid
+   * @param {string|number} signal
+   * @returns {true}
+   * @throws {Error} with code ESRCH if there is no such session
+   */
+  kill = (pid, signal) => {
+    const session = this.#sessions.get(pid);
+    if (!session) throw Object.assign(new Error(`kill ESRCH ${pid}`), { code: 'ESRCH' });
+    if (signal === 'SIGINT') session.behavior = 'idle';
+    else if (signal !== 0) this.#sessions.delete(pid);
+    return true;
+  };
+
+  /**
+   * Simulated processes all belong to the server's user.
+   * @param {number} pid
+   * @returns {Promise<number|null>}
+   */
+  ownerOf = async (pid) => (this.#sessions.has(pid) ? process.getuid?.() ?? 0 : null);
+
+  /**
+   * Start time of a simulated session, standing in for the process start
+   * time that guards SIGKILL escalation against PID reuse.
+   * @param {number} pid
+   * @returns {Promise<number|null>}
+   */
+  startOf = async (pid) => this.#sessions.get(pid)?.startTime ?? null;
+
+  /**
+   * Stand-in for child_process.spawn when opening an editor (see
+   * server/editor.js): the simulated projects don't exist on disk, so the
+   * command is logged instead of run.
+   * @param {string} command
+   * @param {string[]} args
+   * @returns {EventEmitter & { unref(): void }} emits 'spawn'
+   */
+  spawnEditor = (command, args) => {
+    const child = Object.assign(new EventEmitter(), { unref() {} });
+    console.log(`[simulator] editor: ${[command, ...args].join(' ')}`);
+    setImmediate(() => child.emit('spawn'));
+    return child;
+  };
+
   // ── Internal helpers ────────────────────────────────────────────────────
 
   /** Cycle Mode 2 sessions through phases on a 20-40s timer */
@@ -243,8 +603,46 @@ export class SimulatorDiscovery {
     }
   }
 
+  /** Retire finished headless runs and launch a new one every 20-40 s. */
+  #updateHeadlessRuns(now) {
+    let running = 0;
+    for (const [pid, s] of this.#sessions) {
+      if (!s._headless) continue;
+      if (now >= s._exitAt) this.#sessions.delete(pid);
+      else running++;
+    }
+    if (now < this.#nextHeadlessAt) return;
+    this.#nextHeadlessAt = now + 20_000 + Math.random() * 20_000;
+    if (running >= MAX_HEADLESS_RUNS) return;
+
+    const pid = freshPid();
+    const group = pickRandom(SIMULATED_GROUPS);
+    this.#sessions.set(pid, {
+      pid,
+      cwd: group.cwd,
+      tty: "detached",
+      host: hostForSession(pid, "detached"),
+      hasChildren: Math.random() < 0.5,
+      startTime: now,
+      behavior: "burst",
+      memMB: 60 + Math.floor(Math.random() * 80),
+      agentType: 'claude',
+      faction: 'Claude',
+      agentArgs: { print: true, ...(Math.random() < 0.3 ? { skip_permissions: true } : {}) },
+      _phaseOffset: Math.random() * 60_000,
+      _createdAt: now,
+      _taskDef: null,
+      _phaseIdx: 0,
+      _phaseStartedAt: now,
+      _blockedUntil: 0,
+      _headless: true,
+      _exitAt: now + 20_000 + Math.random() * 70_000,
+      _exitStatus: pickRandom(HEADLESS_EXIT_STATUSES),
+    });
+  }
+
   #performStateTransition() {
-    const all = [...this.#sessions.values()];
+    const all = [...this.#sessions.values()].filter(s => !s._headless);
     const target = pickRandom(all);
     if (!target) return;
 
@@ -262,9 +660,27 @@ export class SimulatorDiscovery {
     target._createdAt = Date.now();
   }
 
+  /**
+   * A session cds elsewhere: half the time into another directory of its
+   * own project (another sub-neighborhood) when it has one, otherwise into
+   * another project, so its villager walks to that building.
+   */
+  #performMove() {
+    const candidates = [...this.#sessions.values()].filter(s => !s._headless);
+    if (candidates.length === 0) return;
+    const session = pickRandom(candidates);
+    const group = groupForCwd(session.cwd);
+    const siblings = (group?.cwds ?? []).filter(cwd => cwd !== session.cwd);
+    if (siblings.length > 0 && Math.random() < 0.5) {
+      session.cwd = pickRandom(siblings);
+    } else {
+      session.cwd = pickRandom(SIMULATED_GROUPS.filter(g => g !== group)).cwd;
+    }
+  }
+
   #performChurn(now) {
     // Remove a random session
-    const pids = [...this.#sessions.keys()];
+    const pids = [...this.#sessions.values()].filter(s => !s._headless).map(s => s.pid);
     if (pids.length <= 3) return; // keep minimum population
     const removePid = pickRandom(pids);
     const removed = this.#sessions.get(removePid);
@@ -274,14 +690,17 @@ export class SimulatorDiscovery {
     const pid = freshPid();
     const isMode2 = Math.random() < 0.6;
 
+    const tty = assignTty(pid % 20);
     this.#sessions.set(pid, {
       pid,
       cwd: removed.cwd,
-      tty: assignTty(pid % 20),
+      tty,
+      host: hostForSession(pid, tty),
       hasChildren: false,
       startTime: now,
       behavior: pickRandom(["active", "awaiting"]),
       memMB: 40 + Math.floor(Math.random() * 160),
+      ...pickAgent(),
       _phaseOffset: Math.random() * 60_000,
       _createdAt: now,
       _taskDef: isMode2 ? pickRandom(SIMULATED_TASKS) : null,
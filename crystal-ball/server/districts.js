@@ -0,0 +1,166 @@
+// server/districts.js
+// Districts: neighborhoods that belong together on the map. By default
+// neighborhoods are clustered by the nearest common ancestor of the
+// directories their checkouts sit in, below the home directory: ~/work/api,
+// ~/work/web and ~/work/team/app form district "work" while ~/oss/lib is in
+// "oss". Rules in ~/.crystal-ball/districts.json override that for the
+// directories they name (first matching rule wins):
+//
+//   { "districts": [
+//       { "name": "clients", "paths": ["~/work/acme", "~/work/globex"] }
+//   ] }
+//
+// Snapshots carry the result as `divisions`, and each group its `division`.
+
+import { readFile } from 'node:fs/promises';
+import { basename, dirname, join, resolve } from 'node:path';
+import { homedir } from 'node:os';
+
+/** District names must fit on a banner. */
+const MAX_NAME_LENGTH = 40;
+
+/**
+ * Resolve the district config file path.
+ * @returns {string}
+ */
+export function getDistrictConfigPath() {
+  return process.env.CRYSTAL_BALL_DISTRICTS || join(homedir(), '.crystal-ball', 'districts.json');
+}
+
+/**
+ * Nearest common ancestor directory of absolute paths.
+ * @param {string[]} paths
+ * @returns {string} '/' when they share nothing else
+ */
+export function commonAncestor(paths) {
+  if (paths.length === 0) return '/';
+  const split = paths.map(p => resolve(p).split('/').filter(Boolean));
+  const common = [];
+  for (let i = 0; split.every(parts => i < parts.length && parts[i] === split[0][i]); i++) {
+    common.push(split[0][i]);
+  }
+  return `/${common.join('/')}`;
+}
+
+/**
+ * Directory no inferred district reaches up to: the home directory the path
+ * is in (this machine's, or /home/<user> and /Users/<user> for paths from
+ * other machines in the multi-person view), else the root.
+ * @param {string} path -- absolute
+ * @param {string} home
+ * @returns {string}
+ */
+function depthFloor(path, home) {
+  if (path === home || path.startsWith(`${home}/`)) return home;
+  return /^\/(?:home|Users)\/[^/]+(?=\/|$)/.exec(path)?.[0] ?? '/';
+}
+
+/**
+ * @typedef {{ name: string, paths: string[] }} DistrictRule -- paths absolute
+ */
+
+/**
+ * Validate a districts.json document.
+ * @param {unknown} config
+ * @param {string} [home] -- what `~` expands to
+ * @returns {DistrictRule[]}
+ * @throws {Error} describing the first invalid entry
+ */
+export function parseDistrictRules(config, home = homedir()) {
+  const list = config?.districts;
+  if (!Array.isArray(list)) throw new Error('"districts" must be an array');
+  return list.map((entry, i) => {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw new Error(`district ${i}: "name" must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (!Array.isArray(entry.paths) || entry.paths.length === 0 || !entry.paths.every(p => typeof p === 'string' && p)) {
+      throw new Error(`district "${name}": "paths" must be a non-empty array of directories`);
+    }
+    const paths = entry.paths.map(p => p.replace(/^~(?=$|\/)/, home));
+    if (!paths.every(p => p.startsWith('/'))) {
+      throw new Error(`district "${name}": paths must be absolute or start with ~`);
+    }
+    return { name, paths: paths.map(p => resolve(p)) };
+  });
+}
+
+/**
+ * Load district rules; a missing file means no rules, an invalid one is
+ * reported and ignored.
+ * @param {string} [path]
+ * @returns {Promise<DistrictRule[]>}
+ */
+export async function loadDistrictRules(path = getDistrictConfigPath()) {
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch {
+    return [];
+  }
+  try {
+    return parseDistrictRules(JSON.parse(text));
+  } catch (err) {
+    console.warn(`[districts] ignoring ${path}: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * @typedef {{ id: string, common_path: string, group_ids: string[], rule: boolean }} Division
+ *   -- rule is true for districts from districts.json
+ */
+
+/**
+ * Assign groups to districts: the first rule with a path containing the
+ * group's directory, else a cluster of groups whose parent directories
+ * share an ancestor below the home directory (see depthFloor). Inferred
+ * districts are named after the nearest common ancestor of those parents,
+ * or its full path when two share a name.
+ * @param {Array<{ id: string, cwd: string }>} groups
+ * @param {DistrictRule[]} [rules]
+ * @param {{ home?: string }} [opts]
+ * @returns {Division[]} sorted by id
+ */
+export function inferDivisions(groups, rules = [], { home = homedir() } = {}) {
+  /** @type {Map<string, { rule: boolean, paths: string[], groupIds: string[] }>} key -> district */
+  const districts = new Map();
+  for (const group of groups) {
+    const cwd = group.cwd || '/';
+    const rule = rules.find(r => r.paths.some(p => cwd === p || cwd.startsWith(`${p}/`)));
+    const parent = dirname(cwd);
+    let key;
+    if (rule) {
+      key = `rule:${rule.name}`;
+    } else {
+      // Parents sharing an ancestor below the floor share its first
+      // directory below the floor
+      const floor = depthFloor(cwd, home);
+      const below = parent.startsWith(floor) ? parent.slice(floor.length).split('/').filter(Boolean) : [];
+      key = `dir:${below.length > 0 ? join(floor, below[0]) : parent}`;
+    }
+    let d = districts.get(key);
+    if (!d) {
+      d = { rule: !!rule, paths: [], groupIds: [] };
+      districts.set(key, d);
+    }
+    d.paths.push(rule ? cwd : parent);
+    d.groupIds.push(group.id);
+  }
+  for (const [key, d] of districts) {
+    d.commonPath = commonAncestor(d.paths);
+    d.name = d.rule ? key.slice('rule:'.length) : basename(d.commonPath) || '/';
+  }
+
+  const taken = new Set([...districts.values()].filter(d => d.rule).map(d => d.name));
+  const nameCounts = new Map();
+  for (const d of districts.values()) {
+    if (!d.rule) nameCounts.set(d.name, (nameCounts.get(d.name) ?? 0) + 1);
+  }
+  return [...districts.values()]
+    .map(d => {
+      const ambiguous = !d.rule && (nameCounts.get(d.name) > 1 || taken.has(d.name));
+      return { id: ambiguous ? d.commonPath : d.name, common_path: d.commonPath, group_ids: d.groupIds, rule: d.rule };
+    })
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
@@ -0,0 +1,115 @@
+// server/editor.js
+// Opens a project (or the file a session last touched) in the user's
+// editor. The command is a template set with --editor or
+// CRYSTAL_BALL_EDITOR, e.g. `code {path}`, `idea {path}` or `$EDITOR`:
+//
+//   {path}  what to open -- the file, or the project directory
+//   {cwd}   the project directory
+//   $NAME   environment variables
+//
+// A template without {path} or {cwd} gets the path appended. The command is
+// spawned directly (no shell), detached from the server.
+
+import { spawn as nodeSpawn } from 'node:child_process';
+import { isAbsolute, relative, resolve } from 'node:path';
+
+export const DEFAULT_EDITOR_COMMAND = 'code {path}';
+
+/**
+ * Expand `$NAME` and `${NAME}` from the environment (unset -> empty).
+ * @param {string} template
+ * @param {Record<string, string|undefined>} [env]
+ * @returns {string}
+ */
+export function expandEnv(template, env = process.env) {
+  return template.replace(/\$\{(\w+)\}|\$(\w+)/g, (_m, braced, bare) => env[braced ?? bare] ?? '');
+}
+
+/**
+ * Split a command line into arguments, honouring single and double quotes.
+ * @param {string} command
+ * @returns {string[]}
+ */
+export function splitCommand(command) {
+  const args = [];
+  const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let m;
+  while ((m = re.exec(command)) !== null) args.push(m[1] ?? m[2] ?? m[3]);
+  return args;
+}
+
+/**
+ * argv for opening `path` (inside project `cwd`) with a template.
+ * Placeholders are substituted per argument, so paths with spaces stay
+ * one argument.
+ * @param {string} template
+ * @param {{ path: string, cwd: string }} target
+ * @param {Record<string, string|undefined>} [env]
+ * @returns {string[]}
+ * @throws {Error} if the template expands to nothing
+ */
+export function buildEditorArgv(template, { path, cwd }, env = process.env) {
+  const args = splitCommand(expandEnv(template, env));
+  if (args.length === 0) throw new Error(`editor command "${template}" is empty`);
+  if (!args.some(arg => /\{(path|cwd)\}/.test(arg))) args.push('{path}');
+  return args.map(arg => arg.replace(/\{(path|cwd)\}/g, (_m, key) => (key === 'path' ? path : cwd)));
+}
+
+/**
+ * The file a Mode 2 session touched most recently: the newest write, else
+ * the newest read (sidecar lists are most-recent-first).
+ * @param {{ files?: { read: string[], written: string[] } }|null} context
+ * @returns {string|null}
+ */
+export function lastTouchedFile(context) {
+  return context?.files?.written?.[0] ?? context?.files?.read?.[0] ?? null;
+}
+
+/**
+ * Resolve a file against a project directory, refusing anything outside it.
+ * @param {string} cwd
+ * @param {string} file -- absolute, or relative to cwd
+ * @returns {string|null} absolute path, or null if it escapes cwd
+ */
+export function fileWithin(cwd, file) {
+  const path = resolve(cwd, file);
+  const rel = relative(cwd, path);
+  return rel && !rel.startsWith('..') && !isAbsolute(rel) ? path : null;
+}
+
+export class EditorLauncher {
+  #template;
+  #spawn;
+
+  /**
+   * @param {{ template?: string, spawn?: typeof nodeSpawn }} [opts]
+   *   -- spawn defaults to child_process.spawn; the simulator substitutes its own
+   */
+  constructor({ template = DEFAULT_EDITOR_COMMAND, spawn = nodeSpawn } = {}) {
+    this.#template = template;
+    this.#spawn = spawn;
+  }
+
+  get template() {
+    return this.#template;
+  }
+
+  /**
+   * Launch the editor and resolve once it has started. The editor outlives
+   * the request and isn't waited on.
+   * @param {{ path: string, cwd: string }} target
+   * @returns {Promise<string[]>} the argv that was run
+   * @throws {Error} if the command can't be started (e.g. not installed)
+   */
+  open(target) {
+    const argv = buildEditorArgv(this.#template, target);
+    return new Promise((resolvePromise, reject) => {
+      const child = this.#spawn(argv[0], argv.slice(1), { cwd: target.cwd, detached: true, stdio: 'ignore' });
+      child.once('error', reject);
+      child.once('spawn', () => {
+        child.unref();
+        resolvePromise(argv);
+      });
+    });
+  }
+}
@@ -0,0 +1,218 @@
+// server/gitStatus.js
+// Live git status for each repository neighborhood: branch, uncommitted
+// files (in every checkout its sessions are in), ahead/behind upstream, the last commit and how many commits were
+// authored in the last hour.
+//
+// Collected in the background, off the poll loop: every tick refreshes at
+// most one repository -- the one checked longest ago, and only if that was
+// more than refreshMs ago -- so git never runs more than once per tick
+// however many neighborhoods there are. Snapshots read the cached results.
+
+import { runGit } from './gitRepo.js';
+
+export const GIT_STATUS_DEFAULTS = {
+  refreshMs: 30_000,  // a repository is re-checked at most this often
+  tickMs: 2_000,      // one repository refreshed per tick, at most
+};
+
+/** git status can take a while in big checkouts. */
+const STATUS_TIMEOUT_MS = 10_000;
+
+/** Commits read to count the last hour's; more shows as this many. */
+export const RECENT_COMMITS_MAX = 100;
+
+const HOUR_MS = 3_600_000;
+
+/**
+ * @typedef {{
+ *   branch: string|null,
+ *   upstream: string|null,
+ *   ahead: number|null,
+ *   behind: number|null,
+ *   dirty: number,
+ *   last_commit: { subject: string, at: string }|null,
+ *   commits_last_hour: number,
+ *   checked_at: string,
+ * }} GitStatus -- branch null when detached; ahead/behind null without an
+ *   upstream; dirty counts changed, staged, untracked and conflicted files
+ */
+
+/**
+ * Parse `git status --porcelain=v2 --branch`.
+ * @param {string} stdout
+ * @returns {{ branch: string|null, upstream: string|null, ahead: number|null, behind: number|null, dirty: number }}
+ */
+export function parseStatus(stdout) {
+  const status = { branch: null, upstream: null, ahead: null, behind: null, dirty: 0 };
+  for (const line of String(stdout ?? '').split('\n')) {
+    if (line.startsWith('# branch.head ')) {
+      const head = line.slice('# branch.head '.length).trim();
+      status.branch = head === '(detached)' ? null : head;
+    } else if (line.startsWith('# branch.upstream ')) {
+      status.upstream = line.slice('# branch.upstream '.length).trim();
+    } else if (line.startsWith('# branch.ab ')) {
+      const m = /\+(\d+) -(\d+)/.exec(line);
+      if (m) {
+        status.ahead = Number(m[1]);
+        status.behind = Number(m[2]);
+      }
+    } else if (/^[12u?] /.test(line)) {
+      status.dirty++;
+    }
+  }
+  return status;
+}
+
+/**
+ * Parse `git log --format=%ct%x09%at%x09%s` (newest first).
+ * @param {string} stdout
+ * @param {number} now -- epoch ms
+ * @returns {{ last_commit: { subject: string, at: string }|null, commits_last_hour: number }}
+ */
+export function parseLog(stdout, now) {
+  let lastCommit = null;
+  let recent = 0;
+  for (const line of String(stdout ?? '').split('\n')) {
+    const [committed, authored, ...subject] = line.split('\t');
+    if (!/^\d+$/.test(committed) || !/^\d+$/.test(authored)) continue;
+    lastCommit ??= { subject: subject.join('\t'), at: new Date(Number(committed) * 1000).toISOString() };
+    if (now - Number(authored) * 1000 <= HOUR_MS) recent++;
+  }
+  return { last_commit: lastCommit, commits_last_hour: recent };
+}
+
+/**
+ * Collect the status of one checkout.
+ * @param {string} root -- checkout directory
+ * @param {(args: string[]) => Promise<string>} run -- git runner
+ * @param {number} now -- epoch ms
+ * @returns {Promise<GitStatus|null>} null if git status fails
+ */
+export async function collectGitStatus(root, run, now) {
+  let status;
+  try {
+    // --no-optional-locks: don't contend with an agent committing meanwhile
+    status = parseStatus(await run(['--no-optional-locks', '-C', root, 'status', '--porcelain=v2', '--branch']));
+  } catch {
+    return null;
+  }
+  // Fails in a repository without commits
+  const log = await run(['-C', root, 'log', `-n${RECENT_COMMITS_MAX}`, '--format=%ct%x09%at%x09%s'])
+    .then(out => parseLog(out, now), () => parseLog('', now));
+  return { ...status, ...log, checked_at: new Date(now).toISOString() };
+}
+
+/**
+ * One status for a neighborhood spread over several checkouts -- linked
+ * worktrees, or clones of the same remote. Branch, upstream and commits are
+ * the first checked checkout's (the main one comes first); uncommitted
+ * files are summed over all of them, as agents mostly work in the others.
+ * @param {Array<GitStatus|null>} statuses -- main checkout first
+ * @returns {GitStatus|null} null if none has been checked
+ */
+export function combineGitStatus(statuses) {
+  const checked = statuses.filter(Boolean);
+  if (checked.length === 0) return null;
+  return { ...checked[0], dirty: checked.reduce((sum, s) => sum + s.dirty, 0) };
+}
+
+export class GitStatusWorker {
+  #run;
+  #opts;
+  #now;
+
+  /** Repository roots of the current neighborhoods */
+  #roots = new Set();
+
+  /** @type {Map<string, { status: GitStatus|null, at: number }>} root -> last check */
+  #cache = new Map();
+
+  #busy = false;
+
+  /** @type {ReturnType<typeof setInterval>|null} */
+  #timer = null;
+
+  #runs = 0;
+  #errors = 0;
+
+  /**
+   * @param {{ run?: (args: string[]) => Promise<string>, refreshMs?: number, tickMs?: number, now?: () => number }} [opts]
+   *   -- git runner; the simulator substitutes a fake one
+   */
+  constructor({ run = (args) => runGit(args, STATUS_TIMEOUT_MS), now = Date.now, ...opts } = {}) {
+    this.#run = run;
+    this.#now = now;
+    this.#opts = { ...GIT_STATUS_DEFAULTS, ...opts };
+  }
+
+  /** Begin refreshing in the background. */
+  start() {
+    this.#timer = setInterval(() => this.tick(), this.#opts.tickMs);
+    this.#timer.unref?.();
+  }
+
+  /** Stop refreshing. */
+  stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+  }
+
+  /**
+   * Set the repositories to keep fresh; others are forgotten.
+   * @param {Iterable<string>} roots
+   */
+  watch(roots) {
+    this.#roots = new Set(roots);
+    for (const root of this.#cache.keys()) {
+      if (!this.#roots.has(root)) this.#cache.delete(root);
+    }
+  }
+
+  /**
+   * The last status collected for a repository.
+   * @param {string} root
+   * @returns {GitStatus|null} null until checked, or if git status failed
+   */
+  get(root) {
+    return this.#cache.get(root)?.status ?? null;
+  }
+
+  /**
+   * Refresh the repository checked longest ago, if it is due. Does nothing
+   * while the previous refresh is still running.
+   * @returns {Promise<string|null>} the root refreshed, if any
+   */
+  async tick() {
+    if (this.#busy) return null;
+    const now = this.#now();
+    let due = null;
+    let dueAt = Infinity;
+    for (const root of this.#roots) {
+      const at = this.#cache.get(root)?.at ?? -Infinity;
+      if (now - at >= this.#opts.refreshMs && at < dueAt) {
+        due = root;
+        dueAt = at;
+      }
+    }
+    if (!due) return null;
+
+    this.#busy = true;
+    try {
+      const status = await collectGitStatus(due, this.#run, now);
+      this.#runs++;
+      if (!status) this.#errors++;
+      if (this.#roots.has(due)) this.#cache.set(due, { status, at: now });
+    } finally {
+      this.#busy = false;
+    }
+    return due;
+  }
+
+  /**
+   * Counters for /api/diagnostics.
+   * @returns {{ repos: number, checked: number, runs: number, errors: number }}
+   */
+  stats() {
+    return { repos: this.#roots.size, checked: this.#cache.size, runs: this.#runs, errors: this.#errors };
+  }
+}
@@ -0,0 +1,316 @@
+// server/history.js
+// Append-only snapshot history on disk (~/.crystal-ball/history/ by default).
+// One JSONL segment per UTC day. A snapshot is written whenever the set of
+// sessions or any session's state/phase changes, plus a keyframe every
+// sampleIntervalMs in between. Old segments are compacted (keyframes thinned
+// to compactIntervalMs) and deleted after retentionDays; that maintenance runs
+// at startup, when the day rolls over and every maintainIntervalMs.
+// Configurable via CRYSTAL_BALL_HISTORY_DIR env var.
+
+import { appendFile, mkdir, readdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEGMENT_RE = /^(\d{4}-\d{2}-\d{2})(\.c)?\.jsonl$/;
+
+export const HISTORY_DEFAULTS = {
+  retentionDays: 7,
+  sampleIntervalMs: 60_000,          // keyframe spacing while nothing changes
+  compactAfterDays: 1,               // segments older than this get thinned
+  compactIntervalMs: 5 * 60_000,     // keyframe spacing after compaction
+  maintainIntervalMs: 60 * 60_000,   // prune/compact this often while recording
+  maxResults: 5_000,                 // cap on snapshots returned by query()
+};
+
+/**
+ * Resolve the history directory path.
+ * @returns {string}
+ */
+export function getHistoryDir() {
+  return process.env.CRYSTAL_BALL_HISTORY_DIR || join(homedir(), '.crystal-ball', 'history');
+}
+
+/**
+ * Segment file name for a timestamp (UTC day).
+ * @param {number} ms
+ * @returns {string} e.g. '2026-02-06.jsonl'
+ */
+export function segmentName(ms) {
+  return `${new Date(ms).toISOString().slice(0, 10)}.jsonl`;
+}
+
+/**
+ * Signature of the parts of a snapshot that matter for replay: which
+ * sessions exist and what state/group/phase each one is in. Two snapshots
+ * with the same signature differ only in CPU/memory noise.
+ * @param {{ sessions: object[] }} snapshot
+ * @returns {string}
+ */
+export function snapshotSignature(snapshot) {
+  return (snapshot.sessions || [])
+    .map(s => `${s.id}|${s.state}|${s.group}|${s.context?.phase ?? ''}|${s.context?.blocked ? 1 : 0}`)
+    .sort()
+    .join(';');
+}
+
+/**
+ * Parse a from/to query value: epoch ms or anything Date can parse.
+ * @param {string|undefined} value
+ * @param {number} fallback
+ * @returns {number} ms, or NaN if present but unparseable
+ */
+export function parseTimeParam(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  if (/^\d+$/.test(value)) return Number(value);
+  return new Date(value).getTime();
+}
+
+/**
+ * Restrict a history record to matching sessions (and their groups and districts).
+ * Returns null if a filter is given and nothing matches.
+ * @param {object} record
+ * @param {{ session?: string, group?: string }} filter
+ * @returns {object|null}
+ */
+export function filterRecord(record, { session, group } = {}) {
+  if (!session && !group) return record;
+  const sessions = (record.sessions || []).filter(s =>
+    (!session || s.id === session) && (!group || s.group === group)
+  );
+  if (sessions.length === 0) return null;
+  const groupIds = new Set(sessions.map(s => s.group));
+  const filtered = {
+    ...record,
+    sessions,
+    groups: (record.groups || []).filter(g => groupIds.has(g.id)),
+  };
+  // Records written before districts existed have no divisions
+  if (record.divisions) {
+    filtered.divisions = record.divisions
+      .map(d => ({ ...d, group_ids: d.group_ids.filter(id => groupIds.has(id)) }))
+      .filter(d => d.group_ids.length > 0);
+  }
+  return filtered;
+}
+
+/**
+ * Drop keyframes so they are at least intervalMs apart. Change records are
+ * always kept so state transitions survive compaction.
+ * @param {Array<{ t: number, reason: string }>} records - sorted by t
+ * @param {number} intervalMs
+ * @returns {Array}
+ */
+export function thinRecords(records, intervalMs) {
+  const kept = [];
+  let lastKept = -Infinity;
+  for (const r of records) {
+    if (r.reason === 'change' || r.t - lastKept >= intervalMs) {
+      kept.push(r);
+      lastKept = r.t;
+    }
+  }
+  return kept;
+}
+
+/**
+ * Evenly stride through records so at most `max` remain (first and last kept).
+ * @param {Array} records
+ * @param {number} max
+ * @returns {Array}
+ */
+export function limitRecords(records, max) {
+  if (records.length <= max) return records;
+  if (max <= 1) return records.slice(-1);
+  const step = (records.length - 1) / (max - 1);
+  const out = [];
+  for (let i = 0; i < max; i++) out.push(records[Math.round(i * step)]);
+  return out;
+}
+
+export class SnapshotHistory {
+  #dir;
+  #opts;
+
+  /** Signature of the last written record */
+  #lastSignature = null;
+
+  /** Timestamp of the last written record (ms) */
+  #lastWrittenAt = 0;
+
+  /** Segment currently being appended to */
+  #currentSegment = null;
+
+  /** When maintain() last ran (ms, snapshot time) */
+  #lastMaintainedAt = -Infinity;
+
+  /** Serialises appends so records land in order */
+  #writeChain = Promise.resolve();
+
+  /**
+   * @param {{ dir?: string, retentionDays?: number, sampleIntervalMs?: number, compactAfterDays?: number, compactIntervalMs?: number, maintainIntervalMs?: number, maxResults?: number }} [opts]
+   */
+  constructor(opts = {}) {
+    this.#dir = opts.dir || getHistoryDir();
+    this.#opts = { ...HISTORY_DEFAULTS, ...opts };
+  }
+
+  /** Directory segments are written to. */
+  get dir() {
+    return this.#dir;
+  }
+
+  /**
+   * Append a snapshot if it is a change or a keyframe is due.
+   * Errors are logged and swallowed -- history must not break polling.
+   * @param {{ timestamp: string, sessions: object[], groups: object[], metrics: object }} snapshot
+   * @returns {Promise<boolean>} true if a record was written
+   */
+  record(snapshot) {
+    const t = new Date(snapshot.timestamp).getTime();
+    if (isNaN(t)) return Promise.resolve(false);
+
+    const signature = snapshotSignature(snapshot);
+    const changed = signature !== this.#lastSignature;
+    if (!changed && t - this.#lastWrittenAt < this.#opts.sampleIntervalMs) {
+      return Promise.resolve(false);
+    }
+
+    this.#lastSignature = signature;
+    this.#lastWrittenAt = t;
+
+    const record = { t, reason: changed ? 'change' : 'sample', ...snapshot };
+    const segment = segmentName(t);
+
+    this.#writeChain = this.#writeChain.then(async () => {
+      try {
+        if (segment !== this.#currentSegment) {
+          await mkdir(this.#dir, { recursive: true });
+          // New day: good moment to prune and compact older segments
+          if (this.#currentSegment !== null) await this.maintain(t);
+          this.#currentSegment = segment;
+        } else if (t - this.#lastMaintainedAt >= this.#opts.maintainIntervalMs) {
+          // A long-running server also compacts during the day
+          await this.maintain(t);
+        }
+        await appendFile(join(this.#dir, segment), JSON.stringify(record) + '\n');
+        return true;
+      } catch (err) {
+        console.warn('[SnapshotHistory] write error:', err.message);
+        return false;
+      }
+    });
+    return this.#writeChain;
+  }
+
+  /**
+   * Return snapshots between from and to (inclusive), optionally filtered
+   * to a single session or group.
+   * @param {{ from: number, to: number, session?: string, group?: string }} query
+   * @returns {Promise<{ from: string, to: string, count: number, truncated: boolean, snapshots: object[] }>}
+   */
+  async query({ from, to, session, group }) {
+    await this.#writeChain;
+
+    const records = [];
+    for (const file of await this.#listSegments()) {
+      const dayStart = new Date(`${file.date}T00:00:00Z`).getTime();
+      if (dayStart > to || dayStart + DAY_MS <= from) continue;
+
+      for (const r of await this.#readSegment(file.name)) {
+        if (r.t < from || r.t > to) continue;
+        const filtered = filterRecord(r, { session, group });
+        if (filtered) records.push(filtered);
+      }
+    }
+    records.sort((a, b) => a.t - b.t);
+
+    const snapshots = limitRecords(records, this.#opts.maxResults);
+    return {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      count: snapshots.length,
+      truncated: snapshots.length < records.length,
+      snapshots,
+    };
+  }
+
+  /**
+   * Most recent record on disk, or null (used to restore counters on restart).
+   * @returns {Promise<object|null>}
+   */
+  async latest() {
+    const files = await this.#listSegments();
+    for (let i = files.length - 1; i >= 0; i--) {
+      const records = await this.#readSegment(files[i].name);
+      if (records.length > 0) return records[records.length - 1];
+    }
+    return null;
+  }
+
+  /**
+   * Delete segments past retention and compact segments past compactAfterDays.
+   * @param {number} [now]
+   */
+  async maintain(now = Date.now()) {
+    this.#lastMaintainedAt = now;
+    const retentionCutoff = now - this.#opts.retentionDays * DAY_MS;
+    const compactCutoff = now - this.#opts.compactAfterDays * DAY_MS;
+
+    for (const file of await this.#listSegments()) {
+      const dayEnd = new Date(`${file.date}T00:00:00Z`).getTime() + DAY_MS;
+      const path = join(this.#dir, file.name);
+      try {
+        if (dayEnd <= retentionCutoff) {
+          await unlink(path);
+        } else if (dayEnd <= compactCutoff && !file.compacted) {
+          const kept = thinRecords(await this.#readSegment(file.name), this.#opts.compactIntervalMs);
+          const tmp = join(this.#dir, `${file.date}.c.jsonl.tmp`);
+          await writeFile(tmp, kept.map(r => JSON.stringify(r)).join('\n') + (kept.length ? '\n' : ''));
+          await rename(tmp, join(this.#dir, `${file.date}.c.jsonl`));
+          await unlink(path);
+        }
+      } catch (err) {
+        console.warn(`[SnapshotHistory] maintenance error on ${file.name}:`, err.message);
+      }
+    }
+  }
+
+  // ── Private ─────────────────────────────────────────────────────────────
+
+  /** @returns {Promise<Array<{ name: string, date: string, compacted: boolean }>>} sorted oldest first */
+  async #listSegments() {
+    let names;
+    try {
+      names = await readdir(this.#dir);
+    } catch {
+      return []; // dir doesn't exist yet -- no history
+    }
+    const files = [];
+    for (const name of names) {
+      const m = SEGMENT_RE.exec(name);
+      if (m) files.push({ name, date: m[1], compacted: !!m[2] });
+    }
+    return files.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /** @returns {Promise<object[]>} parsed records, skipping corrupt lines */
+  async #readSegment(name) {
+    let text;
+    try {
+      text = await readFile(join(this.#dir, name), 'utf8');
+    } catch {
+      return [];
+    }
+    const records = [];
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // partial line from a crash mid-write
+      }
+    }
+    return records;
+  }
+}
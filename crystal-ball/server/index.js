@@ -1,6 +1,10 @@
 // server/index.js
 // Express app -- serves the static UI and the /api/sessions endpoint.
 // Polls the discovery backend on a timer and maintains an in-memory store.
+// Pushes each fresh snapshot to browsers over /api/stream (Server-Sent Events),
+// and again whenever a hook writes a sidecar file (fs.watch) or an agent
+// pushes context to POST /api/context.
+// Appends snapshots to an on-disk history queryable via /api/history.
 // Optionally publishes to a relay server for multi-person mode.
 
 import express from "express";
@@ -8,17 +12,34 @@ import { fileURLToPath } from "node:url";
 import path from "node:path";
 
 import { createDiscovery } from "./discovery/index.js";
+import { AgentRegistry, getAgentConfigPath } from "./discovery/agents.js";
 import { SessionClassifier } from "./classifier.js";
 import { SessionStore } from "./sessionStore.js";
+import { SidecarWatcher } from "./discovery/sidecarWatcher.js";
+import { SidecarReaper, REAPER_DEFAULTS } from "./discovery/sidecarReaper.js";
+import { ContextInbox } from "./discovery/contextInbox.js";
+import { requireToken, requireLocal } from "./auth.js";
+import { TmuxControl, paneOf, previewLines } from "./tmux.js";
+import { AuditLog, SessionSignaller } from "./signals.js";
+import { EditorLauncher, DEFAULT_EDITOR_COMMAND, lastTouchedFile, fileWithin } from "./editor.js";
+import { RepoResolver } from "./gitRepo.js";
+import { GitStatusWorker } from "./gitStatus.js";
+import { getDistrictConfigPath, loadDistrictRules, inferDivisions } from "./districts.js";
+import { LayoutStore, getLayoutPath, parseBuildingSpot } from "./layout.js";
 import { RelayPublisher } from "./relay/publisher.js";
 import { RelaySubscriber } from "./relay/subscriber.js";
 import { SharingSettings } from "./relay/sharingSettings.js";
 import { resolveIdentity } from "./relay/identity.js";
+import { SnapshotStream } from "./stream.js";
+import { SnapshotHistory, HISTORY_DEFAULTS, parseTimeParam } from "./history.js";
 
 // -- __dirname equivalent for ESM
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Pin local user to GR baby blue so they always stand out.
+const GR_BLUE = "#89CFF0";
+
 // -- CLI flag parsing
 function parseFlags(argv) {
   const flags = {
@@ -29,6 +50,22 @@ function parseFlags(argv) {
     userName: null,
     userColor: null,
     token: null,
+    history: true,
+    historyRetentionDays: HISTORY_DEFAULTS.retentionDays,
+    historyInterval: HISTORY_DEFAULTS.sampleIntervalMs, // ms
+    historyCompactAfterDays: HISTORY_DEFAULTS.compactAfterDays,
+    historyCompactInterval: HISTORY_DEFAULTS.compactIntervalMs, // ms
+    reap: true,
+    reapMode: REAPER_DEFAULTS.mode,
+    reapGraceMinutes: REAPER_DEFAULTS.graceMs / 60_000,
+    reapArchiveDays: REAPER_DEFAULTS.archiveRetentionMs / (24 * 60 * 60_000),
+    contextToken: process.env.CRYSTAL_BALL_CONTEXT_TOKEN || null,
+    agentsFile: getAgentConfigPath(),
+    districtsFile: getDistrictConfigPath(),
+    layoutFile: null,     // default depends on the mode, see getLayoutPath()
+    groupBy: "repo",      // git repository; "cwd": directory name; "tmux": tmux session name
+    gitStatus: true,      // background git status of repository groups
+    editor: process.env.CRYSTAL_BALL_EDITOR || DEFAULT_EDITOR_COMMAND, // see editor.js
   };
 
   for (let i = 2; i < argv.length; i++) {
@@ -48,6 +85,39 @@ function parseFlags(argv) {
       flags.userColor = argv[++i];
     } else if (arg === "--token" && argv[i + 1]) {
       flags.token = argv[++i];
+    } else if (arg === "--no-history") {
+      flags.history = false;
+    } else if (arg === "--history-retention-days" && argv[i + 1]) {
+      flags.historyRetentionDays = Number(argv[++i]);
+    } else if (arg === "--history-interval" && argv[i + 1]) {
+      flags.historyInterval = Number(argv[++i]);
+    } else if (arg === "--history-compact-after-days" && argv[i + 1]) {
+      flags.historyCompactAfterDays = Number(argv[++i]);
+    } else if (arg === "--history-compact-interval" && argv[i + 1]) {
+      flags.historyCompactInterval = Number(argv[++i]);
+    } else if (arg === "--no-reap") {
+      flags.reap = false;
+    } else if (arg === "--reap-mode" && argv[i + 1]) {
+      flags.reapMode = argv[++i] === "delete" ? "delete" : "archive";
+    } else if (arg === "--reap-grace" && argv[i + 1]) {
+      flags.reapGraceMinutes = Number(argv[++i]);
+    } else if (arg === "--reap-archive-days" && argv[i + 1]) {
+      flags.reapArchiveDays = Number(argv[++i]);
+    } else if (arg === "--context-token" && argv[i + 1]) {
+      flags.contextToken = argv[++i];
+    } else if (arg === "--agents" && argv[i + 1]) {
+      flags.agentsFile = argv[++i];
+    } else if (arg === "--districts" && argv[i + 1]) {
+      flags.districtsFile = argv[++i];
+    } else if (arg === "--layout" && argv[i + 1]) {
+      flags.layoutFile = argv[++i];
+    } else if (arg === "--group-by" && argv[i + 1]) {
+      const groupBy = argv[++i];
+      flags.groupBy = ["repo", "cwd", "tmux"].includes(groupBy) ? groupBy : "repo";
+    } else if (arg === "--no-git-status") {
+      flags.gitStatus = false;
+    } else if (arg === "--editor" && argv[i + 1]) {
+      flags.editor = argv[++i];
     }
   }
 
@@ -76,9 +146,53 @@ async function main() {
   }
 
   // -- Instantiate core objects
-  const discovery = await createDiscovery();
+  const agents = await AgentRegistry.load(flags.agentsFile);
+  const discovery = await createDiscovery({ agents });
   const classifier = new SessionClassifier();
-  const store = new SessionStore(classifier);
+  // The simulator answers for its own fake panes
+  const tmux = new TmuxControl({ run: discovery.runTmux });
+  const signaller = new SessionSignaller({ audit: new AuditLog(), kill: discovery.kill, ownerOf: discovery.ownerOf, startOf: discovery.startOf });
+  const editor = new EditorLauncher({ template: flags.editor, spawn: discovery.spawnEditor });
+
+  // -- Sidecar cache, refreshed by fs.watch as hooks write (Mode 2)
+  const sidecars = new SidecarWatcher({ onChange: () => onContextChange() });
+
+  // -- Context pushed over HTTP by agents without access to the sidecar dir
+  const pushed = new ContextInbox();
+  // -- Git repository lookups for grouping (the simulator fakes its repos)
+  const repos = new RepoResolver({ run: discovery.runGit });
+  // -- Branch, uncommitted files, ahead/behind per repository, refreshed in the background
+  const gitStatus = flags.gitStatus && flags.groupBy === "repo"
+    ? new GitStatusWorker({ run: discovery.runGit })
+    : null;
+  const districtRules = await loadDistrictRules(flags.districtsFile);
+  // -- World seed, building placements and repository group IDs, so the village looks the same after a reload or restart
+  const layout = await LayoutStore.load(flags.layoutFile ?? getLayoutPath(mode));
+  const store = new SessionStore(classifier, { sidecars, pushed, groupBy: flags.groupBy, repos, repoIds: layout, gitStatus, districtRules });
+
+  // -- Orphaned sidecar cleanup. Live mode only: the simulator's fake PIDs
+  // would make every real sidecar look orphaned.
+  const reaper = flags.reap && mode === "live"
+    ? new SidecarReaper(sidecars, {
+        dir: sidecars.dir,
+        mode: flags.reapMode,
+        graceMs: flags.reapGraceMinutes * 60_000,
+        archiveRetentionMs: flags.reapArchiveDays * 24 * 60 * 60_000,
+      })
+    : null;
+
+  // -- Snapshot history (persists across restarts)
+  let history = null;
+  if (flags.history) {
+    history = new SnapshotHistory({
+      retentionDays: flags.historyRetentionDays,
+      sampleIntervalMs: flags.historyInterval,
+      compactAfterDays: flags.historyCompactAfterDays,
+      compactIntervalMs: flags.historyCompactInterval,
+    });
+    await history.maintain();
+    store.restoreMetrics((await history.latest())?.metrics ?? null);
+  }
 
   // -- Relay publisher/subscriber (multi-person mode)
   let publisher = null;
@@ -99,24 +213,161 @@ async function main() {
     await sharingSettings.load();
   }
 
+  // -- Combined multi-person view (relay data + fresh local sessions)
+
+  /** Last combined view fetched from the relay, reused between fetches */
+  let relayData = null;
+
+  async function fetchCombined() {
+    relayData = await subscriber.fetchCombined();
+    return relayData && combineWithLocal(relayData);
+  }
+
+  /**
+   * Merge the latest local snapshot into relay data, leaving the relay data
+   * as it was so it can be merged again with the next local snapshot.
+   * @param {object} relay
+   * @returns {object}
+   */
+  function combineWithLocal(relay) {
+    const data = { ...relay };
+
+    // Always inject fresh local sessions so the local user's units appear
+    // even if publishing is delayed or sharing is toggled off.
+    if (identity) {
+      const localData = store.getLatest();
+
+      // Strip stale copies of our sessions from the relay data
+      data.sessions = (data.sessions || []).filter(
+        (s) => s.owner !== identity.name
+      );
+
+      // Add fresh local sessions with proper namespacing + GR blue
+      const namespaced = (id) => `${identity.name}/${id}`;
+      for (const s of localData.sessions || []) {
+        data.sessions.push({
+          ...s,
+          id: namespaced(s.id),
+          owner: identity.name,
+          ownerColor: GR_BLUE,
+        });
+      }
+
+      // Rebuild groups from the full session list. A group that is also
+      // local keeps the store's directory (the repository root, not some
+      // session's cwd), repository, sub-neighborhoods and git status.
+      const localGroups = new Map((localData.groups || []).map((g) => [g.id, g]));
+      const groupMap = new Map();
+      for (const s of data.sessions) {
+        if (!s.group) continue;
+        let g = groupMap.get(s.group);
+        if (!g) {
+          g = { id: s.group, cwd: localGroups.get(s.group)?.cwd ?? s.cwd, session_ids: [], owners: new Set() };
+          groupMap.set(s.group, g);
+        }
+        g.session_ids.push(s.id);
+        if (s.owner) g.owners.add(s.owner);
+      }
+      data.groups = [...groupMap.values()].map((g) => {
+        const local = localGroups.get(g.id);
+        return {
+          id: g.id,
+          cwd: g.cwd,
+          session_count: g.session_ids.length,
+          session_ids: g.session_ids,
+          owners: [...g.owners],
+          ...(local && {
+            repo: local.repo,
+            subgroups: local.subgroups.map((sub) => ({ ...sub, session_ids: sub.session_ids.map(namespaced) })),
+            git: local.git,
+          }),
+        };
+      });
+      data.divisions = inferDivisions(data.groups, districtRules);
+      const divisionOf = new Map(data.divisions.flatMap(d => d.group_ids.map(id => [id, d.id])));
+      for (const g of data.groups) g.division = divisionOf.get(g.id);
+
+      // Ensure local user in users array with correct colour
+      data.users = [...(data.users || [])];
+      const userIdx = data.users.findIndex((u) => u.name === identity.name);
+      const localUserEntry = {
+        name: identity.name,
+        color: GR_BLUE,
+        sessionCount: (localData.sessions || []).length,
+      };
+      if (userIdx >= 0) {
+        data.users[userIdx] = localUserEntry;
+      } else {
+        data.users.push(localUserEntry);
+      }
+    }
+
+    return data;
+  }
+
+  // -- Push stream to connected browsers
+  const stream = new SnapshotStream();
+
+  // -- Fan a fresh snapshot out to history, relay and open browser tabs.
+  // `poll: false` (context-only refreshes) keeps away from the relay.
+  async function distribute({ poll = true } = {}) {
+    // Append to on-disk history (write is queued, never blocks the poll)
+    if (history) history.record(store.getLatest());
+
+    // Publish to relay if sharing is enabled
+    if (poll && publisher) {
+      const settings = sharingSettings.get();
+      if (settings.enabled) {
+        await publisher.publish(store.getLatest(), settings.excludedGroups);
+      }
+    }
+
+    // Push to open browser tabs as soon as the snapshot is ready. The
+    // combined view is fetched from the relay once per poll, and only
+    // while a tab listens; otherwise the fresh local snapshot is merged
+    // into the last relay data, so a tab opened later starts from it.
+    let snapshot = store.getLatest();
+    if (subscriber) {
+      snapshot = poll && stream.clientCount > 0
+        ? await fetchCombined()
+        : relayData && combineWithLocal(relayData);
+    }
+    if (snapshot) {
+      stream.broadcast(snapshot);
+      // Neighborhoods on the map keep their building spots longest
+      layout.touch(snapshot.groups.map(g => g.id));
+    }
+  }
+
   // -- Polling loop
   async function poll() {
     try {
       const rawSessions = await discovery.discoverSessions();
       await store.update(rawSessions);
+      await distribute();
 
-      // Publish to relay if sharing is enabled
-      if (publisher) {
-        const settings = sharingSettings.get();
-        if (settings.enabled) {
-          await publisher.publish(store.getLatest(), settings.excludedGroups);
-        }
-      }
+      // Throttled internally; reaped files drop out via the watcher
+      if (reaper) await reaper.sweep(rawSessions);
     } catch (err) {
       console.error("[poll] discovery error:", err);
     }
   }
 
+  // -- Hook wrote a sidecar or an agent pushed context: re-merge context now
+  // instead of on the next poll. Relay traffic, both ways, stays on the
+  // poll cadence (PostToolUse fires constantly).
+  async function onContextChange() {
+    try {
+      const snapshot = await store.refreshContext();
+      if (snapshot.timestamp) await distribute({ poll: false });
+    } catch (err) {
+      console.error("[context] refresh error:", err);
+    }
+  }
+
+  await sidecars.start();
+  gitStatus?.start();
+
   // Run first poll immediately so /api/sessions has data on first request
   await poll();
   setInterval(poll, flags.pollInterval);
@@ -134,9 +385,6 @@ async function main() {
     res.json(store.getLatest());
   });
 
-  // Pin local user to GR baby blue so they always stand out.
-  const GR_BLUE = "#89CFF0";
-
   // API -- mode detection (tells the frontend if multi-person is available)
   app.get("/api/mode", (_req, res) => {
     const user = identity ? { ...identity, color: GR_BLUE } : null;
@@ -151,67 +399,239 @@ async function main() {
     if (!subscriber) {
       return res.status(404).json({ error: "No relay configured" });
     }
-    const data = await subscriber.fetchCombined();
+    const data = await fetchCombined();
     if (!data) {
       return res.status(502).json({ error: "Relay unavailable" });
     }
+    res.json(data);
+  });
 
-    // Always inject fresh local sessions so the local user's units appear
-    // even if publishing is delayed or sharing is toggled off.
-    if (identity) {
-      const localData = store.getLatest();
+  // API -- push stream. Local mode streams the local snapshot; multi mode
+  // streams the combined view, fetched once per poll and shared by all tabs.
+  app.get("/api/stream", (req, res) => {
+    stream.attach(req, res);
+  });
 
-      // Strip stale copies of our sessions from the relay data
-      data.sessions = (data.sessions || []).filter(
-        (s) => s.owner !== identity.name
-      );
+  // API -- snapshot history. from/to accept epoch ms or ISO strings;
+  // defaults to the last hour. Optional session/group filters.
+  app.get("/api/history", async (req, res) => {
+    if (!history) {
+      return res.status(404).json({ error: "History disabled" });
+    }
+    const now = Date.now();
+    const to = parseTimeParam(req.query.to, now);
+    const from = parseTimeParam(req.query.from, to - 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({ error: "Invalid from/to range" });
+    }
+    try {
+      res.json(await history.query({
+        from,
+        to,
+        session: req.query.session || undefined,
+        group: req.query.group || undefined,
+      }));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
 
-      // Add fresh local sessions with proper namespacing + GR blue
-      for (const s of localData.sessions || []) {
-        data.sessions.push({
-          ...s,
-          id: `${identity.name}/${s.id}`,
-          owner: identity.name,
-          ownerColor: GR_BLUE,
-        });
-      }
+  // API -- Mode 2 context push. Same payload as a sidecar file; requires
+  // `Authorization: Bearer <--context-token>`, disabled without a token.
+  const contextAuth = requireToken(flags.contextToken);
 
-      // Rebuild groups from the full session list
-      const groupMap = new Map();
-      for (const s of data.sessions) {
-        if (!s.group) continue;
-        let g = groupMap.get(s.group);
-        if (!g) {
-          g = { id: s.group, cwd: s.cwd, session_ids: [], owners: new Set() };
-          groupMap.set(s.group, g);
-        }
-        g.session_ids.push(s.id);
-        if (s.owner) g.owners.add(s.owner);
-      }
-      data.groups = [...groupMap.values()].map((g) => ({
-        id: g.id,
-        cwd: g.cwd,
-        session_count: g.session_ids.length,
-        session_ids: g.session_ids,
-        owners: [...g.owners],
-      }));
+  app.post("/api/context", contextAuth, (req, res) => {
+    const result = pushed.put(req.body);
+    if (!result.ok) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(202).json({ session_id: result.sessionId });
+    onContextChange();
+  });
 
-      // Ensure local user in users array with correct colour
-      if (!data.users) data.users = [];
-      const userIdx = data.users.findIndex((u) => u.name === identity.name);
-      const localUserEntry = {
-        name: identity.name,
-        color: GR_BLUE,
-        sessionCount: (localData.sessions || []).length,
-      };
-      if (userIdx >= 0) {
-        data.users[userIdx] = localUserEntry;
-      } else {
-        data.users.push(localUserEntry);
+  app.delete("/api/context/:sessionId", contextAuth, (req, res) => {
+    if (!pushed.remove(req.params.sessionId)) {
+      return res.status(404).json({ error: "Unknown session_id" });
+    }
+    res.sendStatus(204);
+    onContextChange();
+  });
+
+  // API -- exit status of a headless run, reported by hooks/crystal-ball-run.sh
+  // (discovery can't see exit codes of processes it didn't spawn).
+  // Same token as context push.
+  app.post("/api/runs", contextAuth, (req, res) => {
+    const { pid, exit_status: exitStatus } = req.body ?? {};
+    if (!store.recordExit(pid, exitStatus)) {
+      return res.status(400).json({ error: "pid and exit_status (integers) are required" });
+    }
+    res.sendStatus(202);
+    onContextChange();
+  });
+
+  // Pane, signal and editor routes act on this machine's terminals,
+  // processes and apps, so they only answer local, same-origin requests
+  // (JSON bodies for writes).
+  const localOnly = requireLocal();
+
+  // API -- tmux panes of sessions running in tmux: a preview of the pane's
+  // contents, and focusing it in the user's tmux client.
+
+  /**
+   * A session of this machine by snapshot id. The combined multi-person
+   * view prefixes local ids with the user's name.
+   * @param {string} id
+   * @returns {object|null}
+   */
+  function localSession(id) {
+    const prefix = identity ? `${identity.name}/` : null;
+    const localId = prefix && id.startsWith(prefix) ? id.slice(prefix.length) : id;
+    return store.getLatest().sessions.find(s => s.id === localId) ?? null;
+  }
+
+  /** The snapshot session for :id and its pane, or an error response. */
+  function tmuxSession(req, res) {
+    const session = localSession(req.params.id);
+    if (!session) {
+      res.status(404).json({ error: "Unknown session" });
+      return null;
+    }
+    const pane = paneOf(session);
+    if (!pane) {
+      res.status(409).json({ error: "Session is not running in a tmux pane" });
+      return null;
+    }
+    return pane;
+  }
+
+  app.get("/api/sessions/:id/preview", localOnly, async (req, res) => {
+    const pane = tmuxSession(req, res);
+    if (!pane) return;
+    const lines = previewLines(req.query.lines);
+    try {
+      const text = await tmux.capture(pane, lines);
+      res.json({ id: req.params.id, pane, lines, text, captured_at: new Date().toISOString() });
+    } catch (err) {
+      res.status(502).json({ error: `tmux capture-pane failed: ${err.message}` });
+    }
+  });
+
+  app.post("/api/sessions/:id/focus", localOnly, async (req, res) => {
+    const pane = tmuxSession(req, res);
+    if (!pane) return;
+    try {
+      const { switched } = await tmux.focus(pane);
+      res.json({ id: req.params.id, pane, switched });
+    } catch (err) {
+      res.status(502).json({ error: `tmux select-pane failed: ${err.message}` });
+    }
+  });
+
+  // API -- stop a session: SIGINT or SIGTERM, then SIGKILL if it is still
+  // running after a few seconds (`escalate`; by default only after SIGTERM).
+  // `signal` is required. Local requests only, and only for sessions in the
+  // current snapshot. `if_state` makes the request conditional (bulk "dismiss stale"
+  // uses it so a session that woke up in the meantime is left alone).
+  // Audited in ~/.crystal-ball/audit.log.
+  app.post("/api/sessions/:id/signal", localOnly, async (req, res) => {
+    const { signal, escalate, if_state: ifState, source } = req.body ?? {};
+    const session = localSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Unknown session" });
+    }
+    if (ifState && session.state !== ifState) {
+      return res.status(409).json({ error: `Session is ${session.state}, not ${ifState}` });
+    }
+    const result = await signaller.signal(session, signal, {
+      escalate: typeof escalate === "boolean" ? escalate : null,
+      source: typeof source === "string" ? source.slice(0, 32) : null,
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(202).json({ id: session.id, pid: session.pid, signal, escalate_after_ms: result.escalateAfterMs });
+  });
+
+  // API -- open a project, or the file a session touched last (`target:
+  // "file"`), with the --editor command. Only directories of current
+  // sessions can be opened; local requests only.
+  app.post("/api/sessions/:id/open", localOnly, async (req, res) => {
+    const session = localSession(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Unknown session" });
+    }
+    let openPath = session.cwd;
+    if (req.body?.target === "file") {
+      const file = lastTouchedFile(session.context);
+      openPath = file ? fileWithin(session.cwd, file) : null;
+      if (!openPath) {
+        return res.status(409).json({ error: "No recently touched file in the session's directory" });
       }
     }
+    await openInEditor(res, req.params.id, { path: openPath, cwd: session.cwd });
+  });
 
-    res.json(data);
+  app.post("/api/groups/:id/open", localOnly, async (req, res) => {
+    const group = store.getLatest().groups.find(g => g.id === req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: "Unknown group" });
+    }
+    await openInEditor(res, group.id, { path: group.cwd, cwd: group.cwd });
+  });
+
+  /**
+   * Launch the editor for a route and send the response.
+   * @param {import("express").Response} res
+   * @param {string} id -- session or group id, echoed back
+   * @param {{ path: string, cwd: string }} target
+   */
+  async function openInEditor(res, id, target) {
+    if (!store.hasCwd(target.cwd)) {
+      return res.status(404).json({ error: "Not the directory of a current session" });
+    }
+    try {
+      const command = await editor.open(target);
+      res.status(202).json({ id, path: target.path, command });
+    } catch (err) {
+      res.status(502).json({ error: `Editor failed to start: ${err.message}` });
+    }
+  }
+
+  // API -- server self-diagnostics (sidecar cache, orphan reaper counts, git worker, agent registry)
+  app.get("/api/diagnostics", (_req, res) => {
+    res.json({
+      timestamp: new Date().toISOString(),
+      sidecars: {
+        dir: sidecars.dir,
+        watching: sidecars.watching,
+        cached: sidecars.entries().length,
+        reaper: reaper ? reaper.stats() : null,
+      },
+      git: gitStatus ? gitStatus.stats() : null,
+      pushed: {
+        enabled: !!flags.contextToken,
+        sessions: pushed.entries().length,
+      },
+      agents: agents.factions,
+    });
+  });
+
+  // API -- village layout: the world seed and where each neighborhood's
+  // building stands. Placing a building is a local route, like the ones above.
+  app.get("/api/layout", (_req, res) => {
+    res.json(layout.get());
+  });
+
+  app.post("/api/layout/:groupId", localOnly, async (req, res) => {
+    let spot;
+    try {
+      spot = parseBuildingSpot(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const result = await layout.place(req.params.groupId, spot);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ group: req.params.groupId, ...result.spot });
   });
 
   // API -- sharing settings
@@ -252,6 +672,16 @@ async function main() {
     console.log(`\n  Crystal Ball server running`);
     console.log(`  Mode : ${mode}`);
     console.log(`  Poll : every ${flags.pollInterval} ms`);
+    console.log(`  Side : ${sidecars.dir} (${sidecars.watching ? "watching" : "rescan only"})`);
+    console.log(`  Agent: ${agents.factions.map(f => f.type).join(", ")}`);
+    console.log(`  Group: by ${{ repo: "git repository (directory otherwise)", cwd: "directory name", tmux: "tmux session (directory name otherwise)" }[flags.groupBy]}`);
+    console.log(`  Dist : ${districtRules.length > 0 ? `${districtRules.length} rule(s) from ${flags.districtsFile}` : "by parent directory"}`);
+    console.log(`  Map  : ${layout.path}`);
+    console.log(`  Edit : ${editor.template}`);
+    console.log(`  Push : POST /api/context ${flags.contextToken ? "(token required)" : "disabled (no --context-token)"}`);
+    if (history) {
+      console.log(`  Hist : ${history.dir} (${flags.historyRetentionDays}d)`);
+    }
     if (isMulti) {
       console.log(`  Relay: ${flags.relayUrl}`);
       console.log(`  User : ${identity.name} (${identity.color})`);
@@ -0,0 +1,250 @@
+// server/layout.js
+// Village layout that survives reloads and restarts: the world seed the
+// client generates terrain from, where each neighborhood's building stands
+// and what it looks like, and which group ID each repository was given.
+// Kept in ~/.crystal-ball/layout.json (override with CRYSTAL_BALL_LAYOUT or
+// --layout):
+//
+//   { "seed": 2718281828,
+//     "buildings": { "SimExLab": { "x": -6, "z": 4, "type": "Forge", "at": "...", "used": "..." } },
+//     "repos": { "github.com/acme/shop": "shop" } }
+//
+// The client picks the tile and building type the first time a neighborhood
+// appears and reports it; from then on the building is put back there.
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { homedir } from 'node:os';
+
+/** Buildings remembered; the one unused longest is forgotten beyond this. */
+export const MAX_LAYOUT_BUILDINGS = 500;
+
+/** A building's last use is recorded (and saved) at most this often. */
+export const LAYOUT_TOUCH_MS = 60 * 60_000;
+
+/** Repository group IDs remembered; the first-assigned is forgotten beyond this. */
+export const MAX_LAYOUT_REPOS = 1000;
+
+/** Tile coordinates stay well inside this (the map is 28x28 tiles). */
+const MAX_COORD = 1000;
+
+/** Building types are identifiers from the client's buildings.js. */
+const TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,31}$/;
+
+const MAX_GROUP_ID_LENGTH = 200;
+
+/**
+ * Resolve the layout file path. The simulator keeps its fake neighborhoods
+ * out of the real village.
+ * @param {'live'|'simulate'} [mode]
+ * @returns {string}
+ */
+export function getLayoutPath(mode = 'live') {
+  if (process.env.CRYSTAL_BALL_LAYOUT) return process.env.CRYSTAL_BALL_LAYOUT;
+  return join(homedir(), '.crystal-ball', mode === 'simulate' ? 'layout.simulate.json' : 'layout.json');
+}
+
+/**
+ * A new random world seed.
+ * @returns {number} unsigned 32-bit integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 32) >>> 0;
+}
+
+/**
+ * @typedef {{ x: number, z: number, type: string, at: string, used: string }} BuildingSpot
+ *   -- at: when the building was first placed, used: when its neighborhood
+ *   was last seen, to within LAYOUT_TOUCH_MS (ISO)
+ */
+
+/**
+ * Validate a building placement reported by the client.
+ * @param {unknown} body
+ * @returns {{ x: number, z: number, type: string }}
+ * @throws {Error} describing what is wrong
+ */
+export function parseBuildingSpot(body) {
+  const { x, z, type } = body ?? {};
+  if (![x, z].every(n => Number.isInteger(n) && Math.abs(n) <= MAX_COORD)) {
+    throw new Error('"x" and "z" must be integer tile coordinates');
+  }
+  if (typeof type !== 'string' || !TYPE_PATTERN.test(type)) {
+    throw new Error('"type" must be a building type');
+  }
+  return { x, z, type };
+}
+
+/**
+ * Keep the well-formed parts of a layout file.
+ * @param {unknown} doc
+ * @returns {{ seed: number|null, buildings: Map<string, BuildingSpot>, repos: Map<string, string> }}
+ */
+function readLayout(doc) {
+  const seed = Number.isInteger(doc?.seed) && doc.seed >= 0 ? doc.seed >>> 0 : null;
+  const buildings = new Map();
+  for (const [groupId, spot] of Object.entries(doc?.buildings ?? {})) {
+    try {
+      const at = typeof spot.at === 'string' ? spot.at : new Date(0).toISOString();
+      buildings.set(groupId, { ...parseBuildingSpot(spot), at, used: typeof spot.used === 'string' ? spot.used : at });
+    } catch {
+      // skip the entry, keep the rest
+    }
+  }
+  const repos = new Map();
+  for (const [identity, groupId] of Object.entries(doc?.repos ?? {})) {
+    if (typeof groupId === 'string' && groupId && groupId.length <= MAX_GROUP_ID_LENGTH) repos.set(identity, groupId);
+  }
+  return { seed, buildings, repos };
+}
+
+export class LayoutStore {
+  #path;
+  #seed;
+
+  /** @type {Map<string, BuildingSpot>} group ID -> spot */
+  #buildings;
+
+  /** @type {Map<string, string>} repository identity -> group ID, oldest first */
+  #repos;
+
+  /** Pending write; saves are chained so they land in order */
+  #writing = Promise.resolve();
+
+  /**
+   * @param {{ path?: string|null, seed?: number, buildings?: Map<string, BuildingSpot>, repos?: Map<string, string> }} [opts]
+   *   -- path null keeps the layout in memory only
+   */
+  constructor({ path = null, seed = randomSeed(), buildings = new Map(), repos = new Map() } = {}) {
+    this.#path = path;
+    this.#seed = seed;
+    this.#buildings = buildings;
+    this.#repos = repos;
+  }
+
+  /**
+   * Load the layout; a missing file starts a new village (with a new seed,
+   * written once the first building is placed), an invalid one is reported
+   * and replaced.
+   * @param {string} [path]
+   * @returns {Promise<LayoutStore>}
+   */
+  static async load(path = getLayoutPath()) {
+    let text;
+    try {
+      text = await readFile(path, 'utf8');
+    } catch {
+      return new LayoutStore({ path });
+    }
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (err) {
+      console.warn(`[layout] starting a new layout, ${path} is invalid: ${err.message}`);
+      return new LayoutStore({ path });
+    }
+    const { seed, buildings, repos } = readLayout(doc);
+    return new LayoutStore({ path, seed: seed ?? randomSeed(), buildings, repos });
+  }
+
+  /** Where the layout is kept (null in memory only). */
+  get path() {
+    return this.#path;
+  }
+
+  /**
+   * The layout for GET /api/layout.
+   * @returns {{ seed: number, buildings: Record<string, { x: number, z: number, type: string }> }}
+   */
+  get() {
+    const buildings = {};
+    for (const [groupId, { x, z, type }] of this.#buildings) buildings[groupId] = { x, z, type };
+    return { seed: this.#seed, buildings };
+  }
+
+  /**
+   * Remember where a neighborhood's building stands. A group's building
+   * moves if it is placed again; a tile held by another group is refused.
+   * @param {string} groupId
+   * @param {{ x: number, z: number, type: string }} spot -- see parseBuildingSpot
+   * @returns {Promise<{ ok: true, spot: { x: number, z: number, type: string } }|{ ok: false, status: number, error: string }>}
+   */
+  async place(groupId, spot) {
+    if (typeof groupId !== 'string' || !groupId || groupId.length > MAX_GROUP_ID_LENGTH) {
+      return { ok: false, status: 400, error: 'invalid group id' };
+    }
+    for (const [other, s] of this.#buildings) {
+      if (other !== groupId && s.x === spot.x && s.z === spot.z) {
+        return { ok: false, status: 409, error: `tile ${spot.x},${spot.z} belongs to ${other}` };
+      }
+    }
+    const now = new Date().toISOString();
+    const at = this.#buildings.get(groupId)?.at ?? now;
+    this.#buildings.set(groupId, { x: spot.x, z: spot.z, type: spot.type, at, used: now });
+    if (this.#buildings.size > MAX_LAYOUT_BUILDINGS) {
+      const unused = [...this.#buildings].sort(([, a], [, b]) => a.used.localeCompare(b.used))[0][0];
+      this.#buildings.delete(unused);
+    }
+    await this.#save();
+    return { ok: true, spot: { x: spot.x, z: spot.z, type: spot.type } };
+  }
+
+  /**
+   * Record that these neighborhoods are on the map, so their buildings are
+   * the last to be forgotten. Saves only when a stamp is LAYOUT_TOUCH_MS old.
+   * @param {Iterable<string>} groupIds
+   * @param {number} [now] -- ms
+   * @returns {Promise<void>}
+   */
+  touch(groupIds, now = Date.now()) {
+    let changed = false;
+    for (const groupId of groupIds) {
+      const spot = this.#buildings.get(groupId);
+      if (!spot || now - Date.parse(spot.used) < LAYOUT_TOUCH_MS) continue;
+      spot.used = new Date(now).toISOString();
+      changed = true;
+    }
+    return changed ? this.#save() : Promise.resolve();
+  }
+
+  /**
+   * Group IDs given to repositories so far (see repoGroupIds() in
+   * sessionStore.js). Read-only for callers.
+   * @returns {Map<string, string>} identity -> group ID
+   */
+  knownRepoIds() {
+    return this.#repos;
+  }
+
+  /**
+   * Remember newly assigned repository group IDs and save them.
+   * @param {Map<string, string>} ids -- identity -> group ID
+   * @returns {Promise<void>}
+   */
+  rememberRepoIds(ids) {
+    for (const [identity, groupId] of ids) this.#repos.set(identity, groupId);
+    while (this.#repos.size > MAX_LAYOUT_REPOS) {
+      this.#repos.delete(this.#repos.keys().next().value);
+    }
+    return this.#save();
+  }
+
+  /**
+   * Write the layout atomically (temp file + rename).
+   * @returns {Promise<void>}
+   */
+  #save() {
+    if (!this.#path) return Promise.resolve();
+    const path = this.#path;
+    const doc = { seed: this.#seed, buildings: Object.fromEntries(this.#buildings), repos: Object.fromEntries(this.#repos) };
+    this.#writing = this.#writing
+      .then(async () => {
+        await mkdir(dirname(path), { recursive: true });
+        const tmp = `${path}.tmp`;
+        await writeFile(tmp, JSON.stringify(doc, null, 2) + '\n');
+        await rename(tmp, path);
+      })
+      .catch(err => console.warn(`[layout] could not save ${path}: ${err.message}`));
+    return this.#writing;
+  }
+}
@@ -0,0 +1,60 @@
+// server/redact.js
+// Cleans captured terminal text before it leaves the machine's own tmux:
+// escape sequences are stripped and anything shaped like a credential is
+// replaced with [REDACTED]. Redaction is pattern-based and errs toward
+// masking -- a preview with a hidden path is better than a leaked key.
+
+export const REDACTED = '[REDACTED]';
+
+/** CSI sequences, OSC sequences (BEL or ST terminated) and two-byte escapes. */
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+/** C0 controls other than tab and newline, and DEL. */
+const CONTROL_PATTERN = /[\x00-\x08\x0b-\x1f\x7f]/g;
+
+/**
+ * Credential patterns, applied in order. Each replaces the whole match, or
+ * keeps the groups named in `replace` (e.g. the `KEY=` of an assignment).
+ * @type {Array<{ name: string, pattern: RegExp, replace: string }>}
+ */
+export const SECRET_PATTERNS = [
+  {
+    name: 'private key',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+    replace: `${REDACTED} private key`,
+  },
+  { name: 'API key', pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g, replace: REDACTED },
+  { name: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})/g, replace: REDACTED },
+  { name: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, replace: REDACTED },
+  { name: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g, replace: REDACTED },
+  { name: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g, replace: REDACTED },
+  { name: 'bearer token', pattern: /\b(Bearer\s+)[A-Za-z0-9._~+/-]{8,}=*/gi, replace: `$1${REDACTED}` },
+  { name: 'URL credentials', pattern: /(\/\/[^\s:/@]+:)[^\s@/]+@/g, replace: `$1${REDACTED}@` },
+  {
+    name: 'assignment',
+    pattern: /\b([A-Za-z0-9_.-]*(?:password|passwd|secret|token|api[_-]?key|access[_-]?key|credentials?)[A-Za-z0-9_.-]*["']?\s*[=:]\s*)(["']?)[^\s"',;]{4,}\2/gi,
+    replace: `$1$2${REDACTED}$2`,
+  },
+];
+
+/**
+ * Remove terminal escape sequences and stray control characters.
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '').replace(/\r\n?/g, '\n').replace(CONTROL_PATTERN, '');
+}
+
+/**
+ * Mask credentials in text.
+ * @param {string} text
+ * @returns {string}
+ */
+export function redactSecrets(text) {
+  let out = text;
+  for (const { pattern, replace } of SECRET_PATTERNS) {
+    out = out.replace(pattern, replace);
+  }
+  return out;
+}
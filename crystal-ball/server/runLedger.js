@@ -0,0 +1,137 @@
+// server/runLedger.js
+// Throughput tracking for headless runs (`claude -p` and other
+// non-interactive sessions). A run starts when discovery first sees the
+// process and finishes when it disappears. Exit statuses can't be read for
+// processes we didn't spawn, so they come from a reporter -- the
+// hooks/crystal-ball-run.sh wrapper via POST /api/runs, or the simulator's
+// inline `exitStatus` -- and runs without one count as unknown.
+
+export const RUN_WINDOW_MS = 60 * 60_000; // throughput covers the last hour
+
+/**
+ * @typedef {{ pid: number, endMs: number, durationMs: number, exitStatus: number|null }} FinishedRun
+ */
+
+export class RunLedger {
+  #windowMs;
+
+  /** @type {Map<number, { startMs: number, exitStatus: number|null }>} pid -> live run */
+  #running = new Map();
+
+  /** @type {FinishedRun[]} oldest first */
+  #finished = [];
+
+  /** @type {Map<number, { exitStatus: number, atMs: number }>} reports for PIDs not (yet) seen */
+  #reported = new Map();
+
+  /**
+   * @param {{ windowMs?: number }} [opts]
+   */
+  constructor({ windowMs = RUN_WINDOW_MS } = {}) {
+    this.#windowMs = windowMs;
+  }
+
+  /**
+   * Record the headless sessions present in this poll. Runs missing since
+   * the last poll are finished.
+   * @param {Array<{ pid: number, startTime: number, exitStatus?: number }>} headless
+   * @param {number} [now]
+   */
+  observe(headless, now = Date.now()) {
+    const present = new Set();
+    for (const raw of headless) {
+      present.add(raw.pid);
+      let run = this.#running.get(raw.pid);
+      if (!run) {
+        run = { startMs: raw.startTime ?? now, exitStatus: null };
+        this.#running.set(raw.pid, run);
+      }
+      if (Number.isInteger(raw.exitStatus)) run.exitStatus = raw.exitStatus;
+    }
+
+    for (const [pid, run] of this.#running) {
+      if (present.has(pid)) continue;
+      this.#running.delete(pid);
+      const report = this.#reported.get(pid);
+      this.#reported.delete(pid);
+      this.#finished.push({
+        pid,
+        endMs: now,
+        durationMs: Math.max(0, now - run.startMs),
+        exitStatus: run.exitStatus ?? report?.exitStatus ?? null,
+      });
+    }
+
+    this.#prune(now);
+  }
+
+  /**
+   * Attach an exit status to a run. Reports usually arrive just after the
+   * process exits, so they apply to a live run, the latest finished run for
+   * that PID, or are held until the run is seen finishing.
+   * @param {number} pid
+   * @param {number} exitStatus
+   * @param {number} [now]
+   * @returns {boolean} false if the status is not an integer
+   */
+  reportExit(pid, exitStatus, now = Date.now()) {
+    if (!Number.isInteger(pid) || !Number.isInteger(exitStatus)) return false;
+
+    const live = this.#running.get(pid);
+    if (live) {
+      live.exitStatus = exitStatus;
+      return true;
+    }
+    for (let i = this.#finished.length - 1; i >= 0; i--) {
+      const run = this.#finished[i];
+      if (run.pid === pid) {
+        if (run.exitStatus === null) run.exitStatus = exitStatus;
+        return true;
+      }
+    }
+    this.#reported.set(pid, { exitStatus, atMs: now });
+    return true;
+  }
+
+  /**
+   * Throughput over the window: finished runs, their mean duration, and
+   * outcomes by exit status.
+   * @param {number} [now]
+   * @returns {{ running: number, runsPerHour: number, meanDurationSeconds: number|null, succeeded: number, failed: number, unknown: number, failures: Record<string, number> }}
+   */
+  stats(now = Date.now()) {
+    this.#prune(now);
+    let totalMs = 0;
+    let succeeded = 0;
+    let unknown = 0;
+    const failures = {};
+    for (const run of this.#finished) {
+      totalMs += run.durationMs;
+      if (run.exitStatus === null) unknown++;
+      else if (run.exitStatus === 0) succeeded++;
+      else failures[run.exitStatus] = (failures[run.exitStatus] ?? 0) + 1;
+    }
+    const count = this.#finished.length;
+    return {
+      running: this.#running.size,
+      runsPerHour: Math.round(count * (RUN_WINDOW_MS / this.#windowMs) * 10) / 10,
+      meanDurationSeconds: count > 0 ? Math.round(totalMs / count / 1_000) : null,
+      succeeded,
+      failed: count - succeeded - unknown,
+      unknown,
+      failures,
+    };
+  }
+
+  // ── Private ─────────────────────────────────────────────────────────────
+
+  #prune(now) {
+    const cutoff = now - this.#windowMs;
+    while (this.#finished.length > 0 && this.#finished[0].endMs < cutoff) {
+      this.#finished.shift();
+    }
+    for (const [pid, report] of this.#reported) {
+      if (report.atMs < cutoff) this.#reported.delete(pid);
+    }
+  }
+}
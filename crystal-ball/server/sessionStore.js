@@ -1,11 +1,15 @@
 // server/sessionStore.js
 // In-memory store that groups sessions by project and tracks state.
 // Also tracks idle-economics metrics: cumulative awaiting agent-minutes
-// and the longest current wait.
+// and the longest current wait, plus headless-run throughput (RunLedger).
 // Supports Mode 2 sidecar context via .crystal-ball.json files.
 
-import { basename } from "node:path";
-import { readAllSidecars } from "./discovery/sidecar.js";
+import { basename, dirname } from "node:path";
+import { readSidecarEntries, matchSidecars } from "./discovery/sidecar.js";
+import { RunLedger } from "./runLedger.js";
+import { RepoResolver, subgroupLabel } from "./gitRepo.js";
+import { inferDivisions } from "./districts.js";
+import { combineGitStatus } from "./gitStatus.js";
 
 const NAMES = [
   'Aldric', 'Bronwyn', 'Cedric', 'Daphne', 'Edric',
@@ -39,12 +43,80 @@ export function resolveState(osState, sidecarContext) {
   return osState;
 }
 
+/**
+ * Group (building) a session belongs to: its cwd basename, or with
+ * groupBy 'tmux' its tmux session name when it runs in tmux.
+ * Pure function, exported for testing.
+ *
+ * @param {{ cwd: string, host?: { kind: string, name: string|null }|null }} raw
+ * @param {'cwd'|'tmux'} [groupBy]
+ * @returns {string}
+ */
+export function groupNameFor(raw, groupBy = 'cwd') {
+  if (groupBy === 'tmux' && raw.host?.kind === 'tmux' && raw.host.name) return raw.host.name;
+  return basename(raw.cwd);
+}
+
+/**
+ * Group IDs for repository groups: the repository's directory name, or
+ * `parent/name` when different repositories share a name, or the full path
+ * if that is taken too. A repository in `known` keeps the ID it was given
+ * before, and new ones never take a known ID -- so a group's ID doesn't
+ * change when another repository of the same name comes or goes (the
+ * layout, renames and hidden marks are all keyed by it). Pure function,
+ * exported for testing.
+ *
+ * @param {Map<string, string>} roots - repo identity -> main worktree path (or cwd outside git)
+ * @param {Map<string, string>} [known] - identity -> group ID assigned earlier
+ * @returns {Map<string, string>} identity -> group ID, for every identity in roots
+ */
+export function repoGroupIds(roots, known = new Map()) {
+  const taken = new Set(known.values());
+  const byName = new Map();
+  for (const [identity, root] of roots) {
+    if (known.has(identity)) continue;
+    const name = basename(root) || root;
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(identity);
+  }
+  const ids = new Map();
+  for (const identity of roots.keys()) {
+    if (known.has(identity)) ids.set(identity, known.get(identity));
+  }
+  for (const [name, identities] of byName) {
+    for (const identity of identities) {
+      const root = roots.get(identity);
+      const candidates = [`${basename(dirname(root))}/${name}`, root, identity];
+      // The plain name only while no other repository wants it
+      if (identities.length === 1) candidates.unshift(name);
+      const id = candidates.find(c => !taken.has(c)) ?? identity;
+      taken.add(id);
+      ids.set(identity, id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Repository group IDs kept for the life of the process.
+ * @returns {{ knownRepoIds(): Map<string, string>, rememberRepoIds(ids: Map<string, string>): void }}
+ */
+function memoryRepoIds() {
+  const ids = new Map();
+  return {
+    knownRepoIds: () => ids,
+    rememberRepoIds: (assigned) => {
+      for (const [identity, id] of assigned) ids.set(identity, id);
+    },
+  };
+}
+
 export class SessionStore {
   /** @type {import('./classifier.js').SessionClassifier} */
   #classifier;
 
   /** Latest snapshot returned by update() */
-  #latest = { timestamp: null, sessions: [], groups: [], metrics: null };
+  #latest = { timestamp: null, sessions: [], groups: [], divisions: [], metrics: null };
 
   // ── Idle-economics tracking ───────────────────────────────────────────
 
@@ -60,11 +132,59 @@ export class SessionStore {
   /** Timestamp of the last poll (ms), used for incremental accumulation */
   #lastPollTime = 0;
 
+  /** Headless (`interactive: false`) run throughput */
+  #runs = new RunLedger();
+
+  // ── Mode 2 context ────────────────────────────────────────────────────
+
+  /** Cached sidecar source ({ entries() }), or null to scan the directory */
+  #sidecars;
+
+  /** Context pushed over HTTP ({ entries() }), or null */
+  #pushed;
+
+  /** Raw sessions from the last update(), re-used by refreshContext() */
+  #lastRaw = null;
+
+  /** OS-classified state per PID from the last update() */
+  #osStates = new Map();
+
+  /** 'repo', 'cwd' or 'tmux' -- see groupNameFor() and repoGroupIds() */
+  #groupBy;
+
+  /** Git repository lookups (groupBy 'repo' only) */
+  #repos;
+
+  /** Repository group IDs handed out so far ({ knownRepoIds(), rememberRepoIds() }) */
+  #repoIds;
+
+  /** Background git status of repository groups, or null */
+  #gitStatus;
+
+  /** @type {import('./districts.js').DistrictRule[]} districts.json rules */
+  #districtRules;
+
   /**
    * @param {import('./classifier.js').SessionClassifier} classifier
+   * @param {{ sidecars?: { entries(): Array<{ cwd: string|null, context: object, identity: object }> }, pushed?: { entries(): Array<{ cwd: string|null, context: object, identity: object }> }, groupBy?: 'repo'|'cwd'|'tmux', repos?: RepoResolver, repoIds?: { knownRepoIds(): Map<string, string>, rememberRepoIds(ids: Map<string, string>): void }, gitStatus?: { watch(roots: string[]): void, get(root: string): object|null }, districtRules?: import('./districts.js').DistrictRule[] }} [opts]
+   *   sidecars -- e.g. a SidecarWatcher; without one, every update() scans the sidecar directory
+   *   pushed -- e.g. a ContextInbox; matched together with the sidecars
+   *   groupBy -- 'cwd' (directory name, the default), 'repo' (git repository) or 'tmux'
+   *   repos -- repository lookups for groupBy 'repo'; defaults to running git
+   *   repoIds -- where repository group IDs are kept (e.g. a LayoutStore, so
+   *     they survive restarts); defaults to memory
+   *   gitStatus -- e.g. a GitStatusWorker; told which checkouts to watch, read for group `git`
+   *   districtRules -- see districts.js; without rules, districts are the groups' parent directories
    */
-  constructor(classifier) {
+  constructor(classifier, { sidecars = null, pushed = null, groupBy = 'cwd', repos = null, repoIds = null, gitStatus = null, districtRules = [] } = {}) {
     this.#classifier = classifier;
+    this.#sidecars = sidecars;
+    this.#pushed = pushed;
+    this.#groupBy = groupBy;
+    this.#repos = groupBy === 'repo' ? repos ?? new RepoResolver() : null;
+    this.#repoIds = repoIds ?? memoryRepoIds();
+    this.#gitStatus = gitStatus;
+    this.#districtRules = districtRules;
   }
 
   // ── Public API ──────────────────────────────────────────────────────────
@@ -81,15 +201,115 @@ export class SessionStore {
    *   tty: string,
    *   hasChildren: boolean,
    *   startTime: number,
+   *   childCpu?: number,
+   *   childMemMB?: number,
+   *   children?: Array<{ pid: number, command: string, cpu: number, mem: number }>,
+   *   agentType?: string,
+   *   faction?: string,
+   *   agentArgs?: object,
+   *   interactive?: boolean,
+   *   exitStatus?: number,
+   *   host?: { kind: string, name: string|null, detail: string|null, pane?: string }|null,
    *   sidecar?: object
    * }>} rawSessions
-   * @returns {Promise<{ timestamp: string, sessions: object[], groups: object[], metrics: object }>}
+   * @returns {Promise<{ timestamp: string, sessions: object[], groups: object[], divisions: object[], metrics: object }>}
    */
   async update(rawSessions) {
     const now = Date.now();
     const livePids = new Set();
 
-    // ── 1. Read sidecars (inline from simulator, or from filesystem) ───
+    // ── 1. Record readings and classify ─────────────────────────────────
+    const osStates = new Map();
+    for (const raw of rawSessions) {
+      livePids.add(raw.pid);
+      this.#classifier.recordReading(raw.pid, raw.cpu, raw.childCpu ?? 0);
+
+      osStates.set(raw.pid, this.#classifier.classify({
+        pid: raw.pid,
+        cpu: raw.cpu,
+        childCpu: raw.childCpu ?? 0,
+        tty: raw.tty,
+        startTime: raw.startTime,
+        interactive: raw.interactive ?? true,
+      }));
+    }
+
+    // ── 2. Cleanup stale PID history, finish departed headless runs ─────
+    this.#classifier.cleanup(livePids);
+    this.#runs.observe(rawSessions.filter(raw => raw.interactive === false), now);
+
+    this.#lastRaw = rawSessions;
+    this.#osStates = osStates;
+    await this.#repos?.prime(rawSessions.map(raw => raw.cwd));
+
+    return this.#assemble(await this.#readSidecars(rawSessions), now);
+  }
+
+  /**
+   * Re-read sidecar context for the sessions of the last update() and
+   * rebuild the snapshot without re-running discovery or the classifier.
+   * Called when the sidecar watcher sees a hook write, so `blocked` shows
+   * up immediately instead of on the next poll.
+   * @returns {Promise<{ timestamp: string, sessions: object[], groups: object[], divisions: object[], metrics: object }>}
+   */
+  async refreshContext() {
+    if (!this.#lastRaw) return this.#latest;
+    return this.#assemble(await this.#readSidecars(this.#lastRaw), Date.now());
+  }
+
+  /**
+   * Record the exit status of a headless run (POST /api/runs). Shows up in
+   * `metrics.throughput` from the next snapshot.
+   * @param {number} pid
+   * @param {number} exitStatus
+   * @returns {boolean} false if pid or status is not an integer
+   */
+  recordExit(pid, exitStatus) {
+    return this.#runs.reportExit(pid, exitStatus);
+  }
+
+  /**
+   * Return the most recent snapshot (useful between polling cycles).
+   */
+  getLatest() {
+    return this.#latest;
+  }
+
+  /**
+   * True if a session in the latest snapshot runs in `cwd`, or it is a
+   * group's directory (a repository root). Routes that act on a directory
+   * (opening an editor) only accept these.
+   * @param {string} cwd
+   * @returns {boolean}
+   */
+  hasCwd(cwd) {
+    return this.#latest.sessions.some(s => s.cwd === cwd) || this.#latest.groups.some(g => g.cwd === cwd);
+  }
+
+  /**
+   * Seed cumulative idle-economics counters from a persisted snapshot so
+   * they survive server restarts. Only applies before any time has accrued.
+   * @param {{ awaitingAgentMinutes?: number }|null} metrics
+   */
+  restoreMetrics(metrics) {
+    if (!metrics || this.#totalAwaitingMs > 0) return;
+    const minutes = Number(metrics.awaitingAgentMinutes);
+    if (Number.isFinite(minutes) && minutes > 0) {
+      this.#totalAwaitingMs = minutes * 60_000;
+    }
+  }
+
+  // ── Private: snapshot assembly ──────────────────────────────────────────
+
+  /**
+   * Collect Mode 2 context: inline sidecars (simulator), then the watcher's
+   * cache if one was given (otherwise a scan of the central directory) plus
+   * any pushed context. Files and pushes compete in one matchSidecars() run,
+   * so the newest report for a process wins whichever way it arrived.
+   * @param {Array<{ pid: number, cwd: string, sidecar?: object }>} rawSessions
+   * @returns {Promise<Map<number, object>>} pid -> context
+   */
+  async #readSidecars(rawSessions) {
     const sidecarMap = new Map();
 
     // Collect inline sidecars from simulator
@@ -102,30 +322,35 @@ export class SessionStore {
       }
     }
 
-    // Batch-read all filesystem sidecars from the central directory
     if (needsFileRead.length > 0) {
-      const fileSidecars = await readAllSidecars(needsFileRead);
-      for (const [pid, ctx] of fileSidecars) {
+      const entries = [
+        ...(this.#sidecars ? this.#sidecars.entries() : await readSidecarEntries()),
+        ...(this.#pushed ? this.#pushed.entries() : []),
+      ];
+      for (const [pid, ctx] of matchSidecars(needsFileRead, entries)) {
         sidecarMap.set(pid, ctx);
       }
     }
+    return sidecarMap;
+  }
 
-    // ── 2. Record readings and classify ─────────────────────────────────
-    const sessions = rawSessions.map((raw) => {
-      livePids.add(raw.pid);
-      this.#classifier.recordReading(raw.pid, raw.cpu);
-
-      const osState = this.#classifier.classify({
-        pid: raw.pid,
-        cpu: raw.cpu,
-        tty: raw.tty,
-        startTime: raw.startTime,
-      });
+  /**
+   * Merge the last classification with sidecar context, then build groups
+   * and metrics and store the snapshot.
+   * @param {Map<number, object>} sidecarMap
+   * @param {number} now
+   */
+  #assemble(sidecarMap, now) {
+    const livePids = new Set();
+    const placement = this.#placeInGroups(this.#lastRaw);
 
+    // ── 3. Resolve final state with sidecar context ─────────────────────
+    const sessions = this.#lastRaw.map((raw, i) => {
+      livePids.add(raw.pid);
+      const osState = this.#osStates.get(raw.pid);
       const sidecarContext = sidecarMap.get(raw.pid) || null;
       const state = resolveState(osState, sidecarContext);
-
-      const groupName = basename(raw.cwd);
+      const { group: groupName, subgroup, repo } = placement[i];
 
       return {
         id: `claude-${raw.pid}`,
@@ -137,37 +362,70 @@ export class SessionStore {
         age_seconds: Math.round((now - raw.startTime) / 1_000),
         tty: raw.tty,
         has_children: raw.hasChildren,
+        children: raw.children ?? [],
+        children_cpu: raw.childCpu ?? 0,
+        children_mem: raw.childMemMB ?? 0,
+        agent_type: raw.agentType ?? 'claude',
+        faction: raw.faction ?? 'Claude',
+        agent_args: raw.agentArgs ?? {},
+        interactive: raw.interactive ?? true,
+        host: raw.host ?? null,
         group: groupName,
+        subgroup,
+        repo: repo && {
+          root: repo.root,
+          identity: repo.identity,
+          branch: repo.branch,
+          worktree: repo.worktree,
+        },
         mode: sidecarContext ? 2 : 1,
         context: sidecarContext,
       };
     });
 
-    // ── 3. Cleanup stale PID history ────────────────────────────────────
-    this.#classifier.cleanup(livePids);
-
     // ── 4. Update idle-economics tracking ───────────────────────────────
     this.#updateAwaitingMetrics(sessions, livePids, now);
 
     // ── 5. Build groups ─────────────────────────────────────────────────
-    /** @type {Map<string, { cwd: string, sessionIds: string[] }>} */
+    /** @type {Map<string, { cwd: string, repo: object|null, checkouts: Set<string>, sessionIds: string[], subgroups: Map<string, string[]> }>} */
     const groupMap = new Map();
 
-    for (const s of sessions) {
+    sessions.forEach((s, i) => {
+      const { repo } = placement[i];
       let g = groupMap.get(s.group);
       if (!g) {
-        g = { cwd: s.cwd, sessionIds: [] };
+        const cwd = repo?.mainRoot ?? s.cwd;
+        // Checkout roots behind the group, main checkout first
+        g = { cwd, repo, checkouts: new Set(repo ? [cwd] : []), sessionIds: [], subgroups: new Map() };
         groupMap.set(s.group, g);
       }
+      if (repo) g.checkouts.add(repo.root);
       g.sessionIds.push(s.id);
-    }
+      if (s.subgroup) {
+        if (!g.subgroups.has(s.subgroup)) g.subgroups.set(s.subgroup, []);
+        g.subgroups.get(s.subgroup).push(s.id);
+      }
+    });
 
     const groups = [...groupMap.entries()].map(([name, g]) => ({
       id: name,
       cwd: g.cwd,
       session_count: g.sessionIds.length,
       session_ids: g.sessionIds,
+      repo: g.repo && { identity: g.repo.identity, remote: g.repo.remote },
+      subgroups: [...g.subgroups]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([label, ids]) => ({ label, session_ids: ids })),
+      git: g.repo && this.#gitStatus ? combineGitStatus([...g.checkouts].map(root => this.#gitStatus.get(root))) : null,
     }));
+    this.#gitStatus?.watch([...groupMap.values()].flatMap(g => [...g.checkouts]));
+
+    // ── 5b. Districts ───────────────────────────────────────────────────
+    const divisions = inferDivisions(groups, this.#districtRules);
+    const groupById = new Map(groups.map(g => [g.id, g]));
+    for (const d of divisions) {
+      for (const id of d.group_ids) groupById.get(id).division = d.id;
+    }
 
     // ── 6. Build metrics ────────────────────────────────────────────────
     const metrics = this.#buildMetrics(sessions, now);
@@ -177,17 +435,44 @@ export class SessionStore {
       timestamp: new Date(now).toISOString(),
       sessions,
       groups,
+      divisions,
       metrics,
     };
 
     return this.#latest;
   }
 
+  // ── Private: grouping ───────────────────────────────────────────────────
+
   /**
-   * Return the most recent snapshot (useful between polling cycles).
+   * Group, sub-neighborhood and repository of each raw session. With
+   * groupBy 'repo', sessions group by repository identity (a directory
+   * outside git is its own identity); otherwise see groupNameFor().
+   * @param {Array<{ cwd: string, host?: object|null }>} rawSessions
+   * @returns {Array<{ group: string, subgroup: string|null, repo: import('./gitRepo.js').RepoInfo|null }>}
    */
-  getLatest() {
-    return this.#latest;
+  #placeInGroups(rawSessions) {
+    if (!this.#repos) {
+      return rawSessions.map(raw => ({ group: groupNameFor(raw, this.#groupBy), subgroup: null, repo: null }));
+    }
+    const repos = rawSessions.map(raw => this.#repos.get(raw.cwd));
+    const roots = new Map();
+    rawSessions.forEach((raw, i) => {
+      const key = repos[i]?.identity ?? raw.cwd;
+      if (!roots.has(key)) roots.set(key, repos[i]?.mainRoot ?? raw.cwd);
+    });
+    const known = this.#repoIds.knownRepoIds();
+    const ids = repoGroupIds(roots, known);
+    const assigned = new Map([...ids].filter(([identity]) => !known.has(identity)));
+    if (assigned.size > 0) this.#repoIds.rememberRepoIds(assigned);
+    return rawSessions.map((raw, i) => {
+      const repo = repos[i];
+      return {
+        group: ids.get(repo?.identity ?? raw.cwd),
+        subgroup: repo ? subgroupLabel(raw.cwd, repo) : null,
+        repo,
+      };
+    });
   }
 
   // ── Private: idle-economics helpers ─────────────────────────────────────
@@ -295,6 +580,7 @@ export class SessionStore {
       awaitingAgentMinutes,
       longestWait,
       blockedCount,
+      throughput: this.#runs.stats(now),
     };
   }
 }
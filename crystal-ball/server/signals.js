@@ -0,0 +1,236 @@
+// server/signals.js
+// Stopping sessions from the UI: SIGINT or SIGTERM, escalated to SIGKILL if
+// the process is still alive after a timeout. SIGTERM escalates unless asked
+// not to; an interrupt only when asked to -- Ctrl-C asks the agent to stop
+// what it's doing, not to die. Only sessions discovery currently reports,
+// and only processes owned by the server's own user, can be signalled, and
+// the SIGKILL only goes to the process that got the first signal, never to
+// a later one that reused its PID. Every attempt is appended to an audit log
+// (~/.crystal-ball/audit.log, JSON lines; override with CRYSTAL_BALL_AUDIT_LOG).
+
+import { appendFile, mkdir, readFile, stat } from 'node:fs/promises';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { dirname, join } from 'node:path';
+import { homedir } from 'node:os';
+
+const execFileAsync = promisify(execFile);
+
+/** Signals the UI may send. SIGKILL is only sent by escalation. */
+export const SESSION_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+/** Signals followed by SIGKILL, unless asked not to, if the process outlives the timeout. */
+export const ESCALATED_SIGNALS = ['SIGTERM'];
+
+export const ESCALATE_AFTER_MS = 5_000;
+
+/**
+ * Resolve the audit log path.
+ * @returns {string}
+ */
+export function getAuditLogPath() {
+  return process.env.CRYSTAL_BALL_AUDIT_LOG || join(homedir(), '.crystal-ball', 'audit.log');
+}
+
+/**
+ * Owning uid of a process: /proc on Linux, `ps` elsewhere.
+ * @param {number} pid
+ * @returns {Promise<number|null>} null if the process doesn't exist
+ */
+export async function processOwner(pid) {
+  try {
+    if (process.platform === 'linux') return (await stat(`/proc/${pid}`)).uid;
+    const { stdout } = await execFileAsync('ps', ['-o', 'uid=', '-p', String(pid)], { timeout: 2000 });
+    const uid = parseInt(stdout.trim(), 10);
+    return isNaN(uid) ? null : uid;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * When a process started, as an opaque token: the start time in clock ticks
+ * from /proc on Linux, `ps -o lstart` elsewhere. Two processes that held the
+ * same PID have different tokens.
+ * @param {number} pid
+ * @returns {Promise<string|null>} null if the process doesn't exist
+ */
+export async function processStartTime(pid) {
+  try {
+    if (process.platform === 'linux') {
+      const stat = await readFile(`/proc/${pid}/stat`, 'utf8');
+      // Fields after the parenthesised command name; starttime is field 22
+      return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19] ?? null;
+    }
+    const { stdout } = await execFileAsync('ps', ['-o', 'lstart=', '-p', String(pid)], { timeout: 2000 });
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+export class AuditLog {
+  #path;
+
+  /**
+   * @param {{ path?: string }} [opts]
+   */
+  constructor({ path = getAuditLogPath() } = {}) {
+    this.#path = path;
+  }
+
+  get path() {
+    return this.#path;
+  }
+
+  /**
+   * Append one entry, stamped with the current time. Failures are logged,
+   * not thrown -- a full disk shouldn't make the action itself fail.
+   * @param {object} entry
+   * @returns {Promise<void>}
+   */
+  async record(entry) {
+    const line = JSON.stringify({ at: new Date().toISOString(), ...entry });
+    try {
+      await mkdir(dirname(this.#path), { recursive: true });
+      await appendFile(this.#path, line + '\n');
+    } catch (err) {
+      console.warn(`[audit] could not write ${this.#path}: ${err.message}`);
+    }
+  }
+}
+
+export class SessionSignaller {
+  #kill;
+  #ownerOf;
+  #startOf;
+  #uid;
+  #escalateMs;
+  #audit;
+
+  /** @type {Map<number, ReturnType<typeof setTimeout>>} pid -> pending SIGKILL */
+  #escalations = new Map();
+
+  /**
+   * @param {{
+   *   audit: { record(entry: object): Promise<void> },
+   *   kill?: (pid: number, signal: string|number) => unknown,
+   *   ownerOf?: (pid: number) => Promise<number|null>,
+   *   startOf?: (pid: number) => Promise<string|number|null>,
+   *   uid?: number|null,
+   *   escalateMs?: number,
+   * }} opts -- kill/ownerOf/startOf default to the real process table; the
+   *   simulator substitutes its own
+   */
+  constructor({
+    audit,
+    kill = process.kill.bind(process),
+    ownerOf = processOwner,
+    startOf = processStartTime,
+    uid = process.getuid?.() ?? null,
+    escalateMs = ESCALATE_AFTER_MS,
+  }) {
+    this.#audit = audit;
+    this.#kill = kill;
+    this.#ownerOf = ownerOf;
+    this.#startOf = startOf;
+    this.#uid = uid;
+    this.#escalateMs = escalateMs;
+  }
+
+  /** PIDs with a SIGKILL scheduled. */
+  get pending() {
+    return [...this.#escalations.keys()];
+  }
+
+  /**
+   * Signal a session discovery reported. The caller resolves the session
+   * from the current snapshot; this checks ownership, sends the signal and
+   * schedules the SIGKILL.
+   * @param {{ id: string, pid: number }} session
+   * @param {string} signal -- one of SESSION_SIGNALS
+   * @param {{ escalate?: boolean|null, source?: string|null }} [opts] -- escalate:
+   *   whether a SIGKILL follows; by default only after SIGTERM
+   * @returns {Promise<{ ok: true, escalateAfterMs: number|null } | { ok: false, status: number, error: string }>}
+   */
+  async signal(session, signal, { escalate = null, source = null } = {}) {
+    const entry = { action: 'signal', session: session.id, pid: session.pid, signal, source };
+    const refuse = async (status, error) => {
+      await this.#audit.record({ ...entry, outcome: 'refused', reason: error });
+      return { ok: false, status, error };
+    };
+
+    if (!SESSION_SIGNALS.includes(signal)) {
+      return refuse(400, `signal must be one of ${SESSION_SIGNALS.join(', ')}`);
+    }
+    if (!Number.isInteger(session.pid) || session.pid <= 1 || session.pid === process.pid) {
+      return refuse(400, 'Refusing to signal this PID');
+    }
+    if (this.#uid === null) {
+      return refuse(403, 'Signalling is not supported on this platform');
+    }
+    const owner = await this.#ownerOf(session.pid);
+    if (owner === null) return refuse(410, 'Process already exited');
+    if (owner !== this.#uid) return refuse(403, 'Process belongs to another user');
+    const startedAt = await this.#startOf(session.pid);
+
+    try {
+      this.#kill(session.pid, signal);
+    } catch (err) {
+      if (err.code === 'ESRCH') return refuse(410, 'Process already exited');
+      await this.#audit.record({ ...entry, outcome: 'failed', reason: err.message });
+      return { ok: false, status: 500, error: err.message };
+    }
+
+    const escalates = escalate ?? ESCALATED_SIGNALS.includes(signal);
+    const escalateAfterMs = escalates ? this.#escalateMs : null;
+    await this.#audit.record({ ...entry, outcome: 'sent', escalate_after_ms: escalateAfterMs });
+    if (escalates) this.#scheduleKill(session, startedAt);
+    return { ok: true, escalateAfterMs };
+  }
+
+  /** Cancel pending escalations (server shutdown, tests). */
+  stop() {
+    for (const timer of this.#escalations.values()) clearTimeout(timer);
+    this.#escalations.clear();
+  }
+
+  // ── Private ─────────────────────────────────────────────────────────────
+
+  /**
+   * SIGKILL the session's process after the timeout if it is still the one
+   * that started at `startedAt`; a PID taken over by another process in the
+   * meantime is left alone.
+   * @param {{ id: string, pid: number }} session
+   * @param {string|number|null} startedAt -- from startOf when the signal was sent
+   */
+  #scheduleKill(session, startedAt) {
+    clearTimeout(this.#escalations.get(session.pid));
+    const timer = setTimeout(async () => {
+      this.#escalations.delete(session.pid);
+      if (!this.#isAlive(session.pid)) return;
+      const entry = { action: 'escalate', session: session.id, pid: session.pid, signal: 'SIGKILL' };
+      if (startedAt === null || (await this.#startOf(session.pid)) !== startedAt) {
+        this.#audit.record({ ...entry, outcome: 'skipped', reason: 'PID no longer belongs to the signalled process' });
+        return;
+      }
+      try {
+        this.#kill(session.pid, 'SIGKILL');
+        this.#audit.record({ ...entry, outcome: 'sent' });
+      } catch (err) {
+        if (err.code !== 'ESRCH') this.#audit.record({ ...entry, outcome: 'failed', reason: err.message });
+      }
+    }, this.#escalateMs);
+    timer.unref?.();
+    this.#escalations.set(session.pid, timer);
+  }
+
+  #isAlive(pid) {
+    try {
+      this.#kill(pid, 0);
+      return true;
+    } catch (err) {
+      return err.code === 'EPERM';
+    }
+  }
+}
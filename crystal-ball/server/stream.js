@@ -0,0 +1,102 @@
+// server/stream.js
+// Server-Sent Events hub for /api/stream.
+// Pushes each new snapshot to every connected browser tab as soon as a
+// poll finishes, so clients no longer need their own polling timer.
+
+const HEARTBEAT_MS = 15_000; // keep proxies from closing idle connections
+
+/**
+ * Format a payload as a single SSE frame.
+ * Pure function, exported for testing.
+ *
+ * @param {string} event - event name (e.g. 'snapshot')
+ * @param {object} data - JSON-serialisable payload
+ * @returns {string}
+ */
+export function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+export class SnapshotStream {
+  /** @type {Set<import('node:http').ServerResponse>} */
+  #clients = new Set();
+
+  /** Most recent snapshot, sent immediately to newly attached clients */
+  #last = null;
+
+  /** @type {ReturnType<typeof setInterval>|null} */
+  #heartbeat = null;
+
+  /**
+   * Turn an HTTP request into a long-lived event stream.
+   * @param {import('node:http').IncomingMessage} req
+   * @param {import('node:http').ServerResponse} res
+   */
+  attach(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    // Tell EventSource how long to wait before reconnecting
+    res.write('retry: 2000\n\n');
+
+    if (this.#last) {
+      res.write(formatEvent('snapshot', this.#last));
+    }
+
+    this.#clients.add(res);
+    this.#ensureHeartbeat();
+
+    req.on('close', () => {
+      this.#clients.delete(res);
+      if (this.#clients.size === 0) this.#stopHeartbeat();
+    });
+  }
+
+  /**
+   * Push a snapshot to every connected client.
+   * @param {object} snapshot
+   */
+  broadcast(snapshot) {
+    this.#last = snapshot;
+    if (this.#clients.size === 0) return;
+
+    const frame = formatEvent('snapshot', snapshot);
+    for (const res of this.#clients) {
+      res.write(frame);
+    }
+  }
+
+  /** Number of currently connected clients. */
+  get clientCount() {
+    return this.#clients.size;
+  }
+
+  /** Close every open stream (used on shutdown and in tests). */
+  close() {
+    for (const res of this.#clients) {
+      res.end();
+    }
+    this.#clients.clear();
+    this.#stopHeartbeat();
+  }
+
+  // ── Private ─────────────────────────────────────────────────────────────
+
+  #ensureHeartbeat() {
+    if (this.#heartbeat) return;
+    this.#heartbeat = setInterval(() => {
+      for (const res of this.#clients) {
+        res.write(': heartbeat\n\n');
+      }
+    }, HEARTBEAT_MS);
+    this.#heartbeat.unref?.();
+  }
+
+  #stopHeartbeat() {
+    if (!this.#heartbeat) return;
+    clearInterval(this.#heartbeat);
+    this.#heartbeat = null;
+  }
+}
@@ -0,0 +1,103 @@
+// server/tmux.js
+// Reads from and drives the tmux panes discovery found sessions in
+// (host.pane, see discovery/host.js): a cleaned capture of the pane's last
+// lines for the selection panel, and focusing the pane so the user can
+// answer an awaiting session.
+
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { stripAnsi, redactSecrets } from './redact.js';
+
+const execFileAsync = promisify(execFile);
+
+export const PREVIEW_LINES = 40;
+export const MAX_PREVIEW_LINES = 200;
+
+/** tmux pane ids (`%12`) -- the only targets accepted. */
+const PANE_ID = /^%\d+$/;
+
+/**
+ * Run tmux with the given arguments.
+ * @param {string[]} args
+ * @returns {Promise<string>} stdout
+ */
+async function runTmux(args) {
+  const { stdout } = await execFileAsync('tmux', args, { timeout: 2000, maxBuffer: 1024 * 1024 });
+  return stdout;
+}
+
+/**
+ * Clamp a requested preview length; anything unparseable gets the default.
+ * @param {unknown} value
+ * @returns {number}
+ */
+export function previewLines(value) {
+  const n = parseInt(value, 10);
+  if (isNaN(n) || n < 1) return PREVIEW_LINES;
+  return Math.min(n, MAX_PREVIEW_LINES);
+}
+
+/**
+ * The tmux pane a snapshot session runs in, or null.
+ * @param {{ host?: { kind: string, pane?: string }|null }} session
+ * @returns {string|null}
+ */
+export function paneOf(session) {
+  const pane = session?.host?.kind === 'tmux' ? session.host.pane : null;
+  return typeof pane === 'string' && PANE_ID.test(pane) ? pane : null;
+}
+
+export class TmuxControl {
+  #run;
+
+  /**
+   * @param {{ run?: (args: string[]) => Promise<string> }} [opts]
+   *   -- tmux runner; the simulator substitutes a fake one
+   */
+  constructor({ run = runTmux } = {}) {
+    this.#run = run;
+  }
+
+  /**
+   * The last `lines` lines of a pane (trailing blank rows dropped), escape
+   * sequences stripped and secrets redacted. Wrapped lines are joined (-J) so a
+   * redaction pattern isn't split across rows.
+   * @param {string} pane -- pane id
+   * @param {number} [lines]
+   * @returns {Promise<string>}
+   * @throws {Error} on an invalid pane id or if tmux fails
+   */
+  async capture(pane, lines = PREVIEW_LINES) {
+    assertPane(pane);
+    const stdout = await this.#run(['capture-pane', '-p', '-J', '-t', pane, '-S', `-${lines}`]);
+    const rows = stripAnsi(stdout).split('\n');
+    while (rows.length > 0 && rows[rows.length - 1].trim() === '') rows.pop();
+    return redactSecrets(rows.slice(-lines).join('\n'));
+  }
+
+  /**
+   * Make a pane the active one in its window and session, then switch the
+   * most recently used client to that session. The switch fails harmlessly
+   * when no client is attached -- the pane is still current on next attach.
+   * @param {string} pane -- pane id
+   * @returns {Promise<{ switched: boolean }>} whether a client was switched
+   * @throws {Error} on an invalid pane id or if the pane can't be selected
+   */
+  async focus(pane) {
+    assertPane(pane);
+    await this.#run(['select-window', '-t', pane]);
+    await this.#run(['select-pane', '-t', pane]);
+    try {
+      await this.#run(['switch-client', '-t', pane]);
+      return { switched: true };
+    } catch {
+      return { switched: false };
+    }
+  }
+}
+
+function assertPane(pane) {
+  if (typeof pane !== 'string' || !PANE_ID.test(pane)) {
+    throw new Error(`invalid tmux pane id ${JSON.stringify(pane)}`);
+  }
+}
@@ -0,0 +1,255 @@
+// api.test.js — Unit tests for ApiPoller transports and connection status.
+//
+// fetch and EventSource are replaced with in-memory fakes, so no server is
+// needed.  Run via three-mock-loader for consistency with the test:client script:
+//
+//   node --loader ./tests/client/three-mock-loader.js --test tests/client/api.test.js
+//
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ApiPoller, statusFromFailures, OFFLINE_AFTER_FAILURES, signalSession, openInEditor, fetchLayout, saveBuildingSpot } from '../../public/js/api.js';
+
+// ---------------------------------------------------------------------------
+// Fakes
+// ---------------------------------------------------------------------------
+
+class FakeEventSource {
+  static instances = [];
+  static CLOSED = 2;
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.listeners = new Map();
+    this.closed = false;
+    this.onopen = null;
+    this.onerror = null;
+    FakeEventSource.instances.push(this);
+  }
+  addEventListener(name, fn) { this.listeners.set(name, fn); }
+  close() { this.closed = true; }
+  emit(name, data) { this.listeners.get(name)?.({ data: JSON.stringify(data) }); }
+}
+
+function jsonResponse(data) {
+  return { ok: true, status: 200, json: async () => data };
+}
+
+const realFetch = globalThis.fetch;
+
+beforeEach(() => {
+  FakeEventSource.instances = [];
+  globalThis.EventSource = FakeEventSource;
+  globalThis.fetch = async (url) => {
+    if (url === '/api/mode') return jsonResponse({ mode: 'local', user: null });
+    return jsonResponse({ sessions: [], groups: [] });
+  };
+});
+
+afterEach(() => {
+  delete globalThis.EventSource;
+  globalThis.fetch = realFetch;
+});
+
+// ---------------------------------------------------------------------------
+// statusFromFailures
+// ---------------------------------------------------------------------------
+
+describe('statusFromFailures', () => {
+  it('returns connected with no failures', () => {
+    assert.equal(statusFromFailures(0), 'connected');
+  });
+
+  it('returns reconnecting below the offline threshold', () => {
+    assert.equal(statusFromFailures(1), 'reconnecting');
+    assert.equal(statusFromFailures(OFFLINE_AFTER_FAILURES - 1), 'reconnecting');
+  });
+
+  it('returns offline at the threshold', () => {
+    assert.equal(statusFromFailures(OFFLINE_AFTER_FAILURES), 'offline');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Stream transport
+// ---------------------------------------------------------------------------
+
+describe('ApiPoller stream transport', () => {
+  it('opens /api/stream when EventSource is available', async () => {
+    const poller = new ApiPoller(2000);
+    await poller.start(() => {});
+    assert.equal(poller.transport, 'stream');
+    assert.equal(FakeEventSource.instances[0].url, '/api/stream');
+    poller.stop();
+  });
+
+  it('delivers snapshot events to the callback', async () => {
+    const received = [];
+    const poller = new ApiPoller(2000);
+    await poller.start((data) => received.push(data));
+    FakeEventSource.instances[0].emit('snapshot', { sessions: [{ id: 'claude-1' }] });
+    assert.equal(received.length, 1);
+    assert.equal(received[0].sessions[0].id, 'claude-1');
+    poller.stop();
+  });
+
+  it('reports connected on open and reconnecting/offline on errors', async () => {
+    const statuses = [];
+    const poller = new ApiPoller(2000, { onStatus: (s) => statuses.push(s) });
+    await poller.start(() => {});
+    const es = FakeEventSource.instances[0];
+
+    es.onopen();
+    for (let i = 0; i < OFFLINE_AFTER_FAILURES; i++) es.onerror();
+    assert.deepEqual(statuses, ['connected', 'reconnecting', 'offline']);
+
+    es.onopen();
+    assert.equal(poller.status, 'connected');
+    poller.stop();
+  });
+
+  it('falls back to polling when an opened stream is closed for good', async () => {
+    const statuses = [];
+    const poller = new ApiPoller(60_000, { onStatus: (s) => statuses.push(s) });
+    await poller.start(() => {});
+    const es = FakeEventSource.instances[0];
+    es.onopen();
+    es.readyState = FakeEventSource.CLOSED;
+    es.onerror();
+    assert.equal(es.closed, true);
+    assert.equal(poller.transport, 'poll');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(statuses, ['connected', 'reconnecting', 'connected']);
+    poller.stop();
+  });
+
+  it('falls back to polling when the stream never opens', async () => {
+    const poller = new ApiPoller(60_000);
+    await poller.start(() => {});
+    const es = FakeEventSource.instances[0];
+    es.onerror();
+    assert.equal(es.closed, true);
+    assert.equal(poller.transport, 'poll');
+    poller.stop();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Polling transport
+// ---------------------------------------------------------------------------
+
+describe('ApiPoller polling transport', () => {
+  it('polls when EventSource is unavailable', async () => {
+    delete globalThis.EventSource;
+    const received = [];
+    const poller = new ApiPoller(60_000);
+    await poller.start((data) => received.push(data));
+    await new Promise(r => setImmediate(r));
+    assert.equal(poller.transport, 'poll');
+    assert.equal(received.length, 1);
+    assert.equal(poller.status, 'connected');
+    poller.stop();
+  });
+
+  it('polls /api/combined in multi mode', async () => {
+    delete globalThis.EventSource;
+    const urls = [];
+    globalThis.fetch = async (url) => {
+      urls.push(url);
+      if (url === '/api/mode') return jsonResponse({ mode: 'multi', user: { name: 'a' } });
+      return jsonResponse({ sessions: [] });
+    };
+    const poller = new ApiPoller(60_000, { useStream: false });
+    await poller.start(() => {});
+    await new Promise(r => setImmediate(r));
+    assert.ok(urls.includes('/api/combined'));
+    poller.stop();
+  });
+
+  it('goes offline after repeated fetch failures', async () => {
+    const poller = new ApiPoller(60_000, { useStream: false });
+    await poller.start(() => {});
+    globalThis.fetch = async () => { throw new Error('ECONNREFUSED'); };
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+      for (let i = 0; i < OFFLINE_AFTER_FAILURES; i++) await poller._poll(() => {});
+    } finally {
+      console.warn = originalWarn;
+    }
+    assert.equal(poller.status, 'offline');
+    poller.stop();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// signalSession
+// ---------------------------------------------------------------------------
+
+describe('signalSession', () => {
+  it('posts the signal as JSON to the session URL', async () => {
+    let request = null;
+    globalThis.fetch = async (url, opts) => {
+      request = { url, method: opts.method, body: JSON.parse(opts.body) };
+      return { ok: true, status: 202, json: async () => ({ id: 'ada/claude-7', pid: 7 }) };
+    };
+    const result = await signalSession('ada/claude-7', { signal: 'SIGTERM', if_state: 'stale' });
+    assert.deepEqual(request, { url: '/api/sessions/ada%2Fclaude-7/signal', method: 'POST', body: { signal: 'SIGTERM', if_state: 'stale' } });
+    assert.deepEqual(result, { ok: true, status: 202, data: { id: 'ada/claude-7', pid: 7 } });
+  });
+
+  it('passes server errors through and reports an unreachable server as status 0', async () => {
+    globalThis.fetch = async () => ({ ok: false, status: 403, json: async () => ({ error: 'Process belongs to another user' }) });
+    assert.deepEqual(await signalSession('claude-7', { signal: 'SIGINT' }), { ok: false, status: 403, data: { error: 'Process belongs to another user' } });
+
+    globalThis.fetch = async () => { throw new Error('ECONNREFUSED'); };
+    assert.deepEqual(await signalSession('claude-7', { signal: 'SIGINT' }), { ok: false, status: 0, data: null });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// openInEditor
+// ---------------------------------------------------------------------------
+
+describe('openInEditor', () => {
+  it('posts the target to the session or group open URL', async () => {
+    const requests = [];
+    globalThis.fetch = async (url, opts) => {
+      requests.push({ url, body: JSON.parse(opts.body) });
+      return { ok: true, status: 202, json: async () => ({ path: '/p' }) };
+    };
+    await openInEditor('sessions', 'claude-7', 'file');
+    await openInEditor('groups', 'My App');
+    assert.deepEqual(requests, [
+      { url: '/api/sessions/claude-7/open', body: { target: 'file' } },
+      { url: '/api/groups/My%20App/open', body: { target: 'cwd' } },
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Layout
+// ---------------------------------------------------------------------------
+
+describe('fetchLayout / saveBuildingSpot', () => {
+  it('reads the layout and gives null when there is none', async () => {
+    globalThis.fetch = async () => jsonResponse({ seed: 7, buildings: { shop: { x: 1, z: 2, type: 'Forge' } } });
+    assert.deepEqual(await fetchLayout(), { seed: 7, buildings: { shop: { x: 1, z: 2, type: 'Forge' } } });
+
+    globalThis.fetch = async () => ({ ok: false, status: 404, json: async () => ({}) });
+    assert.equal(await fetchLayout(), null);
+    globalThis.fetch = async () => { throw new Error('ECONNREFUSED'); };
+    assert.equal(await fetchLayout(), null);
+  });
+
+  it('posts the spot to the group layout URL', async () => {
+    let request = null;
+    globalThis.fetch = async (url, opts) => {
+      request = { url, body: JSON.parse(opts.body) };
+      return { ok: false, status: 409, json: async () => ({ error: 'taken' }) };
+    };
+    const result = await saveBuildingSpot('My App', { x: -3, z: 5, type: 'Library' });
+    assert.deepEqual(request, { url: '/api/layout/My%20App', body: { x: -3, z: 5, type: 'Library' } });
+    assert.equal(result.status, 409);
+  });
+});
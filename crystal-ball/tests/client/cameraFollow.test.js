@@ -0,0 +1,85 @@
+// cameraFollow.test.js — Unit tests for following a villager with the camera.
+//
+// followStep is pure; CameraFollow and centerCamera only touch the camera's
+// position and lookAt, so a plain mock camera is enough.
+//
+//   node --loader ./tests/client/three-mock-loader.js --test tests/client/cameraFollow.test.js
+//
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { followStep, centerCamera, CameraFollow } from '../../public/js/cameraFollow.js';
+import { CameraRotation } from '../../public/js/cameraRotation.js';
+
+function mockCamera() {
+  return {
+    position: { x: 10, y: 10, z: 10, set(x, y, z) { this.x = x; this.y = y; this.z = z; } },
+    lookAt() {},
+  };
+}
+
+const unitAt = (x, z) => ({ mesh: { position: { x, y: 0, z } } });
+
+describe('followStep', () => {
+  it('moves part of the way toward the target', () => {
+    const next = followStep({ x: 0, z: 0 }, { x: 10, z: -10 }, 0.1);
+    assert.ok(next.x > 0 && next.x < 10);
+    assert.ok(Math.abs(next.x + next.z) < 1e-9); // same fraction on both axes
+  });
+
+  it('stays put with no elapsed time', () => {
+    assert.deepEqual(followStep({ x: 1, z: 2 }, { x: 5, z: 5 }, 0), { x: 1, z: 2 });
+  });
+});
+
+describe('centerCamera', () => {
+  it('places the camera at the orientation offset from the point', () => {
+    const camera = mockCamera();
+    const rotation = new CameraRotation(camera);
+    rotation.rotateRight(); // SE: (+10, 10, -10)
+    centerCamera(camera, rotation, 3, 4);
+    assert.deepEqual({ x: camera.position.x, y: camera.position.y, z: camera.position.z }, { x: 13, y: 10, z: -6 });
+    assert.deepEqual(rotation.getLookAtTarget(), { x: 3, y: 0, z: 4 });
+  });
+});
+
+describe('CameraFollow', () => {
+  it('moves the camera toward the followed unit each frame', () => {
+    const camera = mockCamera();
+    const follow = new CameraFollow(camera, new CameraRotation(camera));
+    const units = new Map([['claude-1', unitAt(20, 0)]]);
+    follow.follow('claude-1');
+    follow.update(0.1, units);
+    const firstX = camera.position.x;
+    assert.ok(firstX > 10 && firstX < 30);
+    follow.update(0.1, units);
+    assert.ok(camera.position.x > firstX);
+    assert.equal(follow.sessionId, 'claude-1');
+  });
+
+  it('stops when the session is gone', () => {
+    const camera = mockCamera();
+    const follow = new CameraFollow(camera, new CameraRotation(camera));
+    follow.follow('claude-1');
+    follow.update(0.1, new Map());
+    assert.equal(follow.sessionId, null);
+  });
+
+  it('stops when something else moves the camera', () => {
+    const camera = mockCamera();
+    const follow = new CameraFollow(camera, new CameraRotation(camera));
+    const units = new Map([['claude-1', unitAt(20, 0)]]);
+    follow.follow('claude-1');
+    follow.update(0.1, units);
+    camera.position.x += 2; // user pans
+    follow.update(0.1, units);
+    assert.equal(follow.sessionId, null);
+  });
+
+  it('does nothing when not following', () => {
+    const camera = mockCamera();
+    const follow = new CameraFollow(camera, new CameraRotation(camera));
+    follow.update(0.1, new Map([['claude-1', unitAt(20, 0)]]));
+    assert.equal(camera.position.x, 10);
+  });
+});
@@ -0,0 +1,96 @@
+// contextMenu.test.js — Unit tests for right-click menu placement and the
+// action registry.
+//
+// menuPosition and ContextActions are pure (no DOM dependency).
+//
+//   node --test tests/client/contextMenu.test.js
+//
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { menuPosition, ContextActions } from '../../public/js/contextMenu.js';
+
+// Viewport: 1000 x 800, menu: 200 x 100
+
+describe('menuPosition', () => {
+  it('opens at the cursor when the menu fits', () => {
+    assert.deepEqual(menuPosition(100, 100, 200, 100, 1000, 800), { left: 100, top: 100 });
+  });
+
+  it('flips left near the right edge', () => {
+    assert.deepEqual(menuPosition(900, 100, 200, 100, 1000, 800), { left: 700, top: 100 });
+  });
+
+  it('flips up near the bottom edge', () => {
+    assert.deepEqual(menuPosition(100, 750, 200, 100, 1000, 800), { left: 100, top: 650 });
+  });
+
+  it('never places the menu off-screen in a tiny viewport', () => {
+    assert.deepEqual(menuPosition(150, 80, 200, 100, 160, 90), { left: 0, top: 0 });
+  });
+});
+
+// ---------------------------------------------------------------------------
+// ContextActions registry
+// ---------------------------------------------------------------------------
+
+describe('ContextActions', () => {
+  const unitCtx = { target: 'unit', session: { id: 'claude-1', pid: 1 }, group: null, point: null, localUser: null };
+
+  it('lists only the actions for the clicked target', () => {
+    const actions = new ContextActions();
+    actions.register({ id: 'a', target: 'unit', label: 'Unit action', run: () => {} });
+    actions.register({ id: 'b', target: 'terrain', label: 'Terrain action', run: () => {} });
+    assert.deepEqual(actions.itemsFor(unitCtx).map(i => i.label), ['Unit action']);
+    assert.deepEqual(actions.itemsFor({ ...unitCtx, target: 'building' }), []);
+  });
+
+  it('resolves labels, enabled, visible and hints against the context', () => {
+    const actions = new ContextActions();
+    actions.register({
+      id: 'pid',
+      target: 'unit',
+      label: ({ session }) => `PID ${session.pid}`,
+      enabled: ({ session }) => session.pid > 1,
+      hint: () => 'why',
+      run: () => {},
+    });
+    actions.register({ id: 'never', target: 'unit', label: 'Hidden', visible: () => false, run: () => {} });
+    const [item, ...rest] = actions.itemsFor(unitCtx);
+    assert.equal(item.label, 'PID 1');
+    assert.equal(item.disabled, true);
+    assert.equal(item.hint, 'why');
+    assert.equal(rest.length, 0);
+  });
+
+  it('passes the context to run', () => {
+    const actions = new ContextActions();
+    let seen = null;
+    actions.register({ id: 'a', target: 'unit', label: 'A', run: (ctx) => { seen = ctx; return 'done'; } });
+    assert.equal(actions.itemsFor(unitCtx)[0].action(), 'done');
+    assert.equal(seen, unitCtx);
+  });
+
+  it('sorts by order, keeping registration order for ties', () => {
+    const actions = new ContextActions();
+    actions.register({ id: 'first', target: 'unit', label: 'First', run: () => {} });
+    actions.register({ id: 'plugin', target: 'unit', label: 'Plugin', order: -1, run: () => {} });
+    actions.register({ id: 'second', target: 'unit', label: 'Second', run: () => {} });
+    assert.deepEqual(actions.itemsFor(unitCtx).map(i => i.label), ['Plugin', 'First', 'Second']);
+  });
+
+  it('returns an unregister function', () => {
+    const actions = new ContextActions();
+    const unregister = actions.register({ id: 'a', target: 'unit', label: 'A', run: () => {} });
+    unregister();
+    assert.deepEqual(actions.itemsFor(unitCtx), []);
+  });
+
+  it('rejects bad targets, missing run functions and duplicate ids', () => {
+    const actions = new ContextActions();
+    assert.throws(() => actions.register({ id: 'a', target: 'sky', label: 'A', run: () => {} }), /target/);
+    assert.throws(() => actions.register({ id: 'a', target: 'unit', label: 'A' }), /run function/);
+    actions.register({ id: 'a', target: 'unit', label: 'A', run: () => {} });
+    assert.throws(() => actions.register({ id: 'a', target: 'terrain', label: 'A', run: () => {} }), /already registered/);
+  });
+});
@@ -0,0 +1,85 @@
+// tests/client/districts.test.js
+// Unit tests for district helpers (colour, biome zone, outline, banner spot)
+// and zoned building placement in terrain.js.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DISTRICT_COLORS,
+  districtColor,
+  pickDistrictBiome,
+  districtBounds,
+  bannerPosition,
+  createDistrictBanner,
+} from '../../public/js/districts.js';
+import { pickBuildingTile } from '../../public/js/terrain.js';
+
+globalThis.document ??= { createElement: () => ({ style: {}, remove() {} }) };
+
+/** Candidate tiles on a line along x, all in one biome. */
+const row = (biome, z, xs) => xs.map(x => ({ x, z, biome, height: 0 }));
+
+describe('districtColor', () => {
+  it('should give a district the same palette colour every time', () => {
+    assert.equal(districtColor('work'), districtColor('work'));
+    assert.ok(DISTRICT_COLORS.includes(districtColor('/home/u/oss')));
+  });
+});
+
+describe('pickDistrictBiome', () => {
+  it('should pick the least-claimed biome, ties going to the roomier one', () => {
+    const biomes = ['mountain', 'desert', 'forest', 'meadow'];
+    assert.equal(pickDistrictBiome(biomes, new Map()), 'meadow');
+    assert.equal(pickDistrictBiome(biomes, new Map([['meadow', 1]])), 'forest');
+    assert.equal(pickDistrictBiome(biomes, new Map([['meadow', 1], ['forest', 1], ['desert', 1], ['mountain', 1]])), 'meadow');
+    assert.equal(pickDistrictBiome([], new Map()), null);
+  });
+});
+
+describe('districtBounds', () => {
+  it('should pad the rectangle around the buildings', () => {
+    assert.deepEqual(districtBounds([{ x: 1, z: 4 }, { x: -3, z: 2 }], 1), { minX: -4, maxX: 2, minZ: 1, maxZ: 5 });
+    assert.equal(districtBounds([]), null);
+  });
+});
+
+describe('bannerPosition', () => {
+  it('should stand beside a lone building and in the middle of several', () => {
+    const lone = bannerPosition([{ x: 2, z: 2 }]);
+    assert.ok(Math.abs(lone.x - 0.6) < 1e-9 && Math.abs(lone.z - 0.6) < 1e-9);
+    assert.deepEqual(bannerPosition([{ x: 0, z: 0 }, { x: 4, z: 2 }]), { x: 2, z: 1 });
+    assert.equal(bannerPosition([]), null);
+  });
+});
+
+describe('createDistrictBanner', () => {
+  it('should carry a label with the district name in its colour', () => {
+    const banner = createDistrictBanner('clients', '#60C0F0');
+    const label = banner.children.find(c => c.isCSS2DObject);
+    assert.equal(label.element.className, 'district-label');
+    assert.equal(label.element.textContent, 'clients');
+    assert.equal(label.element.style.borderColor, '#60C0F0');
+  });
+});
+
+describe('pickBuildingTile', () => {
+  const candidates = [...row('meadow', 0, [-10, -5, 0, 5, 10]), ...row('desert', 10, [-10, 0, 10])];
+
+  it('should build a district first building in the middle of its zone', () => {
+    assert.deepEqual(pickBuildingTile(candidates, new Set(), [], { biome: 'meadow' }), candidates[2]);
+  });
+
+  it('should build next to the district buildings already standing', () => {
+    const used = new Set(['-10,0']);
+    const tile = pickBuildingTile(candidates, used, [{ x: -10, z: 0, biome: 'meadow' }], {
+      biome: 'meadow', near: [{ x: -10, z: 0 }],
+    });
+    assert.deepEqual([tile.x, tile.z], [-5, 0]);
+  });
+
+  it('should fall back to the least-populated biome when the zone is full', () => {
+    const full = new Set(candidates.filter(c => c.biome === 'meadow').map(c => `${c.x},${c.z}`));
+    const tile = pickBuildingTile(candidates, full, [{ x: 0, z: 0, biome: 'meadow' }], { biome: 'meadow', near: [{ x: 0, z: 0 }] });
+    assert.equal(tile.biome, 'desert');
+  });
+});
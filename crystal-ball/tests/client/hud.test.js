@@ -0,0 +1,55 @@
+// hud.test.js -- Unit tests for the HUD agent filter helpers.
+//
+// hud.js imports units.js (THREE), so run via the three-mock-loader:
+//
+//   node --loader ./tests/client/three-mock-loader.js --test tests/client/hud.test.js
+//
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { countAgentTypes, countTmuxSessions } from '../../public/js/hud.js';
+
+describe('countAgentTypes', () => {
+  it('counts sessions per agent type, most common first', () => {
+    const result = countAgentTypes([
+      { agent_type: 'aider', faction: 'Aider' },
+      { agent_type: 'claude', faction: 'Claude' },
+      { agent_type: 'claude', faction: 'Claude' },
+    ]);
+    assert.deepEqual(result, [
+      { type: 'claude', faction: 'Claude', count: 2 },
+      { type: 'aider', faction: 'Aider', count: 1 },
+    ]);
+  });
+
+  it('treats sessions without agent_type as Claude', () => {
+    assert.deepEqual(countAgentTypes([{}, { agent_type: 'claude' }]), [
+      { type: 'claude', faction: 'Claude', count: 2 },
+    ]);
+  });
+
+  it('breaks ties by type name', () => {
+    const types = countAgentTypes([{ agent_type: 'gemini' }, { agent_type: 'codex' }]).map(c => c.type);
+    assert.deepEqual(types, ['codex', 'gemini']);
+  });
+
+  it('returns an empty list for no sessions', () => {
+    assert.deepEqual(countAgentTypes([]), []);
+  });
+});
+
+describe('countTmuxSessions', () => {
+  const tmux = (name) => ({ host: { kind: 'tmux', name, detail: null } });
+
+  it('counts sessions per tmux session, most common first', () => {
+    assert.deepEqual(countTmuxSessions([tmux('ops'), tmux('work'), tmux('work')]), [
+      { name: 'work', count: 2 },
+      { name: 'ops', count: 1 },
+    ]);
+  });
+
+  it('ignores sessions outside tmux or with an unresolved pane', () => {
+    const sessions = [{}, { host: null }, { host: { kind: 'vscode', name: 'VS Code' } }, tmux(null)];
+    assert.deepEqual(countTmuxSessions(sessions), []);
+  });
+});
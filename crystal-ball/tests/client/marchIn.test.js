@@ -1,18 +1,21 @@
 // marchIn.test.js — Tests for the marchIn module's pure helper functions.
 //
-// The pure functions (computeEdgeSpawn, marchProgress, gravestoneFade) have
-// no THREE.js dependency, so they can be tested directly. The MarchInManager
-// class uses THREE and is not tested here.
+// The pure functions (computeEdgeSpawn, marchProgress, gravestoneFade,
+// walkDuration) have no THREE.js dependency, so they can be tested directly.
+// Walks between buildings are tested on MarchInManager with the THREE mock.
 //
 //   node --loader ./tests/client/three-mock-loader.js --test tests/client/marchIn.test.js
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 
+import * as THREE from 'three';
 import {
   computeEdgeSpawn,
   marchProgress,
   gravestoneFade,
+  walkDuration,
+  MarchInManager,
 } from '../../public/js/marchIn.js';
 
 // ===========================================================================
@@ -100,12 +103,19 @@ describe('computeEdgeSpawn', () => {
     assert.equal(result.z, 5.5);
   });
 
-  it('works with a custom grid size', () => {
-    // gridSize = 10: edges at -5 and +4
-    const result = computeEdgeSpawn(-4, 0, 10);
+  it('works with custom map bounds', () => {
+    // a 10x10 map: edges at -5 and +4
+    const result = computeEdgeSpawn(-4, 0, { minX: -5, maxX: 4, minZ: -5, maxZ: 4 });
     assert.equal(result.x, -5);
     assert.equal(result.z, 0);
   });
+
+  it('follows the map as terrain chunks are added', () => {
+    // a chunk added to the right of the original map
+    const bounds = { minX: -14, maxX: 41, minZ: -14, maxZ: 13 };
+    assert.deepEqual(computeEdgeSpawn(10, 0, bounds), { x: 10, z: 13 });
+    assert.deepEqual(computeEdgeSpawn(38, 0, bounds), { x: 41, z: 0 });
+  });
 });
 
 // ===========================================================================
@@ -219,3 +229,62 @@ describe('gravestoneFade', () => {
       `expected ~0.5, got ${opacity}`);
   });
 });
+
+// ===========================================================================
+// walkDuration
+// ===========================================================================
+
+describe('walkDuration', () => {
+  it('walks at a steady pace', () => {
+    assert.equal(walkDuration(20), 5);
+  });
+
+  it('takes at least as long as a march-in next door', () => {
+    assert.equal(walkDuration(1), 2);
+    assert.equal(walkDuration(0), 2);
+  });
+
+  it('caps long walks across a grown map', () => {
+    assert.equal(walkDuration(200), 8);
+  });
+});
+
+// ===========================================================================
+// MarchInManager.startWalk
+// ===========================================================================
+
+describe('MarchInManager.startWalk', () => {
+  it('walks over the ground to the target, leaving footprints that fade', () => {
+    const scene = new THREE.Scene();
+    const marches = new MarchInManager(scene, { getHeightAt: x => (x > 5 ? 1 : 0) });
+    const mesh = new THREE.Object3D();
+    mesh.position.set(0, 0.1, 0);
+    scene.add(mesh);
+
+    const { id, duration } = marches.startWalk(mesh, 10, 1.1, 0);
+    assert.equal(duration, 2.5);
+
+    assert.deepEqual(marches.updateMarches(1.25), []);
+    // past the slope, it stands on the higher ground
+    assert.ok(mesh.position.x > 5);
+    assert.ok(Math.abs(mesh.position.y - 1.1) < 1e-9);
+    const footprints = scene.children.filter(c => c !== mesh);
+    assert.equal(footprints.length, Math.floor(mesh.position.x / 0.6));
+
+    assert.deepEqual(marches.updateMarches(1.25), [id]);
+    assert.deepEqual([mesh.position.x, mesh.position.y, mesh.position.z], [10, 1.1, 0]);
+
+    marches.updateTrails(6);
+    assert.deepEqual(scene.children, [mesh]);
+  });
+
+  it('replaces a march-in the mesh is still on', () => {
+    const marches = new MarchInManager(new THREE.Scene());
+    const mesh = new THREE.Object3D();
+    const march = marches.startMarch(mesh, 0, 0, 0);
+    marches.updateMarches(0.5);
+    const walk = marches.startWalk(mesh, 3, 0, 3);
+    assert.deepEqual(marches.updateMarches(3), [walk.id]);
+    assert.notEqual(walk.id, march.id);
+  });
+});
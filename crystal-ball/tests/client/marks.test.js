@@ -0,0 +1,127 @@
+// marks.test.js — Unit tests for the context-menu marks store (pins, notes,
+// building names, hidden buildings, camera bookmarks).
+//
+// MarkStore takes its storage as a parameter, so a Map-backed fake stands in
+// for localStorage.
+//
+//   node --test tests/client/marks.test.js
+//
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MarkStore, parseMarks, MAX_BOOKMARKS, MAX_MARK_LENGTH } from '../../public/js/marks.js';
+
+function fakeStorage(initial = null) {
+  const items = new Map(initial === null ? [] : [['crystal-ball.marks', initial]]);
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, value),
+    items,
+  };
+}
+
+describe('parseMarks', () => {
+  it('starts empty on missing or corrupt data', () => {
+    const empty = { pinned: [], notes: {}, names: {}, hidden: [], bookmarks: [] };
+    assert.deepEqual(parseMarks(null), empty);
+    assert.deepEqual(parseMarks('{not json'), empty);
+    assert.deepEqual(parseMarks('[1,2]'), empty);
+  });
+
+  it('drops malformed entries', () => {
+    const marks = parseMarks(JSON.stringify({
+      pinned: ['claude-1', 7],
+      bookmarks: [{ name: 'Bookmark 1', x: 1, z: 2 }, { name: 'Bad', x: 'a', z: 0 }],
+    }));
+    assert.deepEqual(marks.pinned, ['claude-1']);
+    assert.deepEqual(marks.bookmarks, [{ name: 'Bookmark 1', x: 1, z: 2 }]);
+  });
+});
+
+describe('MarkStore', () => {
+  it('toggles pins and persists them', () => {
+    const storage = fakeStorage();
+    const marks = new MarkStore({ storage });
+    assert.equal(marks.togglePin('claude-1'), true);
+    assert.equal(marks.isPinned('claude-1'), true);
+    assert.deepEqual(new MarkStore({ storage }).pinned, ['claude-1']);
+    assert.equal(marks.togglePin('claude-1'), false);
+    assert.deepEqual(marks.pinned, []);
+  });
+
+  it('trims notes, caps their length and clears them when empty', () => {
+    const marks = new MarkStore({ storage: null });
+    marks.setNote('claude-1', '  waiting on review  ');
+    assert.equal(marks.noteFor('claude-1'), 'waiting on review');
+    marks.setNote('claude-1', 'x'.repeat(MAX_MARK_LENGTH + 50));
+    assert.equal(marks.noteFor('claude-1').length, MAX_MARK_LENGTH);
+    marks.setNote('claude-1', '   ');
+    assert.equal(marks.noteFor('claude-1'), null);
+  });
+
+  it('prunes pins and notes of sessions that are gone', () => {
+    const marks = new MarkStore({ storage: null });
+    marks.togglePin('claude-1');
+    marks.togglePin('claude-2');
+    marks.setNote('claude-2', 'gone soon');
+    marks.setNote('claude-3', 'still here');
+    marks.prune(['claude-1', 'claude-3']);
+    assert.deepEqual(marks.pinned, ['claude-1']);
+    assert.equal(marks.noteFor('claude-2'), null);
+    assert.equal(marks.noteFor('claude-3'), 'still here');
+  });
+
+  it('renames buildings, resetting on an empty name or the group ID', () => {
+    const marks = new MarkStore({ storage: null });
+    marks.rename('SimExLab', 'Lab');
+    assert.equal(marks.nameFor('SimExLab'), 'Lab');
+    assert.deepEqual([...marks.names], [['SimExLab', 'Lab']]);
+    marks.rename('SimExLab', 'SimExLab');
+    assert.equal(marks.nameFor('SimExLab'), null);
+    marks.rename('SimExLab', 'Lab');
+    marks.rename('SimExLab', '');
+    assert.equal(marks.nameFor('SimExLab'), null);
+  });
+
+  it('hides and shows groups', () => {
+    const marks = new MarkStore({ storage: null });
+    marks.setHidden('A', true);
+    marks.setHidden('B', true);
+    marks.setHidden('A', true);
+    assert.deepEqual([...marks.hiddenGroups], ['B', 'A']);
+    marks.setHidden('B', false);
+    assert.deepEqual([...marks.hiddenGroups], ['A']);
+    marks.showAllGroups();
+    assert.equal(marks.hiddenGroups.size, 0);
+  });
+
+  it('numbers bookmarks and forgets the oldest past the cap', () => {
+    const marks = new MarkStore({ storage: null });
+    assert.deepEqual(marks.addBookmark({ x: 1.234, z: -5.678 }), { name: 'Bookmark 1', x: 1.23, z: -5.68 });
+    for (let i = 1; i < MAX_BOOKMARKS; i++) marks.addBookmark({ x: i, z: i });
+    assert.equal(marks.bookmarks.length, MAX_BOOKMARKS);
+    // Bookmark 1 is dropped, so its name is free again
+    assert.equal(marks.addBookmark({ x: 0, z: 0 }).name, 'Bookmark 1');
+    assert.equal(marks.bookmarks.length, MAX_BOOKMARKS);
+    assert.equal(marks.bookmarks[0].name, 'Bookmark 2');
+    marks.clearBookmarks();
+    assert.deepEqual(marks.bookmarks, []);
+  });
+
+  it('notifies listeners on every change', () => {
+    const marks = new MarkStore({ storage: null });
+    let calls = 0;
+    marks.onChange(() => calls++);
+    marks.togglePin('claude-1');
+    marks.rename('A', 'B');
+    marks.addBookmark({ x: 0, z: 0 });
+    assert.equal(calls, 3);
+  });
+
+  it('keeps working when storage throws', () => {
+    const storage = { getItem: () => null, setItem: () => { throw new Error('quota'); } };
+    const marks = new MarkStore({ storage });
+    marks.togglePin('claude-1');
+    assert.equal(marks.isPinned('claude-1'), true);
+  });
+});
@@ -0,0 +1,142 @@
+// menuActions.test.js — Unit tests for the built-in right-click actions.
+//
+// Everything the actions touch (clipboard, prompt, camera, selection) is
+// passed in, so fakes record what happened.
+//
+//   node --loader ./tests/client/three-mock-loader.js --test tests/client/menuActions.test.js
+//
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { registerBuiltinActions } from '../../public/js/menuActions.js';
+import { ContextActions } from '../../public/js/contextMenu.js';
+import { MarkStore } from '../../public/js/marks.js';
+
+const session = { id: 'claude-42', pid: 42, cwd: '/work/lab', group: 'lab', context: null };
+const data = {
+  sessions: [session, { id: 'claude-43', pid: 43, cwd: '/work/lab', group: 'lab' }, { id: 'claude-50', pid: 50, group: 'ops' }],
+  groups: [{ id: 'lab', cwd: '/work/lab' }, { id: 'ops', cwd: '/work/ops' }],
+};
+const unitCtx = { target: 'unit', session, group: null, point: null, localUser: null };
+const buildingCtx = { target: 'building', session: null, group: data.groups[0], point: null, localUser: null };
+const terrainCtx = { target: 'terrain', session: null, group: null, point: { x: 4, z: -2 }, localUser: null };
+
+let actions, marks, follow, log, promptAnswer;
+
+function item(ctx, label) {
+  const found = actions.itemsFor(ctx).find(i => i.label === label);
+  assert.ok(found, `no "${label}" item`);
+  return found;
+}
+
+beforeEach(() => {
+  actions = new ContextActions();
+  marks = new MarkStore({ storage: null });
+  log = [];
+  promptAnswer = null;
+  follow = {
+    sessionId: null,
+    follow(id) { this.sessionId = id; },
+    stop() { this.sessionId = null; },
+  };
+  registerBuiltinActions(actions, {
+    marks,
+    follow,
+    selectUnits: (ids) => log.push(['select', ids]),
+    getLatestData: () => data,
+    moveCamera: (x, z) => log.push(['move', x, z]),
+    copyText: async (text) => { log.push(['copy', text]); },
+    prompt: () => promptAnswer,
+  });
+});
+
+describe('villager actions', () => {
+  it('copies the PID and cwd', async () => {
+    assert.equal(await item(unitCtx, 'Copy PID').action(), 'Copied PID 42');
+    assert.equal(await item(unitCtx, 'Copy working directory').action(), 'Copied working directory');
+    assert.deepEqual(log, [['copy', '42'], ['copy', '/work/lab']]);
+  });
+
+  it('reports a clipboard failure', async () => {
+    const failing = new ContextActions();
+    registerBuiltinActions(failing, {
+      marks, follow, selectUnits() {}, getLatestData: () => data, moveCamera() {},
+      copyText: async () => { throw new Error('denied'); },
+    });
+    assert.equal(await failing.itemsFor(unitCtx).find(i => i.label === 'Copy PID').action(), 'Clipboard unavailable');
+  });
+
+  it('toggles following', () => {
+    item(unitCtx, 'Follow with camera').action();
+    assert.equal(follow.sessionId, 'claude-42');
+    item(unitCtx, 'Stop following').action();
+    assert.equal(follow.sessionId, null);
+  });
+
+  it('pins and unpins', () => {
+    item(unitCtx, 'Pin').action();
+    assert.equal(marks.isPinned('claude-42'), true);
+    item(unitCtx, 'Unpin').action();
+    assert.equal(marks.isPinned('claude-42'), false);
+  });
+
+  it('adds a note from the prompt and leaves it alone on cancel', () => {
+    promptAnswer = 'needs a rebase';
+    item(unitCtx, 'Add note…').action();
+    assert.equal(marks.noteFor('claude-42'), 'needs a rebase');
+    promptAnswer = null;
+    item(unitCtx, 'Edit note…').action();
+    assert.equal(marks.noteFor('claude-42'), 'needs a rebase');
+  });
+
+  it('disables editor actions for other users\' sessions and without a file', () => {
+    const remote = { ...unitCtx, session: { ...session, owner: 'bob' }, localUser: 'ada' };
+    assert.equal(item(remote, 'Open project in editor').disabled, true);
+    assert.equal(item(unitCtx, 'Open project in editor').disabled, false);
+    assert.equal(item(unitCtx, 'Open last file').disabled, true);
+  });
+});
+
+describe('building actions', () => {
+  it('selects every villager in the group', () => {
+    item(buildingCtx, 'Select all villagers').action();
+    assert.deepEqual(log, [['select', ['claude-42', 'claude-43']]]);
+  });
+
+  it('hides the group', () => {
+    item(buildingCtx, 'Hide neighborhood').action();
+    assert.deepEqual([...marks.hiddenGroups], ['lab']);
+  });
+
+  it('renames from the prompt', () => {
+    promptAnswer = 'The Lab';
+    item(buildingCtx, 'Rename…').action();
+    assert.equal(marks.nameFor('lab'), 'The Lab');
+  });
+});
+
+describe('terrain actions', () => {
+  it('drops a bookmark at the clicked point and lists it', () => {
+    assert.equal(item(terrainCtx, 'Drop camera bookmark here').action(), 'Saved Bookmark 1');
+    assert.deepEqual(marks.bookmarks, [{ name: 'Bookmark 1', x: 4, z: -2 }]);
+    assert.equal(item({ ...terrainCtx, point: null }, 'Drop camera bookmark here').disabled, true);
+  });
+
+  it('jumps to a bookmark, ending any follow', () => {
+    marks.addBookmark({ x: 7, z: 8 });
+    follow.follow('claude-42');
+    item(terrainCtx, 'Go to Bookmark 1').action();
+    assert.deepEqual(log, [['move', 7, 8]]);
+    assert.equal(follow.sessionId, null);
+  });
+
+  it('offers clearing bookmarks and showing hidden groups only when there are any', () => {
+    const labels = () => actions.itemsFor(terrainCtx).map(i => i.label);
+    assert.deepEqual(labels(), ['Drop camera bookmark here']);
+    marks.addBookmark({ x: 0, z: 0 });
+    marks.setHidden('lab', true);
+    assert.deepEqual(labels(), ['Drop camera bookmark here', 'Go to Bookmark 1', 'Clear bookmarks', 'Show hidden neighborhoods (1)']);
+    item(terrainCtx, 'Show hidden neighborhoods (1)').action();
+    assert.equal(marks.hiddenGroups.size, 0);
+  });
+});
@@ -8,6 +8,7 @@ import assert from 'node:assert/strict';
 import {
   worldToMinimap,
   minimapToWorld,
+  minimapView,
   tileColor,
   unitStateColor,
   projectViewportToGround,
@@ -87,6 +88,28 @@ describe('minimapToWorld', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// minimapView
+// ---------------------------------------------------------------------------
+
+describe('minimapView', () => {
+  it('shows the original map by default', () => {
+    assert.deepEqual(minimapView({ minX: -14, maxX: 13, minZ: -14, maxZ: 13 }), { gridSize: 28, origin: { x: -14, z: -14 } });
+  });
+
+  it('centres a grown map in a square view', () => {
+    // a chunk added to the right: 56 wide, 28 deep
+    const view = minimapView({ minX: -14, maxX: 41, minZ: -14, maxZ: 13 });
+    assert.deepEqual(view, { gridSize: 56, origin: { x: -14, z: -28 } });
+    // the centre of the new chunk lands right of the canvas centre
+    const { px, py } = worldToMinimap(28, 0, 150, view.gridSize, view.origin);
+    assert.equal(px, 112.5);
+    assert.equal(py, 75);
+    const back = minimapToWorld(px, py, 150, view.gridSize, view.origin);
+    assert.deepEqual(back, { worldX: 28, worldZ: 0 });
+  });
+});
+
 // ---------------------------------------------------------------------------
 // tileColor
 // ---------------------------------------------------------------------------
@@ -0,0 +1,223 @@
+// pathfinding.test.js — Tests for A* over the tile grid (pathfinding.js).
+//
+// The pure functions are tested on small hand-drawn grids; PathPlanner on a
+// fake terrain and on a seeded generateTerrain() map under the THREE mock.
+//
+//   node --loader ./tests/client/three-mock-loader.js --test tests/client/pathfinding.test.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as THREE from 'three';
+import {
+  findPath,
+  smoothPath,
+  pathLength,
+  pointAlongPath,
+  PathPlanner,
+  TILE_COSTS,
+} from '../../public/js/pathfinding.js';
+import { generateTerrain } from '../../public/js/terrain.js';
+
+/**
+ * Cost function for a grid drawn as rows of characters, z down and x across:
+ * '.' grass, 'm' mountain, '#' blocked.
+ */
+function gridCost(rows) {
+  return (x, z) => {
+    const ch = rows[z]?.[x];
+    if (ch === '.') return 1;
+    if (ch === 'm') return TILE_COSTS.mountain;
+    return Infinity;
+  };
+}
+
+/**
+ * A fake terrain from the same drawing: '~' water, '=' bridge, 'B' building.
+ * Bump its version after changing it, as generateTerrain() does.
+ */
+function fakeTerrain(rows) {
+  const terrain = { tiles: new Map(), waterTiles: new Set(), pathTiles: new Set(), buildingTiles: new Set(), version: 0 };
+  rows.forEach((row, z) => [...row].forEach((ch, x) => {
+    const key = `${x},${z}`;
+    terrain.tiles.set(key, { type: ch === 'm' ? 'mountain' : 'grass' });
+    if (ch === '~' || ch === '=') terrain.waterTiles.add(key);
+    if (ch === '=') terrain.pathTiles.add(key);
+    if (ch === 'B') terrain.buildingTiles.add(key);
+  }));
+  return terrain;
+}
+
+const keys = path => path.map(p => `${p.x},${p.z}`);
+
+// ===========================================================================
+// findPath
+// ===========================================================================
+
+describe('findPath', () => {
+  it('goes straight across open ground', () => {
+    const path = findPath(gridCost(['.....']), { x: 0, z: 0 }, { x: 4, z: 0 });
+    assert.deepEqual(keys(path), ['0,0', '1,0', '2,0', '3,0', '4,0']);
+  });
+
+  it('walks around a wall', () => {
+    const rows = [
+      '.....',
+      '.###.',
+      '.....',
+    ];
+    const path = findPath(gridCost(rows), { x: 2, z: 0 }, { x: 2, z: 2 });
+    assert.ok(path, 'should find a way round');
+    assert.ok(path.every(p => rows[p.z][p.x] !== '#'));
+    // no diagonal past the wall's end: along the top, down the side, back
+    assert.equal(path.length, 7);
+  });
+
+  it('does not cut the corner of a blocked tile', () => {
+    const rows = [
+      '.#',
+      '..',
+    ];
+    const path = findPath(gridCost(rows), { x: 0, z: 0 }, { x: 1, z: 1 });
+    assert.deepEqual(keys(path), ['0,0', '0,1', '1,1']);
+  });
+
+  it('goes round mountains when that is cheaper', () => {
+    const rows = [
+      '.....',
+      '.mmm.',
+      '.mmm.',
+      '.mmm.',
+      '.....',
+    ];
+    const path = findPath(gridCost(rows), { x: 2, z: 0 }, { x: 2, z: 4 });
+    assert.ok(path.every(p => rows[p.z][p.x] === '.'));
+  });
+
+  it('can always leave the start and enter the goal', () => {
+    const rows = ['#.#'];
+    assert.deepEqual(keys(findPath(gridCost(rows), { x: 0, z: 0 }, { x: 2, z: 0 })), ['0,0', '1,0', '2,0']);
+  });
+
+  it('returns null when the goal cannot be reached', () => {
+    const rows = [
+      '.#.',
+      '.#.',
+    ];
+    assert.equal(findPath(gridCost(rows), { x: 0, z: 0 }, { x: 2, z: 1 }), null);
+  });
+});
+
+// ===========================================================================
+// Path helpers
+// ===========================================================================
+
+describe('smoothPath', () => {
+  it('keeps the ends and the turns', () => {
+    const path = [{ x: 0, z: 0 }, { x: 1, z: 0 }, { x: 2, z: 0 }, { x: 3, z: 1 }, { x: 4, z: 2 }, { x: 4, z: 3 }];
+    assert.deepEqual(keys(smoothPath(path)), ['0,0', '2,0', '4,2', '4,3']);
+  });
+});
+
+describe('pathLength / pointAlongPath', () => {
+  const path = [{ x: 0, z: 0 }, { x: 3, z: 0 }, { x: 3, z: 4 }];
+
+  it('measures the whole route', () => {
+    assert.equal(pathLength(path), 7);
+  });
+
+  it('finds the point and heading along the route', () => {
+    assert.deepEqual(pointAlongPath(path, 1.5), { x: 1.5, z: 0, heading: Math.PI / 2 });
+    assert.deepEqual(pointAlongPath(path, 5), { x: 3, z: 2, heading: 0 });
+  });
+
+  it('clamps to the ends', () => {
+    assert.deepEqual(pointAlongPath(path, -1), { x: 0, z: 0, heading: Math.PI / 2 });
+    assert.deepEqual(pointAlongPath(path, 99), { x: 3, z: 4, heading: 0 });
+  });
+});
+
+// ===========================================================================
+// PathPlanner
+// ===========================================================================
+
+describe('PathPlanner', () => {
+  const rows = [
+    '.......',
+    '..B....',
+    '~~~=~~~',
+    '.......',
+  ];
+
+  it('crosses the river at the bridge and goes round buildings', () => {
+    const terrain = fakeTerrain(rows);
+    const planner = new PathPlanner(terrain);
+    const route = planner.plan(0.2, 0.1, 6, 3);
+    assert.deepEqual(route[0], { x: 0.2, z: 0.1 });
+    assert.deepEqual(route.at(-1), { x: 6, z: 3 });
+    // the full tile path steps on the bridge and never on the building
+    const tiles = findPath((x, z) => planner.costAt(x, z), { x: 0, z: 0 }, { x: 6, z: 3 });
+    assert.ok(keys(tiles).includes('3,2'));
+    assert.ok(!keys(tiles).includes('2,1'));
+    assert.ok(tiles.every(p => rows[p.z][p.x] !== '~'));
+  });
+
+  it('reuses cached routes until a building goes up', () => {
+    const terrain = fakeTerrain(['.......', '.......']);
+    const planner = new PathPlanner(terrain);
+    const first = planner.plan(0, 0, 6, 0);
+    assert.equal(first.length, 2); // straight along the top row
+    assert.equal(planner._cache.size, 1);
+    planner.plan(0, 0, 6, 0);
+    assert.equal(planner._cache.size, 1);
+
+    terrain.buildingTiles.add('3,0');
+    terrain.version++;
+    const detour = planner.plan(0, 0, 6, 0);
+    assert.ok(detour.length > 2, 'should step round the new building');
+  });
+
+  it('replans when the obstacles change but their count does not', () => {
+    const terrain = fakeTerrain(['.......', '...B...', '.......']);
+    const planner = new PathPlanner(terrain);
+    assert.ok(planner.plan(0, 0, 6, 0).length === 2, 'straight along the top row');
+
+    terrain.buildingTiles.delete('3,1');
+    terrain.buildingTiles.add('3,0');
+    terrain.version++;
+    assert.ok(planner.plan(0, 0, 6, 0).length > 2, 'should step round the moved building');
+  });
+
+  it('goes straight when there is no way across', () => {
+    const planner = new PathPlanner(fakeTerrain(['...', '~~~', '...']));
+    assert.deepEqual(planner.plan(1, 0, 1, 2), [{ x: 1, z: 0 }, { x: 1, z: 2 }]);
+  });
+
+  it('blocks the whole footprint of a building on a generated map', () => {
+    const terrain = generateTerrain(new THREE.Scene(), { seed: 7 });
+    const planner = new PathPlanner(terrain);
+    const tile = terrain.getAvailableGrassTile();
+    const before = terrain.version;
+    terrain.markTileUsed(tile.x, tile.z);
+    assert.notEqual(terrain.version, before);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        assert.ok(terrain.buildingTiles.has(`${tile.x + dx},${tile.z + dz}`));
+        assert.equal(planner.costAt(tile.x + dx, tile.z + dz), Infinity);
+      }
+    }
+  });
+
+  it('finds a dry route across a generated map', () => {
+    const terrain = generateTerrain(new THREE.Scene(), { seed: 7 });
+    const planner = new PathPlanner(terrain);
+    const { minX, maxX } = terrain.getBounds();
+    // one tile from each side edge, on a row well away from the bridge
+    const bridgeZ = Number([...terrain.pathTiles][0].split(',')[1]);
+    const z = bridgeZ > 0 ? bridgeZ - 8 : bridgeZ + 8;
+    const tiles = findPath((x, zz) => planner.costAt(x, zz), { x: minX + 1, z }, { x: maxX - 1, z });
+    assert.ok(tiles, 'should reach the other bank');
+    const wet = tiles.filter(p => terrain.waterTiles.has(`${p.x},${p.z}`));
+    assert.ok(wet.length > 0 && wet.every(p => terrain.pathTiles.has(`${p.x},${p.z}`)), 'crosses on the bridge');
+  });
+});
@@ -0,0 +1,190 @@
+// replay.test.js — Unit tests for the time-travel replay pure helpers.
+//
+// The helpers under test (snapshotIndexAt, detectReplayEvents, nextEventTime,
+// prevEventTime, advanceReplayTime) have no DOM or THREE.js dependency.
+// ReplayController runs against a bare document stub and a fake fetch.
+//
+//   node --loader ./tests/client/three-mock-loader.js --test tests/client/replay.test.js
+//
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  snapshotIndexAt,
+  detectReplayEvents,
+  nextEventTime,
+  prevEventTime,
+  advanceReplayTime,
+  REPLAY_SPEEDS,
+  ReplayController,
+} from '../../public/js/replay.js';
+
+// ---------------------------------------------------------------------------
+// snapshotIndexAt
+// ---------------------------------------------------------------------------
+
+describe('snapshotIndexAt', () => {
+  const snaps = [{ t: 100 }, { t: 200 }, { t: 300 }];
+
+  it('returns -1 before the first snapshot', () => {
+    assert.equal(snapshotIndexAt(snaps, 50), -1);
+  });
+
+  it('returns the exact match', () => {
+    assert.equal(snapshotIndexAt(snaps, 200), 1);
+  });
+
+  it('returns the last snapshot at or before t', () => {
+    assert.equal(snapshotIndexAt(snaps, 299), 1);
+    assert.equal(snapshotIndexAt(snaps, 10_000), 2);
+  });
+
+  it('returns -1 for no snapshots', () => {
+    assert.equal(snapshotIndexAt([], 100), -1);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// detectReplayEvents
+// ---------------------------------------------------------------------------
+
+describe('detectReplayEvents', () => {
+  const snaps = [
+    { t: 100, sessions: [{ id: 'a', state: 'active', group: 'g' }] },
+    { t: 200, sessions: [{ id: 'a', state: 'awaiting', group: 'g' }, { id: 'b', state: 'active', group: 'h' }] },
+    { t: 300, sessions: [{ id: 'b', state: 'active', group: 'h' }] },
+  ];
+
+  it('does not report the initial population as spawns', () => {
+    const events = detectReplayEvents(snaps.slice(0, 1));
+    assert.equal(events.length, 0);
+  });
+
+  it('reports state changes, spawns and exits in order', () => {
+    const events = detectReplayEvents(snaps);
+    assert.deepEqual(
+      events.map(e => [e.t, e.kind, e.sessionId]),
+      [[200, 'state', 'a'], [200, 'spawn', 'b'], [300, 'exit', 'a']],
+    );
+  });
+
+  it('records from/to states', () => {
+    const [stateEvent] = detectReplayEvents(snaps);
+    assert.equal(stateEvent.fromState, 'active');
+    assert.equal(stateEvent.toState, 'awaiting');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// nextEventTime / prevEventTime
+// ---------------------------------------------------------------------------
+
+describe('nextEventTime / prevEventTime', () => {
+  const events = [{ t: 100 }, { t: 200 }, { t: 300 }];
+
+  it('finds the next event strictly after t', () => {
+    assert.equal(nextEventTime(events, 100), 200);
+    assert.equal(nextEventTime(events, 0), 100);
+  });
+
+  it('returns null past the last event', () => {
+    assert.equal(nextEventTime(events, 300), null);
+  });
+
+  it('finds the previous event strictly before t', () => {
+    assert.equal(prevEventTime(events, 300), 200);
+    assert.equal(prevEventTime(events, 100), null);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// advanceReplayTime
+// ---------------------------------------------------------------------------
+
+describe('advanceReplayTime', () => {
+  it('advances by delta * speed', () => {
+    assert.equal(advanceReplayTime(0, 0.5, 60, 1_000_000), 30_000);
+  });
+
+  it('clamps to the end of the range', () => {
+    assert.equal(advanceReplayTime(990, 1, 60, 1_000), 1_000);
+  });
+
+  it('offers 1x through 60x speeds', () => {
+    assert.equal(REPLAY_SPEEDS[0], 1);
+    assert.equal(REPLAY_SPEEDS[REPLAY_SPEEDS.length - 1], 60);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// ReplayController
+// ---------------------------------------------------------------------------
+
+/** Element stub: every querySelector() hit is a control that takes listeners. */
+function fakeElement() {
+  const controls = new Map();
+  const classes = new Set();
+  return {
+    style: {},
+    classList: { add: c => classes.add(c), remove: c => classes.delete(c), contains: c => classes.has(c) },
+    querySelector(sel) {
+      if (!controls.has(sel)) controls.set(sel, { value: '0', textContent: '', innerHTML: '', addEventListener() {} });
+      return controls.get(sel);
+    },
+  };
+}
+
+describe('ReplayController', () => {
+  const realFetch = globalThis.fetch;
+  const realDocument = globalThis.document;
+  const snapshots = [{ t: 100, sessions: [] }, { t: 200, sessions: [] }, { t: 300, sessions: [] }];
+
+  beforeEach(() => {
+    globalThis.document = { createElement: fakeElement, body: { ...fakeElement(), appendChild() {} } };
+    globalThis.fetch = async () => ({ ok: true, status: 200, json: async () => ({ snapshots }) });
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+    globalThis.document = realDocument;
+  });
+
+  it('stays live when exited while the history fetch is in flight', async () => {
+    let release;
+    globalThis.fetch = () => new Promise(resolve => { release = resolve; });
+    const calls = [];
+    const replay = new ReplayController({
+      onSnapshot: () => calls.push('snapshot'),
+      onEnter: () => calls.push('enter'),
+    });
+
+    const loading = replay.load(60_000);
+    replay.exit();
+    release({ ok: true, status: 200, json: async () => ({ snapshots }) });
+    await loading;
+
+    assert.equal(replay.isActive(), false);
+    assert.deepEqual(calls, []);
+  });
+
+  it('flags backward seeks as rewinds', async () => {
+    const seen = [];
+    const replay = new ReplayController({ onSnapshot: (snap, { rewind }) => seen.push([snap.t, rewind]) });
+    await replay.load(60_000);
+    replay.seek(300);
+    replay.seek(200);
+
+    assert.deepEqual(seen, [[100, true], [300, false], [200, true]]);
+  });
+
+  it('treats the first snapshot after each load as a rewind from live time', async () => {
+    const seen = [];
+    const replay = new ReplayController({ onSnapshot: (snap, { rewind }) => seen.push([snap.t, rewind]) });
+    await replay.load(60_000);
+    replay.seek(300);
+    // Picking another range jumps back again
+    await replay.load(60_000);
+
+    assert.deepEqual(seen, [[100, true], [300, false], [100, true]]);
+  });
+});
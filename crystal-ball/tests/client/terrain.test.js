@@ -7,6 +7,9 @@
 
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
+// Seeded generation and terrain chunks are tested against the real module (see the end)
+import * as THREE from 'three';
+import * as terrainModule from '../../public/js/terrain.js';
 
 // ---------------------------------------------------------------------------
 // We cannot import the full terrain.js (it imports 'three'), so we
@@ -802,3 +805,97 @@ describe('materialKey', () => {
     assert.ok(key.includes('false'));
   });
 });
+
+describe('seeded generation (terrain.js)', () => {
+  const { createRandom } = terrainModule;
+
+  it('createRandom repeats its sequence for the same seed', () => {
+    const a = createRandom(2718281828);
+    const b = createRandom(2718281828);
+    const seqA = Array.from({ length: 5 }, a);
+    assert.deepEqual(Array.from({ length: 5 }, b), seqA);
+    assert.ok(seqA.every(v => v >= 0 && v < 1));
+    assert.notDeepEqual(Array.from({ length: 5 }, createRandom(1)), seqA);
+  });
+
+  it('the same seed gives the same biomes and river', () => {
+    assert.deepEqual(terrainModule.assignBiomes(createRandom(7)), terrainModule.assignBiomes(createRandom(7)));
+    assert.deepEqual(
+      [...terrainModule.generateRiverPath(createRandom(7))],
+      [...terrainModule.generateRiverPath(createRandom(7))],
+    );
+  });
+});
+
+describe('terrain chunks (terrain.js)', () => {
+  const { chunkOf, chunkBiomeMap, nextChunk, riverRow, generateRiverPath, createRandom, generateTerrain, MAX_CHUNKS } = terrainModule;
+
+  it('chunkOf maps world tiles to chunks, the original map being 0,0', () => {
+    assert.deepEqual(chunkOf(-14, 13), { cx: 0, cz: 0 });
+    assert.deepEqual(chunkOf(14, -15), { cx: 1, cz: -1 });
+    assert.deepEqual(chunkOf(-43, 42), { cx: -2, cz: 2 });
+  });
+
+  it('chunkBiomeMap mirrors quadrants so biomes carry on across chunk borders', () => {
+    const base = ['meadow', 'forest', 'desert', 'mountain'];
+    assert.deepEqual(chunkBiomeMap(base, 0, 0), base);
+    // right neighbour: its left column matches the original right column
+    assert.deepEqual(chunkBiomeMap(base, 1, 0), ['forest', 'meadow', 'mountain', 'desert']);
+    assert.deepEqual(chunkBiomeMap(base, 0, -1), ['desert', 'mountain', 'meadow', 'forest']);
+    assert.deepEqual(chunkBiomeMap(base, 2, 0), base);
+  });
+
+  it('nextChunk grows in rings around the original map', () => {
+    const keys = new Set(['0,0']);
+    const order = [];
+    for (let i = 0; i < 9; i++) {
+      const { cx, cz } = nextChunk(keys);
+      keys.add(`${cx},${cz}`);
+      order.push(`${cx},${cz}`);
+    }
+    assert.deepEqual(order.slice(0, 4), ['0,-1', '-1,0', '1,0', '0,1']);
+    assert.ok(order.slice(4, 8).every(k => k.split(',').every(n => Math.abs(Number(n)) === 1)), 'corners next');
+    assert.equal(Math.max(...order[8].split(',').map(n => Math.abs(Number(n)))), 2);
+  });
+
+  it('riverRow continues the river generateRiverPath lays out', () => {
+    const river = generateRiverPath(createRandom(3), 5);
+    for (let gz = 0; gz < 28; gz++) {
+      const { x } = riverRow(5, gz);
+      if (x >= 0 && x < 28) assert.ok(river.has(`${x},${gz}`), `row ${gz}`);
+    }
+    // and keeps flowing past the map's bottom edge, a tile or two per row
+    assert.ok(Math.abs(riverRow(5, 28).x - riverRow(5, 27).x) <= 4);
+  });
+
+  it('generateTerrain grows a chunk when building sites run out and merges it once settled', () => {
+    const scene = new THREE.Scene();
+    const terrain = generateTerrain(scene, { seed: 11 });
+    assert.deepEqual(terrain.getBounds(), { minX: -14, maxX: 13, minZ: -14, maxZ: 13 });
+    for (let i = 0; i < 8; i++) {
+      const tile = terrain.getAvailableGrassTile();
+      terrain.markTileUsed(tile.x, tile.z);
+    }
+    terrain.addDecorations(scene);
+    terrain.mergeStaticGeometry();
+    const before = terrain.tiles.size;
+    for (let i = 0; i < 8; i++) {
+      const tile = terrain.getAvailableGrassTile();
+      terrain.markTileUsed(tile.x, tile.z);
+    }
+    assert.ok(terrain.tiles.size > before, 'should have added a chunk');
+    assert.ok(terrain.tiles.size <= MAX_CHUNKS * 28 * 28);
+    const merged = () => scene.children.filter(c => c.name.startsWith('mergedStatic:')).length;
+    const chunks = terrain.tiles.size / (28 * 28);
+    assert.equal(merged(), 1);
+    terrain.settleChunks();
+    assert.equal(merged(), chunks);
+  });
+
+  it('reserveTiles adds the chunk a saved building stands in', () => {
+    const terrain = generateTerrain(new THREE.Scene(), { seed: 11 });
+    terrain.reserveTiles([{ x: 20, z: 0 }]);
+    assert.equal(terrain.getBounds().maxX, 41);
+    assert.equal(terrain.getBiomeAt(20, 0) !== 'unknown', true);
+  });
+});
@@ -55,7 +55,9 @@ class Object3D {
     this.visible = true;
     this.parent = null;
     this.uuid = Math.random().toString(36).slice(2);
+    this.matrixWorld = null;
   }
+  updateWorldMatrix() {}
   add(child) { this.children.push(child); child.parent = this; }
   remove(child) {
     const idx = this.children.indexOf(child);
@@ -118,6 +120,7 @@ class Material {
 }
 
 class MeshLambertMaterial extends Material {}
+class MeshStandardMaterial extends Material {}
 class ShaderMaterial extends Material {
   constructor(opts = {}) {
     super(opts);
@@ -149,17 +152,22 @@ class CSS2DObject extends Object3D {
   }
 }
 
+// BufferGeometryUtils mock
+function mergeGeometries() {
+  return new BufferGeometry();
+}
+
 export {
   Color, Vector3, Euler, Object3D, Group, Scene,
   BufferGeometry, BoxGeometry, SphereGeometry, CylinderGeometry,
   ConeGeometry, PlaneGeometry, TorusGeometry,
-  Material, MeshLambertMaterial, ShaderMaterial, Mesh,
-  DoubleSide, CSS2DObject,
+  Material, MeshLambertMaterial, MeshStandardMaterial, ShaderMaterial, Mesh,
+  DoubleSide, CSS2DObject, mergeGeometries,
 };
 export default {
   Color, Vector3, Euler, Object3D, Group, Scene,
   BufferGeometry, BoxGeometry, SphereGeometry, CylinderGeometry,
   ConeGeometry, PlaneGeometry, TorusGeometry,
-  Material, MeshLambertMaterial, ShaderMaterial, Mesh,
+  Material, MeshLambertMaterial, MeshStandardMaterial, ShaderMaterial, Mesh,
   DoubleSide, CSS2DObject,
 };
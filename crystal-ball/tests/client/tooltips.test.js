@@ -191,6 +191,24 @@ describe('formatTooltipHTML', () => {
     assert.ok(html.includes('Awaiting'), 'Should contain capitalized state');
   });
 
+  it('shows the agent faction when the session has one', () => {
+    assert.ok(!formatTooltipHTML(unitData, session).includes('Agent'));
+    const html = formatTooltipHTML(unitData, { ...session, faction: 'Aider' });
+    assert.ok(html.includes('Agent') && html.includes('Aider'), 'Should contain faction row');
+  });
+
+  it('shows the terminal host only when it is known', () => {
+    assert.ok(!formatTooltipHTML(unitData, { ...session, host: { kind: 'unknown', name: null, detail: 'pts/1' } }).includes('Terminal'));
+    const html = formatTooltipHTML(unitData, { ...session, host: { kind: 'tmux', name: 'work', detail: 'window 2 (logs), pane 1' } });
+    assert.ok(html.includes('Terminal') && html.includes('tmux work'), 'Should contain host row');
+  });
+
+  it('shows launch flags, marking skipped permissions as a warning', () => {
+    const html = formatTooltipHTML(unitData, { ...session, agent_args: { model: 'opus', skip_permissions: true } });
+    assert.ok(html.includes('opus'), 'Should contain model');
+    assert.ok(html.includes('tooltip-warning'), 'Should flag skipped permissions');
+  });
+
   it('contains CPU value', () => {
     const html = formatTooltipHTML(unitData, session);
     assert.ok(html.includes('45.2%'), 'Should contain CPU percentage');
@@ -12,7 +12,7 @@ import assert from 'node:assert/strict';
 
 import {
   classifyUnit, nameFromPid, rankFromAge, rankDisplayTitle,
-  hashStringToIndex, createUnit,
+  hashStringToIndex, createUnit, agentLook, isUnsupervised,
   _geomCache, _accessoryMatCache,
 } from '../../public/js/units.js';
 
@@ -69,6 +69,15 @@ describe('classifyUnit', () => {
     const result = classifyUnit({ state: 'active', has_children: true, age_seconds: 60 });
     assert.equal(result, 'Intern');
   });
+
+  it('Courier beats everything for headless runs (interactive: false)', () => {
+    assert.equal(classifyUnit({ state: 'active', has_children: true, age_seconds: 30, interactive: false }), 'Courier');
+    assert.equal(classifyUnit({ state: 'stale', has_children: false, age_seconds: 5000, interactive: false }), 'Courier');
+  });
+
+  it('treats sessions without the interactive field as interactive', () => {
+    assert.equal(classifyUnit({ state: 'idle', has_children: false, age_seconds: 500 }), 'Barista');
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -209,6 +218,53 @@ describe('hashStringToIndex', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// agentLook / faction hats
+// ---------------------------------------------------------------------------
+
+describe('agentLook', () => {
+  it('returns null for Claude and sessions without an agent type', () => {
+    assert.equal(agentLook('claude'), null);
+    assert.equal(agentLook(undefined), null);
+  });
+
+  it('gives each built-in agent a distinct hat', () => {
+    const looks = ['aider', 'codex', 'gemini'].map(agentLook);
+    assert.equal(new Set(looks.map(l => l.hat)).size, 3);
+    assert.equal(new Set(looks.map(l => l.color)).size, 3);
+  });
+
+  it('derives a stable look for custom agent types', () => {
+    assert.deepEqual(agentLook('ralph'), agentLook('ralph'));
+    assert.ok(agentLook('ralph').hat);
+  });
+
+  it('createUnit adds a hat only for non-Claude agents', () => {
+    const base = { id: 'h', pid: 7, state: 'idle', has_children: false, age_seconds: 500 };
+    assert.equal(createUnit(base).getObjectByName('agentHat'), null);
+    assert.equal(createUnit({ ...base, agent_type: 'claude' }).getObjectByName('agentHat'), null);
+
+    const unit = createUnit({ ...base, agent_type: 'aider' });
+    assert.ok(unit.getObjectByName('agentHat'));
+    assert.equal(unit.userData.agentType, 'aider');
+  });
+});
+
+describe('isUnsupervised', () => {
+  it('is true only when permissions were skipped', () => {
+    assert.equal(isUnsupervised({ agent_args: { skip_permissions: true } }), true);
+    assert.equal(isUnsupervised({ agent_args: { permission_mode: 'plan' } }), false);
+    assert.equal(isUnsupervised({}), false);
+  });
+
+  it('createUnit adds the warning marker for unsupervised sessions', () => {
+    const base = { id: 'w', pid: 8, state: 'active', has_children: false, age_seconds: 500 };
+    assert.equal(createUnit(base).getObjectByName('permissionWarning'), null);
+    const unit = createUnit({ ...base, agent_args: { skip_permissions: true } });
+    assert.ok(unit.getObjectByName('permissionWarning'));
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Geometry & Material Caching
 // ---------------------------------------------------------------------------
@@ -0,0 +1,121 @@
+// utils.test.js -- Unit tests for shared client helpers in utils.js.
+//
+//   node --loader ./tests/client/three-mock-loader.js --test tests/client/utils.test.js
+//
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  describeAgentFlags, describeHost, tmuxPaneOf, isLocalSession, lastTouchedFile,
+  uncommittedLevel, describeGitStatus, UNCOMMITTED_WARN, UNCOMMITTED_ALERT,
+} from '../../public/js/utils.js';
+
+describe('describeAgentFlags', () => {
+  it('returns no rows for missing or empty args', () => {
+    assert.deepEqual(describeAgentFlags(undefined), []);
+    assert.deepEqual(describeAgentFlags({}), []);
+  });
+
+  it('lists model and permission mode', () => {
+    assert.deepEqual(describeAgentFlags({ model: 'opus', permission_mode: 'plan' }), [
+      { label: 'Model', value: 'opus' },
+      { label: 'Permissions', value: 'plan' },
+    ]);
+  });
+
+  it('flags skipped permissions as a warning over the mode', () => {
+    const rows = describeAgentFlags({ permission_mode: 'bypassPermissions', skip_permissions: true });
+    assert.deepEqual(rows, [{ label: 'Permissions', value: 'Skipped (unsupervised)', warning: true }]);
+  });
+
+  it('combines headless, resume and continue into one launch row', () => {
+    assert.deepEqual(describeAgentFlags({ print: true, resume: 'b7e2c1d4-93f0', continue: true }), [
+      { label: 'Launch', value: 'Headless (-p), Resumed b7e2c1d4, Continued' },
+    ]);
+    assert.deepEqual(describeAgentFlags({ resume: true }), [{ label: 'Launch', value: 'Resumed' }]);
+  });
+});
+
+describe('describeHost', () => {
+  it('prefixes tmux, screen and SSH hosts with their kind', () => {
+    assert.equal(describeHost({ kind: 'tmux', name: 'work', detail: 'window 2 (logs), pane 1' }), 'tmux work \u00b7 window 2 (logs), pane 1');
+    assert.equal(describeHost({ kind: 'screen', name: null, detail: 'pts/2' }), 'screen \u00b7 pts/2');
+    assert.equal(describeHost({ kind: 'ssh', name: 'tomek@pts/0', detail: null }), 'SSH tomek@pts/0');
+  });
+
+  it('shows editors and terminals by name with the tty', () => {
+    assert.equal(describeHost({ kind: 'vscode', name: 'VS Code', detail: 'pts/4' }), 'VS Code \u00b7 pts/4');
+    assert.equal(describeHost({ kind: 'terminal', name: 'iTerm2', detail: null }), 'iTerm2');
+  });
+
+  it('falls back to the raw tty for unknown or missing hosts', () => {
+    assert.equal(describeHost({ kind: 'unknown', name: null, detail: 'pts/1' }, 'pts/1'), 'pts/1');
+    assert.equal(describeHost(undefined, 'pts/3'), 'pts/3');
+    assert.equal(describeHost(null), '\u2014');
+  });
+});
+
+describe('tmuxPaneOf', () => {
+  it('returns the pane id only for tmux hosts', () => {
+    assert.equal(tmuxPaneOf({ host: { kind: 'tmux', name: 'work', detail: 'window 0 (editor), pane 1', pane: '%4' } }), '%4');
+    assert.equal(tmuxPaneOf({ host: { kind: 'vscode', name: 'VS Code', detail: 'pts/1' } }), null);
+    assert.equal(tmuxPaneOf({ host: null }), null);
+    assert.equal(tmuxPaneOf({}), null);
+  });
+});
+
+describe('isLocalSession', () => {
+  it('treats unowned sessions and the local user\'s as local', () => {
+    assert.equal(isLocalSession({ id: 'claude-1' }), true);
+    assert.equal(isLocalSession({ id: 'ada/claude-1', owner: 'ada' }, 'ada'), true);
+    assert.equal(isLocalSession({ id: 'bob/claude-2', owner: 'bob' }, 'ada'), false);
+    assert.equal(isLocalSession({ id: 'bob/claude-2', owner: 'bob' }), false);
+  });
+});
+
+describe('lastTouchedFile', () => {
+  it('prefers the newest write, then the newest read', () => {
+    assert.equal(lastTouchedFile({ files: { read: ['a.js'], written: ['b.js', 'c.js'] } }), 'b.js');
+    assert.equal(lastTouchedFile({ files: { read: ['a.js', 'd.js'], written: [] } }), 'a.js');
+  });
+
+  it('returns null without file context', () => {
+    assert.equal(lastTouchedFile({ files: { read: [], written: [] } }), null);
+    assert.equal(lastTouchedFile(null), null);
+    assert.equal(lastTouchedFile(undefined), null);
+  });
+});
+
+describe('uncommittedLevel', () => {
+  it('warns on a pile without recent commits and alerts on a big pile', () => {
+    assert.equal(uncommittedLevel({ dirty: 3, commits_last_hour: 0 }), null);
+    assert.equal(uncommittedLevel({ dirty: UNCOMMITTED_WARN, commits_last_hour: 2 }), null);
+    assert.equal(uncommittedLevel({ dirty: UNCOMMITTED_WARN, commits_last_hour: 0 }), 'warn');
+    assert.equal(uncommittedLevel({ dirty: UNCOMMITTED_ALERT, commits_last_hour: 5 }), 'alert');
+    assert.equal(uncommittedLevel(null), null);
+  });
+});
+
+describe('describeGitStatus', () => {
+  const now = Date.parse('2026-01-01T12:00:00Z');
+  const git = {
+    branch: 'main', upstream: 'origin/main', ahead: 2, behind: 1, dirty: 1,
+    last_commit: { subject: 'Fix fees', at: '2026-01-01T11:55:00Z' }, commits_last_hour: 3,
+  };
+
+  it('describes branch, tracking, uncommitted files and the last commit', () => {
+    assert.deepEqual(describeGitStatus(git, now), [
+      { label: 'Branch', value: 'main (↑2 ↓1 origin/main)' },
+      { label: 'Uncommitted', value: '1 file', warning: false },
+      { label: 'Last commit', value: 'Fix fees (5m 0s ago)' },
+      { label: 'Commits (1h)', value: '3' },
+    ]);
+  });
+
+  it('handles detached heads, no upstream, no commits and piles', () => {
+    const rows = describeGitStatus({ ...git, branch: null, upstream: null, ahead: null, behind: null, dirty: 40, last_commit: null }, now);
+    assert.deepEqual(rows.map(r => r.value), ['detached HEAD (no upstream)', '40 files', '3']);
+    assert.equal(rows[1].warning, true);
+    assert.deepEqual(describeGitStatus(null), []);
+  });
+});
@@ -1,6 +1,6 @@
 // warroom.test.js — Unit tests for the War Room pure helper functions.
 //
-// The helpers under test (activityScore, sortedLeaderboard, detectTransitions)
+// The helpers under test (activityScore, sortedLeaderboard, detectTransitions, ...)
 // are pure logic with no DOM or THREE.js dependency, so no mock loader is needed.
 // However we run via three-mock-loader for consistency with the test:client script.
 //
@@ -13,6 +13,10 @@ import {
   activityScore,
   sortedLeaderboard,
   detectTransitions,
+  detectRelocations,
+  summarizeMode2Context,
+  summarizeThroughput,
+  dismissableSessions,
 } from '../../public/js/warroom.js';
 
 // ---------------------------------------------------------------------------
@@ -238,3 +242,129 @@ describe('detectTransitions', () => {
     assert.ok(result[0].time <= after);
   });
 });
+
+describe('detectTransitions with explicit time', () => {
+  it('stamps transitions with the supplied time', () => {
+    const at = new Date('2026-02-06T14:00:00Z');
+    const result = detectTransitions(new Map([['s1', 'active']]), [{ id: 's1', state: 'idle', group: 'g' }], at);
+    assert.equal(result[0].time, at);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// detectRelocations
+// ---------------------------------------------------------------------------
+
+describe('detectRelocations', () => {
+  it('reports sessions whose group changed', () => {
+    const at = new Date('2026-02-06T14:00:00Z');
+    const prev = new Map([['s1', { group: 'api', cwd: '/src/api' }], ['s2', { group: 'web', cwd: '/src/web' }]]);
+    const result = detectRelocations(prev, [
+      { id: 's1', group: 'web', cwd: '/src/web' },
+      { id: 's2', group: 'web', cwd: '/src/web' },
+      { id: 's3', group: 'api', cwd: '/src/api' }, // new session, not a move
+    ], at);
+    assert.deepEqual(result, [{ sessionId: 's1', group: 'web', fromGroup: 'api', time: at }]);
+  });
+
+  it('reports moves to another directory in the same group', () => {
+    const at = new Date('2026-02-06T14:00:00Z');
+    const prev = new Map([['s1', { group: 'shop', cwd: '/src/shop/packages/api' }]]);
+    const result = detectRelocations(prev, [{ id: 's1', group: 'shop', cwd: '/src/shop/packages/web' }], at);
+    assert.deepEqual(result, [{ sessionId: 's1', group: 'shop', fromCwd: '/src/shop/packages/api', cwd: '/src/shop/packages/web', time: at }]);
+  });
+
+  it('returns nothing on the first snapshot', () => {
+    assert.deepEqual(detectRelocations(new Map(), [{ id: 's1', group: 'api', cwd: '/src/api' }]), []);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// summarizeMode2Context
+// ---------------------------------------------------------------------------
+
+describe('summarizeMode2Context', () => {
+  it('returns zeros for v1 contexts', () => {
+    const result = summarizeMode2Context([{ context: { task: 't', phase: 'coding', version: 1 } }, {}]);
+    assert.deepEqual(result, { todosTotal: 0, todosCompleted: 0, subagents: 0, toolCalls: 0, topTools: [], models: [] });
+  });
+
+  it('sums todos, subagents and tool calls across sessions', () => {
+    const result = summarizeMode2Context([
+      { context: { todos: { total: 4, completed: 1 }, subagents: 2, tool_counts: { Read: 5, Edit: 2 }, model: 'm-a' } },
+      { context: { todos: { total: 2, completed: 2 }, subagents: 0, tool_counts: { Read: 1, Bash: 3 }, model: 'm-a' } },
+      { context: { todos: null, tool_counts: { Grep: 1 }, model: 'm-b' } },
+    ]);
+    assert.equal(result.todosTotal, 6);
+    assert.equal(result.todosCompleted, 3);
+    assert.equal(result.subagents, 2);
+    assert.equal(result.toolCalls, 12);
+    assert.deepEqual(result.topTools, [{ tool: 'Read', count: 6 }, { tool: 'Bash', count: 3 }, { tool: 'Edit', count: 2 }]);
+    assert.deepEqual(result.models, [{ model: 'm-a', count: 2 }, { model: 'm-b', count: 1 }]);
+  });
+
+  it('respects topN and breaks ties by name', () => {
+    const result = summarizeMode2Context([{ context: { tool_counts: { Write: 1, Bash: 1, Read: 1 } } }], 2);
+    assert.deepEqual(result.topTools.map(t => t.tool), ['Bash', 'Read']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// summarizeThroughput
+// ---------------------------------------------------------------------------
+
+describe('summarizeThroughput', () => {
+  const base = { running: 0, runsPerHour: 0, meanDurationSeconds: null, succeeded: 0, failed: 0, unknown: 0, failures: {} };
+
+  it('returns null without metrics or runs', () => {
+    assert.equal(summarizeThroughput(undefined), null);
+    assert.equal(summarizeThroughput(base), null);
+  });
+
+  it('shows a run in progress before any have finished', () => {
+    const summary = summarizeThroughput({ ...base, running: 1 });
+    assert.equal(summary.running, 1);
+    assert.equal(summary.meanDuration, '\u2014');
+    assert.equal(summary.successRate, '\u2014');
+  });
+
+  it('formats duration and success rate, leaving unknown outcomes out of the rate', () => {
+    const summary = summarizeThroughput({
+      ...base, runsPerHour: 6, meanDurationSeconds: 95, succeeded: 3, failed: 1, unknown: 2, failures: { 1: 1 },
+    });
+    assert.equal(summary.runsPerHour, 6);
+    assert.equal(summary.meanDuration, '1m 35s');
+    assert.equal(summary.successRate, '75%');
+  });
+
+  it('lists failures by exit status, most frequent first', () => {
+    const summary = summarizeThroughput({ ...base, failed: 4, failures: { 130: 1, 1: 2, 2: 1 } });
+    assert.deepEqual(summary.failures, [
+      { status: 1, count: 2 },
+      { status: 2, count: 1 },
+      { status: 130, count: 1 },
+    ]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// dismissableSessions
+// ---------------------------------------------------------------------------
+
+describe('dismissableSessions', () => {
+  const sessions = [
+    { id: 'claude-1', state: 'stale' },
+    { id: 'claude-2', state: 'idle' },
+    { id: 'ada/claude-3', state: 'stale', owner: 'ada' },
+    { id: 'bob/claude-4', state: 'stale', owner: 'bob' },
+  ];
+
+  it('keeps only stale sessions on this machine', () => {
+    assert.deepEqual(dismissableSessions(sessions).map(s => s.id), ['claude-1']);
+    assert.deepEqual(dismissableSessions(sessions, 'ada').map(s => s.id), ['claude-1', 'ada/claude-3']);
+  });
+
+  it('returns nothing without stale sessions', () => {
+    assert.deepEqual(dismissableSessions([{ id: 'claude-2', state: 'active' }]), []);
+  });
+});
@@ -3,21 +3,32 @@
 
 import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
-import { startServer, fetchJSON } from './helpers.js';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startServer, fetchJSON, postJSON } from './helpers.js';
 
 describe('API server (simulate mode)', () => {
   let server;
+  let historyDir;
 
   before(async () => {
+    historyDir = await mkdtemp(join(tmpdir(), 'cb-history-'));
     server = await startServer({
       script: 'server/index.js',
       args: ['--port', '4111', '--simulate'],
+      env: {
+        CRYSTAL_BALL_HISTORY_DIR: historyDir,
+        CRYSTAL_BALL_AUDIT_LOG: join(historyDir, 'audit.log'),
+        CRYSTAL_BALL_LAYOUT: join(historyDir, 'layout.json'),
+      },
       timeout: 8000,
     });
   });
 
   after(async () => {
     if (server) await server.kill();
+    if (historyDir) await rm(historyDir, { recursive: true, force: true });
   });
 
   // ── GET /api/sessions ───────────────────────────────────────────────────
@@ -89,6 +100,70 @@ describe('API server (simulate mode)', () => {
     assert.equal(status, 404);
   });
 
+  // ── GET /api/stream ─────────────────────────────────────────────────────
+
+  it('should push a snapshot event over /api/stream', async () => {
+    const controller = new AbortController();
+    const res = await fetch(`${server.url}/api/stream`, { signal: controller.signal });
+    assert.equal(res.status, 200);
+    assert.ok(res.headers.get('content-type').includes('text/event-stream'));
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    const frameRe = /event: snapshot\ndata: (.*)\n\n/;
+    while (!frameRe.test(text)) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      text += decoder.decode(value);
+    }
+    controller.abort();
+
+    const data = JSON.parse(text.match(frameRe)[1]);
+    assert.ok(Array.isArray(data.sessions), 'streamed snapshot should have sessions');
+  });
+
+  // ── GET /api/history ────────────────────────────────────────────────────
+
+  it('should return recorded snapshots from /api/history', async () => {
+    const { status, data } = await fetchJSON(`${server.url}/api/history`);
+    assert.equal(status, 200);
+    assert.ok(Array.isArray(data.snapshots), 'snapshots should be array');
+    assert.ok(data.count > 0, 'first poll should have been recorded');
+    assert.ok(Array.isArray(data.snapshots[0].sessions));
+  });
+
+  it('should filter /api/history by group', async () => {
+    const { data: live } = await fetchJSON(`${server.url}/api/sessions`);
+    const group = live.groups[0].id;
+    const { data } = await fetchJSON(`${server.url}/api/history?group=${encodeURIComponent(group)}`);
+    for (const snap of data.snapshots) {
+      assert.ok(snap.sessions.every(s => s.group === group));
+    }
+  });
+
+  it('should reject an inverted /api/history range', async () => {
+    const { status } = await fetchJSON(`${server.url}/api/history?from=2000&to=1000`);
+    assert.equal(status, 400);
+  });
+
+  // ── GET /api/diagnostics ────────────────────────────────────────────────
+
+  it('should report sidecar diagnostics with the reaper off in simulate mode', async () => {
+    const { status, data } = await fetchJSON(`${server.url}/api/diagnostics`);
+    assert.equal(status, 200);
+    assert.equal(typeof data.sidecars.dir, 'string');
+    assert.equal(typeof data.sidecars.cached, 'number');
+    assert.equal(data.sidecars.reaper, null);
+    assert.deepEqual(data.pushed, { enabled: false, sessions: 0 });
+    assert.ok(data.git.repos > 0);
+  });
+
+  it('should disable POST /api/context without --context-token', async () => {
+    const { status } = await postJSON(`${server.url}/api/context`, { session_id: 'x', task: 'T', phase: 'coding' }, 'any');
+    assert.equal(status, 404);
+  });
+
   // ── Mode 2 sessions ────────────────────────────────────────────────────
 
   it('should include Mode 2 sessions with context', async () => {
@@ -121,8 +196,66 @@ describe('API server (simulate mode)', () => {
     }
   });
 
+  // ── tmux panes ─────────────────────────────────────────────────────────
+
+  it('should preview a simulated tmux pane with escapes stripped and keys redacted', async () => {
+    const { data } = await fetchJSON(`${server.url}/api/sessions`);
+    const inTmux = data.sessions.find(s => s.host?.kind === 'tmux');
+    assert.ok(inTmux, 'simulator should put about half the sessions in tmux');
+
+    const { status, data: preview } = await fetchJSON(`${server.url}/api/sessions/${inTmux.id}/preview?lines=20`);
+    assert.equal(status, 200);
+    assert.equal(preview.pane, inTmux.host.pane);
+    assert.equal(preview.lines, 20);
+    assert.ok(preview.text.includes('[REDACTED]'));
+    assert.ok(!preview.text.includes('\x1b'), 'escape sequences should be stripped');
+    assert.ok(!preview.text.includes('sk-proj-'), 'keys should be redacted');
+  });
+
+  it('should focus a simulated tmux pane without an attached client', async () => {
+    const { data } = await fetchJSON(`${server.url}/api/sessions`);
+    const inTmux = data.sessions.find(s => s.host?.kind === 'tmux');
+    const { status, data: result } = await postJSON(`${server.url}/api/sessions/${inTmux.id}/focus`, {});
+    assert.equal(status, 200);
+    assert.deepEqual(result, { id: inTmux.id, pane: inTmux.host.pane, switched: false });
+  });
+
+  it('should reject pane requests for unknown and non-tmux sessions', async () => {
+    assert.equal((await fetchJSON(`${server.url}/api/sessions/claude-1/preview`)).status, 404);
+    assert.equal((await postJSON(`${server.url}/api/sessions/claude-1/focus`, {})).status, 404);
+
+    const { data } = await fetchJSON(`${server.url}/api/sessions`);
+    const elsewhere = data.sessions.find(s => s.host?.kind !== 'tmux');
+    if (elsewhere) {
+      assert.equal((await fetchJSON(`${server.url}/api/sessions/${elsewhere.id}/preview`)).status, 409);
+    }
+  });
+
   // ── POST /api/perf ─────────────────────────────────────────────────────
 
+  it('should save building spots and refuse a taken tile', async () => {
+    const before = await fetchJSON(`${server.url}/api/layout`);
+    assert.equal(before.status, 200);
+    assert.ok(Number.isInteger(before.data.seed));
+
+    const saved = await postJSON(`${server.url}/api/layout/SimExLab`, { x: -4, z: 3, type: 'Forge' });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.data, { group: 'SimExLab', x: -4, z: 3, type: 'Forge' });
+    assert.equal((await postJSON(`${server.url}/api/layout/DOTFILES`, { x: -4, z: 3, type: 'Farm' })).status, 409);
+    assert.equal((await postJSON(`${server.url}/api/layout/DOTFILES`, { x: 'a', z: 3, type: 'Farm' })).status, 400);
+    const crossSite = await fetch(`${server.url}/api/layout/DOTFILES`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain', Origin: 'https://evil.example' },
+      body: JSON.stringify({ x: 7, z: 7, type: 'Farm' }),
+    });
+    assert.equal(crossSite.status, 403);
+
+    const { data } = await fetchJSON(`${server.url}/api/layout`);
+    assert.deepEqual(data.buildings.SimExLab, { x: -4, z: 3, type: 'Forge' });
+    const file = JSON.parse(await readFile(join(historyDir, 'layout.json'), 'utf8'));
+    assert.equal(file.seed, before.data.seed);
+  });
+
   it('should accept and return perf data', async () => {
     const perfData = { fps: 60, drawCalls: 120, timestamp: Date.now() };
     const postRes = await fetch(`${server.url}/api/perf`, {
@@ -137,4 +270,88 @@ describe('API server (simulate mode)', () => {
     assert.ok(data.latest, 'should have latest perf snapshot');
     assert.equal(data.latest.fps, 60);
   });
+
+  // ── Open in editor ─────────────────────────────────────────────────────
+  // The simulator logs the editor command instead of running it.
+
+  it('should open a session\'s directory and last-touched file in the editor', async () => {
+    const { data } = await fetchJSON(`${server.url}/api/sessions`);
+    const session = data.sessions[0];
+    const { status, data: opened } = await postJSON(`${server.url}/api/sessions/${session.id}/open`, {});
+    assert.equal(status, 202);
+    assert.deepEqual(opened, { id: session.id, path: session.cwd, command: ['code', session.cwd] });
+
+    const withFiles = data.sessions.find(s => s.context?.files?.read.length > 0);
+    assert.ok(withFiles, 'simulator should produce Mode 2 sessions with files');
+    const { status: fileStatus, data: file } = await postJSON(`${server.url}/api/sessions/${withFiles.id}/open`, { target: 'file' });
+    assert.equal(fileStatus, 202);
+    assert.ok(file.path.startsWith(`${withFiles.cwd}/`));
+
+    const mode1 = data.sessions.find(s => s.mode === 1);
+    if (mode1) {
+      assert.equal((await postJSON(`${server.url}/api/sessions/${mode1.id}/open`, { target: 'file' })).status, 409);
+    }
+  });
+
+  it('should open a group\'s directory and reject unknown ids', async () => {
+    const { data } = await fetchJSON(`${server.url}/api/sessions`);
+    const group = data.groups[0];
+    const { status, data: opened } = await postJSON(`${server.url}/api/groups/${encodeURIComponent(group.id)}/open`, {});
+    assert.equal(status, 202);
+    assert.equal(opened.path, group.cwd);
+
+    assert.equal((await postJSON(`${server.url}/api/groups/no-such-group/open`, {})).status, 404);
+    assert.equal((await postJSON(`${server.url}/api/sessions/claude-1/open`, {})).status, 404);
+  });
+
+  // ── POST /api/sessions/:id/signal ──────────────────────────────────────
+  // Last: these stop simulated sessions.
+
+  it('should reject bad signal requests', async () => {
+    const { data } = await fetchJSON(`${server.url}/api/sessions`);
+    const target = data.sessions[0];
+    assert.equal((await postJSON(`${server.url}/api/sessions/claude-1/signal`, {})).status, 404);
+    assert.equal((await postJSON(`${server.url}/api/sessions/${target.id}/signal`, {})).status, 400);
+    assert.equal((await postJSON(`${server.url}/api/sessions/${target.id}/signal`, { signal: 'SIGKILL' })).status, 400);
+    const other = target.state === 'stale' ? 'active' : 'stale';
+    assert.equal((await postJSON(`${server.url}/api/sessions/${target.id}/signal`, { signal: 'SIGTERM', if_state: other })).status, 409);
+  });
+
+  it('should refuse cross-site and non-JSON requests to local routes', async () => {
+    const { data } = await fetchJSON(`${server.url}/api/sessions`);
+    const url = `${server.url}/api/sessions/${data.sessions[0].id}/signal`;
+    // What a page on another site can send without a CORS preflight
+    const crossSite = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain', Origin: 'https://evil.example', 'Sec-Fetch-Site': 'cross-site' },
+      body: JSON.stringify({ signal: 'SIGTERM' }),
+    });
+    assert.equal(crossSite.status, 403);
+    const plain = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: '{}' });
+    assert.equal(plain.status, 415);
+  });
+
+  it('should terminate a simulated session and audit it', async () => {
+    const { data } = await fetchJSON(`${server.url}/api/sessions`);
+    const target = data.sessions.find(s => s.interactive !== false);
+    const { status, data: result } = await postJSON(`${server.url}/api/sessions/${target.id}/signal`, { signal: 'SIGTERM', source: 'test' });
+    assert.equal(status, 202);
+    assert.deepEqual(result, { id: target.id, pid: target.pid, signal: 'SIGTERM', escalate_after_ms: 5000 });
+
+    const audit = (await readFile(join(historyDir, 'audit.log'), 'utf8')).trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(
+      { ...audit.at(-1), at: undefined },
+      { at: undefined, action: 'signal', session: target.id, pid: target.pid, signal: 'SIGTERM', source: 'test', outcome: 'sent', escalate_after_ms: 5000 },
+    );
+
+    // Gone from discovery by the next poll
+    const deadline = Date.now() + 5000;
+    let gone = false;
+    while (!gone && Date.now() < deadline) {
+      await new Promise(r => setTimeout(r, 250));
+      const { data: after } = await fetchJSON(`${server.url}/api/sessions`);
+      gone = !after.sessions.some(s => s.id === target.id);
+    }
+    assert.ok(gone, 'terminated session should disappear');
+  });
 });
@@ -0,0 +1,100 @@
+// tests/integration/context.test.js
+// Context pushed to POST /api/context reaches /api/sessions without a poll.
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startServer, fetchJSON, postJSON } from './helpers.js';
+
+const TOKEN = 'ctx-test-token';
+
+describe('Context push API (simulate mode)', () => {
+  let server;
+  let sidecarDir;
+  let historyDir;
+
+  before(async () => {
+    sidecarDir = await mkdtemp(join(tmpdir(), 'cb-sidecars-'));
+    historyDir = await mkdtemp(join(tmpdir(), 'cb-history-'));
+    server = await startServer({
+      script: 'server/index.js',
+      // Poll once a minute so only the push can deliver the update in time
+      args: ['--port', '4114', '--simulate', '--poll-interval', '60000', '--context-token', TOKEN],
+      env: { CRYSTAL_BALL_DIR: sidecarDir, CRYSTAL_BALL_HISTORY_DIR: historyDir, CRYSTAL_BALL_LAYOUT: join(historyDir, 'layout.json') },
+      timeout: 8000,
+    });
+  });
+
+  after(async () => {
+    if (server) await server.kill();
+    if (sidecarDir) await rm(sidecarDir, { recursive: true, force: true });
+    if (historyDir) await rm(historyDir, { recursive: true, force: true });
+  });
+
+  it('should require the token', async () => {
+    const body = { session_id: 'x', task: 'T', phase: 'coding' };
+    assert.equal((await postJSON(`${server.url}/api/context`, body)).status, 401);
+    assert.equal((await postJSON(`${server.url}/api/context`, body, 'wrong')).status, 403);
+  });
+
+  it('should reject an invalid payload', async () => {
+    const { status, data } = await postJSON(`${server.url}/api/context`, { session_id: 'x', task: 'T', phase: 'nope' }, TOKEN);
+    assert.equal(status, 400);
+    assert.match(data.error, /phase/);
+  });
+
+  it('should apply pushed context immediately and drop it on DELETE', async () => {
+    const { data } = await fetchJSON(`${server.url}/api/sessions`);
+    const target = data.sessions.find(s => s.mode === 1);
+    assert.ok(target, 'simulator should produce at least one Mode 1 session');
+
+    const { status } = await postJSON(`${server.url}/api/context`, {
+      session_id: 'pushed-session',
+      pid: target.pid,
+      cwd: target.cwd,
+      task: 'Pushed task',
+      phase: 'reviewing',
+      blocked: true,
+      detail: 'Waiting for user input',
+    }, TOKEN);
+    assert.equal(status, 202);
+
+    const session = await waitForSession(target.pid, s => s.state === 'blocked');
+    assert.equal(session.mode, 2);
+    assert.equal(session.context.task, 'Pushed task');
+
+    const { data: diag } = await fetchJSON(`${server.url}/api/diagnostics`);
+    assert.deepEqual(diag.pushed, { enabled: true, sessions: 1 });
+
+    const res = await fetch(`${server.url}/api/context/pushed-session`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${TOKEN}` },
+    });
+    assert.equal(res.status, 204);
+    const cleared = await waitForSession(target.pid, s => s.mode === 1);
+    assert.equal(cleared.context, null);
+  });
+
+  it('should accept headless run exit reports', async () => {
+    assert.equal((await postJSON(`${server.url}/api/runs`, { pid: 1, exit_status: 0 })).status, 401);
+    assert.equal((await postJSON(`${server.url}/api/runs`, { exit_status: 0 }, TOKEN)).status, 400);
+    assert.equal((await postJSON(`${server.url}/api/runs`, { pid: 4242, exit_status: 1 }, TOKEN)).status, 202);
+
+    const { data } = await fetchJSON(`${server.url}/api/sessions`);
+    assert.equal(typeof data.metrics.throughput.runsPerHour, 'number');
+  });
+
+  async function waitForSession(pid, predicate) {
+    let session;
+    const deadline = Date.now() + 3000;
+    while (Date.now() < deadline) {
+      const { data } = await fetchJSON(`${server.url}/api/sessions`);
+      session = data.sessions.find(s => s.pid === pid);
+      if (session && predicate(session)) break;
+      await new Promise(r => setTimeout(r, 50));
+    }
+    return session;
+  }
+});
@@ -0,0 +1,64 @@
+// tests/integration/sidecar.test.js
+// A hook writing a sidecar file reaches /api/sessions without waiting for a poll.
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile, rename } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startServer, fetchJSON } from './helpers.js';
+
+describe('Sidecar watcher (simulate mode)', () => {
+  let server;
+  let sidecarDir;
+  let historyDir;
+
+  before(async () => {
+    sidecarDir = await mkdtemp(join(tmpdir(), 'cb-sidecars-'));
+    historyDir = await mkdtemp(join(tmpdir(), 'cb-history-'));
+    server = await startServer({
+      script: 'server/index.js',
+      // Poll once a minute so only the watcher can deliver the update in time
+      args: ['--port', '4113', '--simulate', '--poll-interval', '60000'],
+      env: { CRYSTAL_BALL_DIR: sidecarDir, CRYSTAL_BALL_HISTORY_DIR: historyDir, CRYSTAL_BALL_LAYOUT: join(historyDir, 'layout.json') },
+      timeout: 8000,
+    });
+  });
+
+  after(async () => {
+    if (server) await server.kill();
+    if (sidecarDir) await rm(sidecarDir, { recursive: true, force: true });
+    if (historyDir) await rm(historyDir, { recursive: true, force: true });
+  });
+
+  it('should mark a session blocked right after its Stop hook writes', async () => {
+    const { data } = await fetchJSON(`${server.url}/api/sessions`);
+    const target = data.sessions.find(s => s.mode === 1);
+    assert.ok(target, 'simulator should produce at least one Mode 1 session');
+
+    const file = join(sidecarDir, 'it-session.json');
+    await writeFile(`${file}.tmp`, JSON.stringify({
+      session_id: 'it-session',
+      pid: target.pid,
+      cwd: target.cwd,
+      task: 'Integration task',
+      phase: 'testing',
+      blocked: true,
+      detail: 'Waiting for user input',
+      updated_at: new Date().toISOString(),
+    }));
+    await rename(`${file}.tmp`, file);
+
+    let session;
+    const deadline = Date.now() + 3000;
+    while (Date.now() < deadline) {
+      const { data: latest } = await fetchJSON(`${server.url}/api/sessions`);
+      session = latest.sessions.find(s => s.pid === target.pid);
+      if (session?.state === 'blocked') break;
+      await new Promise(r => setTimeout(r, 50));
+    }
+    assert.equal(session.state, 'blocked');
+    assert.equal(session.mode, 2);
+    assert.equal(session.context.task, 'Integration task');
+  });
+});
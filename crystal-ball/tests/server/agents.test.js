@@ -0,0 +1,229 @@
+// tests/server/agents.test.js
+// Tests for the agent matcher registry (which processes count as sessions).
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  AgentRegistry, DEFAULT_AGENTS, compileAgent, flagValue, hasFlag, splitArgv, ARGV_PARSERS,
+  parseClaudeArgv,
+} from '../../server/discovery/agents.js';
+
+/** Silence the registry's warnings for the duration of fn. */
+function quietly(fn) {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = (msg) => warnings.push(msg);
+  try {
+    return { result: fn(), warnings };
+  } finally {
+    console.warn = warn;
+  }
+}
+
+describe('compileAgent()', () => {
+  it('should default the faction to the type and the parser to generic', () => {
+    const agent = compileAgent({ type: 'ralph', pattern: 'ralph\\.sh' });
+    assert.equal(agent.faction, 'ralph');
+    assert.deepEqual(agent.parse(['ralph.sh', '-m', 'o3']), { model: 'o3' });
+  });
+
+  it('should reject bad types, patterns and parser names', () => {
+    assert.throws(() => compileAgent({ type: 'Has Spaces', pattern: 'x' }), /invalid type/);
+    assert.throws(() => compileAgent({ type: 'x' }), /pattern is required/);
+    assert.throws(() => compileAgent({ type: 'x', pattern: '(' }), /^Error: x:/);
+    assert.throws(() => compileAgent({ type: 'x', pattern: 'x', parser: 'nope' }), /unknown parser/);
+  });
+});
+
+describe('argv helpers', () => {
+  it('should split on whitespace', () => {
+    assert.deepEqual(splitArgv('  aider  --model  sonnet '), ['aider', '--model', 'sonnet']);
+  });
+
+  it('should detect bare and --flag=value flags', () => {
+    assert.equal(hasFlag(['claude', '--print'], ['-p', '--print']), true);
+    assert.equal(hasFlag(['claude', '--print=true'], ['--print']), true);
+    assert.equal(hasFlag(['claude', '--printer'], ['--print']), false);
+  });
+
+  it('should read --flag value and --flag=value forms', () => {
+    assert.equal(flagValue(['x', '--model', 'opus'], ['--model']), 'opus');
+    assert.equal(flagValue(['x', '--model=opus'], ['--model']), 'opus');
+    assert.equal(flagValue(['x', '--model'], ['--model']), null);
+  });
+
+  it('should not treat -m as a model flag for Claude', () => {
+    assert.deepEqual(ARGV_PARSERS.claude(['claude', '-m', 'x']), {});
+    assert.deepEqual(ARGV_PARSERS.generic(['aider', '-m', 'x']), { model: 'x' });
+  });
+});
+
+describe('parseClaudeArgv()', () => {
+  const parse = (cmd) => parseClaudeArgv(splitArgv(cmd));
+
+  it('should return nothing for a plain launch', () => {
+    assert.deepEqual(parse('node /usr/bin/claude'), {});
+  });
+
+  it('should read model and permission mode', () => {
+    assert.deepEqual(parse('claude --model opus --permission-mode=acceptEdits'), {
+      model: 'opus', permission_mode: 'acceptEdits',
+    });
+  });
+
+  it('should flag skipped permissions from either spelling', () => {
+    assert.deepEqual(parse('claude --dangerously-skip-permissions'), { skip_permissions: true });
+    assert.deepEqual(parse('claude --permission-mode bypassPermissions'), {
+      permission_mode: 'bypassPermissions', skip_permissions: true,
+    });
+  });
+
+  it('should read print, continue and resume in short and long forms', () => {
+    assert.deepEqual(parse('claude -p -c'), { print: true, continue: true });
+    assert.deepEqual(parse('claude --print --continue'), { print: true, continue: true });
+    assert.deepEqual(parse('claude --resume 3f2a-77'), { resume: '3f2a-77' });
+    assert.deepEqual(parse('claude -r'), { resume: true });
+  });
+
+  it('should not take a following flag as the resume id', () => {
+    assert.deepEqual(parse('claude --resume --model sonnet'), { resume: true, model: 'sonnet' });
+  });
+
+  it('should be the built-in claude parser', () => {
+    assert.equal(ARGV_PARSERS.claude, parseClaudeArgv);
+    assert.deepEqual(new AgentRegistry().match('claude --dangerously-skip-permissions').args, { skip_permissions: true });
+  });
+});
+
+describe('built-in headless detection', () => {
+  const parse = (type, cmd) => ARGV_PARSERS[type](splitArgv(cmd));
+
+  it('should mark one-shot aider runs, without confusing python -m for --message', () => {
+    assert.deepEqual(parse('aider', 'aider --model sonnet --message "fix it"'), { model: 'sonnet', print: true });
+    assert.deepEqual(parse('aider', 'aider -m fix'), { print: true });
+    assert.deepEqual(parse('aider', 'python -m aider --model sonnet'), { model: 'sonnet' });
+  });
+
+  it('should mark codex exec and gemini -p as headless', () => {
+    assert.deepEqual(parse('codex', 'codex exec -m o3 "do it"'), { model: 'o3', print: true });
+    assert.deepEqual(parse('codex', 'codex -m o3'), { model: 'o3' });
+    assert.deepEqual(parse('gemini', 'gemini --prompt hello'), { print: true });
+    assert.deepEqual(parse('gemini', 'gemini -m gemini-2.5-pro'), { model: 'gemini-2.5-pro' });
+  });
+});
+
+describe('AgentRegistry (built-ins)', () => {
+  const registry = new AgentRegistry();
+
+  it('should recognise Claude Code the way filterClaudeProcesses does', () => {
+    for (const cmd of ['claude', 'claude --resume', '/usr/bin/claude', 'node @anthropic/claude-code/cli.js']) {
+      assert.equal(registry.match(cmd)?.type, 'claude', cmd);
+    }
+  });
+
+  it('should recognise the other built-in agents', () => {
+    assert.equal(registry.match('/usr/bin/python3 /home/u/.local/bin/aider --model sonnet')?.type, 'aider');
+    assert.equal(registry.match('python -m aider')?.type, 'aider');
+    assert.equal(registry.match('node /usr/lib/node_modules/@openai/codex/bin/codex.js')?.type, 'codex');
+    assert.equal(registry.match('node /opt/node_modules/@google/gemini-cli/dist/index.js')?.type, 'gemini');
+  });
+
+  it('should parse argv for the matched agent', () => {
+    assert.deepEqual(registry.match('aider --model sonnet'), { type: 'aider', faction: 'Aider', args: { model: 'sonnet' } });
+  });
+
+  it('should ignore unrelated commands', () => {
+    assert.equal(registry.match('/bin/bash'), null);
+    assert.equal(registry.match('vim aider-notes.md'), null);
+  });
+
+  it('should tag filtered processes with their agent', () => {
+    const out = registry.filter([
+      { pid: 1, command: 'claude' },
+      { pid: 2, command: '/bin/bash' },
+      { pid: 3, command: 'codex' },
+    ]);
+    assert.deepEqual(out.map(p => [p.pid, p.agent.type]), [[1, 'claude'], [3, 'codex']]);
+  });
+
+  it('should list factions in match order', () => {
+    assert.deepEqual(registry.factions.map(f => f.type), DEFAULT_AGENTS.map(d => d.type));
+  });
+});
+
+describe('AgentRegistry.fromConfig()', () => {
+  it('should match custom entries before the built-ins', () => {
+    const registry = AgentRegistry.fromConfig({
+      agents: [{ type: 'wrapper', faction: 'Wrapper', pattern: 'claude-wrapper' }],
+    });
+    assert.equal(registry.match('/opt/claude-wrapper --model x').type, 'wrapper');
+    assert.equal(registry.match('claude').type, 'claude');
+  });
+
+  it('should let a custom entry replace a built-in of the same type', () => {
+    const registry = AgentRegistry.fromConfig({
+      agents: [{ type: 'aider', faction: 'Aider (fork)', pattern: 'my-aider' }],
+    });
+    assert.equal(registry.match('aider'), null);
+    assert.equal(registry.match('my-aider').faction, 'Aider (fork)');
+    assert.equal(registry.factions.filter(f => f.type === 'aider').length, 1);
+  });
+
+  it('should drop the built-ins with defaults: false', () => {
+    const registry = AgentRegistry.fromConfig({
+      defaults: false,
+      agents: [{ type: 'ralph', pattern: 'ralph\\.sh' }],
+    });
+    assert.deepEqual(registry.factions, [{ type: 'ralph', faction: 'ralph' }]);
+    assert.equal(registry.match('claude'), null);
+  });
+
+  it('should skip invalid entries with a warning', () => {
+    const { result: registry, warnings } = quietly(() => AgentRegistry.fromConfig({
+      agents: [{ type: 'bad', pattern: '[' }, { type: 'ok', pattern: 'ok-agent' }],
+    }));
+    assert.equal(warnings.length, 1);
+    assert.equal(registry.match('ok-agent').type, 'ok');
+    assert.ok(!registry.factions.some(f => f.type === 'bad'));
+  });
+});
+
+describe('AgentRegistry.load()', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'cb-agents-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should fall back to the built-ins when the file is missing', async () => {
+    const registry = await AgentRegistry.load(join(dir, 'missing.json'));
+    assert.equal(registry.factions.length, DEFAULT_AGENTS.length);
+  });
+
+  it('should fall back to the built-ins when the file is not JSON', async () => {
+    const path = join(dir, 'broken.json');
+    await writeFile(path, '{ nope');
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const registry = await AgentRegistry.load(path);
+      assert.equal(registry.factions.length, DEFAULT_AGENTS.length);
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  it('should read custom entries from the file', async () => {
+    const path = join(dir, 'agents.json');
+    await writeFile(path, JSON.stringify({ agents: [{ type: 'ralph', faction: 'Ralph', pattern: 'ralph\\.sh', parser: 'none' }] }));
+    const registry = await AgentRegistry.load(path);
+    assert.deepEqual(registry.match('bash ralph.sh --model x'), { type: 'ralph', faction: 'Ralph', args: {} });
+  });
+});
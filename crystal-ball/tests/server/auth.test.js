@@ -0,0 +1,116 @@
+// tests/server/auth.test.js
+// Tests for the access middleware: the Bearer token guarding POST /api/context
+// and the local, same-origin check guarding the tmux, signal and editor endpoints.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireToken, requireLocal, isSameOrigin, isLocalHost } from '../../server/auth.js';
+
+// Minimal req/res mocks
+function mockReq(headers = {}) {
+  return { headers };
+}
+
+function mockRes() {
+  const res = {
+    _status: null,
+    _body: null,
+    status(code) { res._status = code; return res; },
+    json(body) { res._body = body; },
+  };
+  return res;
+}
+
+function run(token, headers) {
+  const res = mockRes();
+  let passed = false;
+  requireToken(token)(mockReq(headers), res, () => { passed = true; });
+  return { passed, status: res._status };
+}
+
+describe('requireToken', () => {
+  it('should disable the route when no token is configured', () => {
+    assert.deepEqual(run(null, { authorization: 'Bearer anything' }), { passed: false, status: 404 });
+  });
+
+  it('should reject a missing header', () => {
+    assert.deepEqual(run('secret', {}), { passed: false, status: 401 });
+  });
+
+  it('should reject a non-Bearer header', () => {
+    assert.deepEqual(run('secret', { authorization: 'Basic c2VjcmV0' }), { passed: false, status: 401 });
+  });
+
+  it('should reject a wrong token, including one of a different length', () => {
+    assert.deepEqual(run('secret', { authorization: 'Bearer secreT' }), { passed: false, status: 403 });
+    assert.deepEqual(run('secret', { authorization: 'Bearer secret-and-more' }), { passed: false, status: 403 });
+  });
+
+  it('should pass the correct token', () => {
+    assert.deepEqual(run('secret', { authorization: 'Bearer secret' }), { passed: true, status: null });
+  });
+});
+
+describe('isSameOrigin', () => {
+  it('should pass requests from this server\'s pages and from no page', () => {
+    assert.equal(isSameOrigin({ headers: { host: 'localhost:3000', origin: 'http://localhost:3000', 'sec-fetch-site': 'same-origin' } }), true);
+    assert.equal(isSameOrigin({ headers: { host: 'localhost:3000' } }), true);
+  });
+
+  it('should reject requests started by another site', () => {
+    assert.equal(isSameOrigin({ headers: { host: 'localhost:3000', origin: 'https://evil.example' } }), false);
+    assert.equal(isSameOrigin({ headers: { host: 'localhost:3000', 'sec-fetch-site': 'cross-site' } }), false);
+    assert.equal(isSameOrigin({ headers: { host: 'localhost:3000', 'sec-fetch-site': 'same-site' } }), false);
+    assert.equal(isSameOrigin({ headers: { host: 'localhost:3000', origin: 'null' } }), false);
+  });
+});
+
+describe('isLocalHost', () => {
+  it('should pass localhost names on any port', () => {
+    for (const host of ['localhost:3000', 'localhost', '127.0.0.1:8080', '[::1]:3000']) {
+      assert.equal(isLocalHost({ headers: { host } }), true, host);
+    }
+  });
+
+  it('should reject other names and a missing Host', () => {
+    assert.equal(isLocalHost({ headers: { host: 'evil.example:3000' } }), false);
+    assert.equal(isLocalHost({ headers: { host: 'localhost.evil.example' } }), false);
+    assert.equal(isLocalHost({ headers: {} }), false);
+  });
+});
+
+describe('requireLocal', () => {
+  function runLocal(remoteAddress, { method = 'GET', headers = { host: 'localhost:3000' }, json = false } = {}) {
+    const res = mockRes();
+    let passed = false;
+    const req = { method, headers, socket: { remoteAddress }, is: type => (json && type === 'application/json' ? type : false) };
+    requireLocal()(req, res, () => { passed = true; });
+    return { passed, status: res._status };
+  }
+
+  it('should pass loopback requests over IPv4, IPv6 and mapped IPv4', () => {
+    for (const addr of ['127.0.0.1', '::1', '::ffff:127.0.0.1']) {
+      assert.deepEqual(runLocal(addr), { passed: true, status: null });
+    }
+  });
+
+  it('should reject requests from other hosts', () => {
+    assert.deepEqual(runLocal('192.168.1.20'), { passed: false, status: 403 });
+    assert.deepEqual(runLocal(undefined), { passed: false, status: 403 });
+  });
+
+  it('should reject cross-site requests from the local browser', () => {
+    const headers = { host: 'localhost:3000', origin: 'https://evil.example', 'sec-fetch-site': 'cross-site' };
+    assert.deepEqual(runLocal('127.0.0.1', { method: 'POST', headers, json: true }), { passed: false, status: 403 });
+  });
+
+  it('should reject a DNS-rebinding page whose own origin resolves to loopback', () => {
+    const headers = { host: 'evil.example:3000', origin: 'http://evil.example:3000', 'sec-fetch-site': 'same-origin' };
+    assert.deepEqual(runLocal('127.0.0.1', { method: 'POST', headers, json: true }), { passed: false, status: 403 });
+  });
+
+  it('should only accept JSON writes', () => {
+    assert.deepEqual(runLocal('127.0.0.1', { method: 'POST' }), { passed: false, status: 415 });
+    assert.deepEqual(runLocal('127.0.0.1', { method: 'POST', json: true }), { passed: true, status: null });
+  });
+});
@@ -3,7 +3,10 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { parsePsOutput, filterClaudeProcesses, detectChildren, buildSessionOutput } from '../../server/discovery/common.js';
+import {
+  parsePsOutput, filterClaudeProcesses, detectChildren, buildSessionOutput,
+  collectDescendants, shortCommand, summarizeDescendants, MAX_REPORTED_CHILDREN,
+} from '../../server/discovery/common.js';
 
 describe('common.parsePsOutput()', () => {
   const SAMPLE = `  PID  PPID  %CPU   RSS TT       STARTED                      COMMAND
@@ -91,6 +94,38 @@ describe('common.buildSessionOutput()', () => {
     assert.ok(typeof result[0].startTime === 'number');
   });
 
+  it('should carry the registry agent tag, defaulting to Claude', () => {
+    const [tagged, untagged] = buildSessionOutput([
+      { pid: 1, cpu: 0, rssKB: 0, tty: '?', lstart: '', agent: { type: 'aider', faction: 'Aider', args: { model: 'sonnet' } } },
+      { pid: 2, cpu: 0, rssKB: 0, tty: '?', lstart: '' },
+    ], new Set(), new Map());
+    assert.equal(tagged.agentType, 'aider');
+    assert.equal(tagged.faction, 'Aider');
+    assert.deepEqual(tagged.agentArgs, { model: 'sonnet' });
+    assert.equal(untagged.agentType, 'claude');
+    assert.equal(untagged.faction, 'Claude');
+    assert.deepEqual(untagged.agentArgs, {});
+  });
+
+  it('should attach the detected host, or null without one', () => {
+    const host = { kind: 'tmux', name: 'work', detail: 'window 0 (editor), pane 0', pane: '%1' };
+    const [inTmux, other] = buildSessionOutput(
+      [{ pid: 1, cpu: 0, rssKB: 0, tty: '?', lstart: '' }, { pid: 2, cpu: 0, rssKB: 0, tty: '?', lstart: '' }],
+      new Set(), new Map(), new Map(), new Map([[1, host]]),
+    );
+    assert.deepEqual(inTmux.host, host);
+    assert.equal(other.host, null);
+  });
+
+  it('should mark print-mode runs as not interactive', () => {
+    const [headless, interactive] = buildSessionOutput([
+      { pid: 1, cpu: 0, rssKB: 0, tty: '?', lstart: '', agent: { type: 'claude', faction: 'Claude', args: { print: true } } },
+      { pid: 2, cpu: 0, rssKB: 0, tty: '?', lstart: '' },
+    ], new Set(), new Map());
+    assert.equal(headless.interactive, false);
+    assert.equal(interactive.interactive, true);
+  });
+
   it('should default cwd to /unknown when not in cwdMap', () => {
     const result = buildSessionOutput(
       [{ pid: 1, cpu: 0, rssKB: 0, tty: '?', lstart: '' }],
@@ -100,3 +135,95 @@ describe('common.buildSessionOutput()', () => {
     assert.equal(result[0].cwd, '/unknown');
   });
 });
+
+describe('common.collectDescendants()', () => {
+  const all = [
+    { pid: 100, ppid: 1 },
+    { pid: 101, ppid: 100 },  // shell
+    { pid: 102, ppid: 101 },  // npm
+    { pid: 103, ppid: 102 },  // node test runner
+    { pid: 200, ppid: 1 },
+    { pid: 300, ppid: 100 },  // nested claude session
+    { pid: 301, ppid: 300 },
+  ];
+
+  it('should walk grandchildren and deeper', () => {
+    const result = collectDescendants(all, new Set([100, 200]));
+    assert.deepEqual(result.get(100).map(p => p.pid).sort(), [101, 102, 103, 300, 301]);
+  });
+
+  it('should not descend into other root sessions', () => {
+    const result = collectDescendants(all, new Set([100, 300]));
+    assert.deepEqual(result.get(100).map(p => p.pid).sort(), [101, 102, 103]);
+    assert.deepEqual(result.get(300).map(p => p.pid), [301]);
+  });
+
+  it('should return an empty list for roots without children', () => {
+    const result = collectDescendants(all, new Set([200]));
+    assert.deepEqual(result.get(200), []);
+  });
+
+  it('should survive ppid cycles', () => {
+    const cyclic = [{ pid: 1, ppid: 2 }, { pid: 2, ppid: 1 }];
+    const result = collectDescendants(cyclic, new Set([1]));
+    assert.deepEqual(result.get(1).map(p => p.pid), [2]);
+  });
+});
+
+describe('common.shortCommand()', () => {
+  it('should strip directories from absolute paths', () => {
+    assert.equal(shortCommand('/usr/bin/node /usr/lib/node_modules/npm/bin/npm-cli.js test'), 'node npm-cli.js test');
+  });
+
+  it('should truncate long commands', () => {
+    const result = shortCommand('x'.repeat(100), 20);
+    assert.equal(result.length, 20);
+    assert.ok(result.endsWith('…'));
+  });
+});
+
+describe('common.summarizeDescendants()', () => {
+  it('should sum CPU and RSS and list the busiest first', () => {
+    const result = summarizeDescendants([
+      { pid: 1, cpu: 2.5, rssKB: 2048, command: 'bash' },
+      { pid: 2, cpu: 80.2, rssKB: 102400, command: '/usr/bin/node test.js' },
+    ]);
+    assert.equal(result.cpu, 82.7);
+    assert.equal(result.rssKB, 104448);
+    assert.deepEqual(result.children[0], { pid: 2, command: 'node test.js', cpu: 80.2, mem: 100 });
+    assert.equal(result.children[1].command, 'bash');
+  });
+
+  it('should cap the listed children but keep full totals', () => {
+    const many = Array.from({ length: MAX_REPORTED_CHILDREN + 5 }, (_, i) => ({ pid: i, cpu: 1, rssKB: 1024, command: 'sh' }));
+    const result = summarizeDescendants(many);
+    assert.equal(result.children.length, MAX_REPORTED_CHILDREN);
+    assert.equal(result.cpu, MAX_REPORTED_CHILDREN + 5);
+  });
+
+  it('should return zeros for no descendants', () => {
+    assert.deepEqual(summarizeDescendants([]), { cpu: 0, rssKB: 0, children: [] });
+  });
+});
+
+describe('common.buildSessionOutput() descendants', () => {
+  it('should attach child totals and list', () => {
+    const descendants = new Map([[501, [{ pid: 502, cpu: 40, rssKB: 51200, command: 'npm test' }]]]);
+    const [session] = buildSessionOutput(
+      [{ pid: 501, cpu: 0.5, rssKB: 1024, tty: 'pts/1', startTime: 1000 }],
+      new Set([501]),
+      new Map(),
+      descendants,
+    );
+    assert.equal(session.childCpu, 40);
+    assert.equal(session.childMemMB, 50);
+    assert.deepEqual(session.children, [{ pid: 502, command: 'npm test', cpu: 40, mem: 50 }]);
+    assert.equal(session.startTime, 1000);
+  });
+
+  it('should default to no children without a descendant map', () => {
+    const [session] = buildSessionOutput([{ pid: 1, cpu: 0, rssKB: 0, tty: '?', lstart: '' }], new Set(), new Map());
+    assert.equal(session.childCpu, 0);
+    assert.deepEqual(session.children, []);
+  });
+});
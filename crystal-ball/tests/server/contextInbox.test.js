@@ -0,0 +1,94 @@
+// tests/server/contextInbox.test.js
+// Tests for context pushed over POST /api/context.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ContextInbox } from '../../server/discovery/contextInbox.js';
+import { STALE_THRESHOLD_MS } from '../../server/discovery/sidecar.js';
+
+const NOW = 1_700_000_000_000;
+
+function payload(overrides = {}) {
+  return {
+    session_id: 'remote-1',
+    cwd: '/work/app',
+    task: 'Fix flaky test',
+    phase: 'testing',
+    blocked: false,
+    detail: 'Running: pytest',
+    ...overrides,
+  };
+}
+
+describe('ContextInbox', () => {
+  it('should accept a sidecar-shaped payload and expose it as an entry', () => {
+    const inbox = new ContextInbox();
+    assert.deepEqual(inbox.put(payload({ pid: 4242 }), NOW), { ok: true, sessionId: 'remote-1' });
+
+    const [entry] = inbox.entries(NOW);
+    assert.equal(entry.name, 'push:remote-1');
+    assert.equal(entry.cwd, '/work/app');
+    assert.equal(entry.context.task, 'Fix flaky test');
+    assert.equal(entry.context.session_id, 'remote-1');
+    assert.deepEqual(entry.identity, { sessionId: 'remote-1', pid: 4242, hookPpid: null, updatedMs: NOW });
+  });
+
+  it('should stamp the receive time over a client-supplied updated_at', () => {
+    const inbox = new ContextInbox();
+    inbox.put(payload({ updated_at: '2001-01-01T00:00:00Z' }), NOW);
+    const [entry] = inbox.entries(NOW);
+    assert.equal(entry.context.stale, false);
+    assert.equal(entry.identity.updatedMs, NOW);
+  });
+
+  it('should reject bodies without session_id, task or a valid phase', () => {
+    const inbox = new ContextInbox();
+    assert.equal(inbox.put(null, NOW).ok, false);
+    assert.equal(inbox.put([], NOW).ok, false);
+    assert.match(inbox.put(payload({ session_id: '' }), NOW).error, /session_id/);
+    assert.match(inbox.put(payload({ session_id: 'x'.repeat(201) }), NOW).error, /session_id/);
+    assert.match(inbox.put(payload({ task: '' }), NOW).error, /task/);
+    assert.match(inbox.put(payload({ phase: 'hacking' }), NOW).error, /phase/);
+    assert.equal(inbox.size, 0);
+  });
+
+  it('should replace a session on every push', () => {
+    const inbox = new ContextInbox();
+    inbox.put(payload(), NOW);
+    inbox.put(payload({ blocked: true }), NOW + 1000);
+    const entries = inbox.entries(NOW + 1000);
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].context.blocked, true);
+  });
+
+  it('should keep schema v2 fields', () => {
+    const inbox = new ContextInbox();
+    inbox.put(payload({ version: 2, subagents: 3 }), NOW);
+    assert.equal(inbox.entries(NOW)[0].context.subagents, 3);
+  });
+
+  it('should remove a session', () => {
+    const inbox = new ContextInbox();
+    inbox.put(payload(), NOW);
+    assert.equal(inbox.remove('remote-1'), true);
+    assert.equal(inbox.remove('remote-1'), false);
+    assert.deepEqual(inbox.entries(NOW), []);
+  });
+
+  it('should mark old pushes stale and forget them after the TTL', () => {
+    const inbox = new ContextInbox({ ttlMs: STALE_THRESHOLD_MS * 2 });
+    inbox.put(payload(), NOW);
+    assert.equal(inbox.entries(NOW + STALE_THRESHOLD_MS + 1)[0].context.stale, true);
+    assert.deepEqual(inbox.entries(NOW + STALE_THRESHOLD_MS * 2 + 1), []);
+    assert.equal(inbox.size, 0);
+  });
+
+  it('should evict the least recently pushed session beyond maxEntries', () => {
+    const inbox = new ContextInbox({ maxEntries: 2 });
+    inbox.put(payload({ session_id: 'a' }), NOW);
+    inbox.put(payload({ session_id: 'b' }), NOW);
+    inbox.put(payload({ session_id: 'a' }), NOW); // refreshes a
+    inbox.put(payload({ session_id: 'c' }), NOW);
+    assert.deepEqual(inbox.entries(NOW).map(e => e.identity.sessionId).sort(), ['a', 'c']);
+  });
+});
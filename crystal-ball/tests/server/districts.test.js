@@ -0,0 +1,113 @@
+// tests/server/districts.test.js
+// Unit tests for district inference: common ancestors, rule parsing and
+// grouping neighborhoods into divisions.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { commonAncestor, parseDistrictRules, loadDistrictRules, inferDivisions } from '../../server/districts.js';
+
+const g = (id, cwd) => ({ id, cwd });
+
+describe('commonAncestor', () => {
+  it('should find the nearest shared directory', () => {
+    assert.equal(commonAncestor(['/home/u/work/api', '/home/u/work/web/src']), '/home/u/work');
+    assert.equal(commonAncestor(['/home/u/work/api']), '/home/u/work/api');
+    assert.equal(commonAncestor(['/home/u/a', '/srv/b']), '/');
+    assert.equal(commonAncestor(['/home/u/ab', '/home/u/abc']), '/home/u');
+    assert.equal(commonAncestor([]), '/');
+  });
+});
+
+describe('parseDistrictRules', () => {
+  it('should expand ~ and resolve paths', () => {
+    assert.deepEqual(parseDistrictRules({ districts: [{ name: ' clients ', paths: ['~/work/acme', '/srv/globex/'] }] }, '/home/u'), [
+      { name: 'clients', paths: ['/home/u/work/acme', '/srv/globex'] },
+    ]);
+  });
+
+  it('should reject malformed entries', () => {
+    assert.throws(() => parseDistrictRules({}), /must be an array/);
+    assert.throws(() => parseDistrictRules({ districts: [{ name: '', paths: ['/a'] }] }), /name/);
+    assert.throws(() => parseDistrictRules({ districts: [{ name: 'x', paths: [] }] }), /paths/);
+    assert.throws(() => parseDistrictRules({ districts: [{ name: 'x', paths: ['relative/dir'] }] }), /absolute/);
+  });
+});
+
+describe('loadDistrictRules', () => {
+  it('should return no rules for a missing or invalid file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cb-districts-'));
+    try {
+      assert.deepEqual(await loadDistrictRules(join(dir, 'missing.json')), []);
+      await writeFile(join(dir, 'bad.json'), '{ "districts": 3 }');
+      assert.deepEqual(await loadDistrictRules(join(dir, 'bad.json')), []);
+      await writeFile(join(dir, 'ok.json'), '{ "districts": [{ "name": "oss", "paths": ["/src/oss"] }] }');
+      assert.deepEqual(await loadDistrictRules(join(dir, 'ok.json')), [{ name: 'oss', paths: ['/src/oss'] }]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('inferDivisions', () => {
+  it('should put groups with the same parent directory in one district', () => {
+    assert.deepEqual(inferDivisions([
+      g('api', '/home/u/work/api'),
+      g('lib', '/home/u/oss/lib'),
+      g('web', '/home/u/work/web'),
+    ]), [
+      { id: 'oss', common_path: '/home/u/oss', group_ids: ['lib'], rule: false },
+      { id: 'work', common_path: '/home/u/work', group_ids: ['api', 'web'], rule: false },
+    ]);
+  });
+
+  it('should cluster groups by their nearest common ancestor below home', () => {
+    const home = { home: '/home/u' };
+    assert.deepEqual(inferDivisions([
+      g('a', '/home/u/work/team/a'),
+      g('b', '/home/u/work/b'),
+      g('lib', '/home/u/oss/lib'),
+      g('dots', '/home/u/dotfiles'),
+    ], [], home), [
+      { id: 'oss', common_path: '/home/u/oss', group_ids: ['lib'], rule: false },
+      { id: 'u', common_path: '/home/u', group_ids: ['dots'], rule: false },
+      { id: 'work', common_path: '/home/u/work', group_ids: ['a', 'b'], rule: false },
+    ]);
+    // A lone group's district is the directory its checkout sits in
+    assert.deepEqual(inferDivisions([g('a', '/home/u/work/team/a')], [], home).map(d => d.id), ['team']);
+  });
+
+  it('should treat other machines\' home directories as a floor too', () => {
+    const ids = inferDivisions([g('x', '/Users/bob/work/x'), g('y', '/Users/bob/oss/y')], [], { home: '/home/u' }).map(d => d.id);
+    assert.deepEqual(ids, ['oss', 'work']);
+  });
+
+  it('should use the full path when two parent directories share a name', () => {
+    const ids = inferDivisions([g('a', '/home/u/work/a'), g('b', '/srv/work/b')]).map(d => d.id);
+    assert.deepEqual(ids, ['/home/u/work', '/srv/work']);
+  });
+
+  it('should let the first matching rule win over inference', () => {
+    const rules = [
+      { name: 'clients', paths: ['/home/u/work/acme', '/srv/globex'] },
+      { name: 'acme-only', paths: ['/home/u/work/acme'] },
+      { name: 'work', paths: ['/nowhere'] }, // matches nothing, so doesn't reserve its name
+    ];
+    assert.deepEqual(inferDivisions([
+      g('acme', '/home/u/work/acme'),
+      g('globex', '/srv/globex/app'),
+      g('web', '/home/u/work/web'),
+    ], rules), [
+      { id: 'clients', common_path: '/', group_ids: ['acme', 'globex'], rule: true },
+      { id: 'work', common_path: '/home/u/work', group_ids: ['web'], rule: false },
+    ]);
+  });
+
+  it('should not let an inferred district take the name of a rule district', () => {
+    const rules = [{ name: 'work', paths: ['/srv/globex'] }];
+    const ids = inferDivisions([g('globex', '/srv/globex'), g('web', '/home/u/work/web')], rules).map(d => d.id);
+    assert.deepEqual(ids, ['/home/u/work', 'work']);
+  });
+});
@@ -0,0 +1,92 @@
+// tests/server/editor.test.js
+// Tests for the editor command template and launcher.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import {
+  EditorLauncher, expandEnv, splitCommand, buildEditorArgv, lastTouchedFile, fileWithin,
+} from '../../server/editor.js';
+
+const TARGET = { path: '/home/ada/My Project/src/app.js', cwd: '/home/ada/My Project' };
+
+describe('expandEnv', () => {
+  it('should expand $NAME and ${NAME}, unset as empty', () => {
+    const env = { EDITOR: 'vim', HOME: '/home/ada' };
+    assert.equal(expandEnv('$EDITOR ${HOME}/x $NOPE', env), 'vim /home/ada/x ');
+  });
+});
+
+describe('splitCommand', () => {
+  it('should split on whitespace and honour quotes', () => {
+    assert.deepEqual(splitCommand(`open -a "Sublime Text" '{path}'`), ['open', '-a', 'Sublime Text', '{path}']);
+    assert.deepEqual(splitCommand('   '), []);
+  });
+});
+
+describe('buildEditorArgv', () => {
+  it('should substitute {path} and {cwd} per argument', () => {
+    assert.deepEqual(buildEditorArgv('code {cwd} --goto {path}', TARGET), ['code', TARGET.cwd, '--goto', TARGET.path]);
+    assert.deepEqual(buildEditorArgv('idea --line 1 {path}', TARGET), ['idea', '--line', '1', TARGET.path]);
+  });
+
+  it('should append the path when the template has no placeholder', () => {
+    assert.deepEqual(buildEditorArgv('$EDITOR', TARGET, { EDITOR: 'subl -n' }), ['subl', '-n', TARGET.path]);
+  });
+
+  it('should reject a template that expands to nothing', () => {
+    assert.throws(() => buildEditorArgv('$EDITOR', TARGET, {}), /empty/);
+  });
+});
+
+describe('lastTouchedFile', () => {
+  it('should prefer the newest write over the newest read', () => {
+    assert.equal(lastTouchedFile({ files: { read: ['/p/a.js'], written: ['/p/b.js', '/p/c.js'] } }), '/p/b.js');
+    assert.equal(lastTouchedFile({ files: { read: ['/p/a.js'], written: [] } }), '/p/a.js');
+    assert.equal(lastTouchedFile({ files: { read: [], written: [] } }), null);
+    assert.equal(lastTouchedFile(null), null);
+  });
+});
+
+describe('fileWithin', () => {
+  it('should resolve files inside the directory', () => {
+    assert.equal(fileWithin('/p', '/p/src/a.js'), '/p/src/a.js');
+    assert.equal(fileWithin('/p', 'src/a.js'), '/p/src/a.js');
+  });
+
+  it('should refuse files outside it, and the directory itself', () => {
+    assert.equal(fileWithin('/p', '/etc/passwd'), null);
+    assert.equal(fileWithin('/p', '../q/a.js'), null);
+    assert.equal(fileWithin('/p', '/p-other/a.js'), null);
+    assert.equal(fileWithin('/p', '/p'), null);
+  });
+});
+
+describe('EditorLauncher', () => {
+  function fakeSpawn(event, error) {
+    const calls = [];
+    const spawn = (command, args, opts) => {
+      calls.push({ command, args, opts });
+      const child = Object.assign(new EventEmitter(), { unrefed: false, unref() { this.unrefed = true; } });
+      setImmediate(() => child.emit(event, error));
+      calls.at(-1).child = child;
+      return child;
+    };
+    return { calls, spawn };
+  }
+
+  it('should spawn the editor detached in the project directory', async () => {
+    const { calls, spawn } = fakeSpawn('spawn');
+    const argv = await new EditorLauncher({ template: 'code {path}', spawn }).open(TARGET);
+    assert.deepEqual(argv, ['code', TARGET.path]);
+    assert.equal(calls[0].command, 'code');
+    assert.deepEqual(calls[0].args, [TARGET.path]);
+    assert.deepEqual(calls[0].opts, { cwd: TARGET.cwd, detached: true, stdio: 'ignore' });
+    assert.ok(calls[0].child.unrefed);
+  });
+
+  it('should reject when the editor is not installed', async () => {
+    const { spawn } = fakeSpawn('error', Object.assign(new Error('spawn nope ENOENT'), { code: 'ENOENT' }));
+    await assert.rejects(new EditorLauncher({ template: 'nope', spawn }).open(TARGET), /ENOENT/);
+  });
+});
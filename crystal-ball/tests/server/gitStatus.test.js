@@ -0,0 +1,143 @@
+// tests/server/gitStatus.test.js
+// Unit tests for the background git status worker: porcelain and log
+// parsing, and the one-repository-per-tick rate limit.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStatus, parseLog, collectGitStatus, combineGitStatus, GitStatusWorker } from '../../server/gitStatus.js';
+
+const NOW = Date.parse('2026-01-01T12:00:00Z');
+const sec = (ms) => Math.floor(ms / 1000);
+
+const STATUS = [
+  '# branch.oid 1111111111111111111111111111111111111111',
+  '# branch.head main',
+  '# branch.upstream origin/main',
+  '# branch.ab +2 -1',
+  '1 .M N... 100644 100644 100644 aaa bbb src/a.js',
+  '2 R. N... 100644 100644 100644 aaa bbb R100 src/b.js\tsrc/old-b.js',
+  'u UU N... 100644 100644 100644 100644 aaa bbb ccc src/c.js',
+  '? notes.txt',
+  '! build/',
+  '',
+].join('\n');
+
+const LOG = [
+  `${sec(NOW - 60_000)}\t${sec(NOW - 120_000)}\tFix fees\twith a tab`,
+  `${sec(NOW - 600_000)}\t${sec(NOW - 7_200_000)}\tRebased old work`,
+  `${sec(NOW - 9_000_000)}\t${sec(NOW - 9_000_000)}\tInitial commit`,
+  '',
+].join('\n');
+
+/** Fake git answering status and log, recording the root of every status. */
+function fakeGit(calls = [], { status = STATUS, log = LOG } = {}) {
+  return async (args) => {
+    const root = args[args.indexOf('-C') + 1];
+    const cmd = args[args.indexOf('-C') + 2];
+    if (cmd === 'status') {
+      calls.push(root);
+      if (status instanceof Error) throw status;
+      return status;
+    }
+    if (cmd === 'log') {
+      if (log instanceof Error) throw log;
+      return log;
+    }
+    throw new Error(`unexpected git ${cmd}`);
+  };
+}
+
+describe('parseStatus', () => {
+  it('should read branch, upstream, ahead/behind and count changed files', () => {
+    assert.deepEqual(parseStatus(STATUS), { branch: 'main', upstream: 'origin/main', ahead: 2, behind: 1, dirty: 4 });
+  });
+
+  it('should handle a detached head without upstream', () => {
+    assert.deepEqual(parseStatus('# branch.oid abc\n# branch.head (detached)\n'), {
+      branch: null, upstream: null, ahead: null, behind: null, dirty: 0,
+    });
+  });
+});
+
+describe('parseLog', () => {
+  it('should take the newest commit and count commits authored in the last hour', () => {
+    assert.deepEqual(parseLog(LOG, NOW), {
+      last_commit: { subject: 'Fix fees\twith a tab', at: new Date(sec(NOW - 60_000) * 1000).toISOString() },
+      commits_last_hour: 1,
+    });
+  });
+
+  it('should handle an empty history', () => {
+    assert.deepEqual(parseLog('', NOW), { last_commit: null, commits_last_hour: 0 });
+  });
+});
+
+describe('collectGitStatus', () => {
+  it('should combine status and log without taking optional locks', async () => {
+    const seen = [];
+    const run = async (args) => { seen.push(args); return fakeGit()(args); };
+    const status = await collectGitStatus('/src/shop', run, NOW);
+    assert.equal(status.dirty, 4);
+    assert.equal(status.commits_last_hour, 1);
+    assert.equal(status.checked_at, new Date(NOW).toISOString());
+    assert.equal(seen[0][0], '--no-optional-locks');
+  });
+
+  it('should tolerate a repository without commits and fail on a broken one', async () => {
+    const empty = await collectGitStatus('/src/new', fakeGit([], { log: new Error('no commits') }), NOW);
+    assert.equal(empty.last_commit, null);
+    assert.equal(await collectGitStatus('/gone', fakeGit([], { status: new Error('not a repo') }), NOW), null);
+  });
+});
+
+describe('combineGitStatus', () => {
+  it('should take the main checkout\'s status and sum dirty files over all', () => {
+    const main = { branch: 'main', ahead: 0, dirty: 1 };
+    const worktree = { branch: 'fix', ahead: 2, dirty: 5 };
+    assert.deepEqual(combineGitStatus([main, worktree, null]), { branch: 'main', ahead: 0, dirty: 6 });
+    assert.deepEqual(combineGitStatus([null, worktree]), worktree);
+    assert.equal(combineGitStatus([null]), null);
+  });
+});
+
+describe('GitStatusWorker', () => {
+  it('should refresh one repository per tick, oldest first, once per refresh interval', async () => {
+    const calls = [];
+    let now = NOW;
+    const worker = new GitStatusWorker({ run: fakeGit(calls), refreshMs: 30_000, now: () => now });
+    worker.watch(['/a', '/b']);
+    assert.equal(worker.get('/a'), null);
+
+    assert.equal(await worker.tick(), '/a');
+    assert.equal(await worker.tick(), '/b');
+    assert.equal(await worker.tick(), null);
+    assert.equal(worker.get('/a').dirty, 4);
+
+    now += 30_000;
+    assert.equal(await worker.tick(), '/a');
+    assert.deepEqual(calls, ['/a', '/b', '/a']);
+    assert.deepEqual(worker.stats(), { repos: 2, checked: 2, runs: 3, errors: 0 });
+  });
+
+  it('should not overlap refreshes', async () => {
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const run = async (args) => { await gate; return fakeGit()(args); };
+    const worker = new GitStatusWorker({ run, now: () => NOW });
+    worker.watch(['/a', '/b']);
+    const first = worker.tick();
+    assert.equal(await worker.tick(), null);
+    release();
+    assert.equal(await first, '/a');
+  });
+
+  it('should forget repositories no longer watched and count failures', async () => {
+    const worker = new GitStatusWorker({ run: fakeGit([], { status: new Error('boom') }), now: () => NOW });
+    worker.watch(['/a']);
+    await worker.tick();
+    assert.equal(worker.get('/a'), null);
+    assert.equal(worker.stats().errors, 1);
+    worker.watch([]);
+    assert.deepEqual(worker.stats(), { repos: 0, checked: 0, runs: 1, errors: 1 });
+  });
+});
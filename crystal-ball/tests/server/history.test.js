@@ -0,0 +1,206 @@
+// tests/server/history.test.js
+// Tests for the on-disk snapshot history (segments, downsampling, queries).
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  SnapshotHistory,
+  segmentName,
+  snapshotSignature,
+  parseTimeParam,
+  filterRecord,
+  thinRecords,
+  limitRecords,
+} from '../../server/history.js';
+
+const T0 = Date.UTC(2026, 1, 6, 14, 0, 0); // 2026-02-06 14:00 UTC
+
+function snap(ms, sessions) {
+  return {
+    timestamp: new Date(ms).toISOString(),
+    sessions,
+    groups: [...new Set(sessions.map(s => s.group))].map(id => ({ id })),
+    metrics: { awaitingAgentMinutes: 1.5, longestWait: null, blockedCount: 0 },
+  };
+}
+
+const A_ACTIVE = { id: 'claude-1', group: 'alpha', state: 'active', cpu: 40 };
+const A_IDLE = { id: 'claude-1', group: 'alpha', state: 'idle', cpu: 0 };
+const B_ACTIVE = { id: 'claude-2', group: 'beta', state: 'active', cpu: 20 };
+
+describe('history pure helpers', () => {
+  it('segmentName() should use the UTC day', () => {
+    assert.equal(segmentName(T0), '2026-02-06.jsonl');
+  });
+
+  it('snapshotSignature() should ignore CPU noise', () => {
+    const a = snapshotSignature({ sessions: [{ ...A_ACTIVE, cpu: 10 }] });
+    const b = snapshotSignature({ sessions: [{ ...A_ACTIVE, cpu: 90 }] });
+    assert.equal(a, b);
+  });
+
+  it('snapshotSignature() should change with state or phase', () => {
+    const base = snapshotSignature({ sessions: [A_ACTIVE] });
+    assert.notEqual(base, snapshotSignature({ sessions: [A_IDLE] }));
+    assert.notEqual(base, snapshotSignature({ sessions: [{ ...A_ACTIVE, context: { phase: 'testing' } }] }));
+  });
+
+  it('parseTimeParam() should accept epoch ms and ISO strings', () => {
+    assert.equal(parseTimeParam('1000', 0), 1000);
+    assert.equal(parseTimeParam(new Date(T0).toISOString(), 0), T0);
+    assert.equal(parseTimeParam(undefined, 42), 42);
+    assert.ok(isNaN(parseTimeParam('garbage', 0)));
+  });
+
+  it('filterRecord() should keep only matching sessions and groups', () => {
+    const r = filterRecord(snap(T0, [A_ACTIVE, B_ACTIVE]), { group: 'beta' });
+    assert.equal(r.sessions.length, 1);
+    assert.equal(r.groups.length, 1);
+    assert.equal(r.groups[0].id, 'beta');
+    assert.equal(filterRecord(snap(T0, [A_ACTIVE]), { session: 'claude-9' }), null);
+  });
+
+  it('filterRecord() should keep districts with a matching group', () => {
+    const record = {
+      ...snap(T0, [A_ACTIVE, B_ACTIVE]),
+      divisions: [
+        { id: 'work', common_path: '/w', group_ids: ['alpha', 'beta'], rule: false },
+        { id: 'oss', common_path: '/o', group_ids: ['gamma'], rule: false },
+      ],
+    };
+    assert.deepEqual(filterRecord(record, { group: 'beta' }).divisions, [
+      { id: 'work', common_path: '/w', group_ids: ['beta'], rule: false },
+    ]);
+    assert.equal(filterRecord(snap(T0, [A_ACTIVE]), { group: 'alpha' }).divisions, undefined);
+  });
+
+  it('thinRecords() should keep change records and space out samples', () => {
+    const records = [
+      { t: 0, reason: 'change' },
+      { t: 60_000, reason: 'sample' },
+      { t: 120_000, reason: 'sample' },
+      { t: 130_000, reason: 'change' },
+      { t: 400_000, reason: 'sample' },
+      { t: 430_000, reason: 'sample' },
+    ];
+    const kept = thinRecords(records, 300_000).map(r => r.t);
+    assert.deepEqual(kept, [0, 130_000, 430_000]);
+  });
+
+  it('limitRecords() should keep first and last', () => {
+    const records = Array.from({ length: 10 }, (_, i) => i);
+    const out = limitRecords(records, 3);
+    assert.deepEqual(out, [0, 5, 9]);
+  });
+});
+
+describe('SnapshotHistory', () => {
+  let dir;
+  let history;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'cb-history-test-'));
+    history = new SnapshotHistory({ dir, sampleIntervalMs: 60_000 });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should write the first snapshot and skip unchanged ones within the interval', async () => {
+    assert.equal(await history.record(snap(T0, [A_ACTIVE])), true);
+    assert.equal(await history.record(snap(T0 + 2_000, [{ ...A_ACTIVE, cpu: 55 }])), false);
+    const { count } = await history.query({ from: T0 - 1, to: T0 + 10_000 });
+    assert.equal(count, 1);
+  });
+
+  it('should write immediately on a state change', async () => {
+    await history.record(snap(T0, [A_ACTIVE]));
+    assert.equal(await history.record(snap(T0 + 2_000, [A_IDLE])), true);
+    const { snapshots } = await history.query({ from: T0, to: T0 + 10_000 });
+    assert.deepEqual(snapshots.map(s => s.reason), ['change', 'change']);
+  });
+
+  it('should write a keyframe once the sample interval has elapsed', async () => {
+    await history.record(snap(T0, [A_ACTIVE]));
+    assert.equal(await history.record(snap(T0 + 61_000, [A_ACTIVE])), true);
+    const { snapshots } = await history.query({ from: T0, to: T0 + 120_000 });
+    assert.equal(snapshots[1].reason, 'sample');
+  });
+
+  it('should query by time range and session', async () => {
+    await history.record(snap(T0, [A_ACTIVE, B_ACTIVE]));
+    await history.record(snap(T0 + 5_000, [A_IDLE, B_ACTIVE]));
+    await history.record(snap(T0 + 10_000, [A_ACTIVE, B_ACTIVE]));
+
+    const ranged = await history.query({ from: T0 + 1_000, to: T0 + 6_000 });
+    assert.equal(ranged.count, 1);
+
+    const bySession = await history.query({ from: T0, to: T0 + 60_000, session: 'claude-2' });
+    assert.equal(bySession.count, 3);
+    assert.ok(bySession.snapshots.every(s => s.sessions.length === 1 && s.sessions[0].id === 'claude-2'));
+  });
+
+  it('should span multiple day segments', async () => {
+    await history.record(snap(T0, [A_ACTIVE]));
+    await history.record(snap(T0 + 24 * 3_600_000, [A_IDLE]));
+    const files = await readdir(dir);
+    assert.ok(files.includes('2026-02-06.jsonl'));
+    assert.ok(files.includes('2026-02-07.jsonl'));
+    const { count } = await history.query({ from: T0, to: T0 + 25 * 3_600_000 });
+    assert.equal(count, 2);
+  });
+
+  it('should return the latest record for restoring counters', async () => {
+    await history.record(snap(T0, [A_ACTIVE]));
+    await history.record(snap(T0 + 5_000, [A_IDLE]));
+    const latest = await history.latest();
+    assert.equal(latest.t, T0 + 5_000);
+    assert.equal(latest.metrics.awaitingAgentMinutes, 1.5);
+  });
+
+  it('should skip corrupt lines', async () => {
+    await writeFile(join(dir, '2026-02-06.jsonl'), `${JSON.stringify({ t: T0, reason: 'change', sessions: [] })}\n{"t":12`);
+    const { count } = await history.query({ from: T0 - 1, to: T0 + 1 });
+    assert.equal(count, 1);
+  });
+
+  it('should delete segments past retention and compact older ones', async () => {
+    const h = new SnapshotHistory({ dir, retentionDays: 3, compactAfterDays: 1, compactIntervalMs: 300_000 });
+    const old = T0 - 5 * 24 * 3_600_000;
+    const mid = T0 - 2 * 24 * 3_600_000;
+    await writeFile(join(dir, segmentName(old)), JSON.stringify({ t: old, reason: 'change' }) + '\n');
+    const midLines = [
+      { t: mid, reason: 'change' },
+      { t: mid + 60_000, reason: 'sample' },
+      { t: mid + 120_000, reason: 'sample' },
+      { t: mid + 180_000, reason: 'change' },
+    ].map(r => JSON.stringify(r)).join('\n') + '\n';
+    await writeFile(join(dir, segmentName(mid)), midLines);
+
+    await h.maintain(T0);
+    const files = (await readdir(dir)).sort();
+    assert.deepEqual(files, [segmentName(mid).replace('.jsonl', '.c.jsonl')]);
+
+    const { snapshots } = await h.query({ from: mid, to: mid + 3_600_000 });
+    assert.deepEqual(snapshots.map(s => s.t), [mid, mid + 180_000]);
+  });
+
+  it('should compact during the day, not only at rollover', async () => {
+    const h = new SnapshotHistory({ dir, compactAfterDays: 0.75, compactIntervalMs: 300_000 });
+    const yesterday = T0 - 24 * 3_600_000;
+    await writeFile(join(dir, segmentName(yesterday)), JSON.stringify({ t: yesterday, reason: 'change' }) + '\n');
+
+    // 14:00: yesterday ended 14h ago, too recent to compact (18h)
+    await h.maintain(T0);
+    await h.record(snap(T0, [A_ACTIVE]));
+    assert.ok((await readdir(dir)).includes(segmentName(yesterday)));
+
+    // 19:00, same day: maintenance runs again while recording
+    await h.record(snap(T0 + 5 * 3_600_000, [A_IDLE]));
+    assert.ok((await readdir(dir)).includes(segmentName(yesterday).replace('.jsonl', '.c.jsonl')));
+  });
+});
@@ -0,0 +1,101 @@
+// tests/server/host.test.js
+// Tests for terminal host detection (tmux, screen, editors, terminals).
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectHost, detectHosts, parseTmuxPanes, tmuxHost, TMUX_PANE_FORMAT,
+} from '../../server/discovery/host.js';
+
+/** pid -> process map from [pid, ppid, command, tty?] rows. */
+function table(rows) {
+  return new Map(rows.map(([pid, ppid, command, tty = 'detached']) => [pid, { pid, ppid, command, tty }]));
+}
+
+const PANE = { paneId: '%7', session: 'work', windowIndex: 2, windowName: 'logs', paneIndex: 1 };
+
+describe('parseTmuxPanes()', () => {
+  it('should parse tab-separated list-panes output keyed by pane pid', () => {
+    const panes = parseTmuxPanes('4100\t%7\twork\t2\tlogs\t1\n4200\t%8\tops\t0\tmy window\t0\n\n');
+    assert.deepEqual(panes.get(4100), PANE);
+    assert.equal(panes.get(4200).windowName, 'my window');
+  });
+
+  it('should skip malformed lines', () => {
+    assert.equal(parseTmuxPanes('garbage\n4100\t%7\n').size, 0);
+  });
+
+  it('should ask for the fields it parses', () => {
+    assert.equal(TMUX_PANE_FORMAT.split('\t').length, 6);
+  });
+});
+
+describe('detectHost()', () => {
+  it('should find the tmux pane whose shell is an ancestor', () => {
+    const procs = table([[10, 1, 'tmux: server'], [11, 10, '-zsh', 'pts/3'], [12, 11, 'claude', 'pts/3']]);
+    assert.deepEqual(detectHost(12, procs, new Map([[11, PANE]])), tmuxHost(PANE));
+  });
+
+  it('should match a session that is itself the pane process', () => {
+    const procs = table([[10, 1, 'tmux: server'], [11, 10, 'claude', 'pts/3']]);
+    assert.equal(detectHost(11, procs, new Map([[11, PANE]])).name, 'work');
+  });
+
+  it('should still say tmux when the pane list is unavailable', () => {
+    const procs = table([[10, 1, 'tmux: server'], [11, 10, 'bash'], [12, 11, 'claude', 'pts/3']]);
+    assert.deepEqual(detectHost(12, procs), { kind: 'tmux', name: null, detail: null });
+  });
+
+  it('should prefer the nearest host (tmux inside a VS Code terminal)', () => {
+    const procs = table([
+      [5, 1, '/usr/share/code/code --type=ptyHost'], [6, 5, 'bash'], [10, 6, 'tmux'], [11, 10, 'bash'], [12, 11, 'claude'],
+    ]);
+    assert.equal(detectHost(12, procs, new Map([[11, PANE]])).kind, 'tmux');
+    assert.deepEqual(detectHost(6, procs), { kind: 'vscode', name: 'VS Code', detail: null });
+  });
+
+  it('should recognise screen, editors, SSH and terminal emulators', () => {
+    const cases = [
+      ['SCREEN -S build', { kind: 'screen', name: 'build' }],
+      ['/Applications/Cursor.app/Contents/Frameworks/Cursor Helper (Plugin).app/Contents/MacOS/Cursor Helper (Plugin)', { kind: 'vscode', name: 'Cursor' }],
+      ['/home/u/.vscode-server/bin/abc/node /home/u/.vscode-server/bin/abc/out/server-main.js', { kind: 'vscode', name: 'VS Code' }],
+      ['/opt/pycharm/bin/pycharm.sh', { kind: 'jetbrains', name: 'PyCharm' }],
+      ['/Applications/IntelliJ IDEA.app/Contents/MacOS/idea', { kind: 'jetbrains', name: 'IntelliJ IDEA' }],
+      ['sshd: tomek@pts/2', { kind: 'ssh', name: 'tomek@pts/2' }],
+      ['/Applications/iTerm.app/Contents/MacOS/iTerm2', { kind: 'terminal', name: 'iTerm2' }],
+      ['/usr/libexec/gnome-terminal-server', { kind: 'terminal', name: 'GNOME Terminal' }],
+    ];
+    for (const [command, expected] of cases) {
+      const procs = table([[20, 1, command], [21, 20, 'bash'], [22, 21, 'claude', 'pts/9']]);
+      const host = detectHost(22, procs);
+      assert.deepEqual({ kind: host.kind, name: host.name }, expected, command);
+      assert.equal(host.detail, 'pts/9', command);
+    }
+  });
+
+  it('should report unknown with the tty when nothing matches', () => {
+    const procs = table([[30, 1, '/usr/lib/systemd/systemd --user'], [31, 30, 'claude', 'pts/1']]);
+    assert.deepEqual(detectHost(31, procs), { kind: 'unknown', name: null, detail: 'pts/1' });
+    assert.deepEqual(detectHost(99, procs), { kind: 'unknown', name: null, detail: null });
+  });
+
+  it('should stop on a ppid cycle', () => {
+    const procs = table([[40, 41, 'bash'], [41, 40, 'bash'], [42, 40, 'claude']]);
+    assert.equal(detectHost(42, procs).kind, 'unknown');
+  });
+});
+
+describe('detectHosts()', () => {
+  it('should only list tmux panes when a tmux server is running', async () => {
+    let asked = 0;
+    const listPanes = async () => { asked++; return new Map([[11, PANE]]); };
+
+    const plain = [{ pid: 12, ppid: 1, command: 'claude' }];
+    assert.equal((await detectHosts(plain, [12], { listPanes })).get(12).kind, 'unknown');
+    assert.equal(asked, 0);
+
+    const tmux = [{ pid: 10, ppid: 1, command: 'tmux: server' }, { pid: 11, ppid: 10, command: 'bash' }, ...plain.map(p => ({ ...p, ppid: 11 }))];
+    assert.equal((await detectHosts(tmux, [12], { listPanes })).get(12).pane, '%7');
+    assert.equal(asked, 1);
+  });
+});
@@ -0,0 +1,114 @@
+// tests/server/layout.test.js
+// Unit tests for the village layout store: validation, tile conflicts and
+// persistence across restarts.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { LayoutStore, parseBuildingSpot, MAX_LAYOUT_BUILDINGS, LAYOUT_TOUCH_MS } from '../../server/layout.js';
+
+async function withDir(fn) {
+  const dir = await mkdtemp(join(tmpdir(), 'cb-layout-'));
+  try {
+    await fn(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+describe('parseBuildingSpot', () => {
+  it('should accept integer tiles and a building type', () => {
+    assert.deepEqual(parseBuildingSpot({ x: -6, z: 4, type: 'LumberCamp', extra: 1 }), { x: -6, z: 4, type: 'LumberCamp' });
+  });
+
+  it('should reject anything else', () => {
+    assert.throws(() => parseBuildingSpot({ x: 1.5, z: 0, type: 'Forge' }), /integer/);
+    assert.throws(() => parseBuildingSpot({ x: 1, type: 'Forge' }), /integer/);
+    assert.throws(() => parseBuildingSpot({ x: 1, z: 2, type: '<b>' }), /type/);
+    assert.throws(() => parseBuildingSpot(null), /integer/);
+  });
+});
+
+describe('LayoutStore', () => {
+  it('should keep the seed and spots across a restart', async () => {
+    await withDir(async (dir) => {
+      const path = join(dir, 'layout.json');
+      const first = await LayoutStore.load(path);
+      assert.deepEqual(first.get().buildings, {});
+      assert.deepEqual(await first.place('shop', { x: 2, z: -3, type: 'Forge' }), { ok: true, spot: { x: 2, z: -3, type: 'Forge' } });
+
+      const second = await LayoutStore.load(path);
+      assert.deepEqual(second.get(), { seed: first.get().seed, buildings: { shop: { x: 2, z: -3, type: 'Forge' } } });
+    });
+  });
+
+  it('should keep repository group IDs across a restart', async () => {
+    await withDir(async (dir) => {
+      const path = join(dir, 'layout.json');
+      const first = await LayoutStore.load(path);
+      assert.equal(first.knownRepoIds().size, 0);
+      await first.rememberRepoIds(new Map([['github.com/acme/shop', 'shop'], ['/other/shop', 'other/shop']]));
+
+      const second = await LayoutStore.load(path);
+      assert.deepEqual([...second.knownRepoIds()], [['github.com/acme/shop', 'shop'], ['/other/shop', 'other/shop']]);
+      assert.equal(second.get().repos, undefined);
+    });
+  });
+
+  it('should refuse a tile held by another group and let a group move', async () => {
+    const store = new LayoutStore({ seed: 1 });
+    await store.place('shop', { x: 2, z: 2, type: 'Forge' });
+    const taken = await store.place('blog', { x: 2, z: 2, type: 'Farm' });
+    assert.equal(taken.ok, false);
+    assert.equal(taken.status, 409);
+    assert.equal((await store.place('shop', { x: 5, z: 5, type: 'Market' })).ok, true);
+    assert.equal((await store.place('blog', { x: 2, z: 2, type: 'Farm' })).ok, true);
+    assert.equal((await store.place('', { x: 0, z: 0, type: 'Farm' })).status, 400);
+  });
+
+  it('should forget the building unused longest beyond the limit', async () => {
+    const buildings = new Map();
+    for (let i = 0; i < MAX_LAYOUT_BUILDINGS; i++) {
+      const at = new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString();
+      buildings.set(`g${i}`, { x: i, z: 0, type: 'Farm', at, used: at });
+    }
+    const store = new LayoutStore({ seed: 1, buildings });
+    // g0 was placed first but is still on the map
+    await store.touch(['g0'], Date.UTC(2026, 5, 1));
+    await store.place('new', { x: 0, z: 9, type: 'Farm' });
+    const ids = Object.keys(store.get().buildings);
+    assert.equal(ids.length, MAX_LAYOUT_BUILDINGS);
+    assert.ok(ids.includes('g0') && !ids.includes('g1') && ids.includes('new'));
+  });
+
+  it('should save last use at most once per touch interval', async () => {
+    await withDir(async (dir) => {
+      const path = join(dir, 'layout.json');
+      const store = await LayoutStore.load(path);
+      await store.place('shop', { x: 0, z: 0, type: 'Forge' });
+      const placed = JSON.parse(await readFile(path, 'utf8')).buildings.shop.used;
+
+      await store.touch(['shop', 'unknown'], Date.parse(placed) + 1000);
+      assert.equal(JSON.parse(await readFile(path, 'utf8')).buildings.shop.used, placed);
+      const later = Date.parse(placed) + LAYOUT_TOUCH_MS;
+      await store.touch(['shop'], later);
+      assert.equal(JSON.parse(await readFile(path, 'utf8')).buildings.shop.used, new Date(later).toISOString());
+    });
+  });
+
+  it('should skip bad entries and start over from an unreadable file', async () => {
+    await withDir(async (dir) => {
+      const path = join(dir, 'layout.json');
+      await writeFile(path, JSON.stringify({ seed: 42, buildings: { ok: { x: 1, z: 1, type: 'Farm' }, bad: { x: 'a' } } }));
+      assert.deepEqual((await LayoutStore.load(path)).get(), { seed: 42, buildings: { ok: { x: 1, z: 1, type: 'Farm' } } });
+
+      await writeFile(path, '{ not json');
+      const fresh = await LayoutStore.load(path);
+      assert.equal(Number.isInteger(fresh.get().seed), true);
+      await fresh.place('shop', { x: 0, z: 0, type: 'Forge' });
+      assert.equal(JSON.parse(await readFile(path, 'utf8')).buildings.shop.type, 'Forge');
+    });
+  });
+});
@@ -1,9 +1,17 @@
 // tests/server/linux-discovery.test.js
-// Tests for Linux process discovery pure functions.
+// Tests for Linux process discovery: pure /proc parsers and a fake /proc tree.
 
-import { describe, it } from 'node:test';
+import { describe, it, before, after } from 'node:test';
 import assert from 'node:assert/strict';
-import { parsePsOutput, filterClaudeProcesses, detectChildren, readProcCwds } from '../../server/discovery/linux.js';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  parsePsOutput, filterClaudeProcesses, detectChildren, readProcCwds,
+  parseProcStat, parseStatusRssKB, parseBootTime, parseCmdline, ttyName,
+  cpuPercent, CpuSampler, readProcTable, readClockTicks, LinuxDiscovery,
+} from '../../server/discovery/linux.js';
+import { AgentRegistry } from '../../server/discovery/agents.js';
 
 describe('Linux parsePsOutput()', () => {
   // Linux ps uses '?' for detached (not '??' like macOS)
@@ -120,3 +128,216 @@ describe('readProcCwds()', () => {
     assert.equal(result.size, 0);
   });
 });
+
+describe('parseProcStat()', () => {
+  // pid (comm) state ppid pgrp session tty_nr tpgid flags minflt cminflt majflt cmajflt utime stime cutime cstime prio nice threads itreal starttime ...
+  const STAT = '501 (claude) S 1 501 501 34817 501 4194304 100 0 0 0 250 50 0 0 20 0 11 0 123456 1000000 2000';
+
+  it('should extract ppid, tty_nr, utime+stime and starttime', () => {
+    const stat = parseProcStat(STAT);
+    assert.equal(stat.ppid, 1);
+    assert.equal(stat.ttyNr, 34817);
+    assert.equal(stat.ticks, 300);
+    assert.equal(stat.startTicks, 123456);
+  });
+
+  it('should handle comm containing spaces and parens', () => {
+    const stat = parseProcStat(STAT.replace('(claude)', '(we(i) rd)'));
+    assert.equal(stat.ppid, 1);
+    assert.equal(stat.ticks, 300);
+  });
+
+  it('should return null for malformed input', () => {
+    assert.equal(parseProcStat(''), null);
+    assert.equal(parseProcStat('501 (claude) S 1'), null);
+  });
+});
+
+describe('parseStatusRssKB()', () => {
+  it('should read VmRSS in KB', () => {
+    const status = 'Name:\tnode\nVmPeak:\t 900000 kB\nVmRSS:\t   45000 kB\nThreads:\t11\n';
+    assert.equal(parseStatusRssKB(status), 45000);
+  });
+
+  it('should return 0 without a VmRSS line (zombies, kernel threads)', () => {
+    assert.equal(parseStatusRssKB('Name:\tkthreadd\nState:\tS (sleeping)\n'), 0);
+    assert.equal(parseStatusRssKB(''), 0);
+  });
+});
+
+describe('parseBootTime()', () => {
+  it('should read btime in epoch ms', () => {
+    assert.equal(parseBootTime('cpu  1 2 3\nintr 5\nbtime 1770000000\nprocesses 9\n'), 1770000000000);
+  });
+
+  it('should return null when btime is missing', () => {
+    assert.equal(parseBootTime('cpu  1 2 3\n'), null);
+  });
+});
+
+describe('parseCmdline()', () => {
+  it('should join NUL-separated argv with spaces', () => {
+    assert.equal(parseCmdline('node\0/usr/bin/claude\0--resume\0'), 'node /usr/bin/claude --resume');
+  });
+
+  it('should return empty string for kernel threads', () => {
+    assert.equal(parseCmdline(''), '');
+  });
+});
+
+describe('ttyName()', () => {
+  it('should map 0 to detached', () => {
+    assert.equal(ttyName(0), 'detached');
+  });
+
+  it('should decode pseudo-terminals', () => {
+    assert.equal(ttyName((136 << 8) | 1), 'pts/1');
+    assert.equal(ttyName((137 << 8) | 2), 'pts/258');
+  });
+
+  it('should decode virtual consoles', () => {
+    assert.equal(ttyName((4 << 8) | 1), 'tty1');
+  });
+});
+
+describe('cpuPercent()', () => {
+  it('should compute percent of one core over the interval', () => {
+    // 100 ticks = 1s of CPU over 2s wall time
+    assert.equal(cpuPercent(100, 2000), 50);
+    assert.equal(cpuPercent(300, 2000), 150);
+  });
+
+  it('should return 0 for no progress or no elapsed time', () => {
+    assert.equal(cpuPercent(0, 2000), 0);
+    assert.equal(cpuPercent(50, 0), 0);
+  });
+
+  it('should honour the clock tick rate', () => {
+    assert.equal(cpuPercent(250, 1000, 250), 100);
+  });
+});
+
+describe('readClockTicks()', () => {
+  it('should report a positive tick rate', async () => {
+    assert.ok(await readClockTicks() > 0);
+  });
+});
+
+describe('CpuSampler', () => {
+  it('should use the lifetime average on first sight, then the interval delta', () => {
+    const sampler = new CpuSampler();
+    const start = 0;
+    // 10s of CPU over 1000s of lifetime = 1%
+    assert.equal(sampler.sample(1, { ticks: 1000, startTicks: 5 }, 1_000_000, start), 1);
+    // 2s of CPU in the next 2s = 100%
+    assert.equal(sampler.sample(1, { ticks: 1200, startTicks: 5 }, 1_002_000, start), 100);
+  });
+
+  it('should treat a reused PID as a new process', () => {
+    const sampler = new CpuSampler();
+    sampler.sample(1, { ticks: 1000, startTicks: 5 }, 10_000, 0);
+    assert.equal(sampler.sample(1, { ticks: 10, startTicks: 900 }, 12_000, 11_000), 10);
+  });
+
+  it('should forget pruned PIDs', () => {
+    const sampler = new CpuSampler();
+    sampler.sample(1, { ticks: 1000, startTicks: 5 }, 1_000_000, 0);
+    sampler.prune(new Set());
+    assert.equal(sampler.sample(1, { ticks: 1200, startTicks: 5 }, 1_002_000, 0), 1.2);
+  });
+
+  it('should use its own tick rate', () => {
+    const sampler = new CpuSampler(1000);
+    assert.equal(sampler.sample(1, { ticks: 1000, startTicks: 5 }, 100_000, 0), 1);
+  });
+});
+
+describe('readProcTable()', () => {
+  it('should include the current process', async () => {
+    const table = await readProcTable();
+    const self = table.find(p => p.pid === process.pid);
+    assert.ok(self);
+    assert.equal(self.ppid, process.ppid);
+    assert.ok(self.command.includes('node'));
+  });
+});
+
+describe('LinuxDiscovery with a fake /proc', () => {
+  let root;
+
+  async function writeProc(pid, { ppid = 1, ticks = 0, start = 1000, tty = 0, cmd, rssKB = 10240 }) {
+    await mkdir(join(root, String(pid)), { recursive: true });
+    await writeFile(join(root, String(pid), 'stat'),
+      `${pid} (x) S ${ppid} ${pid} ${pid} ${tty} 0 0 0 0 0 0 ${ticks} 0 0 0 20 0 1 0 ${start} 0 0`);
+    await writeFile(join(root, String(pid), 'cmdline'), cmd.split(' ').join('\0') + '\0');
+    await writeFile(join(root, String(pid), 'status'), `Name:\tx\nVmRSS:\t${rssKB} kB\n`);
+  }
+
+  before(async () => {
+    root = await mkdtemp(join(tmpdir(), 'cb-proc-'));
+    await writeFile(join(root, 'stat'), 'cpu 1 2 3\nbtime 1770000000\n');
+    await writeProc(501, { cmd: 'node /usr/bin/claude', tty: (136 << 8) | 3 });
+    await writeProc(502, { ppid: 501, cmd: 'bash -c npm test' });
+    await writeProc(600, { cmd: '/sbin/init' });
+  });
+
+  after(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('should discover Claude sessions from /proc files', async () => {
+    const discovery = new LinuxDiscovery({ procRoot: root });
+    const sessions = await discovery.discoverSessions();
+    assert.equal(sessions.length, 1);
+    assert.equal(sessions[0].pid, 501);
+    assert.equal(sessions[0].tty, 'pts/3');
+    assert.equal(sessions[0].memMB, 10);
+    assert.equal(sessions[0].hasChildren, true);
+    assert.equal(sessions[0].startTime, 1770000000000 + 10_000);
+    assert.equal(sessions[0].cwd, '/unknown');
+  });
+
+  it('should convert start ticks at the given clock rate', async () => {
+    const [claude] = await new LinuxDiscovery({ procRoot: root, clockTicks: 1000 }).discoverSessions();
+    assert.equal(claude.startTime, 1770000000000 + 1_000);
+  });
+
+  it('should tag sessions with the agent type from the registry', async () => {
+    const [claude] = await new LinuxDiscovery({ procRoot: root }).discoverSessions();
+    assert.equal(claude.agentType, 'claude');
+    assert.equal(claude.faction, 'Claude');
+
+    const agents = AgentRegistry.fromConfig({
+      defaults: false,
+      agents: [{ type: 'initd', faction: 'Init', pattern: '^/sbin/init' }],
+    });
+    const sessions = await new LinuxDiscovery({ procRoot: root, agents }).discoverSessions();
+    assert.deepEqual(sessions.map(s => [s.pid, s.agentType, s.faction]), [[600, 'initd', 'Init']]);
+  });
+
+  it('should report CPU from the delta between polls', async () => {
+    const discovery = new LinuxDiscovery({ procRoot: root });
+    const [first] = await discovery.discoverSessions();
+    assert.equal(first.cpu, 0);
+    await writeProc(501, { cmd: 'node /usr/bin/claude', ticks: 5000 });
+    const [second] = await discovery.discoverSessions();
+    // 50s of CPU appeared within a few ms -- far above any lifetime average
+    assert.ok(second.cpu > 1000);
+  });
+
+  it('should report the tmux pane a session runs in', async () => {
+    await writeProc(700, { cmd: 'tmux new -s work' });
+    await writeProc(701, { ppid: 700, cmd: '-bash' });
+    await writeProc(702, { ppid: 701, cmd: 'claude', tty: (136 << 8) | 5 });
+    let asked = 0;
+    const listPanes = async () => {
+      asked++;
+      return new Map([[701, { paneId: '%4', session: 'work', windowIndex: 1, windowName: 'agents', paneIndex: 0 }]]);
+    };
+    const sessions = await new LinuxDiscovery({ procRoot: root, listPanes }).discoverSessions();
+    const session = sessions.find(s => s.pid === 702);
+    assert.equal(asked, 1);
+    assert.deepEqual(session.host, { kind: 'tmux', name: 'work', detail: 'window 1 (agents), pane 0', pane: '%4' });
+    assert.equal(sessions.find(s => s.pid === 501).host.kind, 'unknown');
+  });
+});
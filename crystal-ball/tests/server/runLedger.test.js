@@ -0,0 +1,85 @@
+// tests/server/runLedger.test.js
+// Tests for headless run throughput tracking.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RunLedger, RUN_WINDOW_MS } from '../../server/runLedger.js';
+
+const T0 = 1_700_000_000_000;
+
+describe('RunLedger', () => {
+  it('should report nothing before any runs', () => {
+    assert.deepEqual(new RunLedger().stats(T0), {
+      running: 0, runsPerHour: 0, meanDurationSeconds: null, succeeded: 0, failed: 0, unknown: 0, failures: {},
+    });
+  });
+
+  it('should finish a run when it disappears, timed from its start', () => {
+    const ledger = new RunLedger();
+    ledger.observe([{ pid: 1, startTime: T0 - 10_000 }], T0);
+    assert.equal(ledger.stats(T0).running, 1);
+
+    ledger.observe([], T0 + 50_000);
+    const stats = ledger.stats(T0 + 50_000);
+    assert.equal(stats.running, 0);
+    assert.equal(stats.runsPerHour, 1);
+    assert.equal(stats.meanDurationSeconds, 60);
+    assert.equal(stats.unknown, 1);
+  });
+
+  it('should take inline exit statuses from observed sessions', () => {
+    const ledger = new RunLedger();
+    ledger.observe([{ pid: 1, startTime: T0, exitStatus: 0 }, { pid: 2, startTime: T0, exitStatus: 1 }], T0);
+    ledger.observe([], T0 + 1_000);
+    assert.deepEqual(
+      { succeeded: ledger.stats(T0 + 1_000).succeeded, failures: ledger.stats(T0 + 1_000).failures },
+      { succeeded: 1, failures: { 1: 1 } },
+    );
+  });
+
+  it('should apply a report to a live run, a finished run, or hold it until the run finishes', () => {
+    const ledger = new RunLedger();
+    ledger.observe([{ pid: 1, startTime: T0 }, { pid: 2, startTime: T0 }, { pid: 3, startTime: T0 }], T0);
+    ledger.reportExit(1, 0, T0);                 // still running
+    ledger.reportExit(4, 127, T0);               // not seen yet
+    ledger.observe([{ pid: 3, startTime: T0 }, { pid: 4, startTime: T0 }], T0 + 2_000);
+    ledger.reportExit(2, 1, T0 + 2_500);         // already finished
+    ledger.observe([], T0 + 4_000);
+
+    const stats = ledger.stats(T0 + 4_000);
+    assert.equal(stats.succeeded, 1);
+    assert.deepEqual(stats.failures, { 1: 1, 127: 1 });
+    assert.equal(stats.unknown, 1);              // pid 3 never reported
+    assert.equal(stats.failed, 2);
+  });
+
+  it('should not let a late report overwrite a known status', () => {
+    const ledger = new RunLedger();
+    ledger.observe([{ pid: 1, startTime: T0, exitStatus: 0 }], T0);
+    ledger.observe([], T0 + 1_000);
+    assert.equal(ledger.reportExit(1, 9, T0 + 2_000), true);
+    assert.equal(ledger.stats(T0 + 2_000).succeeded, 1);
+  });
+
+  it('should reject non-integer pids and statuses', () => {
+    const ledger = new RunLedger();
+    assert.equal(ledger.reportExit('1', 0), false);
+    assert.equal(ledger.reportExit(1, 0.5), false);
+    assert.equal(ledger.reportExit(1, null), false);
+  });
+
+  it('should drop runs that finished outside the window', () => {
+    const ledger = new RunLedger();
+    ledger.observe([{ pid: 1, startTime: T0 }], T0);
+    ledger.observe([], T0 + 1_000);
+    assert.equal(ledger.stats(T0 + RUN_WINDOW_MS).runsPerHour, 1);
+    assert.equal(ledger.stats(T0 + RUN_WINDOW_MS + 2_000).runsPerHour, 0);
+  });
+
+  it('should scale the rate to an hour for shorter windows', () => {
+    const ledger = new RunLedger({ windowMs: 10 * 60_000 });
+    ledger.observe([{ pid: 1, startTime: T0 }, { pid: 2, startTime: T0 }], T0);
+    ledger.observe([], T0 + 1_000);
+    assert.equal(ledger.stats(T0 + 1_000).runsPerHour, 12);
+  });
+});
@@ -4,7 +4,8 @@
 
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { SessionStore, resolveState } from '../../server/sessionStore.js';
+import { SessionStore, resolveState, groupNameFor, repoGroupIds } from '../../server/sessionStore.js';
+import { RepoResolver } from '../../server/gitRepo.js';
 import { SessionClassifier } from '../../server/classifier.js';
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
@@ -446,10 +447,62 @@ describe('SessionStore idle-economics metrics', () => {
       assert.equal(result.sessions.length, 1);
       assert.equal(result.groups.length, 1);
     });
+
+    it('should classify a quiet claude with a busy child as active', async () => {
+      const realStore = new SessionStore(new SessionClassifier());
+      const raw = [{
+        ...makeSession(201, '/home/user/project-y', 0.2, 'pts/0', 3_600_000),
+        hasChildren: true,
+        childCpu: 85,
+        childMemMB: 300,
+        children: [{ pid: 202, command: 'npm test', cpu: 85, mem: 300 }],
+      }];
+
+      await realStore.update(raw);
+      const result = await realStore.update(raw);
+
+      const [session] = result.sessions;
+      assert.equal(session.state, 'active');
+      assert.equal(session.cpu, 0.2);
+      assert.equal(session.children_cpu, 85);
+      assert.equal(session.children_mem, 300);
+      assert.deepEqual(session.children, [{ pid: 202, command: 'npm test', cpu: 85, mem: 300 }]);
+    });
+
+    it('should default children fields when discovery omits them', async () => {
+      const realStore = new SessionStore(new SessionClassifier());
+      const result = await realStore.update([makeSession(203, '/home/user/project-z', 0.1, 'pts/0', 3_600_000)]);
+      assert.deepEqual(result.sessions[0].children, []);
+      assert.equal(result.sessions[0].children_cpu, 0);
+    });
+
+    it('should keep a quiet headless run active instead of stale for its missing TTY', async () => {
+      const realStore = new SessionStore(new SessionClassifier());
+      const result = await realStore.update([
+        { ...makeSession(204, '/home/user/project-z', 0.1, 'detached', 300_000), interactive: false },
+        makeSession(205, '/home/user/project-z', 0.1, 'detached', 300_000),
+      ]);
+      const [headless, orphan] = result.sessions;
+      assert.equal(headless.state, 'active');
+      assert.equal(headless.interactive, false);
+      assert.equal(orphan.state, 'stale');
+      assert.equal(orphan.interactive, true);
+    });
   });
 
   // ── Edge cases ────────────────────────────────────────────────────────
 
+  describe('hasCwd', () => {
+    it('should know only the directories of the latest snapshot\'s sessions', async () => {
+      assert.equal(store.hasCwd('/projects/alpha'), false);
+      await store.update([makeSession(101, '/projects/alpha', 1, 'pts/0', 15_000)]);
+      assert.equal(store.hasCwd('/projects/alpha'), true);
+      assert.equal(store.hasCwd('/projects'), false);
+      await store.update([]);
+      assert.equal(store.hasCwd('/projects/alpha'), false);
+    });
+  });
+
   describe('edge cases', () => {
     it('should handle empty session list', async () => {
       const result = await store.update([]);
@@ -636,3 +689,315 @@ describe('SessionStore Mode 2 (sidecar) support', () => {
     assert.equal(metrics.awaitingAgentMinutes, 1.0);
   });
 });
+
+describe('SessionStore restoreMetrics()', () => {
+  it('should seed awaiting agent-minutes from a persisted snapshot', async () => {
+    const store = new SessionStore(new StubClassifier());
+    store.restoreMetrics({ awaitingAgentMinutes: 12.5 });
+    const { metrics } = await store.update([]);
+    assert.equal(metrics.awaitingAgentMinutes, 12.5);
+  });
+
+  it('should ignore missing or invalid metrics', async () => {
+    const store = new SessionStore(new StubClassifier());
+    store.restoreMetrics(null);
+    store.restoreMetrics({ awaitingAgentMinutes: 'x' });
+    const { metrics } = await store.update([]);
+    assert.equal(metrics.awaitingAgentMinutes, 0);
+  });
+});
+
+describe('SessionStore agent fields', () => {
+  it('should pass through the discovered agent type, faction and args', async () => {
+    const store = new SessionStore(new StubClassifier(), { sidecars: { entries: () => [] } });
+    const { sessions } = await store.update([
+      { ...makeSession(101, '/projects/alpha', 0, 'pts/0', 5_000), agentType: 'aider', faction: 'Aider', agentArgs: { model: 'sonnet' } },
+      makeSession(102, '/projects/alpha', 0, 'pts/1', 5_000),
+    ]);
+    const [aider, legacy] = sessions;
+    assert.equal(aider.agent_type, 'aider');
+    assert.equal(aider.faction, 'Aider');
+    assert.deepEqual(aider.agent_args, { model: 'sonnet' });
+    assert.equal(legacy.agent_type, 'claude');
+    assert.equal(legacy.faction, 'Claude');
+    assert.deepEqual(legacy.agent_args, {});
+  });
+});
+
+describe('groupNameFor()', () => {
+  const tmux = { kind: 'tmux', name: 'work', detail: null };
+
+  it('should group by cwd basename by default, even in tmux', () => {
+    assert.equal(groupNameFor({ cwd: '/projects/alpha', host: tmux }), 'alpha');
+  });
+
+  it('should group by tmux session name with groupBy tmux', () => {
+    assert.equal(groupNameFor({ cwd: '/projects/alpha', host: tmux }, 'tmux'), 'work');
+  });
+
+  it('should fall back to cwd outside tmux or without a session name', () => {
+    assert.equal(groupNameFor({ cwd: '/projects/alpha', host: { kind: 'vscode', name: 'VS Code' } }, 'tmux'), 'alpha');
+    assert.equal(groupNameFor({ cwd: '/projects/alpha', host: { kind: 'tmux', name: null } }, 'tmux'), 'alpha');
+    assert.equal(groupNameFor({ cwd: '/projects/alpha' }, 'tmux'), 'alpha');
+  });
+});
+
+describe('SessionStore host and tmux grouping', () => {
+  it('should pass the host through and group by tmux session when asked', async () => {
+    const store = new SessionStore(new StubClassifier(), { sidecars: { entries: () => [] }, groupBy: 'tmux' });
+    const host = { kind: 'tmux', name: 'work', detail: 'window 1 (agents), pane 0', pane: '%3' };
+    const { sessions, groups } = await store.update([
+      { ...makeSession(401, '/projects/alpha', 0, 'pts/0', 5_000), host },
+      { ...makeSession(402, '/projects/beta', 0, 'pts/1', 5_000), host },
+      makeSession(403, '/projects/beta', 0, 'pts/2', 5_000),
+    ]);
+    assert.deepEqual(sessions[0].host, host);
+    assert.equal(sessions[2].host, null);
+    assert.deepEqual(groups.map(g => [g.id, g.session_count]), [['work', 2], ['beta', 1]]);
+  });
+});
+
+describe('repoGroupIds', () => {
+  it('should use the directory name, then parent/name, then the full path', () => {
+    const ids = repoGroupIds(new Map([
+      ['github.com/acme/shop', '/src/shop'],
+      ['/work/acme/api', '/work/acme/api'],
+      ['/work/labs/api', '/work/labs/api'],
+      ['/a/x/web', '/a/x/web'],
+      ['/b/x/web', '/b/x/web'],
+    ]));
+    assert.deepEqual([...ids.values()], ['shop', 'acme/api', 'labs/api', 'x/web', '/b/x/web']);
+  });
+
+  it('should keep known IDs and not hand them to newcomers', () => {
+    const known = new Map([['github.com/acme/shop', 'shop']]);
+    const ids = repoGroupIds(new Map([
+      ['github.com/acme/shop', '/src/shop'],
+      ['/other/shop', '/other/shop'],
+    ]), known);
+    assert.deepEqual([...ids], [['github.com/acme/shop', 'shop'], ['/other/shop', 'other/shop']]);
+
+    // A known ID stays reserved while its repository is away
+    const alone = repoGroupIds(new Map([['/other/shop', '/other/shop']]), known);
+    assert.equal(alone.get('/other/shop'), 'other/shop');
+  });
+});
+
+describe('SessionStore repository grouping', () => {
+  const remotes = 'remote.origin.url git@github.com:acme/shop.git\n';
+  const checkouts = [
+    { root: '/src/shop', gitDir: '/src/shop/.git', commonDir: '/src/shop/.git', branch: 'main', remotes },
+    { root: '/src/shop-hotfix', gitDir: '/src/shop/.git/worktrees/shop-hotfix', commonDir: '/src/shop/.git', branch: 'hotfix/x', remotes },
+    { root: '/other/shop', gitDir: '/other/shop/.git', commonDir: '/other/shop/.git', branch: 'main' },
+  ];
+  const run = async ([, cwd, cmd]) => {
+    const co = checkouts.find(c => cwd === c.root || cwd.startsWith(`${c.root}/`));
+    if (!co) throw new Error('not a git repository');
+    if (cmd === 'rev-parse') return `${co.root}\n${co.gitDir}\n${co.commonDir}\n`;
+    if (cmd === 'symbolic-ref') return `${co.branch}\n`;
+    if (cmd === 'config' && co.remotes) return co.remotes;
+    throw new Error('exit 1');
+  };
+
+  it('should merge sub-directories and worktrees into one group with sub-neighborhoods', async () => {
+    const store = new SessionStore(new StubClassifier(), { sidecars: { entries: () => [] }, groupBy: 'repo', repos: new RepoResolver({ run }) });
+    const { sessions, groups } = await store.update([
+      makeSession(501, '/src/shop', 0, 'pts/0', 5_000),
+      makeSession(502, '/src/shop/packages/api', 0, 'pts/1', 5_000),
+      makeSession(503, '/src/shop-hotfix', 0, 'pts/2', 5_000),
+      makeSession(504, '/other/shop', 0, 'pts/3', 5_000),
+      makeSession(505, '/tmp/scratch', 0, 'pts/4', 5_000),
+    ]);
+
+    assert.deepEqual(sessions.map(s => [s.group, s.subgroup]), [
+      ['src/shop', null],
+      ['src/shop', 'packages/api'],
+      ['src/shop', 'hotfix/x'],
+      ['other/shop', null],
+      ['scratch', null],
+    ]);
+    assert.deepEqual(sessions[2].repo, { root: '/src/shop-hotfix', identity: 'github.com/acme/shop', branch: 'hotfix/x', worktree: true });
+    assert.equal(sessions[4].repo, null);
+
+    const shop = groups.find(g => g.id === 'src/shop');
+    assert.equal(shop.cwd, '/src/shop');
+    assert.deepEqual(shop.repo, { identity: 'github.com/acme/shop', remote: 'git@github.com:acme/shop.git' });
+    assert.deepEqual(shop.subgroups, [
+      { label: 'hotfix/x', session_ids: ['claude-503'] },
+      { label: 'packages/api', session_ids: ['claude-502'] },
+    ]);
+    assert.equal(groups.find(g => g.id === 'scratch').repo, null);
+    assert.ok(store.hasCwd('/src/shop'));
+  });
+
+  it('should attach git status to repository groups and watch their roots', async () => {
+    const watched = [];
+    const gitStatus = {
+      watch: (roots) => watched.push([...roots]),
+      get: (root) => (root === '/src/shop' ? { branch: 'main', dirty: 3 } : null),
+    };
+    const store = new SessionStore(new StubClassifier(), { sidecars: { entries: () => [] }, groupBy: 'repo', repos: new RepoResolver({ run }), gitStatus });
+    const { groups } = await store.update([
+      makeSession(701, '/src/shop/packages/api', 0, 'pts/0', 5_000),
+      makeSession(702, '/tmp/scratch', 0, 'pts/1', 5_000),
+    ]);
+    assert.deepEqual(groups.map(g => [g.id, g.git]), [['shop', { branch: 'main', dirty: 3 }], ['scratch', null]]);
+    assert.deepEqual(watched, [['/src/shop']]);
+  });
+
+  it('should count uncommitted files in every checkout of a group', async () => {
+    const watched = [];
+    const statuses = {
+      '/src/shop': { branch: 'main', dirty: 0 },
+      '/src/shop-hotfix': { branch: 'hotfix/x', dirty: 4 },
+    };
+    const gitStatus = { watch: (roots) => watched.push([...roots]), get: (root) => statuses[root] ?? null };
+    const store = new SessionStore(new StubClassifier(), { sidecars: { entries: () => [] }, groupBy: 'repo', repos: new RepoResolver({ run }), gitStatus });
+    const { groups } = await store.update([
+      makeSession(711, '/src/shop-hotfix', 0, 'pts/0', 5_000),
+    ]);
+    assert.deepEqual(watched, [['/src/shop', '/src/shop-hotfix']]);
+    assert.deepEqual(groups[0].git, { branch: 'main', dirty: 4 });
+  });
+
+  it('should put groups into districts by parent directory or rule', async () => {
+    const store = new SessionStore(new StubClassifier(), {
+      sidecars: { entries: () => [] },
+      groupBy: 'repo',
+      repos: new RepoResolver({ run }),
+      districtRules: [{ name: 'scratch', paths: ['/tmp'] }],
+    });
+    const { groups, divisions } = await store.update([
+      makeSession(801, '/src/shop/packages/api', 0, 'pts/0', 5_000),
+      makeSession(802, '/other/shop', 0, 'pts/1', 5_000),
+      makeSession(803, '/src/shop-hotfix', 0, 'pts/2', 5_000),
+      makeSession(804, '/tmp/scratch', 0, 'pts/3', 5_000),
+    ]);
+    assert.deepEqual(divisions, [
+      { id: 'other', common_path: '/other', group_ids: ['other/shop'], rule: false },
+      { id: 'scratch', common_path: '/tmp/scratch', group_ids: ['scratch'], rule: true },
+      { id: 'src', common_path: '/src', group_ids: ['src/shop'], rule: false },
+    ]);
+    assert.deepEqual(groups.map(g => g.division), ['src', 'other', 'scratch']);
+  });
+
+  it('should keep a group ID when a same-named repository comes and goes', async () => {
+    const store = new SessionStore(new StubClassifier(), { sidecars: { entries: () => [] }, groupBy: 'repo', repos: new RepoResolver({ run }) });
+    const first = await store.update([makeSession(901, '/src/shop', 0, 'pts/0', 5_000)]);
+    assert.equal(first.sessions[0].group, 'shop');
+    const both = await store.update([
+      makeSession(901, '/src/shop', 0, 'pts/0', 5_000),
+      makeSession(902, '/other/shop', 0, 'pts/1', 5_000),
+    ]);
+    assert.deepEqual(both.sessions.map(s => s.group), ['shop', 'other/shop']);
+    const back = await store.update([makeSession(902, '/other/shop', 0, 'pts/1', 5_000)]);
+    assert.equal(back.sessions[0].group, 'other/shop');
+  });
+
+  it('should read and save group IDs through repoIds', async () => {
+    const saved = new Map([['github.com/acme/shop', 'acme-shop']]);
+    const repoIds = {
+      knownRepoIds: () => saved,
+      rememberRepoIds: (ids) => ids.forEach((id, identity) => saved.set(identity, id)),
+    };
+    const store = new SessionStore(new StubClassifier(), { sidecars: { entries: () => [] }, groupBy: 'repo', repos: new RepoResolver({ run }), repoIds });
+    const { groups } = await store.update([
+      makeSession(911, '/src/shop', 0, 'pts/0', 5_000),
+      makeSession(912, '/tmp/scratch', 0, 'pts/1', 5_000),
+    ]);
+    assert.deepEqual(groups.map(g => g.id), ['acme-shop', 'scratch']);
+    assert.equal(saved.get('/tmp/scratch'), 'scratch');
+  });
+
+  it('should keep directory-name grouping with groupBy cwd', async () => {
+    const store = new SessionStore(new StubClassifier(), { sidecars: { entries: () => [] }, groupBy: 'cwd', repos: new RepoResolver({ run }) });
+    const { sessions } = await store.update([makeSession(601, '/src/shop/packages/api', 0, 'pts/0', 5_000)]);
+    assert.equal(sessions[0].group, 'api');
+    assert.equal(sessions[0].subgroup, null);
+  });
+});
+
+describe('SessionStore headless run throughput', () => {
+  it('should count finished headless runs with their reported exit status', async () => {
+    const store = new SessionStore(new StubClassifier(), { sidecars: { entries: () => [] } });
+    const run = (pid, extra = {}) => ({ ...makeSession(pid, '/projects/alpha', 50, 'detached', 30_000), interactive: false, ...extra });
+
+    await store.update([run(301), run(302, { exitStatus: 2 }), makeSession(303, '/projects/alpha', 0, 'pts/0', 30_000)]);
+    assert.equal(store.getLatest().metrics.throughput.running, 2);
+
+    assert.equal(store.recordExit(301, 0), true);
+    assert.equal(store.recordExit(301, 'zero'), false);
+    const { metrics } = await store.update([makeSession(303, '/projects/alpha', 0, 'pts/0', 30_000)]);
+    assert.equal(metrics.throughput.running, 0);
+    assert.equal(metrics.throughput.succeeded, 1);
+    assert.deepEqual(metrics.throughput.failures, { 2: 1 });
+    assert.ok(metrics.throughput.meanDurationSeconds >= 30);
+  });
+});
+
+// ── Sidecar source + refreshContext ─────────────────────────────────────────
+
+describe('SessionStore with a sidecar source', () => {
+  function sidecarEntry(pid, overrides = {}) {
+    return {
+      cwd: '/projects/alpha',
+      context: { task: 'Build auth', phase: 'coding', blocked: false, detail: null, stale: false, session_id: 's1', ...overrides },
+      identity: { sessionId: 's1', pid, hookPpid: null, updatedMs: 0 },
+    };
+  }
+
+  it('should take context from the source instead of scanning the directory', async () => {
+    const classifier = new StubClassifier();
+    classifier.setState(101, 'active');
+    const store = new SessionStore(classifier, { sidecars: { entries: () => [sidecarEntry(101)] } });
+
+    const result = await store.update([makeSession(101, '/projects/alpha', 50, 'pts/0', 60_000)]);
+    assert.equal(result.sessions[0].mode, 2);
+    assert.equal(result.sessions[0].context.task, 'Build auth');
+  });
+
+  it('should apply a new sidecar on refreshContext() without another update()', async () => {
+    const classifier = new StubClassifier();
+    classifier.setState(101, 'active');
+    let entries = [];
+    const store = new SessionStore(classifier, { sidecars: { entries: () => entries } });
+
+    await store.update([makeSession(101, '/projects/alpha', 50, 'pts/0', 60_000)]);
+    assert.equal(store.getLatest().sessions[0].state, 'active');
+
+    entries = [sidecarEntry(101, { blocked: true })];
+    const refreshed = await store.refreshContext();
+    assert.equal(refreshed.sessions[0].state, 'blocked');
+    assert.equal(refreshed.metrics.blockedCount, 1);
+    assert.equal(store.getLatest(), refreshed);
+  });
+
+  it('should return the empty snapshot from refreshContext() before the first update', async () => {
+    const store = new SessionStore(new StubClassifier(), { sidecars: { entries: () => [] } });
+    const result = await store.refreshContext();
+    assert.equal(result.timestamp, null);
+  });
+
+  it('should match pushed context alongside sidecar files, newest winning', async () => {
+    const classifier = new StubClassifier();
+    classifier.setState(101, 'active');
+    classifier.setState(102, 'active');
+    const file = sidecarEntry(101, { task: 'From file' });
+    const push = (pid, task, updatedMs) => ({
+      ...sidecarEntry(pid, { task }),
+      identity: { sessionId: `p${pid}`, pid, hookPpid: null, updatedMs },
+    });
+    const store = new SessionStore(classifier, {
+      sidecars: { entries: () => [file] },
+      pushed: { entries: () => [push(101, 'Pushed newer', 5), push(102, 'Pushed only', 1)] },
+    });
+
+    const result = await store.update([
+      makeSession(101, '/projects/alpha', 50, 'pts/0', 60_000),
+      makeSession(102, '/projects/beta', 50, 'pts/1', 60_000),
+    ]);
+    const byPid = new Map(result.sessions.map(s => [s.pid, s]));
+    assert.equal(byPid.get(101).context.task, 'Pushed newer');
+    assert.equal(byPid.get(102).context.task, 'Pushed only');
+  });
+});
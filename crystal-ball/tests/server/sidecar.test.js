@@ -3,7 +3,9 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { validateSidecar, VALID_PHASES, STALE_THRESHOLD_MS } from '../../server/discovery/sidecar.js';
+import {
+  validateSidecar, matchSidecars, VALID_PHASES, STALE_THRESHOLD_MS, MAX_SIDECAR_FILES, MAX_SIDECAR_TODOS,
+} from '../../server/discovery/sidecar.js';
 
 describe('sidecar validateSidecar()', () => {
   const NOW = 1_700_000_000_000;
@@ -120,3 +122,186 @@ describe('sidecar validateSidecar()', () => {
     assert.equal(c3.blocked, true);
   });
 });
+
+describe('sidecar validateSidecar() identity', () => {
+  const NOW = 1_700_000_000_000;
+  const base = { task: 'T', phase: 'coding', updated_at: new Date(NOW).toISOString() };
+
+  it('should record session_id, Claude PID and hook parent PID', () => {
+    const { identity, context } = validateSidecar({ ...base, session_id: 'abc', pid: 4242, hook_ppid: 4250 }, NOW);
+    assert.deepEqual(identity, { sessionId: 'abc', pid: 4242, hookPpid: 4250, updatedMs: NOW });
+    assert.equal(context.session_id, 'abc');
+  });
+
+  it('should accept numeric strings and null out junk PIDs', () => {
+    const { identity } = validateSidecar({ ...base, pid: '77', hook_ppid: 'nope' }, NOW);
+    assert.equal(identity.pid, 77);
+    assert.equal(identity.hookPpid, null);
+  });
+
+  it('should default identity fields for older sidecars', () => {
+    const { identity } = validateSidecar(base, NOW);
+    assert.equal(identity.sessionId, null);
+    assert.equal(identity.pid, null);
+    assert.equal(identity.hookPpid, null);
+  });
+
+  it('should return null identity when invalid', () => {
+    assert.equal(validateSidecar(null, NOW).identity, null);
+  });
+});
+
+describe('sidecar validateSidecar() schema v2', () => {
+  const NOW = 1_700_000_000_000;
+  const base = { task: 'T', phase: 'coding', updated_at: new Date(NOW).toISOString() };
+
+  it('should read files without a version as v1 and add no v2 fields', () => {
+    const { valid, context } = validateSidecar({ ...base, todos: [{ content: 'x', status: 'pending' }] }, NOW);
+    assert.equal(valid, true);
+    assert.equal(context.version, 1);
+    assert.equal('todos' in context, false);
+    assert.equal('model' in context, false);
+  });
+
+  it('should parse todos, files, model, subagents and tool counts', () => {
+    const { context } = validateSidecar({
+      ...base,
+      version: 2,
+      model: 'claude-sonnet-4-5',
+      todos: [
+        { content: 'Write parser', status: 'completed', activeForm: 'Writing parser' },
+        { content: 'Add tests', status: 'in_progress' },
+        { content: 'Update docs', status: 'pending' },
+      ],
+      files: { read: ['/p/a.js', '/p/b.js'], written: ['/p/a.js'] },
+      subagents: 2,
+      tool_counts: { Read: 5, Edit: 3, Bash: 1 },
+    }, NOW);
+
+    assert.equal(context.version, 2);
+    assert.equal(context.model, 'claude-sonnet-4-5');
+    assert.deepEqual(context.todos, {
+      total: 3,
+      completed: 1,
+      in_progress: 1,
+      items: [
+        { content: 'Write parser', status: 'completed' },
+        { content: 'Add tests', status: 'in_progress' },
+        { content: 'Update docs', status: 'pending' },
+      ],
+    });
+    assert.deepEqual(context.files, { read: ['/p/a.js', '/p/b.js'], written: ['/p/a.js'] });
+    assert.equal(context.subagents, 2);
+    assert.deepEqual(context.tool_counts, { Read: 5, Edit: 3, Bash: 1 });
+    assert.equal(context.tool_calls, 9);
+  });
+
+  it('should default missing v2 fields', () => {
+    const { context } = validateSidecar({ ...base, version: 2 }, NOW);
+    assert.equal(context.model, null);
+    assert.equal(context.todos, null);
+    assert.deepEqual(context.files, { read: [], written: [] });
+    assert.equal(context.subagents, 0);
+    assert.deepEqual(context.tool_counts, {});
+    assert.equal(context.tool_calls, 0);
+  });
+
+  it('should drop malformed entries', () => {
+    const { context } = validateSidecar({
+      ...base,
+      version: 2,
+      model: 42,
+      todos: [{ content: 'ok', status: 'pending' }, { content: 'bad', status: 'blocked' }, null, { status: 'completed' }],
+      files: { read: ['/a', '', 7], written: 'nope' },
+      subagents: -1,
+      tool_counts: { Read: 2, Edit: -1, Bash: 'x', Grep: 1.5 },
+    }, NOW);
+    assert.equal(context.model, null);
+    assert.equal(context.todos.total, 1);
+    assert.deepEqual(context.files, { read: ['/a'], written: [] });
+    assert.equal(context.subagents, 0);
+    assert.deepEqual(context.tool_counts, { Read: 2 });
+  });
+
+  it('should cap file and todo lists but count every todo', () => {
+    const todos = Array.from({ length: MAX_SIDECAR_TODOS + 5 }, (_, i) => ({ content: `t${i}`, status: 'completed' }));
+    const read = Array.from({ length: MAX_SIDECAR_FILES + 3 }, (_, i) => `/f${i}`);
+    const { context } = validateSidecar({ ...base, version: 2, todos, files: { read } }, NOW);
+    assert.equal(context.todos.items.length, MAX_SIDECAR_TODOS);
+    assert.equal(context.todos.total, MAX_SIDECAR_TODOS + 5);
+    assert.equal(context.todos.completed, MAX_SIDECAR_TODOS + 5);
+    assert.deepEqual(context.files.read, read.slice(0, MAX_SIDECAR_FILES));
+  });
+
+  it('should read newer versions with the v2 reader', () => {
+    const { valid, context } = validateSidecar({ ...base, version: 3, subagents: 1 }, NOW);
+    assert.equal(valid, true);
+    assert.equal(context.version, 2);
+    assert.equal(context.subagents, 1);
+  });
+});
+
+describe('sidecar matchSidecars()', () => {
+  function entry(cwd, task, { pid = null, hookPpid = null, updatedMs = 0, stale = false } = {}) {
+    return { cwd, context: { task, stale }, identity: { sessionId: task, pid, hookPpid, updatedMs } };
+  }
+
+  it('should pair two sessions in the same cwd by PID', () => {
+    const sessions = [{ pid: 10, cwd: '/mono' }, { pid: 11, cwd: '/mono' }];
+    const result = matchSidecars(sessions, [
+      entry('/mono', 'api work', { pid: 11 }),
+      entry('/mono', 'web work', { pid: 10 }),
+    ]);
+    assert.equal(result.get(10).task, 'web work');
+    assert.equal(result.get(11).task, 'api work');
+  });
+
+  it('should fall back to the hook parent PID', () => {
+    const result = matchSidecars([{ pid: 10, cwd: '/a' }], [entry('/a', 'x', { hookPpid: 10 })]);
+    assert.equal(result.get(10).task, 'x');
+  });
+
+  it('should pick the newest sidecar when a PID has several', () => {
+    const result = matchSidecars([{ pid: 10, cwd: '/a' }], [
+      entry('/a', 'old', { pid: 10, updatedMs: 1 }),
+      entry('/a', 'new', { pid: 10, updatedMs: 2 }),
+    ]);
+    assert.equal(result.get(10).task, 'new');
+  });
+
+  it('should ignore sidecars whose recorded PID is gone', () => {
+    const result = matchSidecars([{ pid: 10, cwd: '/a' }], [entry('/a', 'dead', { pid: 99 })]);
+    assert.equal(result.size, 0);
+  });
+
+  it('should match by cwd when unambiguous', () => {
+    const result = matchSidecars([{ pid: 10, cwd: '/a' }], [entry('/a', 'legacy')]);
+    assert.equal(result.get(10).task, 'legacy');
+  });
+
+  it('should not match by cwd when two sessions share it', () => {
+    const sessions = [{ pid: 10, cwd: '/mono' }, { pid: 11, cwd: '/mono' }];
+    const result = matchSidecars(sessions, [entry('/mono', 'legacy')]);
+    assert.equal(result.size, 0);
+  });
+
+  it('should use cwd for the one session left after exact pairing', () => {
+    const sessions = [{ pid: 10, cwd: '/mono' }, { pid: 11, cwd: '/mono' }];
+    const result = matchSidecars(sessions, [entry('/mono', 'exact', { pid: 10 }), entry('/mono', 'legacy')]);
+    assert.equal(result.get(10).task, 'exact');
+    assert.equal(result.get(11).task, 'legacy');
+  });
+
+  it('should not match by cwd when two fresh sidecars share it', () => {
+    const result = matchSidecars([{ pid: 10, cwd: '/a' }], [entry('/a', 'one'), entry('/a', 'two')]);
+    assert.equal(result.size, 0);
+  });
+
+  it('should prefer the single fresh sidecar over stale leftovers', () => {
+    const result = matchSidecars([{ pid: 10, cwd: '/a' }], [
+      entry('/a', 'leftover', { stale: true }),
+      entry('/a', 'current'),
+    ]);
+    assert.equal(result.get(10).task, 'current');
+  });
+});
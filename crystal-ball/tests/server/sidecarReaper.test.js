@@ -0,0 +1,155 @@
+// tests/server/sidecarReaper.test.js
+// Tests for orphaned sidecar garbage collection.
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile, readdir, utimes } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { SidecarReaper, findUnpaired } from '../../server/discovery/sidecarReaper.js';
+
+const MIN = 60_000;
+
+function entry(name, { pid = null, cwd = '/projects/alpha', updatedMs = 0, stale = false } = {}) {
+  return { name, cwd, context: { task: name, stale }, identity: { sessionId: name, pid, hookPpid: null, updatedMs } };
+}
+
+describe('findUnpaired()', () => {
+  it('should keep sidecars whose PID is live', () => {
+    const unpaired = findUnpaired([entry('a.json', { pid: 10 })], [{ pid: 10, cwd: '/projects/alpha' }]);
+    assert.equal(unpaired.size, 0);
+  });
+
+  it('should flag sidecars whose PID is gone', () => {
+    const unpaired = findUnpaired([entry('a.json', { pid: 99 })], [{ pid: 10, cwd: '/projects/alpha' }]);
+    assert.deepEqual([...unpaired], ['a.json']);
+  });
+
+  it('should flag an older session_id superseded on the same PID', () => {
+    const unpaired = findUnpaired(
+      [entry('old.json', { pid: 10, updatedMs: 1 }), entry('new.json', { pid: 10, updatedMs: 2 })],
+      [{ pid: 10, cwd: '/projects/alpha' }],
+    );
+    assert.deepEqual([...unpaired], ['old.json']);
+  });
+
+  it('should keep legacy sidecars while a live session uses their cwd', () => {
+    // Two sessions in one cwd: the cwd match is ambiguous, nothing pairs
+    const unpaired = findUnpaired(
+      [entry('a.json'), entry('b.json'), entry('left.json', { stale: true })],
+      [{ pid: 10, cwd: '/projects/alpha' }, { pid: 11, cwd: '/projects/alpha' }],
+    );
+    assert.equal(unpaired.size, 0);
+  });
+
+  it('should flag legacy sidecars with no session in their cwd', () => {
+    const unpaired = findUnpaired([entry('a.json', { cwd: '/gone' })], [{ pid: 10, cwd: '/projects/alpha' }]);
+    assert.deepEqual([...unpaired], ['a.json']);
+  });
+});
+
+describe('SidecarReaper', () => {
+  let dir;
+  let entries;
+  const source = { entries: () => entries };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'cb-reaper-'));
+    await writeFile(join(dir, 'dead.json'), '{}');
+    await writeFile(join(dir, 'live.json'), '{}');
+    entries = [entry('dead.json', { pid: 99 }), entry('live.json', { pid: 10 })];
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const sessions = [{ pid: 10, cwd: '/projects/alpha' }];
+
+  it('should wait for the grace period before reaping', async () => {
+    const reaper = new SidecarReaper(source, { dir, graceMs: 10 * MIN, sweepIntervalMs: 0 });
+    assert.deepEqual(await reaper.sweep(sessions, 0), []);
+    assert.deepEqual(await reaper.sweep(sessions, 9 * MIN), []);
+    assert.equal(reaper.stats().pending, 1);
+    assert.deepEqual(await reaper.sweep(sessions, 10 * MIN), ['dead.json']);
+  });
+
+  it('should archive orphans by default', async () => {
+    const reaper = new SidecarReaper(source, { dir, graceMs: 0, sweepIntervalMs: 0 });
+    await reaper.sweep(sessions, 0);
+    assert.deepEqual((await readdir(dir)).sort(), ['archive', 'live.json']);
+    assert.deepEqual(await readdir(reaper.archiveDir), ['dead.json']);
+    assert.equal(reaper.stats().archived, 1);
+  });
+
+  it('should delete orphans in delete mode', async () => {
+    const reaper = new SidecarReaper(source, { dir, graceMs: 0, sweepIntervalMs: 0, mode: 'delete' });
+    await reaper.sweep(sessions, 0);
+    assert.deepEqual(await readdir(dir), ['live.json']);
+    assert.equal(reaper.stats().deleted, 1);
+  });
+
+  it('should restart the grace period if a sidecar is paired again', async () => {
+    const reaper = new SidecarReaper(source, { dir, graceMs: 10 * MIN, sweepIntervalMs: 0 });
+    await reaper.sweep([], 0);
+    await reaper.sweep([{ pid: 99, cwd: '/projects/alpha' }, ...sessions], 5 * MIN);
+    assert.deepEqual(await reaper.sweep(sessions, 12 * MIN), []);
+    assert.deepEqual(await reaper.sweep(sessions, 22 * MIN), ['dead.json']);
+  });
+
+  it('should not count polls that found no sessions against the grace period', async () => {
+    const reaper = new SidecarReaper(source, { dir, graceMs: 10 * MIN, sweepIntervalMs: 0 });
+    await reaper.sweep(sessions, 0);
+    // Discovery fails for longer than the grace period
+    for (let t = MIN; t <= 20 * MIN; t += MIN) {
+      assert.deepEqual(await reaper.sweep([], t), []);
+    }
+    assert.deepEqual((await readdir(dir)).sort(), ['dead.json', 'live.json']);
+    assert.equal(reaper.stats().skipped, 20);
+    // Once it recovers, the grace period starts over
+    assert.deepEqual(await reaper.sweep(sessions, 21 * MIN), []);
+    assert.deepEqual(await reaper.sweep(sessions, 31 * MIN), ['dead.json']);
+  });
+
+  it('should ignore simulator sessions with inline sidecars', async () => {
+    const reaper = new SidecarReaper(source, { dir, graceMs: 0, sweepIntervalMs: 0 });
+    const reaped = await reaper.sweep([{ pid: 99, cwd: '/projects/alpha', sidecar: {} }, ...sessions], 0);
+    assert.deepEqual(reaped, ['dead.json']);
+  });
+
+  it('should throttle sweeps', async () => {
+    const reaper = new SidecarReaper(source, { dir, graceMs: 0, sweepIntervalMs: MIN });
+    await reaper.sweep(sessions, MIN);
+    await writeFile(join(dir, 'dead.json'), '{}');
+    assert.deepEqual(await reaper.sweep(sessions, MIN + 1000), []);
+  });
+
+  it('should report counts', async () => {
+    const reaper = new SidecarReaper(source, { dir, graceMs: 10 * MIN, sweepIntervalMs: 0 });
+    await reaper.sweep(sessions, 0);
+    const stats = reaper.stats();
+    assert.equal(stats.mode, 'archive');
+    assert.equal(stats.graceMinutes, 10);
+    assert.equal(stats.total, 2);
+    assert.equal(stats.paired, 1);
+    assert.equal(stats.pending, 1);
+    assert.equal(stats.archived, 0);
+    assert.equal(stats.archiveDays, 7);
+    assert.equal(stats.lastSweep, new Date(0).toISOString());
+  });
+
+  it('should prune archived files past the retention', async () => {
+    const archive = join(dir, 'archive');
+    await mkdir(archive);
+    await writeFile(join(archive, 'old.json'), '{}');
+    await writeFile(join(archive, 'recent.json'), '{}');
+    const now = Date.now();
+    const eightDaysAgo = new Date(now - 8 * 24 * 60 * MIN);
+    await utimes(join(archive, 'old.json'), eightDaysAgo, eightDaysAgo);
+
+    const reaper = new SidecarReaper(source, { dir, graceMs: 10 * MIN, sweepIntervalMs: 0 });
+    await reaper.sweep(sessions, now);
+    assert.deepEqual(await readdir(archive), ['recent.json']);
+    assert.equal(reaper.stats().pruned, 1);
+  });
+});
@@ -0,0 +1,136 @@
+// tests/server/sidecarWatcher.test.js
+// Tests for the fs.watch-based sidecar cache.
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile, rename, unlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { SidecarWatcher, isSidecarFile } from '../../server/discovery/sidecarWatcher.js';
+
+function payload(overrides = {}) {
+  return {
+    session_id: 'abc',
+    pid: 4242,
+    cwd: '/projects/alpha',
+    task: 'Build auth',
+    phase: 'coding',
+    blocked: false,
+    detail: 'Working on login.js',
+    updated_at: new Date().toISOString(),
+    ...overrides,
+  };
+}
+
+/** Write the way the hook does: .tmp file, then rename into place. */
+async function hookWrite(dir, name, data) {
+  const path = join(dir, name);
+  await writeFile(`${path}.tmp`, JSON.stringify(data));
+  await rename(`${path}.tmp`, path);
+}
+
+/** Resolve on the next onChange call, or reject after timeoutMs. */
+function nextChange(state, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('no change event')), timeoutMs);
+    state.resolve = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+}
+
+describe('isSidecarFile()', () => {
+  it('should accept .json and reject .tmp and other files', () => {
+    assert.equal(isSidecarFile('abc.json'), true);
+    assert.equal(isSidecarFile('abc.json.tmp'), false);
+    assert.equal(isSidecarFile('notes.txt'), false);
+    assert.equal(isSidecarFile(null), false);
+  });
+});
+
+describe('SidecarWatcher', () => {
+  let dir;
+  let watcher;
+  let state;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'cb-sidecars-'));
+    state = { resolve: null, calls: 0 };
+    watcher = new SidecarWatcher({
+      dir,
+      debounceMs: 10,
+      onChange: () => {
+        state.calls++;
+        if (state.resolve) state.resolve();
+      },
+    });
+  });
+
+  afterEach(async () => {
+    watcher.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should load existing files on start', async () => {
+    await hookWrite(dir, 'abc.json', payload());
+    await watcher.start();
+    const entries = watcher.entries();
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].context.task, 'Build auth');
+    assert.equal(entries[0].identity.pid, 4242);
+    assert.equal(entries[0].cwd, '/projects/alpha');
+  });
+
+  it('should pick up a hook write without a rescan', async () => {
+    await watcher.start();
+    assert.equal(watcher.watching, true);
+    const changed = nextChange(state);
+    await hookWrite(dir, 'abc.json', payload({ blocked: true }));
+    await changed;
+    assert.equal(watcher.entries()[0].context.blocked, true);
+  });
+
+  it('should drop a file removed by SessionEnd', async () => {
+    await hookWrite(dir, 'abc.json', payload());
+    await watcher.start();
+    const changed = nextChange(state);
+    await unlink(join(dir, 'abc.json'));
+    await changed;
+    assert.equal(watcher.entries().length, 0);
+  });
+
+  it('should skip invalid and unparseable files', async () => {
+    await writeFile(join(dir, 'bad.json'), '{"task": ');
+    await hookWrite(dir, 'invalid.json', { task: 'x', phase: 'nope', updated_at: new Date().toISOString() });
+    await watcher.start();
+    assert.equal(watcher.entries().length, 0);
+  });
+
+  it('should compute staleness when entries are read, not when cached', async () => {
+    await hookWrite(dir, 'abc.json', payload());
+    await watcher.start();
+    assert.equal(watcher.entries()[0].context.stale, false);
+    assert.equal(watcher.entries(Date.now() + 11 * 60_000)[0].context.stale, true);
+  });
+
+  it('should report changes found by rescan and ignore identical content', async () => {
+    await watcher.start();
+    watcher.stop(); // no fs.watch events -- rescan only
+    await hookWrite(dir, 'abc.json', payload());
+    assert.equal(await watcher.rescan(), true);
+    assert.equal(await watcher.rescan(), false);
+    assert.equal(watcher.entries().length, 1);
+  });
+
+  it('should tolerate a missing directory and watch it once it exists', async () => {
+    const missing = new SidecarWatcher({ dir: join(dir, 'later') });
+    await missing.start();
+    assert.equal(missing.watching, false);
+    assert.deepEqual(missing.entries(), []);
+    await mkdir(join(dir, 'later'));
+    await missing.rescan();
+    assert.equal(missing.watching, true);
+    missing.stop();
+  });
+});
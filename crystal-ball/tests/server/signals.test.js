@@ -0,0 +1,162 @@
+// tests/server/signals.test.js
+// Tests for signalling sessions (ownership checks, SIGKILL escalation) and
+// the audit log.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { SessionSignaller, AuditLog } from '../../server/signals.js';
+
+const UID = 501;
+const SESSION = { id: 'claude-4242', pid: 4242 };
+
+/**
+ * Fake process table: `alive` pids, their owners and start times, and which
+ * signals end a process. Records every kill() call.
+ */
+function fakeProcesses({ owner = UID, survives = [] } = {}) {
+  const alive = new Set([SESSION.pid]);
+  const starts = new Map([[SESSION.pid, 1000]]);
+  const calls = [];
+  const kill = (pid, signal) => {
+    calls.push([pid, signal]);
+    if (!alive.has(pid)) throw Object.assign(new Error('kill ESRCH'), { code: 'ESRCH' });
+    if (signal !== 0 && !survives.includes(signal)) alive.delete(pid);
+    return true;
+  };
+  const ownerOf = async (pid) => (alive.has(pid) ? owner : null);
+  const startOf = async (pid) => (alive.has(pid) ? starts.get(pid) : null);
+  return { alive, starts, calls, kill, ownerOf, startOf };
+}
+
+function memoryAudit() {
+  const entries = [];
+  return { entries, record: async (entry) => { entries.push(entry); } };
+}
+
+function signaller(procs, audit, opts = {}) {
+  return new SessionSignaller({ audit, kill: procs.kill, ownerOf: procs.ownerOf, startOf: procs.startOf, uid: UID, escalateMs: 20, ...opts });
+}
+
+describe('SessionSignaller', () => {
+  it('should send the signal and audit it', async () => {
+    const procs = fakeProcesses();
+    const audit = memoryAudit();
+    const result = await signaller(procs, audit).signal(SESSION, 'SIGTERM', { source: 'panel' });
+
+    assert.deepEqual(result, { ok: true, escalateAfterMs: 20 });
+    assert.deepEqual(procs.calls, [[4242, 'SIGTERM']]);
+    assert.deepEqual(audit.entries, [{
+      action: 'signal', session: 'claude-4242', pid: 4242, signal: 'SIGTERM', source: 'panel', outcome: 'sent', escalate_after_ms: 20,
+    }]);
+  });
+
+  it('should escalate to SIGKILL when the process outlives the timeout', async () => {
+    const procs = fakeProcesses({ survives: ['SIGTERM'] });
+    const audit = memoryAudit();
+    await signaller(procs, audit).signal(SESSION, 'SIGTERM');
+    await sleep(50);
+
+    assert.deepEqual(procs.calls, [[4242, 'SIGTERM'], [4242, 0], [4242, 'SIGKILL']]);
+    assert.equal(procs.alive.size, 0);
+    assert.deepEqual(audit.entries.at(-1), { action: 'escalate', session: 'claude-4242', pid: 4242, signal: 'SIGKILL', outcome: 'sent' });
+  });
+
+  it('should not escalate once the process has exited, or when asked not to', async () => {
+    const procs = fakeProcesses();
+    const control = signaller(procs, memoryAudit());
+    await control.signal(SESSION, 'SIGTERM');
+    await sleep(50);
+    assert.deepEqual(procs.calls, [[4242, 'SIGTERM'], [4242, 0]]);
+
+    const stubborn = fakeProcesses({ survives: ['SIGTERM'] });
+    const result = await signaller(stubborn, memoryAudit()).signal(SESSION, 'SIGTERM', { escalate: false });
+    await sleep(50);
+    assert.equal(result.escalateAfterMs, null);
+    assert.deepEqual(stubborn.calls, [[4242, 'SIGTERM']]);
+  });
+
+  it('should not escalate an interrupt unless asked to', async () => {
+    const procs = fakeProcesses({ survives: ['SIGINT'] });
+    const audit = memoryAudit();
+    const result = await signaller(procs, audit).signal(SESSION, 'SIGINT');
+    await sleep(50);
+    assert.equal(result.escalateAfterMs, null);
+    assert.deepEqual(procs.calls, [[4242, 'SIGINT']]);
+    assert.equal(audit.entries.at(-1).escalate_after_ms, null);
+
+    const stubborn = fakeProcesses({ survives: ['SIGINT'] });
+    const escalated = await signaller(stubborn, memoryAudit()).signal(SESSION, 'SIGINT', { escalate: true });
+    await sleep(50);
+    assert.equal(escalated.escalateAfterMs, 20);
+    assert.deepEqual(stubborn.calls, [[4242, 'SIGINT'], [4242, 0], [4242, 'SIGKILL']]);
+  });
+
+  it('should not SIGKILL a process that reused the PID, auditing the skip', async () => {
+    const procs = fakeProcesses({ survives: ['SIGTERM'] });
+    const audit = memoryAudit();
+    await signaller(procs, audit).signal(SESSION, 'SIGTERM');
+    // The session exits and another process gets its PID
+    procs.starts.set(SESSION.pid, 2000);
+    await sleep(50);
+
+    assert.deepEqual(procs.calls, [[4242, 'SIGTERM'], [4242, 0]]);
+    assert.deepEqual(audit.entries.at(-1), {
+      action: 'escalate', session: 'claude-4242', pid: 4242, signal: 'SIGKILL', outcome: 'skipped', reason: 'PID no longer belongs to the signalled process',
+    });
+  });
+
+  it('should refuse other signals and another user\'s processes, auditing the refusal', async () => {
+    const procs = fakeProcesses({ owner: 0 });
+    const audit = memoryAudit();
+    const control = signaller(procs, audit);
+
+    assert.deepEqual(await control.signal(SESSION, 'SIGKILL'), { ok: false, status: 400, error: 'signal must be one of SIGINT, SIGTERM' });
+    assert.deepEqual(await control.signal(SESSION, 'SIGTERM'), { ok: false, status: 403, error: 'Process belongs to another user' });
+    assert.equal(procs.calls.length, 0);
+    assert.deepEqual(audit.entries.map(e => e.outcome), ['refused', 'refused']);
+  });
+
+  it('should report a process that already exited', async () => {
+    const procs = fakeProcesses();
+    procs.alive.clear();
+    const result = await signaller(procs, memoryAudit()).signal(SESSION, 'SIGTERM');
+    assert.deepEqual(result, { ok: false, status: 410, error: 'Process already exited' });
+  });
+
+  it('should refuse everything when the server has no uid', async () => {
+    const procs = fakeProcesses();
+    const result = await signaller(procs, memoryAudit(), { uid: null }).signal(SESSION, 'SIGTERM');
+    assert.equal(result.status, 403);
+    assert.equal(procs.calls.length, 0);
+  });
+
+  it('should cancel pending escalations on stop()', async () => {
+    const procs = fakeProcesses({ survives: ['SIGTERM'] });
+    const control = signaller(procs, memoryAudit());
+    await control.signal(SESSION, 'SIGTERM');
+    assert.deepEqual(control.pending, [4242]);
+    control.stop();
+    await sleep(50);
+    assert.deepEqual(procs.calls, [[4242, 'SIGTERM']]);
+  });
+});
+
+describe('AuditLog', () => {
+  it('should append timestamped JSON lines, creating the directory', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'cb-audit-'));
+    try {
+      const log = new AuditLog({ path: join(dir, 'nested', 'audit.log') });
+      await log.record({ action: 'signal', pid: 1 });
+      await log.record({ action: 'escalate', pid: 1 });
+      const lines = (await readFile(log.path, 'utf8')).trim().split('\n').map(l => JSON.parse(l));
+      assert.deepEqual(lines.map(l => l.action), ['signal', 'escalate']);
+      assert.ok(!isNaN(Date.parse(lines[0].at)));
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,87 @@
+// tests/server/stream.test.js
+// Tests for the /api/stream Server-Sent Events hub.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { SnapshotStream, formatEvent } from '../../server/stream.js';
+
+/** Minimal stand-in for an http.ServerResponse. */
+function fakeResponse() {
+  return {
+    status: null,
+    headers: null,
+    chunks: [],
+    ended: false,
+    writeHead(status, headers) { this.status = status; this.headers = headers; },
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; },
+  };
+}
+
+describe('formatEvent()', () => {
+  it('should produce a named SSE frame with JSON data', () => {
+    const frame = formatEvent('snapshot', { a: 1 });
+    assert.equal(frame, 'event: snapshot\ndata: {"a":1}\n\n');
+  });
+});
+
+describe('SnapshotStream', () => {
+  it('should open an event-stream response on attach', () => {
+    const stream = new SnapshotStream();
+    const req = new EventEmitter();
+    const res = fakeResponse();
+    stream.attach(req, res);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+    assert.equal(stream.clientCount, 1);
+    stream.close();
+  });
+
+  it('should broadcast snapshots to every attached client', () => {
+    const stream = new SnapshotStream();
+    const a = fakeResponse();
+    const b = fakeResponse();
+    stream.attach(new EventEmitter(), a);
+    stream.attach(new EventEmitter(), b);
+
+    stream.broadcast({ sessions: [] });
+    const frame = formatEvent('snapshot', { sessions: [] });
+    assert.ok(a.chunks.includes(frame));
+    assert.ok(b.chunks.includes(frame));
+    stream.close();
+  });
+
+  it('should send the latest snapshot immediately to new clients', () => {
+    const stream = new SnapshotStream();
+    stream.broadcast({ timestamp: 't1', sessions: [] });
+
+    const res = fakeResponse();
+    stream.attach(new EventEmitter(), res);
+    assert.ok(res.chunks.includes(formatEvent('snapshot', { timestamp: 't1', sessions: [] })));
+    stream.close();
+  });
+
+  it('should drop clients when the request closes', () => {
+    const stream = new SnapshotStream();
+    const req = new EventEmitter();
+    const res = fakeResponse();
+    stream.attach(req, res);
+
+    req.emit('close');
+    assert.equal(stream.clientCount, 0);
+
+    stream.broadcast({ sessions: [] });
+    assert.ok(!res.chunks.some(c => c.startsWith('event:')));
+  });
+
+  it('should end all responses on close', () => {
+    const stream = new SnapshotStream();
+    const res = fakeResponse();
+    stream.attach(new EventEmitter(), res);
+    stream.close();
+    assert.equal(res.ended, true);
+    assert.equal(stream.clientCount, 0);
+  });
+});
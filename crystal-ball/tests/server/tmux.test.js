@@ -0,0 +1,80 @@
+// tests/server/tmux.test.js
+// Tests for tmux pane capture and focus, driven through a fake tmux runner.
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { TmuxControl, paneOf, previewLines, PREVIEW_LINES, MAX_PREVIEW_LINES } from '../../server/tmux.js';
+import { REDACTED } from '../../server/redact.js';
+
+/** Fake runner recording each call; `replies` maps subcommand -> stdout or Error. */
+function fakeTmux(replies = {}) {
+  const calls = [];
+  const run = async (args) => {
+    calls.push(args);
+    const reply = replies[args[0]] ?? '';
+    if (reply instanceof Error) throw reply;
+    return reply;
+  };
+  return { calls, run };
+}
+
+describe('previewLines', () => {
+  it('should default, and clamp to the maximum', () => {
+    assert.equal(previewLines(undefined), PREVIEW_LINES);
+    assert.equal(previewLines('abc'), PREVIEW_LINES);
+    assert.equal(previewLines('0'), PREVIEW_LINES);
+    assert.equal(previewLines('15'), 15);
+    assert.equal(previewLines('100000'), MAX_PREVIEW_LINES);
+  });
+});
+
+describe('paneOf', () => {
+  it('should return the pane of tmux-hosted sessions only', () => {
+    assert.equal(paneOf({ host: { kind: 'tmux', name: 'work', pane: '%12' } }), '%12');
+    assert.equal(paneOf({ host: { kind: 'vscode', name: 'VS Code', detail: null } }), null);
+    assert.equal(paneOf({ host: null }), null);
+  });
+
+  it('should reject pane ids that are not %N', () => {
+    assert.equal(paneOf({ host: { kind: 'tmux', pane: 'work:1.0' } }), null);
+    assert.equal(paneOf({ host: { kind: 'tmux', pane: '-t%1' } }), null);
+  });
+});
+
+describe('TmuxControl', () => {
+  it('should capture the last lines, cleaned and redacted', async () => {
+    const stdout = '\x1b[32m$\x1b[0m export API_KEY=abcd1234\none\ntwo\nthree\n\n\n';
+    const tmux = fakeTmux({ 'capture-pane': stdout });
+    const text = await new TmuxControl({ run: tmux.run }).capture('%3', 3);
+    assert.deepEqual(tmux.calls, [['capture-pane', '-p', '-J', '-t', '%3', '-S', '-3']]);
+    assert.equal(text, 'one\ntwo\nthree');
+
+    const all = await new TmuxControl({ run: tmux.run }).capture('%3', 10);
+    assert.equal(all.split('\n')[0], `$ export API_KEY=${REDACTED}`);
+  });
+
+  it('should select the window and pane, then switch the client', async () => {
+    const tmux = fakeTmux();
+    assert.deepEqual(await new TmuxControl({ run: tmux.run }).focus('%7'), { switched: true });
+    assert.deepEqual(tmux.calls.map(args => args[0]), ['select-window', 'select-pane', 'switch-client']);
+    assert.ok(tmux.calls.every(args => args.at(-1) === '%7'));
+  });
+
+  it('should still focus the pane when no client is attached', async () => {
+    const tmux = fakeTmux({ 'switch-client': new Error('no current client') });
+    assert.deepEqual(await new TmuxControl({ run: tmux.run }).focus('%7'), { switched: false });
+  });
+
+  it('should fail when the pane is gone', async () => {
+    const tmux = fakeTmux({ 'select-window': new Error("can't find pane: %7") });
+    await assert.rejects(new TmuxControl({ run: tmux.run }).focus('%7'), /can't find pane/);
+  });
+
+  it('should refuse targets that are not pane ids without running tmux', async () => {
+    const tmux = fakeTmux();
+    const control = new TmuxControl({ run: tmux.run });
+    await assert.rejects(control.capture('work:0'), /invalid tmux pane id/);
+    await assert.rejects(control.focus('%1;kill-server'), /invalid tmux pane id/);
+    assert.equal(tmux.calls.length, 0);
+  });
+});